@@ -0,0 +1,311 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Cart = require("../models/Cart");
+const tokenService = require("../services/TokenService");
+const authorization = require("../services/AuthorizationService");
+const { logStaffActivity } = require("../services/ActivityService");
+const { sendPasswordResetEmail } = require("../services/PasswordResetService");
+const { listChains } = require("../services/ChainService");
+
+// Default and largest page sizes for the user list
+const DEFAULT_USER_LIMIT = 20;
+const MAX_USER_LIMIT = 100;
+
+/**
+ * Shape a user document for the admin console.
+ *
+ * @param {Object} user - The user document
+ * @param {number} savedCartCount - The number of saved carts the user has
+ * @returns {Object} - The user details shown to admins
+ */
+const toAdminUser = (user, savedCartCount) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  roles: authorization.getRoles(user),
+  priceChains: user.priceChains,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  disabled: user.disabled,
+  disabledAt: user.disabledAt,
+  disabledReason: user.disabledReason,
+  passwordResetRequired: user.passwordResetRequired,
+  lockUntil: user.lockUntil,
+  createdAt: user.createdAt,
+  savedCartCount,
+});
+
+/**
+ * Count the saved carts of several users.
+ *
+ * @param {Array} userIds - The user IDs
+ * @returns {Promise<Map<string, number>>} - The number of carts by user ID
+ */
+const countSavedCarts = async (userIds) => {
+  const counts = await Cart.aggregate([
+    { $match: { userId: { $in: userIds } } },
+    { $group: { _id: "$userId", count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+/**
+ * Escape a string for use inside a regular expression.
+ *
+ * @param {string} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Load the target user of an admin action from the `id` route parameter,
+ * sending 400/404 if there is none. Admins cannot act on their own account,
+ * so they cannot lock themselves out.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowSelf=false] - Whether the admin's own account is allowed
+ * @returns {Promise<Object|null>} - The user, or null if a response was sent
+ */
+const findTargetUser = async (req, res, { allowSelf = false } = {}) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: "מזהה משתמש לא תקין" });
+    return null;
+  }
+  if (!allowSelf && req.params.id === req.user.userId) {
+    res.status(400).json({ message: "לא ניתן לבצע פעולה זו על החשבון שלך" });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ message: "המשתמש לא נמצא" });
+    return null;
+  }
+  return user;
+};
+
+/**
+ * List users
+ * Retrieves a page of users, newest first, optionally filtered by a search term
+ * (matched against the name and email) and by role, with their saved-cart counts.
+ *
+ * @param {Request} req - The incoming request object, with optional `search`, `role`, `page` and `limit` query parameters.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The users and pagination details.
+ */
+exports.listUsers = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_USER_LIMIT, 1),
+      MAX_USER_LIMIT
+    );
+
+    const filter = {};
+    const search = String(req.query.search || "").trim();
+    if (search) {
+      const regex = new RegExp(escapeRegex(search), "i");
+      filter.$or = [{ name: regex }, { email: regex }];
+    }
+    if (req.query.role === "super_admin") {
+      filter.$and = [{ $or: [{ roles: "super_admin" }, { isAdmin: true }] }];
+    } else if (authorization.ROLES.includes(req.query.role)) {
+      filter.roles = req.query.role;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter),
+    ]);
+    const cartCounts = await countSavedCarts(users.map((user) => user._id));
+
+    res.json({
+      users: users.map((user) =>
+        toAdminUser(user, cartCounts.get(String(user._id)) || 0)
+      ),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error listing users:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת המשתמשים" });
+  }
+};
+
+/**
+ * Get user
+ * Retrieves a single user with their saved-cart count.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The user details.
+ */
+exports.getUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res, { allowSelf: true });
+    if (!user) return;
+
+    const savedCartCount = await Cart.countDocuments({ userId: user._id });
+    res.json(toAdminUser(user, savedCartCount));
+  } catch (error) {
+    console.error("Error fetching user:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת המשתמש" });
+  }
+};
+
+/**
+ * Get supermarket chains
+ * Lists the supermarket chains that appear in product prices, for assigning price editors.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The chain names, sorted.
+ */
+exports.getChains = async (req, res) => {
+  try {
+    res.json(await listChains());
+  } catch (error) {
+    console.error("Error fetching chains:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת הרשתות" });
+  }
+};
+
+/**
+ * Update roles
+ * Replaces a user's staff roles and, for price editors, the chains whose prices they may change
+ * (which must be chains of the catalog).
+ * The legacy isAdmin flag is cleared, so the roles given here are the user's only roles.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The updated user.
+ */
+exports.updateRoles = async (req, res) => {
+  try {
+    const { roles, priceChains = [] } = req.body;
+
+    if (
+      !Array.isArray(roles) ||
+      !roles.every((role) => authorization.ROLES.includes(role))
+    ) {
+      return res.status(400).json({ message: "תפקידים לא תקינים" });
+    }
+    if (
+      !Array.isArray(priceChains) ||
+      !priceChains.every((chain) => typeof chain === "string" && chain.trim())
+    ) {
+      return res.status(400).json({ message: "רשתות לא תקינות" });
+    }
+
+    const editorChains = roles.includes("price_editor")
+      ? [...new Set(priceChains.map((chain) => chain.trim()))]
+      : [];
+    const chains = await listChains();
+    const unknown = editorChains.filter((chain) => !chains.includes(chain));
+    if (unknown.length > 0) {
+      return res
+        .status(400)
+        .json({ message: `רשתות לא מוכרות: ${unknown.join(", ")}` });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.roles = [...new Set(roles)];
+    user.priceChains = editorChains;
+    user.isAdmin = false;
+    await user.save();
+
+    await logStaffActivity(req, user._id, "roles_change", {
+      roles: user.roles,
+      priceChains: user.priceChains,
+    });
+
+    const savedCartCount = await Cart.countDocuments({ userId: user._id });
+    res.json(toAdminUser(user, savedCartCount));
+  } catch (error) {
+    console.error("Error updating roles:", error);
+    res.status(500).json({ message: "שגיאת שרת בעדכון התפקידים" });
+  }
+};
+
+/**
+ * Update account status
+ * Disables (bans) or re-enables a user's account. Disabling signs the user out
+ * on every device and blocks new logins.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The updated user.
+ */
+exports.updateStatus = async (req, res) => {
+  try {
+    const { disabled, reason } = req.body;
+
+    if (typeof disabled !== "boolean") {
+      return res.status(400).json({ message: "נדרש סטטוס חשבון" });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.disabled = disabled;
+    user.disabledAt = disabled ? new Date() : undefined;
+    user.disabledReason = disabled ? String(reason || "").trim() : undefined;
+    await user.save();
+
+    if (disabled) {
+      await tokenService.revokeAllForUser(user._id);
+    }
+    await logStaffActivity(
+      req,
+      user._id,
+      disabled ? "account_disabled" : "account_enabled",
+      disabled ? { reason: user.disabledReason } : {}
+    );
+
+    const savedCartCount = await Cart.countDocuments({ userId: user._id });
+    res.json(toAdminUser(user, savedCartCount));
+  } catch (error) {
+    console.error("Error updating account status:", error);
+    res.status(500).json({ message: "שגיאת שרת בעדכון סטטוס החשבון" });
+  }
+};
+
+/**
+ * Force a password reset
+ * Signs the user out on every device, blocks logins with the current password
+ * and emails a password reset link.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message.
+ */
+exports.forcePasswordReset = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.passwordResetRequired = true;
+    await sendPasswordResetEmail(user, { forced: true });
+    await tokenService.revokeAllForUser(user._id);
+    await logStaffActivity(req, user._id, "password_reset_forced");
+
+    res.json({
+      success: true,
+      message: "המשתמש נותק ונשלח אליו קישור לאיפוס הסיסמה",
+    });
+  } catch (error) {
+    console.error("Error forcing password reset:", error);
+    res.status(500).json({ message: "שגיאת שרת באיפוס הסיסמה" });
+  }
+};
@@ -0,0 +1,121 @@
+const apiKeyService = require("../services/ApiKeyService");
+const { API_KEY_SCOPES } = require("../services/AuthorizationService");
+const { logActivity } = require("../services/ActivityService");
+
+/**
+ * Shape an API key for API responses. The key itself is never included.
+ *
+ * @param {Object} apiKey - The API key document
+ * @returns {Object} - The key details sent to the client
+ */
+const toApiKeyInfo = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  rateLimit: apiKey.rateLimit,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  createdAt: apiKey.createdAt,
+});
+
+/**
+ * Get API keys
+ * Lists the current user's active API keys.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The keys, newest first.
+ */
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.user.userId);
+    res.json(apiKeys.map(toApiKeyInfo));
+  } catch (error) {
+    console.error("Error fetching API keys:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת מפתחות ה-API" });
+  }
+};
+
+/**
+ * Create an API key
+ * Creates a named API key with the chosen scopes. The key is returned only in this response.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The key details and the key itself.
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, rateLimit } = req.body;
+    const validScopes = Object.values(API_KEY_SCOPES);
+
+    if (typeof name !== "string" || !name.trim() || name.trim().length > 50) {
+      return res
+        .status(400)
+        .json({ message: "יש לתת למפתח שם של עד 50 תווים" });
+    }
+    if (
+      !Array.isArray(scopes) ||
+      scopes.length === 0 ||
+      !scopes.every((scope) => validScopes.includes(scope))
+    ) {
+      return res.status(400).json({ message: "יש לבחור הרשאות תקינות למפתח" });
+    }
+    if (
+      rateLimit !== undefined &&
+      (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > 600)
+    ) {
+      return res
+        .status(400)
+        .json({ message: "מגבלת הבקשות חייבת להיות בין 1 ל-600 בדקה" });
+    }
+
+    const created = await apiKeyService.createKey(req.user.userId, {
+      name: name.trim(),
+      scopes,
+      rateLimit,
+    });
+    if (!created) {
+      return res.status(400).json({
+        message: `ניתן להחזיק עד ${apiKeyService.MAX_KEYS_PER_USER} מפתחות API פעילים`,
+      });
+    }
+
+    await logActivity(req, req.user.userId, "api_key_create", {
+      name: created.apiKey.name,
+      scopes: created.apiKey.scopes,
+    });
+
+    res.status(201).json({ ...toApiKeyInfo(created.apiKey), key: created.key });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res.status(500).json({ message: "שגיאת שרת ביצירת מפתח ה-API" });
+  }
+};
+
+/**
+ * Revoke an API key
+ * Revokes one of the current user's API keys. It stops working immediately.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message.
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.user.userId, req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: "המפתח לא נמצא" });
+    }
+
+    await logActivity(req, req.user.userId, "api_key_revoke", {
+      name: apiKey.name,
+    });
+
+    res.json({ success: true, message: "המפתח בוטל" });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({ message: "שגיאת שרת בביטול המפתח" });
+  }
+};
@@ -0,0 +1,638 @@
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const tokenService = require("../services/TokenService");
+const { logActivity } = require("../services/ActivityService");
+const emailVerification = require("../services/EmailVerificationService");
+const loginProtection = require("../services/LoginProtectionService");
+const twoFactor = require("../services/TwoFactorService");
+const { sendPasswordResetEmail } = require("../services/PasswordResetService");
+const magicLink = require("../services/MagicLinkService");
+const { getRoles } = require("../services/AuthorizationService");
+const validation = require("../services/ValidationService");
+
+const { hashToken } = tokenService;
+
+/**
+ * Shape a user document for login and registration responses.
+ *
+ * @param {Object} user - The user document
+ * @returns {Object} - The user details sent to the client
+ */
+const toAuthUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  isAdmin: user.isAdmin,
+  roles: getRoles(user),
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  avatarUrl: user.avatarUrl,
+  avatarThumbUrl: user.avatarThumbUrl,
+  shoppingPreferences: user.shoppingPreferences,
+});
+
+/**
+ * Register a new user
+ * Validates the name, email and password (see ValidationService), hashes the password,
+ * creates a new user document, emails a verification link and issues an access token
+ * and refresh token. Invalid input gets a 400 response with the code `VALIDATION_FAILED`
+ * and an `errors` object mapping each invalid field to its message.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success response with the token and user details.
+ */
+exports.register = async (req, res) => {
+  try {
+    const { values, errors } = validation.validateRegistration(req.body);
+    if (errors) {
+      return res.status(400).json(validation.validationErrorResponse(errors));
+    }
+
+    const { name, email, password } = values;
+    const emailTakenResponse = validation.validationErrorResponse(
+      { email: "האימייל כבר קיים במערכת" },
+      "EMAIL_TAKEN"
+    );
+    const existingUser = await User.findOne({ email });
+    if (existingUser) return res.status(409).json(emailTakenResponse);
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = new User({ name, email, password: hashedPassword });
+    try {
+      await user.save();
+    } catch (error) {
+      // Another registration with the same email may have won the race
+      if (error.code === 11000) return res.status(409).json(emailTakenResponse);
+
+      const fieldErrors = validation.fromMongooseError(error);
+      if (fieldErrors) {
+        return res
+          .status(400)
+          .json(validation.validationErrorResponse(fieldErrors));
+      }
+      throw error;
+    }
+
+    // The account is usable even if the email fails; the user can ask for a new link
+    try {
+      await emailVerification.sendVerificationEmail(user);
+    } catch (error) {
+      console.error("Error sending verification email:", error);
+    }
+
+    const { token, refreshToken } = await tokenService.issueTokens(req, user);
+    res.status(201).json({
+      success: true,
+      token,
+      refreshToken,
+      user: toAuthUser(user),
+    });
+  } catch (error) {
+    console.error("Registration error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Complete a two-factor login
+ * Verifies the challenge token from the password step together with a code from the
+ * authenticator app (or a recovery code) and issues an access token and refresh token.
+ * Wrong codes count as failed login attempts.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success response with the token and user details.
+ */
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { twoFactorToken, code } = req.body;
+
+    const ipRejection = loginProtection.checkIp(req.ip);
+    if (ipRejection) return sendLoginRejection(res, ipRejection);
+
+    const userId = tokenService.verifyTwoFactorChallenge(twoFactorToken);
+    const user = userId && (await twoFactor.findUserWithSecrets(userId));
+    if (!user) {
+      return res.status(401).json({
+        code: "TWO_FACTOR_EXPIRED",
+        message: "פג תוקף ההתחברות, יש להתחבר מחדש",
+      });
+    }
+
+    const statusError = getAccountStatusError(user);
+    if (statusError) return res.status(403).json(statusError);
+
+    const accountRejection = await loginProtection.checkAccount(user);
+    if (accountRejection) return sendLoginRejection(res, accountRejection);
+
+    const method = await twoFactor.verifySecondFactor(user, code);
+    if (!method) {
+      loginProtection.recordIpFailure(req.ip);
+
+      const lockRejection = await loginProtection.recordAccountFailure(user);
+      if (lockRejection) {
+        await logActivity(req, user._id, "account_locked");
+        return sendLoginRejection(res, lockRejection);
+      }
+
+      return res.status(401).json({
+        code: "INVALID_TWO_FACTOR_CODE",
+        message: "קוד האימות שגוי",
+      });
+    }
+
+    await loginProtection.resetAccount(user);
+
+    const { token, refreshToken } = await tokenService.issueTokens(req, user, {
+      twoFactor: true,
+    });
+    await logActivity(req, user._id, "login", { twoFactor: method });
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      user: toAuthUser(user),
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Check whether an email is registered
+ * Used by the registration form for live "email already registered" feedback.
+ * The route is throttled per IP to limit account enumeration.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - `{ exists }` telling whether the email belongs to an account.
+ */
+exports.checkEmail = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!validation.isValidEmail(email)) {
+      return res.status(400).json({ message: "כתובת אימייל לא תקינה" });
+    }
+
+    const exists = await User.exists({ email: email.toLowerCase().trim() });
+    res.json({ exists: Boolean(exists) });
+  } catch (error) {
+    console.error("Check email error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Send a login rejection from the login protection service.
+ *
+ * @param {Response} res - The outgoing response object.
+ * @param {Object} rejection - The rejection `{ status, code, message, retryAfter }`.
+ * @returns {Response} - The sent response.
+ */
+const sendLoginRejection = (res, { status, code, message, retryAfter }) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(status).json({ code, message, retryAfter });
+};
+
+/**
+ * Check whether an admin has disabled the account or requires a new password.
+ * Only checked once the password is known to be correct, so the account status
+ * is not revealed to anyone else.
+ *
+ * @param {Object} user - The user document
+ * @returns {Object|null} - The error `{ code, message }` to send with 403, or null
+ */
+const getAccountStatusError = (user) => {
+  if (user.disabled) {
+    return {
+      code: "ACCOUNT_DISABLED",
+      message: "החשבון הושבת. לפרטים ניתן לפנות לתמיכה",
+    };
+  }
+  if (user.passwordResetRequired) {
+    return {
+      code: "PASSWORD_RESET_REQUIRED",
+      message: "יש לבחור סיסמה חדשה באמצעות הקישור שנשלח לאימייל",
+    };
+  }
+  return null;
+};
+
+/**
+ * Log in a user
+ * Compares the provided credentials with the stored data and, if valid, issues an access token and refresh token.
+ * Failed attempts are counted per account and per IP: repeated failures are slowed down,
+ * and too many lock the account temporarily (with an unlock link sent by email).
+ * Accounts disabled by an admin, or that must reset their password, are refused.
+ * Users with two-factor authentication receive a challenge token instead, to be
+ * completed with a code at /api/auth/login/2fa.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success response with the token and user details.
+ */
+exports.login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const ipRejection = loginProtection.checkIp(req.ip);
+    if (ipRejection) return sendLoginRejection(res, ipRejection);
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      loginProtection.recordIpFailure(req.ip);
+      return res.status(401).json({
+        code: "INVALID_CREDENTIALS",
+        message: "אימייל או סיסמה לא נכונים",
+      });
+    }
+
+    const accountRejection = await loginProtection.checkAccount(user);
+    if (accountRejection) return sendLoginRejection(res, accountRejection);
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      loginProtection.recordIpFailure(req.ip);
+
+      const lockRejection = await loginProtection.recordAccountFailure(user);
+      if (lockRejection) {
+        await logActivity(req, user._id, "account_locked");
+        return sendLoginRejection(res, lockRejection);
+      }
+
+      return res.status(401).json({
+        code: "INVALID_CREDENTIALS",
+        message: "אימייל או סיסמה לא נכונים",
+      });
+    }
+
+    const statusError = getAccountStatusError(user);
+    if (statusError) return res.status(403).json(statusError);
+
+    // The failure counters are only cleared once the second step succeeds too
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        twoFactorToken: tokenService.issueTwoFactorChallenge(user),
+      });
+    }
+
+    await loginProtection.resetAccount(user);
+
+    const { token, refreshToken } = await tokenService.issueTokens(req, user);
+    await logActivity(req, user._id, "login");
+
+    res.json({
+      success: true,
+      token,
+      refreshToken,
+      user: toAuthUser(user),
+    });
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Request a password reset
+ * Generates a single-use reset token, stores its hash and expiry on the user
+ * and emails a reset link. The response is identical whether or not the email
+ * is registered, so the endpoint cannot be used to discover accounts.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A generic success message.
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!validation.isValidEmail(email)) {
+      return res.status(400).json({ message: "כתובת אימייל לא תקינה" });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: "אם האימייל רשום במערכת, נשלח אליו קישור לאיפוס הסיסמה",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Request a magic login link
+ * Emails a single-use login link to the given address, so the user can sign in without
+ * the password. Disabled accounts and accounts that must reset their password get no link.
+ * Always responds with the same message, so it does not reveal which emails are registered.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A generic success message.
+ */
+exports.requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!validation.isValidEmail(email)) {
+      return res.status(400).json({ message: "כתובת אימייל לא תקינה" });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (user && !getAccountStatusError(user)) {
+      await magicLink.sendMagicLink(user);
+    }
+
+    res.json({
+      success: true,
+      message: "אם האימייל רשום במערכת, נשלח אליו קישור התחברות",
+    });
+  } catch (error) {
+    console.error("Magic link request error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Log in with a magic link
+ * Exchanges the token from an emailed login link for an access token and refresh token,
+ * like a password login. The account status checks still apply, and users with two-factor
+ * authentication receive a challenge token to complete at /api/auth/login/2fa.
+ * Opening the link proves access to the email, so it also lifts a login lockout.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success response with the token and user details.
+ */
+exports.loginWithMagicLink = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const ipRejection = loginProtection.checkIp(req.ip);
+    if (ipRejection) return sendLoginRejection(res, ipRejection);
+
+    const user = typeof token === "string" && (await magicLink.consumeMagicLink(token));
+    if (!user) {
+      loginProtection.recordIpFailure(req.ip);
+      return res.status(400).json({
+        code: "MAGIC_LINK_INVALID",
+        message: "קישור ההתחברות אינו תקין, פג תוקפו או שכבר נעשה בו שימוש",
+      });
+    }
+
+    const statusError = getAccountStatusError(user);
+    if (statusError) return res.status(403).json(statusError);
+
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        twoFactorToken: tokenService.issueTwoFactorChallenge(user),
+      });
+    }
+
+    await loginProtection.resetAccount(user);
+
+    const { token: accessToken, refreshToken } = await tokenService.issueTokens(
+      req,
+      user
+    );
+    await logActivity(req, user._id, "login", { method: "magic_link" });
+
+    res.json({
+      success: true,
+      token: accessToken,
+      refreshToken,
+      user: toAuthUser(user),
+    });
+  } catch (error) {
+    console.error("Magic link login error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Reset a password
+ * Verifies the reset token against the stored hash and expiry, sets the new
+ * password and clears the token so it cannot be used again.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message, or 400 if the token is invalid or expired.
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== "string" || !token || !password) {
+      return res.status(400).json({ message: "נדרשים טוקן וסיסמה חדשה" });
+    }
+
+    const passwordError = validation.validatePassword(password);
+    if (passwordError) {
+      return res
+        .status(400)
+        .json(validation.validationErrorResponse({ password: passwordError }));
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Consume the token atomically so it can only ever be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: Date.now() },
+      },
+      {
+        // A new password also lifts any login lockout
+        $set: {
+          password: hashedPassword,
+          failedLoginAttempts: 0,
+          passwordResetRequired: false,
+        },
+        $unset: {
+          passwordResetToken: 1,
+          passwordResetExpires: 1,
+          lastFailedLoginAt: 1,
+          lockUntil: 1,
+          unlockToken: 1,
+          unlockExpires: 1,
+        },
+      }
+    );
+
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "קישור האיפוס אינו תקין או שפג תוקפו" });
+    }
+
+    // Sign out every device that was logged in with the old password
+    await tokenService.revokeAllForUser(user._id);
+    await logActivity(req, user._id, "password_reset");
+
+    res.json({ success: true, message: "הסיסמה עודכנה בהצלחה" });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Refresh the access token
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * The presented refresh token is revoked; presenting it again revokes the whole token family.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The new access token and refresh token.
+ */
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken !== "string" || !refreshToken) {
+      return res.status(400).json({ message: "נדרש טוקן רענון" });
+    }
+
+    const tokens = await tokenService.rotateRefreshToken(refreshToken);
+    res.json({
+      success: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+    });
+  } catch (error) {
+    if (error instanceof tokenService.RefreshTokenError) {
+      if (error.reused) {
+        console.warn("Refresh token reuse detected, token family revoked");
+      }
+      return res.status(401).json({ message: "טוקן רענון לא תקין" });
+    }
+    console.error("Refresh token error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Log out
+ * Revokes the refresh token family of the current login so it can no longer be refreshed.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message.
+ */
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken && typeof refreshToken !== "string") {
+      return res.status(400).json({ message: "טוקן רענון לא תקין" });
+    }
+    if (refreshToken) {
+      await tokenService.revokeRefreshToken(refreshToken);
+    }
+
+    res.json({ success: true, message: "התנתקת בהצלחה" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Verify an email address
+ * Confirms the user's email with the token from the verification link.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message if the email is verified.
+ */
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== "string" || !token) {
+      return res.status(400).json({ message: "נדרש טוקן אימות" });
+    }
+
+    const user = await emailVerification.verifyEmailToken(token);
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "קישור האימות אינו תקין או שפג תוקפו" });
+    }
+
+    res.json({ success: true, message: "כתובת האימייל אומתה בהצלחה" });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Resend the verification email
+ * Emails a new verification link to the authenticated user.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message if the email was sent.
+ */
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: "המשתמש לא נמצא" });
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: "כתובת האימייל כבר אומתה" });
+    }
+
+    await emailVerification.sendVerificationEmail(user);
+    res.json({ success: true, message: "קישור אימות חדש נשלח לאימייל שלך" });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Unlock an account
+ * Lifts a login lockout with the token from the emailed unlock link.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message if the account is unlocked.
+ */
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== "string" || !token) {
+      return res.status(400).json({ message: "נדרש טוקן לשחרור הנעילה" });
+    }
+
+    const user = await loginProtection.unlockWithToken(token);
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "קישור שחרור הנעילה אינו תקין או שפג תוקפו" });
+    }
+
+    res.json({ success: true, message: "נעילת החשבון שוחררה, ניתן להתחבר" });
+  } catch (error) {
+    console.error("Unlock account error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
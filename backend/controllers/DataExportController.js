@@ -0,0 +1,94 @@
+const dataExportService = require("../services/DataExportService");
+const { logActivity } = require("../services/ActivityService");
+
+/**
+ * Shape a data export for API responses.
+ *
+ * @param {Object} dataExport - The export document
+ * @returns {Object} - The export details sent to the client
+ */
+const toDataExportInfo = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExportService.getStatus(dataExport),
+  size: dataExport.size,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+});
+
+/**
+ * Request a data export
+ * Starts building a zip with all of the current user's data. If an export is already
+ * being built, it is returned instead of starting another.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The export details.
+ */
+exports.requestDataExport = async (req, res) => {
+  try {
+    const { dataExport, created } = await dataExportService.requestExport(
+      req.user.userId
+    );
+
+    if (created) {
+      await logActivity(req, req.user.userId, "data_export", {});
+    }
+
+    res.status(202).json(toDataExportInfo(dataExport));
+  } catch (error) {
+    console.error("Error requesting data export:", error);
+    res.status(500).json({ message: "שגיאת שרת ביצירת קובץ הנתונים" });
+  }
+};
+
+/**
+ * Get the latest data export
+ * Returns the status of the current user's latest export, or null if there is none.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The export details, or null.
+ */
+exports.getDataExport = async (req, res) => {
+  try {
+    const dataExport = await dataExportService.getLatestExport(req.user.userId);
+    res.json(dataExport ? toDataExportInfo(dataExport) : null);
+  } catch (error) {
+    console.error("Error fetching data export:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת קובץ הנתונים" });
+  }
+};
+
+/**
+ * Download a data export
+ * Sends the zip file of one of the current user's ready exports.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {File} - The zip file.
+ */
+exports.downloadDataExport = async (req, res) => {
+  try {
+    const filePath = await dataExportService.getDownloadPath(
+      req.user.userId,
+      req.params.id
+    );
+    if (!filePath) {
+      return res
+        .status(404)
+        .json({ message: "קובץ הנתונים לא נמצא או שפג תוקפו" });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.download(filePath, `smart-cart-data-${date}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        console.error("Error sending data export:", error);
+        res.status(404).json({ message: "קובץ הנתונים לא נמצא או שפג תוקפו" });
+      }
+    });
+  } catch (error) {
+    console.error("Error downloading data export:", error);
+    res.status(500).json({ message: "שגיאת שרת בהורדת קובץ הנתונים" });
+  }
+};
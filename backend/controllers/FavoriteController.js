@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const favoriteService = require("../services/FavoriteService");
+
+/**
+ * Shape a favorite for API responses.
+ *
+ * @param {Object} favorite - The favorite document, with the populated product
+ * @returns {Object} - The favorite details sent to the client
+ */
+const toFavoriteInfo = (favorite) => ({
+  productId: favorite.productId._id,
+  product: favorite.productId,
+  createdAt: favorite.createdAt,
+});
+
+/**
+ * Get favorites
+ * Lists the current user's favorite products.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The favorites with the product details, newest first.
+ */
+exports.getFavorites = async (req, res) => {
+  try {
+    const favorites = await favoriteService.listForUser(req.user.userId);
+    res.json(favorites.map(toFavoriteInfo));
+  } catch (error) {
+    console.error("Error fetching favorites:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת המועדפים" });
+  }
+};
+
+/**
+ * Add a favorite
+ * Adds a product to the current user's favorites.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The favorite, with status 201 if it was just added.
+ */
+exports.addFavorite = async (req, res) => {
+  try {
+    const { productId } = req.body;
+
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({ message: "מזהה מוצר לא תקין" });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ message: "המוצר לא נמצא" });
+    }
+
+    const added = await favoriteService.addFavorite(req.user.userId, product);
+    if (!added) {
+      return res.status(400).json({
+        message: `ניתן לשמור עד ${favoriteService.MAX_FAVORITES_PER_USER} מוצרים במועדפים`,
+      });
+    }
+
+    const { favorite, created } = added;
+    res.status(created ? 201 : 200).json(toFavoriteInfo(favorite));
+  } catch (error) {
+    console.error("Error adding favorite:", error);
+    res.status(500).json({ message: "שגיאת שרת בהוספה למועדפים" });
+  }
+};
+
+/**
+ * Remove a favorite
+ * Removes a product from the current user's favorites.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - Success message.
+ */
+exports.removeFavorite = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    if (
+      !mongoose.isValidObjectId(productId) ||
+      !(await favoriteService.removeFavorite(req.user.userId, productId))
+    ) {
+      return res.status(404).json({ message: "המוצר אינו במועדפים" });
+    }
+
+    res.json({ message: "המוצר הוסר מהמועדפים" });
+  } catch (error) {
+    console.error("Error removing favorite:", error);
+    res.status(500).json({ message: "שגיאת שרת בהסרה מהמועדפים" });
+  }
+};
@@ -0,0 +1,507 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const householdService = require("../services/HouseholdService");
+const { HOUSEHOLD_ROLES } = require("../services/AuthorizationService");
+const { isValidEmail } = require("../services/ValidationService");
+const { logActivity } = require("../services/ActivityService");
+
+// Roles that can be given to invited members (owners are promoted afterwards)
+const INVITE_ROLES = [HOUSEHOLD_ROLES.EDITOR, HOUSEHOLD_ROLES.VIEWER];
+
+/**
+ * Shape a household for API responses, with the current user's role.
+ *
+ * @param {Object} household - The household document, with its members populated
+ * @param {string} userId - The current user's ID
+ * @returns {Object} - The household details sent to the client
+ */
+const toHouseholdInfo = (household, userId) => ({
+  id: household._id,
+  name: household.name,
+  role: householdService.getRole(household, userId),
+  createdAt: household.createdAt,
+  members: household.members
+    .filter((member) => member.userId) // Skip members whose account no longer exists
+    .map((member) => ({
+      userId: member.userId._id,
+      name: member.userId.name,
+      email: member.userId.email,
+      avatarThumbUrl: member.userId.avatarThumbUrl,
+      role: member.role,
+      joinedAt: member.joinedAt,
+    })),
+});
+
+/**
+ * Shape a pending invite for API responses.
+ *
+ * @param {Object} invite - The invite document
+ * @returns {Object} - The invite details sent to the client
+ */
+const toInviteInfo = (invite) => ({
+  id: invite._id,
+  email: invite.email,
+  role: invite.role,
+  householdId: invite.householdId?._id || invite.householdId,
+  householdName: invite.householdId?.name,
+  invitedBy: invite.invitedBy?.name,
+  expiresAt: invite.expiresAt,
+  createdAt: invite.createdAt,
+});
+
+/**
+ * Reload a household with its members' details, for a response.
+ *
+ * @param {string} householdId - The household ID
+ * @param {string} userId - The current user's ID
+ * @returns {Promise<Object>} - The household details
+ */
+const loadHouseholdInfo = async (householdId, userId) => {
+  const { household } = await householdService.getMembership(householdId, userId);
+  await household.populate("members.userId", "name email avatarThumbUrl");
+  return toHouseholdInfo(household, userId);
+};
+
+/**
+ * Find the household in the URL and check that the current user owns it.
+ * Sends the error response when they do not.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {Promise<Object|null>} - The household, or null if a response was sent
+ */
+const findOwnedHousehold = async (req, res) => {
+  const membership = await householdService.getMembership(
+    req.params.id,
+    req.user.userId
+  );
+  if (!membership) {
+    res.status(404).json({ message: "משק הבית לא נמצא" });
+    return null;
+  }
+  if (membership.role !== HOUSEHOLD_ROLES.OWNER) {
+    res.status(403).json({
+      code: "HOUSEHOLD_OWNER_REQUIRED",
+      message: "רק בעלי משק הבית יכולים לבצע פעולה זו",
+    });
+    return null;
+  }
+  return membership.household;
+};
+
+/**
+ * Validate a household name.
+ *
+ * @param {*} name - The name from the request body
+ * @returns {boolean}
+ */
+const isValidName = (name) =>
+  typeof name === "string" && name.trim().length > 0 && name.trim().length <= 50;
+
+/**
+ * Get households
+ * Lists the households the current user belongs to, with their members.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The households, oldest first.
+ */
+exports.getHouseholds = async (req, res) => {
+  try {
+    const households = await householdService.listForUser(req.user.userId);
+    res.json(
+      households.map((household) => toHouseholdInfo(household, req.user.userId))
+    );
+  } catch (error) {
+    console.error("Error fetching households:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת משקי הבית" });
+  }
+};
+
+/**
+ * Create a household
+ * Creates a household with the current user as its owner.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The new household.
+ */
+exports.createHousehold = async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!isValidName(name)) {
+      return res
+        .status(400)
+        .json({ message: "יש לתת למשק הבית שם של עד 50 תווים" });
+    }
+
+    const household = await householdService.createHousehold(
+      req.user.userId,
+      name.trim()
+    );
+    if (!household) {
+      return res.status(400).json({
+        message: `ניתן להשתייך לעד ${householdService.MAX_HOUSEHOLDS_PER_USER} משקי בית`,
+      });
+    }
+
+    await logActivity(req, req.user.userId, "household_create", {
+      householdId: household._id,
+      householdName: household.name,
+    });
+
+    res
+      .status(201)
+      .json(await loadHouseholdInfo(household._id, req.user.userId));
+  } catch (error) {
+    console.error("Error creating household:", error);
+    res.status(500).json({ message: "שגיאת שרת ביצירת משק הבית" });
+  }
+};
+
+/**
+ * Rename a household
+ * Changes the name of a household the current user owns.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The updated household.
+ */
+exports.updateHousehold = async (req, res) => {
+  try {
+    const household = await findOwnedHousehold(req, res);
+    if (!household) return;
+
+    const { name } = req.body;
+    if (!isValidName(name)) {
+      return res
+        .status(400)
+        .json({ message: "יש לתת למשק הבית שם של עד 50 תווים" });
+    }
+
+    household.name = name.trim();
+    await household.save();
+
+    res.json(await loadHouseholdInfo(household._id, req.user.userId));
+  } catch (error) {
+    console.error("Error updating household:", error);
+    res.status(500).json({ message: "שגיאת שרת בעדכון משק הבית" });
+  }
+};
+
+/**
+ * Delete a household
+ * Deletes a household the current user owns, with all of its carts and invites.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message.
+ */
+exports.deleteHousehold = async (req, res) => {
+  try {
+    const household = await findOwnedHousehold(req, res);
+    if (!household) return;
+
+    await householdService.deleteHousehold(household._id);
+    await logActivity(req, req.user.userId, "household_delete", {
+      householdId: household._id,
+      householdName: household.name,
+    });
+
+    res.json({ success: true, message: "משק הבית נמחק" });
+  } catch (error) {
+    console.error("Error deleting household:", error);
+    res.status(500).json({ message: "שגיאת שרת במחיקת משק הבית" });
+  }
+};
+
+/**
+ * Get a household's invites
+ * Lists the pending invites of a household the current user owns.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The invites, newest first.
+ */
+exports.getHouseholdInvites = async (req, res) => {
+  try {
+    const household = await findOwnedHousehold(req, res);
+    if (!household) return;
+
+    const invites = await householdService.listInvites(household._id);
+    res.json(invites.map(toInviteInfo));
+  } catch (error) {
+    console.error("Error fetching household invites:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת ההזמנות" });
+  }
+};
+
+/**
+ * Invite a member
+ * Invites an email address to a household the current user owns, and emails the invitation.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The invite.
+ */
+exports.createHouseholdInvite = async (req, res) => {
+  try {
+    const household = await findOwnedHousehold(req, res);
+    if (!household) return;
+
+    const { email, role = HOUSEHOLD_ROLES.EDITOR } = req.body;
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ message: "כתובת אימייל לא תקינה" });
+    }
+    if (!INVITE_ROLES.includes(role)) {
+      return res.status(400).json({ message: "תפקיד לא תקין" });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    const invitee = await User.findOne({ email: normalizedEmail }).select("_id");
+    if (invitee && householdService.getRole(household, invitee._id)) {
+      return res
+        .status(409)
+        .json({ message: "המשתמש כבר חבר במשק הבית" });
+    }
+
+    const inviter = await User.findById(req.user.userId).select("name");
+    const invite = await householdService.createInvite(
+      household,
+      inviter,
+      normalizedEmail,
+      role
+    );
+    if (!invite) {
+      return res.status(400).json({
+        message: `במשק בית יכולים להיות עד ${householdService.MAX_MEMBERS} חברים`,
+      });
+    }
+
+    await logActivity(req, req.user.userId, "household_invite", {
+      householdId: household._id,
+      householdName: household.name,
+      email: normalizedEmail,
+      role,
+    });
+
+    res.status(201).json(toInviteInfo(invite));
+  } catch (error) {
+    console.error("Error inviting household member:", error);
+    res.status(500).json({ message: "שגיאת שרת בשליחת ההזמנה" });
+  }
+};
+
+/**
+ * Cancel an invite
+ * Cancels a pending invite of a household the current user owns.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message.
+ */
+exports.cancelHouseholdInvite = async (req, res) => {
+  try {
+    const household = await findOwnedHousehold(req, res);
+    if (!household) return;
+
+    const invite = await householdService.cancelInvite(
+      household._id,
+      req.params.inviteId
+    );
+    if (!invite) {
+      return res.status(404).json({ message: "ההזמנה לא נמצאה" });
+    }
+
+    res.json({ success: true, message: "ההזמנה בוטלה" });
+  } catch (error) {
+    console.error("Error cancelling household invite:", error);
+    res.status(500).json({ message: "שגיאת שרת בביטול ההזמנה" });
+  }
+};
+
+/**
+ * Get my invites
+ * Lists the pending household invites addressed to the current user's email.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The invites, newest first.
+ */
+exports.getMyInvites = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("email");
+    const invites = await householdService.listInvitesForEmail(user.email);
+    res.json(invites.filter((invite) => invite.householdId).map(toInviteInfo));
+  } catch (error) {
+    console.error("Error fetching invites:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת ההזמנות" });
+  }
+};
+
+/**
+ * Accept an invite
+ * Adds the current user to the household of an invite addressed to their email.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The household joined.
+ */
+exports.acceptInvite = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("email");
+    const household = await householdService.acceptInvite(
+      req.params.inviteId,
+      user
+    );
+    if (!household) {
+      return res.status(400).json({
+        message: "לא ניתן להצטרף: ההזמנה אינה בתוקף, משק הבית מלא או שכבר הגעת למספר משקי הבית המרבי",
+      });
+    }
+
+    await logActivity(req, req.user.userId, "household_join", {
+      householdId: household._id,
+      householdName: household.name,
+    });
+
+    res.json(await loadHouseholdInfo(household._id, req.user.userId));
+  } catch (error) {
+    console.error("Error accepting invite:", error);
+    res.status(500).json({ message: "שגיאת שרת בהצטרפות למשק הבית" });
+  }
+};
+
+/**
+ * Decline an invite
+ * Removes an invite addressed to the current user's email.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message.
+ */
+exports.declineInvite = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("email");
+    const invite = await householdService.declineInvite(
+      req.params.inviteId,
+      user.email
+    );
+    if (!invite) {
+      return res.status(404).json({ message: "ההזמנה לא נמצאה" });
+    }
+
+    res.json({ success: true, message: "ההזמנה נדחתה" });
+  } catch (error) {
+    console.error("Error declining invite:", error);
+    res.status(500).json({ message: "שגיאת שרת בדחיית ההזמנה" });
+  }
+};
+
+/**
+ * Change a member's role
+ * Changes the role of a member of a household the current user owns. The household
+ * must keep at least one owner.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The updated household.
+ */
+exports.updateMember = async (req, res) => {
+  try {
+    const household = await findOwnedHousehold(req, res);
+    if (!household) return;
+
+    const { role } = req.body;
+    if (!Object.values(HOUSEHOLD_ROLES).includes(role)) {
+      return res.status(400).json({ message: "תפקיד לא תקין" });
+    }
+
+    const { userId } = req.params;
+    if (
+      !mongoose.isValidObjectId(userId) ||
+      !householdService.getRole(household, userId)
+    ) {
+      return res.status(404).json({ message: "החבר לא נמצא במשק הבית" });
+    }
+    if (
+      role !== HOUSEHOLD_ROLES.OWNER &&
+      !householdService.hasOtherOwner(household, userId)
+    ) {
+      return res.status(400).json({
+        code: "LAST_OWNER",
+        message: "למשק הבית חייב להיות לפחות בעלים אחד",
+      });
+    }
+
+    await householdService.updateMemberRole(household._id, userId, role);
+    res.json(await loadHouseholdInfo(household._id, req.user.userId));
+  } catch (error) {
+    console.error("Error updating household member:", error);
+    res.status(500).json({ message: "שגיאת שרת בעדכון החבר" });
+  }
+};
+
+/**
+ * Remove a member
+ * Removes a member from a household. Owners can remove any member; every member can
+ * remove themselves (leave). The last owner cannot leave while other members remain.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message.
+ */
+exports.removeMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const leaving = userId === req.user.userId;
+
+    const membership = await householdService.getMembership(
+      req.params.id,
+      req.user.userId
+    );
+    if (!membership) {
+      return res.status(404).json({ message: "משק הבית לא נמצא" });
+    }
+    const { household, role } = membership;
+
+    if (!leaving && role !== HOUSEHOLD_ROLES.OWNER) {
+      return res.status(403).json({
+        code: "HOUSEHOLD_OWNER_REQUIRED",
+        message: "רק בעלי משק הבית יכולים לבצע פעולה זו",
+      });
+    }
+    if (
+      !mongoose.isValidObjectId(userId) ||
+      !householdService.getRole(household, userId)
+    ) {
+      return res.status(404).json({ message: "החבר לא נמצא במשק הבית" });
+    }
+    if (
+      householdService.getRole(household, userId) === HOUSEHOLD_ROLES.OWNER &&
+      household.members.length > 1 &&
+      !householdService.hasOtherOwner(household, userId)
+    ) {
+      return res.status(400).json({
+        code: "LAST_OWNER",
+        message: "יש למנות בעלים נוסף לפני עזיבת משק הבית",
+      });
+    }
+
+    await householdService.removeMember(household, userId);
+    if (leaving) {
+      await logActivity(req, req.user.userId, "household_leave", {
+        householdId: household._id,
+        householdName: household.name,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: leaving ? "עזבת את משק הבית" : "החבר הוסר ממשק הבית",
+    });
+  } catch (error) {
+    console.error("Error removing household member:", error);
+    res.status(500).json({ message: "שגיאת שרת בהסרת החבר" });
+  }
+};
@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+const notificationService = require("../services/NotificationService");
+
+/**
+ * Shape a notification for API responses.
+ *
+ * @param {Object} notification - The notification document
+ * @returns {Object} - The notification details sent to the client
+ */
+const toNotificationInfo = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  link: notification.link,
+  data: notification.data,
+  read: Boolean(notification.readAt),
+  createdAt: notification.createdAt,
+});
+
+/**
+ * Get notifications
+ * Lists the latest notifications in the current user's inbox, with the number of unread ones.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The notifications, newest first, and the unread count.
+ */
+exports.getNotifications = async (req, res) => {
+  try {
+    const [notifications, unreadCount] = await Promise.all([
+      notificationService.listForUser(req.user.userId),
+      notificationService.countUnread(req.user.userId),
+    ]);
+    res.json({
+      notifications: notifications.map(toNotificationInfo),
+      unreadCount,
+    });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת ההתראות" });
+  }
+};
+
+/**
+ * Get the unread count
+ * Counts the unread notifications in the current user's inbox.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The unread count.
+ */
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await notificationService.countUnread(req.user.userId);
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error("Error counting notifications:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת ההתראות" });
+  }
+};
+
+/**
+ * Mark a notification as read
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The notification and the remaining unread count.
+ */
+exports.markNotificationRead = async (req, res) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id)
+      ? await notificationService.markRead(req.user.userId, req.params.id)
+      : null;
+    if (!notification) {
+      return res.status(404).json({ message: "ההתראה לא נמצאה" });
+    }
+
+    const unreadCount = await notificationService.countUnread(req.user.userId);
+    res.json({ notification: toNotificationInfo(notification), unreadCount });
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
+    res.status(500).json({ message: "שגיאת שרת בעדכון ההתראה" });
+  }
+};
+
+/**
+ * Mark all notifications as read
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The unread count (0).
+ */
+exports.markAllNotificationsRead = async (req, res) => {
+  try {
+    await notificationService.markAllRead(req.user.userId);
+    res.json({ unreadCount: 0 });
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    res.status(500).json({ message: "שגיאת שרת בעדכון ההתראות" });
+  }
+};
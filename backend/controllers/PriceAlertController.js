@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const priceAlertService = require("../services/PriceAlertService");
+
+/**
+ * Shape a price alert for API responses.
+ *
+ * @param {Object} alert - The alert document, with the populated product
+ * @returns {Object} - The alert details sent to the client
+ */
+const toAlertInfo = (alert) => ({
+  id: alert._id,
+  productId: alert.productId._id,
+  product: alert.productId,
+  chain: alert.chain,
+  targetPrice: alert.targetPrice,
+  triggeredAt: alert.triggeredAt,
+  triggeredPrice: alert.triggeredPrice,
+  createdAt: alert.createdAt,
+});
+
+/**
+ * Get price alerts
+ * Lists the current user's price-drop alerts.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The alerts with the product details, newest first.
+ */
+exports.getPriceAlerts = async (req, res) => {
+  try {
+    const alerts = await priceAlertService.listForUser(req.user.userId);
+    res.json(alerts.map(toAlertInfo));
+  } catch (error) {
+    console.error("Error fetching price alerts:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת התראות המחיר" });
+  }
+};
+
+/**
+ * Set a price alert
+ * Sets the target price of the current user's alert on a product, in one chain or
+ * in any chain. Setting it again for the same product and chain changes the target.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The alert, with status 201 if it was just created.
+ */
+exports.setPriceAlert = async (req, res) => {
+  try {
+    const { productId, chain = null } = req.body;
+    const targetPrice = Number(req.body.targetPrice);
+
+    if (!mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({ message: "מזהה מוצר לא תקין" });
+    }
+    if (!Number.isFinite(targetPrice) || targetPrice <= 0) {
+      return res.status(400).json({ message: "יש להזין מחיר יעד חיובי" });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ message: "המוצר לא נמצא" });
+    }
+    if (chain !== null && !product.prices.has(chain)) {
+      return res.status(400).json({ message: "המוצר לא נמכר ברשת זו" });
+    }
+
+    const result = await priceAlertService.setAlert(req.user.userId, product, {
+      targetPrice: Math.round(targetPrice * 100) / 100,
+      chain,
+    });
+    if (!result) {
+      return res.status(400).json({
+        message: `ניתן להגדיר עד ${priceAlertService.MAX_ALERTS_PER_USER} התראות מחיר`,
+      });
+    }
+
+    res.status(result.created ? 201 : 200).json(toAlertInfo(result.alert));
+  } catch (error) {
+    console.error("Error setting price alert:", error);
+    res.status(500).json({ message: "שגיאת שרת בשמירת התראת המחיר" });
+  }
+};
+
+/**
+ * Delete a price alert
+ * Removes one of the current user's price alerts.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - Success message.
+ */
+exports.deletePriceAlert = async (req, res) => {
+  try {
+    if (
+      !mongoose.isValidObjectId(req.params.id) ||
+      !(await priceAlertService.removeAlert(req.user.userId, req.params.id))
+    ) {
+      return res.status(404).json({ message: "התראת המחיר לא נמצאה" });
+    }
+
+    res.json({ message: "התראת המחיר נמחקה" });
+  } catch (error) {
+    console.error("Error deleting price alert:", error);
+    res.status(500).json({ message: "שגיאת שרת במחיקת התראת המחיר" });
+  }
+};
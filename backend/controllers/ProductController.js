@@ -1,4 +1,111 @@
+const mongoose = require("mongoose");
 const Product = require("../models/Product");
+const { logActivity } = require("../services/ActivityService");
+const authorization = require("../services/AuthorizationService");
+const { listChains } = require("../services/ChainService");
+const favoriteService = require("../services/FavoriteService");
+const priceAlertService = require("../services/PriceAlertService");
+const priceHistoryService = require("../services/PriceHistoryService");
+const {
+  normalizeBarcode,
+  isValidGtin,
+  getEquivalentBarcodes,
+} = require("../services/BarcodeService");
+
+// Response when a barcode is already used by another product
+const barcodeTakenResponse = {
+  code: "BARCODE_TAKEN",
+  message: "הברקוד כבר משויך למוצר אחר",
+};
+
+/**
+ * Find the supermarket chains whose price differs between the stored prices and an update
+ * (including chains that are added or removed).
+ *
+ * @param {Map<string, number>} currentPrices - The product's stored prices
+ * @param {Object} newPrices - The prices sent in the update, by chain
+ * @returns {string[]} - The chains whose price changes
+ */
+const getChangedChains = (currentPrices, newPrices) => {
+  const chains = new Set([...currentPrices.keys(), ...Object.keys(newPrices)]);
+  return [...chains].filter(
+    (chain) => currentPrices.get(chain) !== Number(newPrices[chain])
+  );
+};
+
+/**
+ * Check whether an update changes any of a product's details (everything but the prices).
+ * Fields sent with the value already stored do not count, so staff who may only edit
+ * prices can send back the whole product.
+ *
+ * @param {Object} product - The product document
+ * @param {Object} details - The details sent in the update
+ * @returns {boolean} - Whether any detail changes
+ */
+const changesDetails = (
+  product,
+  { name, description, category, unit, barcode, popularity, rating }
+) =>
+  [
+    name && name !== product.name,
+    description !== undefined && description !== (product.description ?? ""),
+    category && category !== product.category,
+    unit && unit !== product.unit,
+    barcode !== undefined && normalizeBarcode(barcode) !== (product.barcode ?? ""),
+    popularity !== undefined && Number(popularity) !== product.popularity,
+    rating !== undefined && Number(rating) !== product.rating,
+  ].some(Boolean);
+
+/**
+ * Get a product's prices, limited to some supermarket chains.
+ *
+ * @param {Object} product - The product document
+ * @param {string[]|null} chains - The chains to keep, or null for all of them
+ * @returns {number[]} - The prices in those chains
+ */
+const getChainPrices = (product, chains) =>
+  Object.entries(product.prices.toObject())
+    .filter(([chain]) => !chains || chains.includes(chain))
+    .map(([, price]) => price);
+
+/**
+ * Check a barcode sent to the staff routes: it must be a valid GTIN that no other product
+ * has, in any of its forms (e.g. the UPC-A and EAN-13 forms of the same code).
+ *
+ * @param {string} code - The barcode as sent
+ * @param {string} [productId] - The product being updated, which may keep its own barcode
+ * @returns {Promise<{barcode?: string, status?: number, error?: Object}>} - The cleaned-up
+ *   barcode, or the status and body of the error response
+ */
+const checkBarcode = async (code, productId) => {
+  const barcode = normalizeBarcode(code);
+  if (!isValidGtin(barcode)) {
+    return {
+      status: 400,
+      error: { code: "INVALID_BARCODE", message: "ברקוד לא תקין" },
+    };
+  }
+
+  const existing = await Product.exists({
+    barcode: { $in: getEquivalentBarcodes(barcode) },
+    ...(productId && { _id: { $ne: productId } }),
+  });
+  if (existing) return { status: 409, error: barcodeTakenResponse };
+
+  return { barcode };
+};
+
+/**
+ * Parse an optional date from the query string.
+ *
+ * @param {string} [value] - The date, in a format Date understands (e.g. 2025-01-31)
+ * @returns {Date|null|undefined} - The date, null if none was sent, or undefined if it is invalid
+ */
+const parseQueryDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
 
 /**
  * Get all products
@@ -41,6 +148,99 @@ exports.getProductById = async (req, res) => {
   }
 };
 
+/**
+ * Get a product by its barcode
+ * Finds the product with an EAN/UPC barcode, in any of its forms (e.g. a UPC-A code
+ * also finds the product stored with the EAN-13 form that starts with 0).
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The product object if found, a 400 error if the barcode is invalid, or a 404 error if not found.
+ */
+exports.getProductByBarcode = async (req, res) => {
+  try {
+    const barcode = normalizeBarcode(req.params.code);
+    if (!isValidGtin(barcode)) {
+      return res
+        .status(400)
+        .json({ code: "INVALID_BARCODE", message: "ברקוד לא תקין" });
+    }
+
+    const product = await Product.findOne({
+      barcode: { $in: getEquivalentBarcodes(barcode) },
+    });
+
+    if (!product) {
+      return res.status(404).json({ message: "לא נמצא מוצר עם ברקוד זה" });
+    }
+
+    res.json(product);
+  } catch (error) {
+    console.error("Error in getProductByBarcode:", error);
+    res.status(500).json({ message: "שגיאת שרת בחיפוש לפי ברקוד" });
+  }
+};
+
+/**
+ * Get a product's price history
+ * Lists the changes of the product's prices in a date range, oldest first, optionally in
+ * one chain only, with the price each chain had when the range starts and the lowest
+ * price each chain ever had.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The range, the prices at its start and the all-time lows by chain, and the price changes.
+ */
+exports.getPriceHistory = async (req, res) => {
+  try {
+    const from = parseQueryDate(req.query.from);
+    const to = parseQueryDate(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ message: "תאריך לא תקין" });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ message: "תאריך ההתחלה מאוחר מתאריך הסיום" });
+    }
+
+    const chain = req.query.chain || null;
+    if (
+      chain !== null &&
+      (typeof chain !== "string" || !(await listChains()).includes(chain))
+    ) {
+      return res.status(400).json({ message: "רשת לא מוכרת" });
+    }
+
+    const product = mongoose.isValidObjectId(req.params.id)
+      ? await Product.findById(req.params.id)
+      : null;
+    if (!product) {
+      return res.status(404).json({ message: "המוצר לא נמצא" });
+    }
+
+    const { startPrices, lowestPrices, history } =
+      await priceHistoryService.listForProduct(product, { from, to, chain });
+
+    res.json({
+      productId: product._id,
+      from,
+      to,
+      chain,
+      startPrices,
+      lowestPrices,
+      history: history.map((entry) => ({
+        chain: entry.chain,
+        oldPrice: entry.oldPrice,
+        newPrice: entry.newPrice,
+        source: entry.source,
+        recordedAt: entry.recordedAt,
+      })),
+    });
+  } catch (error) {
+    console.error("Error in getPriceHistory:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת היסטוריית המחירים" });
+  }
+};
+
 /**
  * Get products by category
  * Fetches products that belong to a specific category.
@@ -80,9 +280,27 @@ exports.getAllCategories = async (req, res) => {
   }
 };
 
+/**
+ * Get all supermarket chains
+ * Retrieves the names of the supermarket chains that have prices in the catalog.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A list of the chain names, sorted.
+ */
+exports.getChains = async (req, res) => {
+  try {
+    res.json(await listChains());
+  } catch (error) {
+    console.error("Error in getChains:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת רשתות השיווק" });
+  }
+};
+
 /**
  * Search products
  * Allows users to search for products by name or category using a query string.
+ * A number is searched as a catalog ID, and also as a barcode when it is a valid one.
  *
  * @param {Request} req - The incoming request object.
  * @param {Response} res - The outgoing response object.
@@ -98,8 +316,16 @@ exports.searchProducts = async (req, res) => {
 
     let query = {};
 
-    // If the search term is a valid number, treat it as an ID search
-    if (!isNaN(searchTerm)) {
+    // If the search term is a valid number, treat it as an ID or barcode search
+    const barcode = normalizeBarcode(searchTerm);
+    if (isValidGtin(barcode)) {
+      query = {
+        $or: [
+          { id: Number(barcode) },
+          { barcode: { $in: getEquivalentBarcodes(barcode) } },
+        ],
+      };
+    } else if (!isNaN(searchTerm)) {
       query = { id: parseInt(searchTerm, 10) }; // Convert string to number for 'id'
     } else {
       // Otherwise, search by name or category using a case-insensitive regex
@@ -123,6 +349,9 @@ exports.searchProducts = async (req, res) => {
 /**
  * Get top products
  * Retrieves the top products based on a specified criteria (e.g., cheapest, most selected).
+ * The price criteria can be limited to some supermarket chains with a comma-separated
+ * `chains` query parameter (which may also be repeated); products without a price in
+ * those chains are left out.
  *
  * @param {Request} req - The incoming request object.
  * @param {Response} res - The outgoing response object.
@@ -132,6 +361,20 @@ exports.getTopProducts = async (req, res) => {
   try {
     const criteria = req.query.criteria || "cheapest"; // Default to "cheapest"
     const limit = parseInt(req.query.limit) || 10; // Limit the number of products to fetch
+    const chainsQuery = req.query.chains;
+    if (
+      chainsQuery !== undefined &&
+      ![chainsQuery].flat().every((value) => typeof value === "string")
+    ) {
+      return res.status(400).json({ message: "רשתות לא תקינות" });
+    }
+    const chains = chainsQuery
+      ? [chainsQuery]
+          .flat()
+          .flatMap((value) => value.split(","))
+          .map((chain) => chain.trim())
+          .filter(Boolean)
+      : null; // Chains to compare prices in, or all chains
 
     let products;
     let sortOption = {};
@@ -139,20 +382,24 @@ exports.getTopProducts = async (req, res) => {
     // Apply sorting based on the specified criteria
     switch (criteria) {
       case "cheapest":
-        products = await Product.find();
+        products = (await Product.find()).filter(
+          (product) => getChainPrices(product, chains).length > 0
+        );
         products.sort((a, b) => {
-          const minPriceA = Math.min(...Object.values(a.prices.toObject()));
-          const minPriceB = Math.min(...Object.values(b.prices.toObject()));
+          const minPriceA = Math.min(...getChainPrices(a, chains));
+          const minPriceB = Math.min(...getChainPrices(b, chains));
           return minPriceA - minPriceB;
         });
         products = products.slice(0, limit);
         break;
 
       case "highest different":
-        products = await Product.find();
+        products = (await Product.find()).filter(
+          (product) => getChainPrices(product, chains).length > 0
+        );
         products.sort((a, b) => {
-          const pricesA = Object.values(a.prices.toObject());
-          const pricesB = Object.values(b.prices.toObject());
+          const pricesA = getChainPrices(a, chains);
+          const pricesB = getChainPrices(b, chains);
           const diffA = Math.max(...pricesA) - Math.min(...pricesA);
           const diffB = Math.max(...pricesB) - Math.min(...pricesB);
           return diffB - diffA;
@@ -183,8 +430,9 @@ exports.getTopProducts = async (req, res) => {
 };
 
 /**
- * Admin-only route: Create product
- * Allows an admin to create a new product in the database.
+ * Staff route: Create product
+ * Allows a catalog editor to create a new product in the database, with its initial prices
+ * and an optional barcode.
  *
  * @param {Request} req - The incoming request object.
  * @param {Response} res - The outgoing response object.
@@ -192,23 +440,39 @@ exports.getTopProducts = async (req, res) => {
  */
 exports.createProduct = async (req, res) => {
   try {
-    const { name, description, category, prices, unit } = req.body;
+    const { name, description, category, prices, unit, barcode } = req.body;
 
     if (!name || !category || !prices) {
       return res.status(400).json({ message: "נדרשים שם, קטגוריה ומחירים" });
     }
 
+    const barcodeCheck = barcode ? await checkBarcode(barcode) : {};
+    if (barcodeCheck.error) {
+      return res.status(barcodeCheck.status).json(barcodeCheck.error);
+    }
+
     const newProduct = new Product({
       name,
       description,
       category,
       prices,
       unit: unit || "unit",
+      barcode: barcodeCheck.barcode,
     });
 
     const savedProduct = await newProduct.save();
+    await priceHistoryService.recordSnapshot(savedProduct, "create");
+    await logActivity(req, req.user.userId, "product_create", {
+      productId: savedProduct._id,
+      productName: savedProduct.name,
+    });
+
     res.status(201).json(savedProduct);
   } catch (error) {
+    // Unique index violation when another product got the barcode concurrently
+    if (error.code === 11000) {
+      return res.status(409).json(barcodeTakenResponse);
+    }
     console.error("Error in createProduct:", error);
     res.status(500).json({ message: "שגיאת שרת ביצירת מוצר" });
   }
@@ -216,7 +480,12 @@ exports.createProduct = async (req, res) => {
 
 /**
  * Update product
- * Allows an admin to update an existing product's details in the database.
+ * Allows staff to update an existing product in the database. Changing the details
+ * (name, description, category, unit, barcode, popularity, rating) requires the catalog permission;
+ * changing prices requires the price permission for every chain whose price changes.
+ * Fields sent unchanged need no permission.
+ * Price changes are recorded in the product's price history, and the users' price-drop
+ * alerts on the product are checked in the background.
  *
  * @param {Request} req - The incoming request object.
  * @param {Response} res - The outgoing response object.
@@ -224,8 +493,16 @@ exports.createProduct = async (req, res) => {
  */
 exports.updateProduct = async (req, res) => {
   try {
-    const { name, description, category, prices, unit, popularity, rating } =
-      req.body;
+    const {
+      name,
+      description,
+      category,
+      prices,
+      unit,
+      barcode,
+      popularity,
+      rating,
+    } = req.body;
 
     const product = await Product.findById(req.params.id);
 
@@ -233,20 +510,84 @@ exports.updateProduct = async (req, res) => {
       return res.status(404).json({ message: "המוצר לא נמצא" });
     }
 
+    if (
+      changesDetails(product, {
+        name,
+        description,
+        category,
+        unit,
+        barcode,
+        popularity,
+        rating,
+      }) &&
+      !authorization.hasPermission(
+        req.access,
+        authorization.PERMISSIONS.CATALOG_WRITE
+      )
+    ) {
+      return res.status(403).json({
+        code: "FORBIDDEN",
+        message: "אין הרשאה לעדכן את פרטי המוצר",
+      });
+    }
+
+    const changedChains = prices ? getChangedChains(product.prices, prices) : [];
+    if (prices) {
+      const forbiddenChains = changedChains.filter(
+        (chain) => !authorization.canEditPrices(req.access, chain)
+      );
+      if (forbiddenChains.length > 0) {
+        return res.status(403).json({
+          code: "CHAIN_NOT_ALLOWED",
+          message: `אין הרשאה לעדכן מחירים ברשתות: ${forbiddenChains.join(", ")}`,
+        });
+      }
+    }
+
+    // An empty barcode removes the product's barcode
+    const barcodeCheck = barcode ? await checkBarcode(barcode, product._id) : {};
+    if (barcodeCheck.error) {
+      return res.status(barcodeCheck.status).json(barcodeCheck.error);
+    }
+
+    const previousPrices = Object.fromEntries(product.prices);
+
     // Update fields if provided
     if (name) product.name = name;
     if (description !== undefined) product.description = description;
     if (category) product.category = category;
     if (prices) product.prices = prices;
     if (unit) product.unit = unit;
+    if (barcode !== undefined) product.barcode = barcodeCheck.barcode;
     if (popularity !== undefined) product.popularity = popularity;
     if (rating !== undefined) product.rating = rating;
 
     product.updatedAt = Date.now();
 
     const updatedProduct = await product.save();
+    await logActivity(req, req.user.userId, "product_update", {
+      productId: updatedProduct._id,
+      productName: updatedProduct.name,
+    });
+
+    if (changedChains.length > 0) {
+      await priceHistoryService.recordPriceChanges(updatedProduct, previousPrices, {
+        source: "staff",
+        changedBy: req.user.userId,
+      });
+      setImmediate(() =>
+        priceAlertService
+          .checkPriceChange(updatedProduct, previousPrices)
+          .catch((error) => console.error("Error checking price alerts:", error))
+      );
+    }
+
     res.json(updatedProduct);
   } catch (error) {
+    // Unique index violation when another product got the barcode concurrently
+    if (error.code === 11000) {
+      return res.status(409).json(barcodeTakenResponse);
+    }
     console.error("Error in updateProduct:", error);
     res.status(500).json({ message: "שגיאת שרת בעדכון מוצר" });
   }
@@ -254,7 +595,7 @@ exports.updateProduct = async (req, res) => {
 
 /**
  * Delete product
- * Allows an admin to delete a product from the database by its ID.
+ * Allows a catalog editor to delete a product from the database by its ID.
  *
  * @param {Request} req - The incoming request object.
  * @param {Response} res - The outgoing response object.
@@ -269,6 +610,14 @@ exports.deleteProduct = async (req, res) => {
     }
 
     await Product.deleteOne({ _id: req.params.id });
+    await favoriteService.removeAllForProduct(product._id);
+    await priceAlertService.removeAllForProduct(product._id);
+    await priceHistoryService.removeAllForProduct(product._id);
+    await logActivity(req, req.user.userId, "product_delete", {
+      productId: product._id,
+      productName: product.name,
+    });
+
     res.json({ message: "המוצר נמחק בהצלחה" });
   } catch (error) {
     console.error("Error in deleteProduct:", error);
@@ -0,0 +1,80 @@
+const sessionService = require("../services/SessionService");
+
+/**
+ * Shape a session for API responses.
+ *
+ * @param {Object} session - The session document
+ * @param {string} currentSessionId - The session of the current request
+ * @returns {Object} - The session details sent to the client
+ */
+const toSessionInfo = (session, currentSessionId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: String(session._id) === currentSessionId,
+});
+
+/**
+ * Get active sessions
+ * Lists the devices the current user is logged in on, marking the current one.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The active sessions, most recently used first.
+ */
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.userId);
+    res.json(
+      sessions.map((session) => toSessionInfo(session, req.user.sessionId))
+    );
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת המכשירים המחוברים" });
+  }
+};
+
+/**
+ * Revoke a session
+ * Signs out one of the current user's devices. Its tokens stop working immediately.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message.
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(
+      req.user.userId,
+      req.params.id
+    );
+    if (!revoked) {
+      return res.status(404).json({ message: "ההתחברות לא נמצאה" });
+    }
+
+    res.json({ success: true, message: "המכשיר נותק" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({ message: "שגיאת שרת בניתוק המכשיר" });
+  }
+};
+
+/**
+ * Revoke all sessions
+ * Signs out the current user on every device, including this one.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message.
+ */
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    await sessionService.revokeAllSessions(req.user.userId);
+    res.json({ success: true, message: "נותקת מכל המכשירים" });
+  } catch (error) {
+    console.error("Error revoking all sessions:", error);
+    res.status(500).json({ message: "שגיאת שרת בניתוק המכשירים" });
+  }
+};
@@ -0,0 +1,175 @@
+const bcrypt = require("bcryptjs");
+const tokenService = require("../services/TokenService");
+const twoFactor = require("../services/TwoFactorService");
+const { logActivity } = require("../services/ActivityService");
+const { isStaff } = require("../services/AuthorizationService");
+
+/**
+ * Get two-factor status
+ * Tells whether two-factor authentication is enabled for the current user,
+ * whether it is required (for staff roles) and how many recovery codes are left.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The two-factor status.
+ */
+exports.getStatus = async (req, res) => {
+  try {
+    const user = await twoFactor.findUserWithSecrets(req.user.userId);
+    if (!user) return res.status(404).json({ message: "המשתמש לא נמצא" });
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      required: isStaff(user),
+      recoveryCodesLeft: twoFactor.countRecoveryCodes(user),
+    });
+  } catch (error) {
+    console.error("Error fetching two-factor status:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Start two-factor setup
+ * Creates a new secret and returns it with a provisioning URI and a QR code
+ * for the authenticator app. Two-factor authentication is only enabled once
+ * the user confirms a code from the app.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The secret, the otpauth:// URI and the QR code as a data URL.
+ */
+exports.setup = async (req, res) => {
+  try {
+    const user = await twoFactor.findUserWithSecrets(req.user.userId);
+    if (!user) return res.status(404).json({ message: "המשתמש לא נמצא" });
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: "אימות דו-שלבי כבר מופעל" });
+    }
+
+    res.json(await twoFactor.startEnrollment(user));
+  } catch (error) {
+    console.error("Error starting two-factor setup:", error);
+    res.status(500).json({ message: "שגיאת שרת בהגדרת אימות דו-שלבי" });
+  }
+};
+
+/**
+ * Enable two-factor authentication
+ * Confirms the setup with a code from the authenticator app. All other sessions are
+ * signed out and a new two-factor session is issued, together with the recovery
+ * codes, which are only shown this once.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The recovery codes and a new access token and refresh token.
+ */
+exports.enable = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await twoFactor.findUserWithSecrets(req.user.userId);
+    if (!user) return res.status(404).json({ message: "המשתמש לא נמצא" });
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: "אימות דו-שלבי כבר מופעל" });
+    }
+
+    const recoveryCodes = await twoFactor.confirmEnrollment(user, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: "קוד האימות שגוי או שפג תוקפו" });
+    }
+
+    await tokenService.revokeAllForUser(user._id);
+    const { token, refreshToken } = await tokenService.issueTokens(req, user, {
+      twoFactor: true,
+    });
+    await logActivity(req, user._id, "two_factor_enabled");
+
+    res.json({ success: true, recoveryCodes, token, refreshToken });
+  } catch (error) {
+    console.error("Error enabling two-factor authentication:", error);
+    res.status(500).json({ message: "שגיאת שרת בהפעלת אימות דו-שלבי" });
+  }
+};
+
+/**
+ * Disable two-factor authentication
+ * Requires the password and a current code (or a recovery code).
+ * Staff cannot disable it, since it is mandatory for their permissions.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message.
+ */
+exports.disable = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({ message: "נדרשים סיסמה וקוד אימות" });
+    }
+
+    const user = await twoFactor.findUserWithSecrets(req.user.userId);
+    if (!user) return res.status(404).json({ message: "המשתמש לא נמצא" });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: "אימות דו-שלבי אינו מופעל" });
+    }
+
+    if (isStaff(user)) {
+      return res
+        .status(403)
+        .json({ message: "אימות דו-שלבי הוא חובה עבור בעלי הרשאות ניהול" });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: "הסיסמה שגויה" });
+    }
+
+    if (!(await twoFactor.verifySecondFactor(user, code))) {
+      return res.status(401).json({ message: "קוד האימות שגוי" });
+    }
+
+    await twoFactor.disable(user);
+    await logActivity(req, user._id, "two_factor_disabled");
+
+    res.json({ success: true, message: "אימות דו-שלבי בוטל" });
+  } catch (error) {
+    console.error("Error disabling two-factor authentication:", error);
+    res.status(500).json({ message: "שגיאת שרת בביטול אימות דו-שלבי" });
+  }
+};
+
+/**
+ * Regenerate recovery codes
+ * Replaces all recovery codes with a new set after checking a current code.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The new recovery codes, which are only shown this once.
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await twoFactor.findUserWithSecrets(req.user.userId);
+    if (!user) return res.status(404).json({ message: "המשתמש לא נמצא" });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: "אימות דו-שלבי אינו מופעל" });
+    }
+
+    if (!(await twoFactor.verifySecondFactor(user, code))) {
+      return res.status(401).json({ message: "קוד האימות שגוי" });
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(user);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    res.status(500).json({ message: "שגיאת שרת ביצירת קודי שחזור" });
+  }
+};
@@ -0,0 +1,461 @@
+const bcrypt = require("bcryptjs");
+const sharp = require("sharp");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Cart = require("../models/Cart");
+const RefreshToken = require("../models/RefreshToken");
+const tokenService = require("../services/TokenService");
+const storage = require("../services/StorageService");
+const activityService = require("../services/ActivityService");
+const sessionService = require("../services/SessionService");
+const apiKeyService = require("../services/ApiKeyService");
+const dataExportService = require("../services/DataExportService");
+const householdService = require("../services/HouseholdService");
+const favoriteService = require("../services/FavoriteService");
+const priceAlertService = require("../services/PriceAlertService");
+const notificationService = require("../services/NotificationService");
+const authorization = require("../services/AuthorizationService");
+const emailVerification = require("../services/EmailVerificationService");
+const validation = require("../services/ValidationService");
+const { listChains } = require("../services/ChainService");
+
+// Default and largest page sizes for the activity timeline
+const DEFAULT_ACTIVITY_LIMIT = 10;
+const MAX_ACTIVITY_LIMIT = 50;
+
+// Square sizes (in pixels) the profile picture is resized to
+const AVATAR_SIZES = { large: 256, thumb: 64 };
+
+/**
+ * Shape a user document for API responses, leaving out the password and internal fields.
+ *
+ * @param {Object} user - The user document
+ * @returns {Object} - The public user profile
+ */
+const toProfile = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  isAdmin: user.isAdmin,
+  roles: authorization.getRoles(user),
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  avatarUrl: user.avatarUrl,
+  avatarThumbUrl: user.avatarThumbUrl,
+  shoppingPreferences: user.shoppingPreferences,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Remove stored profile picture files, logging (but not failing on) storage errors.
+ *
+ * @param {string[]} keys - The storage keys to remove
+ * @returns {Promise<void>}
+ */
+const removeAvatarFiles = async (keys = []) => {
+  await Promise.all(
+    keys.map((key) =>
+      storage
+        .removeFile(key)
+        .catch((error) => console.error("Error removing avatar file:", error))
+    )
+  );
+};
+
+/**
+ * Get user profile
+ * Retrieves the profile of the authenticated user.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The user's profile excluding the password.
+ */
+exports.getProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select("-password");
+    if (!user) return res.status(404).json({ message: "המשתמש לא נמצא" });
+    res.json(user);
+  } catch (error) {
+    console.error("Error fetching user:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Update user profile
+ * Updates the authenticated user's name and/or email.
+ * Changing the email requires the current password and an address that no other user has,
+ * and the new address has to be verified again.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The updated user profile.
+ */
+exports.updateProfile = async (req, res) => {
+  try {
+    const { name, email, currentPassword } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: "המשתמש לא נמצא" });
+
+    let emailChanged = false;
+
+    if (name !== undefined) {
+      const trimmedName = String(name).trim();
+      if (trimmedName.length < 2 || trimmedName.length > 30) {
+        return res
+          .status(400)
+          .json({ message: "השם צריך להכיל בין 2 ל-30 תווים" });
+      }
+      user.name = trimmedName;
+    }
+
+    if (email !== undefined) {
+      const normalizedEmail = String(email).toLowerCase().trim();
+
+      if (normalizedEmail !== user.email) {
+        if (!currentPassword) {
+          return res
+            .status(400)
+            .json({ message: "נדרשת הסיסמה הנוכחית לשינוי האימייל" });
+        }
+
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        if (!isMatch) {
+          return res.status(401).json({ message: "הסיסמה הנוכחית שגויה" });
+        }
+
+        const existingUser = await User.findOne({ email: normalizedEmail });
+        if (existingUser) {
+          return res.status(409).json({ message: "האימייל כבר קיים במערכת" });
+        }
+
+        user.email = normalizedEmail;
+        user.emailVerified = false;
+        emailChanged = true;
+      }
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      try {
+        await emailVerification.sendVerificationEmail(user);
+      } catch (error) {
+        console.error("Error sending verification email:", error);
+      }
+    }
+
+    res.json(toProfile(user));
+  } catch (error) {
+    // Unique index violation when another user took the email concurrently
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "האימייל כבר קיים במערכת" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: "נתונים לא תקינים" });
+    }
+    console.error("Error updating user profile:", error);
+    res.status(500).json({ message: "שגיאת שרת בעדכון הפרופיל" });
+  }
+};
+
+/**
+ * Update shopping preferences
+ * Stores the supermarket chains the user prefers, the chains they never shop at
+ * (hidden from their prices and totals) and their default chain.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The updated shopping preferences.
+ */
+exports.updateShoppingPreferences = async (req, res) => {
+  try {
+    const {
+      preferredChains = [],
+      excludedChains = [],
+      defaultChain = null,
+    } = req.body;
+
+    const isChainList = (value) =>
+      Array.isArray(value) && value.every((chain) => typeof chain === "string");
+    if (
+      !isChainList(preferredChains) ||
+      !isChainList(excludedChains) ||
+      (defaultChain !== null && typeof defaultChain !== "string")
+    ) {
+      return res.status(400).json({ message: "נתונים לא תקינים" });
+    }
+
+    const chains = await listChains();
+    const unknown = [...preferredChains, ...excludedChains, defaultChain]
+      .filter((chain) => chain !== null)
+      .find((chain) => !chains.includes(chain));
+    if (unknown !== undefined) {
+      return res.status(400).json({ message: `רשת לא מוכרת: ${unknown}` });
+    }
+    if (preferredChains.some((chain) => excludedChains.includes(chain))) {
+      return res
+        .status(400)
+        .json({ message: "רשת לא יכולה להיות גם מועדפת וגם מוחרגת" });
+    }
+    if (defaultChain !== null && excludedChains.includes(defaultChain)) {
+      return res
+        .status(400)
+        .json({ message: "רשת ברירת המחדל לא יכולה להיות מוחרגת" });
+    }
+    if (chains.length > 0 && chains.every((chain) => excludedChains.includes(chain))) {
+      return res
+        .status(400)
+        .json({ message: "יש להשאיר לפחות רשת אחת שאינה מוחרגת" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      {
+        shoppingPreferences: {
+          preferredChains: [...new Set(preferredChains)],
+          excludedChains: [...new Set(excludedChains)],
+          defaultChain,
+        },
+      },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ message: "המשתמש לא נמצא" });
+
+    res.json(user.shoppingPreferences);
+  } catch (error) {
+    console.error("Error updating shopping preferences:", error);
+    res.status(500).json({ message: "שגיאת שרת בשמירת העדפות הקנייה" });
+  }
+};
+
+/**
+ * Change password
+ * Verifies the current password, stores the new one and signs out every other device.
+ * A new token pair is returned so the current device stays logged in.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - Success message with a new access token and refresh token.
+ */
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res
+        .status(400)
+        .json({ message: "נדרשות הסיסמה הנוכחית והסיסמה החדשה" });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: "המשתמש לא נמצא" });
+
+    const passwordError = validation.validatePassword(newPassword, user);
+    if (passwordError) {
+      return res.status(400).json(
+        validation.validationErrorResponse({ newPassword: passwordError })
+      );
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: "הסיסמה הנוכחית שגויה" });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    // The new session keeps the two-factor status of the current one
+    await tokenService.revokeAllForUser(user._id);
+    const { token, refreshToken } = await tokenService.issueTokens(req, user, {
+      twoFactor: Boolean(req.user.twoFactor),
+    });
+    await activityService.logActivity(req, user._id, "password_change");
+
+    res.json({
+      success: true,
+      message: "הסיסמה שונתה בהצלחה",
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    res.status(500).json({ message: "שגיאת שרת בשינוי הסיסמה" });
+  }
+};
+
+/**
+ * Delete account
+ * Verifies the current password and permanently deletes the user together
+ * with all of their saved carts, favorites, price alerts, notifications, sessions, refresh tokens,
+ * activities and profile picture files.
+ * The user also leaves their households; carts they saved in a household stay with its other members.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - A success message if the account is deleted.
+ */
+exports.deleteAccount = async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password) {
+      return res.status(400).json({ message: "נדרשת סיסמה למחיקת החשבון" });
+    }
+
+    const user = await User.findById(req.user.userId).select("+avatarKeys");
+    if (!user) return res.status(404).json({ message: "המשתמש לא נמצא" });
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: "הסיסמה שגויה" });
+    }
+
+    // Remove everything owned by the user before the user itself
+    await householdService.removeUserFromAll(user._id);
+    await Cart.deleteMany({ userId: user._id, householdId: null });
+    await RefreshToken.deleteMany({ userId: user._id });
+    await sessionService.removeAllForUser(user._id);
+    await apiKeyService.removeAllForUser(user._id);
+    await favoriteService.removeAllForUser(user._id);
+    await priceAlertService.removeAllForUser(user._id);
+    await notificationService.removeAllForUser(user._id);
+    await dataExportService.removeAllForUser(user._id);
+    await activityService.removeAllForUser(user._id);
+    await User.deleteOne({ _id: user._id });
+    await removeAvatarFiles(user.avatarKeys);
+
+    res.json({ success: true, message: "החשבון נמחק בהצלחה" });
+  } catch (error) {
+    console.error("Error deleting account:", error);
+    res.status(500).json({ message: "שגיאת שרת במחיקת החשבון" });
+  }
+};
+
+/**
+ * Upload profile picture
+ * Validates the uploaded image, resizes it into square large and thumbnail
+ * versions, stores them and replaces the user's previous profile picture.
+ *
+ * @param {Request} req - The incoming request object, with the image in `req.file`.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The URLs of the new profile picture.
+ */
+exports.uploadProfilePicture = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "לא נבחרה תמונה" });
+    }
+
+    const user = await User.findById(req.user.userId).select("+avatarKeys");
+    if (!user) return res.status(404).json({ message: "המשתמש לא נמצא" });
+
+    // Decode the image to make sure the content really is an image
+    try {
+      await sharp(req.file.buffer).metadata();
+    } catch {
+      return res.status(400).json({ message: "הקובץ אינו תמונה תקינה" });
+    }
+
+    const version = Date.now();
+    const urls = {};
+    const keys = [];
+
+    for (const [variant, size] of Object.entries(AVATAR_SIZES)) {
+      const buffer = await sharp(req.file.buffer)
+        .rotate() // Apply EXIF orientation
+        .resize(size, size, { fit: "cover" })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+      const key = `avatars/${user._id}-${version}-${size}.webp`;
+      urls[variant] = await storage.saveFile(key, buffer, "image/webp");
+      keys.push(key);
+    }
+
+    const previousKeys = user.avatarKeys || [];
+    user.avatarUrl = urls.large;
+    user.avatarThumbUrl = urls.thumb;
+    user.avatarKeys = keys;
+    await user.save();
+
+    await removeAvatarFiles(previousKeys);
+
+    res.json({
+      success: true,
+      avatarUrl: user.avatarUrl,
+      avatarThumbUrl: user.avatarThumbUrl,
+    });
+  } catch (error) {
+    console.error("Error uploading profile picture:", error);
+    res.status(500).json({ message: "שגיאת שרת בהעלאת התמונה" });
+  }
+};
+
+/**
+ * Get user activities
+ * Retrieves a page of a user's activity log, newest first: the authenticated user's own,
+ * or (for support staff) the user given in the `userId` route parameter.
+ *
+ * @param {Request} req - The incoming request object, with optional `page` and `limit` query parameters.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The activities and pagination details.
+ */
+exports.getActivities = async (req, res) => {
+  try {
+    const userId = req.params.userId || req.user.userId;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "מזהה משתמש לא תקין" });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_ACTIVITY_LIMIT, 1),
+      MAX_ACTIVITY_LIMIT
+    );
+
+    const { activities, total } = await activityService.getActivities(
+      userId,
+      page,
+      limit
+    );
+
+    res.json({
+      activities,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching activities:", error);
+    res.status(500).json({ message: "שגיאת שרת בטעינת הפעילות" });
+  }
+};
+
+/**
+ * Get permissions
+ * Retrieves the authenticated user's staff roles, the permissions they grant
+ * and the supermarket chains whose prices the user may change.
+ *
+ * @param {Request} req - The incoming request object.
+ * @param {Response} res - The outgoing response object.
+ * @returns {JSON} - The roles, permissions and price chains (null for every chain).
+ */
+exports.getPermissions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(
+      "isAdmin roles priceChains"
+    );
+    if (!user) return res.status(404).json({ message: "המשתמש לא נמצא" });
+
+    res.json(authorization.getAccess(user));
+  } catch (error) {
+    console.error("Error fetching permissions:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
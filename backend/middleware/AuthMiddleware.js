@@ -1,31 +1,135 @@
+const keyRing = require("../services/KeyRingService");
+const sessionService = require("../services/SessionService");
+const apiKeyService = require("../services/ApiKeyService");
+const createRateLimiter = require("./RateLimitMiddleware");
+
+// Each API key may make as many requests per minute as its own rate limit allows
+const apiKeyRateLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: (req) => req.apiKey.rateLimit,
+  message: "חרגת ממגבלת הבקשות של מפתח ה-API, יש לנסות שוב בעוד דקה",
+  keyGenerator: (req) => String(req.apiKey._id),
+});
+
 /**
  * Auth Middleware for Protected Routes
  *
  * This middleware checks if the request contains a valid JWT token in the header.
  * If the token is missing or invalid, the middleware responds with an authorization error.
- * If the token is valid, it decodes the token and attaches the decoded user data to the request object.
- * The next middleware or route handler is then called.
+ * If the token is valid, the session it belongs to must still be active (not signed out from
+ * another device); otherwise it responds with `401` and the code `SESSION_REVOKED`.
+ * It then attaches the decoded user data to the request object and calls the next middleware or route handler.
+ * Personal API keys are refused here; routes that accept them use `allowApiKey` or `optionalApiKey`.
  *
  * @param {Object} req - The incoming request object.
  * @param {Object} res - The outgoing response object.
  * @param {Function} next - The next middleware function to call.
- * @returns {void}
+ * @returns {Promise<void>}
  */
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.header("x-auth-token");
 
+  if (!token && req.header("x-api-key")) {
+    return res.status(403).json({
+      code: "API_KEY_NOT_ALLOWED",
+      message: "לא ניתן להשתמש במפתח API לפעולה זו",
+    });
+  }
+
   if (!token) {
     return res.status(401).json({ message: "אין הרשאה, נדרש טוקן" }); // Unauthorized if token is missing
   }
 
+  let decoded;
   try {
-    // Verify the token using the JWT secret key
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify the token with the key ring key named in its header
+    decoded = keyRing.verify(token);
+  } catch (error) {
+    return res.status(401).json({ message: "טוקן לא תקין" }); // Unauthorized if token is invalid
+  }
+
+  try {
+    // Reject tokens of sessions that were signed out
+    const session = await sessionService.validateSession(req, decoded);
+    if (!session) {
+      return res.status(401).json({
+        code: "SESSION_REVOKED",
+        message: "ההתחברות הסתיימה, יש להתחבר מחדש",
+      });
+    }
+
     req.user = decoded; // Attach decoded user data to the request object
     next(); // Proceed to the next middleware or route handler
   } catch (error) {
-    res.status(401).json({ message: "טוקן לא תקין" }); // Unauthorized if token is invalid
+    console.error("Session check error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
   }
 };
 
+/**
+ * Authenticate a request by the personal API key in its `x-api-key` header.
+ * The key must grant the given scope, and its requests are rate limited per key.
+ * `req.user` gets the key owner's `userId` and the `apiKeyId`, and `req.apiKey` the key itself.
+ *
+ * @param {Object} req - The incoming request object.
+ * @param {Object} res - The outgoing response object.
+ * @param {Function} next - The next middleware function to call.
+ * @param {string} scope - The scope the key must grant.
+ * @returns {Promise<void>}
+ */
+const authenticateApiKey = async (req, res, next, scope) => {
+  try {
+    const apiKey = await apiKeyService.authenticate(req, req.header("x-api-key"));
+    if (!apiKey) {
+      return res.status(401).json({
+        code: "INVALID_API_KEY",
+        message: "מפתח API לא תקין או שבוטל",
+      });
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        code: "INSUFFICIENT_SCOPE",
+        message: "למפתח ה-API אין הרשאה לפעולה זו",
+        scope,
+      });
+    }
+
+    req.apiKey = apiKey;
+    req.user = { userId: String(apiKey.userId), apiKeyId: String(apiKey._id) };
+    apiKeyRateLimiter(req, res, next);
+  } catch (error) {
+    console.error("API key check error:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+/**
+ * Create an auth middleware that also accepts personal API keys.
+ * Requests with an `x-auth-token` are checked as usual; requests with only an
+ * `x-api-key` must use a key that grants the scope.
+ *
+ * @param {string|Function} scope - The required scope, or a function that returns it for a request
+ * @returns {Function} - The Express middleware
+ */
+authMiddleware.allowApiKey = (scope) => (req, res, next) => {
+  if (req.header("x-auth-token") || !req.header("x-api-key")) {
+    return authMiddleware(req, res, next);
+  }
+  const requiredScope = typeof scope === "function" ? scope(req) : scope;
+  return authenticateApiKey(req, res, next, requiredScope);
+};
+
+/**
+ * Create a middleware for public routes that checks an API key only when one is sent,
+ * so scripts get their key's scope check and rate limit while the routes stay public.
+ *
+ * @param {string} scope - The scope the key must grant
+ * @returns {Function} - The Express middleware
+ */
+authMiddleware.optionalApiKey = (scope) => (req, res, next) => {
+  if (!req.header("x-api-key")) return next();
+  return authenticateApiKey(req, res, next, scope);
+};
+
 module.exports = authMiddleware;
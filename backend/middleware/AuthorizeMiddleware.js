@@ -0,0 +1,62 @@
+const User = require("../models/User");
+const authorization = require("../services/AuthorizationService");
+
+/**
+ * Create an Authorization Middleware
+ *
+ * The returned middleware lets the request through only if the current user holds at
+ * least one of the given permissions (see AuthorizationService for the roles). The roles
+ * are read from the database on every request, so role changes apply immediately.
+ * Staff actions also require a session that passed two-factor authentication, so they
+ * are never allowed with a personal API key.
+ * It must run after the auth middleware, which sets `req.user`, and it sets `req.access`
+ * (the user's roles, permissions and price chains) for the route handler.
+ *
+ * @param {...string} permissions - The permissions, any one of which is enough
+ * @returns {Function} - The Express middleware
+ */
+const authorize =
+  (...permissions) =>
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.userId).select(
+        "isAdmin roles priceChains"
+      );
+      if (!user) {
+        return res.status(401).json({ message: "המשתמש לא נמצא" });
+      }
+
+      const access = authorization.getAccess(user);
+      const allowed = permissions.some((permission) =>
+        authorization.hasPermission(access, permission)
+      );
+      if (!allowed) {
+        return res.status(403).json({
+          code: "FORBIDDEN",
+          message: "אין הרשאה לבצע פעולה זו",
+        });
+      }
+
+      if (req.apiKey) {
+        return res.status(403).json({
+          code: "API_KEY_NOT_ALLOWED",
+          message: "לא ניתן להשתמש במפתח API לפעולה זו",
+        });
+      }
+
+      if (!req.user.twoFactor) {
+        return res.status(403).json({
+          code: "TWO_FACTOR_REQUIRED",
+          message: "פעולות ניהול דורשות התחברות עם אימות דו-שלבי",
+        });
+      }
+
+      req.access = access;
+      next();
+    } catch (error) {
+      console.error("Error checking permissions:", error);
+      res.status(500).json({ message: "שגיאת שרת" });
+    }
+  };
+
+module.exports = authorize;
@@ -0,0 +1,55 @@
+/**
+ * Create a rate limiting middleware
+ *
+ * Counts requests per key (the client IP by default) in a fixed time window kept in memory.
+ * Once a key exceeds `max` requests in the window, further requests are rejected with
+ * a 429 error and a `Retry-After` header until the window ends.
+ *
+ * @param {Object} options - The limiter options.
+ * @param {number} options.windowMs - The length of the time window in milliseconds.
+ * @param {number|Function} options.max - The number of requests allowed per key in each window,
+ *   or a function that returns it for a request (for limits that differ between keys).
+ * @param {string} options.message - The error message returned when the limit is exceeded.
+ * @param {Function} [options.keyGenerator] - Returns the key to count a request under.
+ * @returns {Function} - The Express middleware.
+ */
+const createRateLimiter = ({
+  windowMs,
+  max,
+  message,
+  keyGenerator = (req) => req.ip,
+}) => {
+  const hits = new Map(); // key -> { count, resetAt }
+
+  // Drop expired windows so the map does not grow without bound
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref(); // Don't keep the process alive just for the cleanup
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    const limit = typeof max === "function" ? max(req) : max;
+    if (entry.count > limit) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ message });
+    }
+
+    next();
+  };
+};
+
+module.exports = createRateLimiter;
@@ -0,0 +1,55 @@
+const multer = require("multer");
+
+// Largest accepted profile picture, in bytes (default 2 MB)
+const MAX_AVATAR_BYTES = Number(process.env.AVATAR_MAX_BYTES) || 2 * 1024 * 1024;
+
+// Image types accepted for profile pictures
+const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AVATAR_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      const error = new Error("Unsupported file type");
+      error.code = "UNSUPPORTED_TYPE";
+      return cb(error);
+    }
+    cb(null, true);
+  },
+}).single("avatar");
+
+/**
+ * Profile Picture Upload Middleware
+ *
+ * This middleware parses a multipart request containing a single image in the `avatar` field
+ * and keeps it in memory as `req.file` for the controller to process.
+ * Files that are too large or not a supported image type are rejected with a 400 error.
+ *
+ * @param {Object} req - The incoming request object.
+ * @param {Object} res - The outgoing response object.
+ * @param {Function} next - The next middleware function to call.
+ * @returns {void}
+ */
+const avatarUploadMiddleware = (req, res, next) => {
+  avatarUpload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === "LIMIT_FILE_SIZE") {
+      const maxMb = (MAX_AVATAR_BYTES / (1024 * 1024)).toFixed(0);
+      return res
+        .status(400)
+        .json({ message: `גודל התמונה המקסימלי הוא ${maxMb}MB` });
+    }
+    if (error.code === "UNSUPPORTED_TYPE") {
+      return res
+        .status(400)
+        .json({ message: "ניתן להעלות רק תמונות JPEG, PNG, WEBP או GIF" });
+    }
+
+    console.error("Error parsing upload:", error);
+    res.status(400).json({ message: "העלאת הקובץ נכשלה" });
+  });
+};
+
+module.exports = avatarUploadMiddleware;
@@ -0,0 +1,38 @@
+const User = require("../models/User");
+
+/**
+ * Verified Email Middleware
+ *
+ * This middleware restricts a route to users who have verified their email address.
+ * It must run after the auth middleware, which sets `req.user`.
+ * Unverified users receive a 403 error with the `EMAIL_NOT_VERIFIED` code so the
+ * frontend can ask them to verify their email.
+ *
+ * @param {Object} req - The incoming request object.
+ * @param {Object} res - The outgoing response object.
+ * @param {Function} next - The next middleware function to call.
+ * @returns {void}
+ */
+const verifiedEmailMiddleware = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select("emailVerified");
+
+    if (!user) {
+      return res.status(401).json({ message: "המשתמש לא נמצא" });
+    }
+
+    if (!user.emailVerified) {
+      return res.status(403).json({
+        code: "EMAIL_NOT_VERIFIED",
+        message: "יש לאמת את כתובת האימייל כדי להשתמש באפשרות זו",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Error checking email verification:", error);
+    res.status(500).json({ message: "שגיאת שרת" });
+  }
+};
+
+module.exports = verifiedEmailMiddleware;
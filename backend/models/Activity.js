@@ -0,0 +1,69 @@
+/**
+ * Activity Schema for MongoDB using Mongoose
+ *
+ * This schema stores the activity log of a user: sign-ins, password changes,
+ * saved cart actions and product edits made by admins. Each entry records the
+ * IP address and user agent of the request so users can spot unexpected sign-ins
+ * (except actions staff took on the account, which record the staff member's ID instead).
+ *
+ * @type {mongoose.Schema}
+ */
+const mongoose = require("mongoose");
+
+// The kinds of activity that are recorded
+const ACTIVITY_TYPES = [
+  "login",
+  "account_locked",
+  "password_change",
+  "password_reset",
+  "two_factor_enabled",
+  "two_factor_disabled",
+  "roles_change",
+  "account_disabled",
+  "account_enabled",
+  "password_reset_forced",
+  "api_key_create",
+  "api_key_revoke",
+  "data_export",
+  "cart_save",
+  "cart_update",
+  "cart_load",
+  "cart_delete",
+  "household_create",
+  "household_invite",
+  "household_join",
+  "household_leave",
+  "household_delete",
+  "product_create",
+  "product_update",
+  "product_delete",
+];
+
+const ActivitySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ACTIVITY_TYPES,
+    required: true,
+  },
+  // Extra information about the action, e.g. { cartId, cartName } or { productId, productName }
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  ip: { type: String, default: "" },
+  userAgent: { type: String, default: "" },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Timeline queries list a user's newest activities first
+ActivitySchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Activity", ActivitySchema);
@@ -0,0 +1,65 @@
+/**
+ * API Key Schema for MongoDB using Mongoose
+ *
+ * This schema stores the personal API keys users create for scripts. Only a SHA-256
+ * hash of each key is stored; the key itself is shown once, when it is created.
+ * The prefix is kept so users can tell their keys apart. A key only grants its
+ * scopes (see AuthorizationService) and stops working once it is revoked.
+ *
+ * @type {mongoose.Schema}
+ */
+const mongoose = require("mongoose");
+const { API_KEY_SCOPES } = require("../services/AuthorizationService");
+
+const ApiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50,
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  prefix: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [{ type: String, enum: Object.values(API_KEY_SCOPES) }],
+    validate: (scopes) => scopes.length > 0,
+  },
+  // Requests allowed per minute with this key
+  rateLimit: {
+    type: Number,
+    min: 1,
+    max: 600,
+    default: 60,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedIp: {
+    type: String,
+    default: "",
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
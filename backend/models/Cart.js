@@ -3,6 +3,8 @@
  *
  * This schema defines the structure for a shopping cart in the database.
  * It includes fields for cart name, items, user ID, and timestamps for creation and last update.
+ * Carts saved in a household's cart space also have the household ID; they are shared with
+ * all of the household's members, and the user ID is the member who saved them.
  * The items are stored as an array of objects, each containing information about individual products.
  *
  * @type {mongoose.Schema}
@@ -42,6 +44,13 @@ const CartSchema = new mongoose.Schema({
     ref: "User",
     required: true,
   },
+  // The household whose members share the cart, or null for a personal cart
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Household",
+    default: null,
+    index: true,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,45 @@
+/**
+ * Data Export Schema for MongoDB using Mongoose
+ *
+ * This schema tracks the personal data exports users request from the account page.
+ * An export is built in the background (pending -> processing -> ready, or failed)
+ * into a zip file kept in the private exports directory, which the user can download
+ * until it expires.
+ *
+ * @type {mongoose.Schema}
+ */
+const mongoose = require("mongoose");
+
+const DataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "processing", "ready", "failed"],
+    default: "pending",
+  },
+  // Size of the zip file in bytes, once it is ready
+  size: {
+    type: Number,
+    default: 0,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  // The file can be downloaded until then
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("DataExport", DataExportSchema);
@@ -0,0 +1,33 @@
+/**
+ * Favorite Schema for MongoDB using Mongoose
+ *
+ * This schema stores the products each user has added to their favorites (watchlist),
+ * such as the products they buy regularly. A product appears at most once in a user's
+ * favorites, and its favorites are removed when the product is deleted.
+ *
+ * @type {mongoose.Schema}
+ */
+const mongoose = require("mongoose");
+
+const FavoriteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+    index: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A product can be added to each user's favorites once
+FavoriteSchema.index({ userId: 1, productId: 1 }, { unique: true });
+
+module.exports = mongoose.model("Favorite", FavoriteSchema);
@@ -0,0 +1,48 @@
+/**
+ * Household Schema for MongoDB using Mongoose
+ *
+ * This schema defines a household: a group of users (such as a family) that shares a
+ * space of saved carts. Each member has a role (see AuthorizationService): owners manage
+ * the household and its members, editors change its carts and viewers can only view and
+ * load them. A household always has at least one owner.
+ *
+ * @type {mongoose.Schema}
+ */
+const mongoose = require("mongoose");
+const { HOUSEHOLD_ROLES } = require("../services/AuthorizationService");
+
+const HouseholdSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50,
+  },
+  members: [
+    {
+      _id: false,
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      role: {
+        type: String,
+        enum: Object.values(HOUSEHOLD_ROLES),
+        required: true,
+      },
+      joinedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+HouseholdSchema.index({ "members.userId": 1 });
+
+module.exports = mongoose.model("Household", HouseholdSchema);
@@ -0,0 +1,50 @@
+/**
+ * Household Invite Schema for MongoDB using Mongoose
+ *
+ * This schema stores the pending invitations to join a household. An invite is addressed
+ * to an email address and can be accepted by the user with that (verified) address, who
+ * then joins the household with the invited role. Invites are removed once they are
+ * accepted, declined or cancelled, and stop working when they expire.
+ *
+ * @type {mongoose.Schema}
+ */
+const mongoose = require("mongoose");
+const { HOUSEHOLD_ROLES } = require("../services/AuthorizationService");
+
+const HouseholdInviteSchema = new mongoose.Schema({
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Household",
+    required: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true,
+  },
+  role: {
+    type: String,
+    enum: [HOUSEHOLD_ROLES.EDITOR, HOUSEHOLD_ROLES.VIEWER],
+    required: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One invite per address and household
+HouseholdInviteSchema.index({ householdId: 1, email: 1 }, { unique: true });
+
+module.exports = mongoose.model("HouseholdInvite", HouseholdInviteSchema);
@@ -0,0 +1,57 @@
+/**
+ * Notification Schema for MongoDB using Mongoose
+ *
+ * This schema stores the messages of each user's in-app notification inbox, such as
+ * price-drop alerts and household invites. A notification can link to the page it is
+ * about, keeps the details it was created with, and is unread until the user opens it
+ * or marks the inbox as read.
+ *
+ * @type {mongoose.Schema}
+ */
+const mongoose = require("mongoose");
+
+const NotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["price_drop", "household_invite"],
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  message: {
+    type: String,
+    default: "",
+  },
+  // Path in the app the notification leads to (e.g. the product page)
+  link: {
+    type: String,
+    default: null,
+  },
+  // Details of the event, by notification type
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // When the user read the notification, or null while it is unread
+  readAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// The inbox lists a user's notifications, newest first, and counts the unread ones
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model("Notification", NotificationSchema);
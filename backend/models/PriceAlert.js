@@ -0,0 +1,54 @@
+/**
+ * Price Alert Schema for MongoDB using Mongoose
+ *
+ * This schema stores the price-drop alerts users set on products: a target price,
+ * either in one supermarket chain or in any chain the user shops at. When a price
+ * change brings the watched price down to the target, the user is notified in the app
+ * and by email. An alert stays active and fires again the next time the price drops
+ * to the target after rising above it.
+ *
+ * @type {mongoose.Schema}
+ */
+const mongoose = require("mongoose");
+
+const PriceAlertSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+    index: true,
+  },
+  // The chain to watch, or null for the lowest price in any chain the user does not exclude
+  chain: {
+    type: String,
+    default: null,
+  },
+  targetPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // When the alert last fired, and the price that fired it
+  triggeredAt: {
+    type: Date,
+    default: null,
+  },
+  triggeredPrice: {
+    type: Number,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One alert per product and chain for each user
+PriceAlertSchema.index({ userId: 1, productId: 1, chain: 1 }, { unique: true });
+
+module.exports = mongoose.model("PriceAlert", PriceAlertSchema);
@@ -0,0 +1,54 @@
+/**
+ * Price History Schema for MongoDB using Mongoose
+ *
+ * This schema records every change of a product's price in a supermarket chain: the
+ * old and new price, where the change came from and when it happened. A chain that is
+ * added to a product has no old price, and a chain that is removed has no new price.
+ * The first entry of each chain (from the backfill or when the product is created)
+ * holds the price the history starts from.
+ *
+ * @type {mongoose.Schema}
+ */
+const mongoose = require("mongoose");
+
+const PriceHistorySchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  chain: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  oldPrice: {
+    type: Number,
+    default: null,
+  },
+  newPrice: {
+    type: Number,
+    default: null,
+  },
+  // backfill: snapshot of the catalog, create: new product, staff: product routes, import: price import script
+  source: {
+    type: String,
+    enum: ["backfill", "create", "staff", "import"],
+    required: true,
+  },
+  // The staff member who changed the price, for changes made through the product routes
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A product's history by chain and date
+PriceHistorySchema.index({ productId: 1, chain: 1, recordedAt: 1 });
+
+module.exports = mongoose.model("PriceHistory", PriceHistorySchema);
@@ -2,12 +2,14 @@
  * Product Schema for MongoDB using Mongoose
  * 
  * This schema defines the structure for a product in the database.
- * It includes fields such as product ID, name, description, category, prices, and additional metadata such as popularity and ratings.
+ * It includes fields such as product ID, barcode, name, description, category, prices, and additional metadata such as popularity and ratings.
  * The prices are stored as a map of supermarket names to prices, allowing flexibility for multiple price sources.
+ * The barcode is an EAN/UPC code (GTIN) with a valid check digit, unique in the catalog.
  * 
  * @type {mongoose.Schema}
  */
 const mongoose = require("mongoose");
+const { isValidGtin } = require("../services/BarcodeService");
 
 const ProductSchema = new mongoose.Schema({
   id: {
@@ -15,6 +17,14 @@ const ProductSchema = new mongoose.Schema({
     required: true,
     trim: true,
   },
+  barcode: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: isValidGtin,
+      message: "ברקוד לא תקין",
+    },
+  },
   name: {
     type: String,
     required: true,
@@ -68,4 +78,10 @@ const ProductSchema = new mongoose.Schema({
 // Add text index for search functionality
 ProductSchema.index({ name: "text", description: "text", category: "text" });
 
+// Each barcode belongs to one product; products without a barcode are not indexed
+ProductSchema.index(
+  { barcode: 1 },
+  { unique: true, partialFilterExpression: { barcode: { $type: "string" } } }
+);
+
 module.exports = mongoose.model("Product", ProductSchema);
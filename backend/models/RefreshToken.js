@@ -0,0 +1,53 @@
+/**
+ * Refresh Token Schema for MongoDB using Mongoose
+ *
+ * This schema stores the refresh tokens issued to users. Only the SHA-256 hash
+ * of each token is persisted. Tokens that descend from the same login share a
+ * `family` id: every refresh revokes the presented token and issues a new one in
+ * the same family, so presenting an already-revoked token means it was reused
+ * and the whole family is revoked. The `twoFactor` flag records whether the
+ * login passed two-factor authentication.
+ *
+ * @type {mongoose.Schema}
+ */
+const mongoose = require("mongoose");
+
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  twoFactor: {
+    type: Boolean,
+    default: false,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Let MongoDB remove tokens once they have expired
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema);
@@ -0,0 +1,50 @@
+/**
+ * Session Schema for MongoDB using Mongoose
+ *
+ * This schema stores the logged-in devices of a user. A session starts at login and
+ * its id is the `family` of the refresh tokens issued for that login, and it is also
+ * carried in every access token so the auth middleware can reject tokens of a session
+ * that was signed out. The user agent and IP address let users recognize their devices.
+ *
+ * @type {mongoose.Schema}
+ */
+const mongoose = require("mongoose");
+
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  userAgent: {
+    type: String,
+    default: "",
+  },
+  ip: {
+    type: String,
+    default: "",
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Extended on every refresh, so it matches the session's latest refresh token
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Let MongoDB remove sessions once they have expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -0,0 +1,81 @@
+/**
+ * User Schema for MongoDB using Mongoose
+ *
+ * This schema defines the structure for a registered user in the database.
+ * It includes the user's name, email and hashed password, the staff roles,
+ * the profile picture URLs, the email verification state, the two-factor
+ * authentication settings, the account status set by admins (disabled, password
+ * reset required), the failed login counters used for account lockout,
+ * and the hashed single-use tokens used by the email verification, account
+ * unlock, password reset and magic-link login flows.
+ * It also stores the user's shopping preferences: the supermarket chains they prefer,
+ * the chains they never shop at (hidden from prices and totals) and their default chain.
+ *
+ * @type {mongoose.Schema}
+ */
+const mongoose = require("mongoose");
+const { ROLES } = require("../services/AuthorizationService");
+
+const UserSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 30,
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+  password: { type: String, required: true, minlength: 8 },
+  isAdmin: { type: Boolean, default: false }, // Legacy admin flag, treated as the super_admin role
+  // Staff roles (see AuthorizationService) and the supermarket chains a price editor may change
+  roles: { type: [{ type: String, enum: ROLES }], default: [] },
+  priceChains: { type: [String], default: [] },
+  // Email verification - only the SHA-256 hash of the emailed token is stored
+  emailVerified: { type: Boolean, default: false },
+  emailVerificationToken: { type: String, select: false },
+  emailVerificationExpires: { type: Date, select: false },
+  // Profile picture - public URLs of the resized images and their storage keys
+  avatarUrl: { type: String, default: null },
+  avatarThumbUrl: { type: String, default: null },
+  avatarKeys: { type: [String], select: false },
+  // Two-factor authentication (TOTP) - the secret, a secret awaiting confirmation during
+  // enrollment, hashed single-use recovery codes and the last accepted time step (prevents replay)
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String, select: false },
+  twoFactorPendingSecret: { type: String, select: false },
+  twoFactorRecoveryCodes: { type: [String], select: false },
+  twoFactorLastUsedStep: { type: Number, select: false },
+  // Account status set by admins - a disabled account cannot log in, and a forced
+  // password reset blocks logins until a new password is chosen by email
+  disabled: { type: Boolean, default: false },
+  disabledAt: { type: Date },
+  disabledReason: { type: String, trim: true, maxlength: 200 },
+  passwordResetRequired: { type: Boolean, default: false },
+  // Login protection - failed attempts since the last successful login and the lockout state
+  failedLoginAttempts: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date },
+  lockUntil: { type: Date },
+  unlockToken: { type: String, select: false },
+  unlockExpires: { type: Date, select: false },
+  // Password reset - only the SHA-256 hash of the emailed token is stored
+  passwordResetToken: { type: String, select: false },
+  passwordResetExpires: { type: Date, select: false },
+  // Magic-link login - only the SHA-256 hash of the emailed token is stored
+  magicLinkToken: { type: String, select: false },
+  magicLinkExpires: { type: Date, select: false },
+  // Shopping preferences - chain names as they appear in product prices
+  shoppingPreferences: {
+    preferredChains: { type: [String], default: [] },
+    excludedChains: { type: [String], default: [] },
+    defaultChain: { type: String, default: null },
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("User", UserSchema);
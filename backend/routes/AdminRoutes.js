@@ -0,0 +1,136 @@
+/**
+ * Admin Routes - Express Router
+ *
+ * This module handles the user-management API routes of the admin console:
+ * listing and searching users with their saved-cart counts, changing staff roles,
+ * disabling accounts and forcing password resets.
+ * All routes require a valid token, a staff permission (see AuthorizationService)
+ * and a session that passed two-factor authentication.
+ *
+ * @module AdminRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+const adminController = require("../controllers/AdminController");
+const authMiddleware = require("../middleware/AuthMiddleware");
+const authorize = require("../middleware/AuthorizeMiddleware");
+const { PERMISSIONS } = require("../services/AuthorizationService");
+
+// Apply auth middleware to all admin routes
+router.use(authMiddleware);
+
+/**
+ * GET /api/admin/users
+ *
+ * List users, newest first. Requires the `users:read` permission.
+ *
+ * @param {string} req.query.search - Text to find in the name or email (optional).
+ * @param {string} req.query.role - Only users with this role (optional).
+ * @param {number} req.query.page - The page number (default 1).
+ * @param {number} req.query.limit - The number of users per page (default 20, max 100).
+ * @returns {object} The users (with their saved-cart counts) and pagination details.
+ * @throws {403} FORBIDDEN / TWO_FACTOR_REQUIRED - If the user lacks the permission or did not sign in with two-factor authentication.
+ * @throws {500} If there is an error fetching the users.
+ */
+router.get(
+  "/users",
+  authorize(PERMISSIONS.USERS_READ),
+  adminController.listUsers
+);
+
+/**
+ * GET /api/admin/users/:id
+ *
+ * Get a single user with their saved-cart count. Requires the `users:read` permission.
+ *
+ * @param {string} req.params.id - The user ID.
+ * @returns {object} The user details.
+ * @throws {400} If the user ID is invalid.
+ * @throws {403} FORBIDDEN / TWO_FACTOR_REQUIRED - If the user lacks the permission or did not sign in with two-factor authentication.
+ * @throws {404} If the user is not found.
+ * @throws {500} If there is an error fetching the user.
+ */
+router.get(
+  "/users/:id",
+  authorize(PERMISSIONS.USERS_READ),
+  adminController.getUser
+);
+
+/**
+ * GET /api/admin/chains
+ *
+ * List the supermarket chains found in product prices. Requires the `users:manage` permission.
+ *
+ * @returns {string[]} The chain names, sorted.
+ * @throws {403} FORBIDDEN / TWO_FACTOR_REQUIRED - If the user lacks the permission or did not sign in with two-factor authentication.
+ * @throws {500} If there is an error fetching the chains.
+ */
+router.get(
+  "/chains",
+  authorize(PERMISSIONS.USERS_MANAGE),
+  adminController.getChains
+);
+
+/**
+ * PUT /api/admin/users/:id/roles
+ *
+ * Replace a user's staff roles. Requires the `users:manage` permission.
+ * Admins cannot change their own roles.
+ *
+ * @param {string} req.params.id - The user ID.
+ * @param {string[]} req.body.roles - The roles (super_admin, catalog_editor, price_editor, support).
+ * @param {string[]} req.body.priceChains - The chains a price editor may change (optional).
+ * @returns {object} The updated user.
+ * @throws {400} If the roles or chains are invalid, or the user is the current admin.
+ * @throws {403} FORBIDDEN / TWO_FACTOR_REQUIRED - If the user lacks the permission or did not sign in with two-factor authentication.
+ * @throws {404} If the user is not found.
+ * @throws {500} If there is an error updating the roles.
+ */
+router.put(
+  "/users/:id/roles",
+  authorize(PERMISSIONS.USERS_MANAGE),
+  adminController.updateRoles
+);
+
+/**
+ * PUT /api/admin/users/:id/status
+ *
+ * Disable (ban) or re-enable a user's account. Disabling signs the user out everywhere.
+ * Requires the `users:manage` permission. Admins cannot disable their own account.
+ *
+ * @param {string} req.params.id - The user ID.
+ * @param {boolean} req.body.disabled - Whether the account is disabled.
+ * @param {string} req.body.reason - The reason for disabling the account (optional).
+ * @returns {object} The updated user.
+ * @throws {400} If the status is missing, or the user is the current admin.
+ * @throws {403} FORBIDDEN / TWO_FACTOR_REQUIRED - If the user lacks the permission or did not sign in with two-factor authentication.
+ * @throws {404} If the user is not found.
+ * @throws {500} If there is an error updating the account.
+ */
+router.put(
+  "/users/:id/status",
+  authorize(PERMISSIONS.USERS_MANAGE),
+  adminController.updateStatus
+);
+
+/**
+ * POST /api/admin/users/:id/force-password-reset
+ *
+ * Sign the user out everywhere, block logins until they choose a new password and
+ * email them a reset link. Requires the `users:manage` permission.
+ *
+ * @param {string} req.params.id - The user ID.
+ * @returns {object} Success message.
+ * @throws {400} If the user ID is invalid or is the current admin.
+ * @throws {403} FORBIDDEN / TWO_FACTOR_REQUIRED - If the user lacks the permission or did not sign in with two-factor authentication.
+ * @throws {404} If the user is not found.
+ * @throws {500} If there is an error resetting the password.
+ */
+router.post(
+  "/users/:id/force-password-reset",
+  authorize(PERMISSIONS.USERS_MANAGE),
+  adminController.forcePasswordReset
+);
+
+module.exports = router;
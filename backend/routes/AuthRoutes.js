@@ -0,0 +1,226 @@
+/**
+ * Auth Routes - Express Router
+ *
+ * This module handles all the authentication-related API routes including
+ * registration, the email availability check, email verification, login
+ * (with account lockout and two-factor authentication), passwordless login with emailed
+ * magic links, access token refresh, logout and the forgot-password / reset-password flow.
+ *
+ * @module AuthRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+const authController = require("../controllers/AuthController");
+const authMiddleware = require("../middleware/AuthMiddleware");
+const createRateLimiter = require("../middleware/RateLimitMiddleware");
+
+// Limit email availability checks per IP to make account enumeration impractical
+const checkEmailLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: Number(process.env.CHECK_EMAIL_RATE_LIMIT) || 20,
+  message: "יותר מדי בדיקות אימייל, נסו שוב מאוחר יותר",
+});
+
+// Limit how many login links can be requested per IP
+const magicLinkLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: Number(process.env.MAGIC_LINK_RATE_LIMIT) || 5,
+  message: "נשלחו יותר מדי קישורי התחברות, נסו שוב מאוחר יותר",
+});
+
+// Limit how often a user can ask for a new verification email
+const resendVerificationLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3,
+  message: "נשלחו יותר מדי קישורי אימות, נסו שוב מאוחר יותר",
+  keyGenerator: (req) => req.user.userId,
+});
+
+/**
+ * POST /api/auth/register
+ *
+ * Register a new user and return an access token and refresh token.
+ *
+ * @param {string} req.body.name - The user's name.
+ * @param {string} req.body.email - The user's email.
+ * @param {string} req.body.password - The user's password (see the password policy in ValidationService).
+ * @returns {object} The access token, refresh token and user details.
+ * @throws {400} VALIDATION_FAILED - If a field is invalid; `errors` maps each invalid field to its message.
+ * @throws {409} EMAIL_TAKEN - If the email is already registered (also reported in `errors.email`).
+ * @throws {500} If there is an error creating the user.
+ */
+router.post("/register", authController.register);
+
+/**
+ * POST /api/auth/check-email
+ *
+ * Check whether an email is already registered. Limited per IP address.
+ *
+ * @param {string} req.body.email - The email to check.
+ * @returns {object} `{ exists }` - Whether the email belongs to an existing account.
+ * @throws {400} If the email is missing or invalid.
+ * @throws {429} If the IP has made too many checks recently.
+ * @throws {500} If there is an error checking the email.
+ */
+router.post("/check-email", checkEmailLimiter, authController.checkEmail);
+
+/**
+ * POST /api/auth/login
+ *
+ * Authenticate a user with email and password and return an access token and refresh token.
+ * Error responses carry a `code` the client can show a specific message for.
+ *
+ * @param {string} req.body.email - The user's email.
+ * @param {string} req.body.password - The user's password.
+ * @returns {object} The access token, refresh token and user details.
+ * If the user has two-factor authentication, the response is `{ twoFactorRequired, twoFactorToken }`
+ * instead, and the login is completed at /api/auth/login/2fa.
+ * @throws {401} INVALID_CREDENTIALS - If the credentials are invalid.
+ * @throws {403} ACCOUNT_DISABLED / PASSWORD_RESET_REQUIRED - If an admin disabled the account or requires a new password.
+ * @throws {423} ACCOUNT_LOCKED - If the account is temporarily locked after too many failures.
+ * @throws {429} LOGIN_THROTTLED / IP_BLOCKED - If the account or IP must wait before trying again.
+ * @throws {500} If there is an error during login.
+ */
+router.post("/login", authController.login);
+
+/**
+ * POST /api/auth/login/2fa
+ *
+ * Complete a two-factor login with the challenge token from /api/auth/login and
+ * a code from the authenticator app or a recovery code.
+ *
+ * @param {string} req.body.twoFactorToken - The challenge token from the password step.
+ * @param {string} req.body.code - The 6-digit code or a recovery code.
+ * @returns {object} The access token, refresh token and user details.
+ * @throws {401} TWO_FACTOR_EXPIRED / INVALID_TWO_FACTOR_CODE - If the challenge expired or the code is wrong.
+ * @throws {403} ACCOUNT_DISABLED / PASSWORD_RESET_REQUIRED - If an admin disabled the account or requires a new password.
+ * @throws {423} ACCOUNT_LOCKED - If the account is temporarily locked after too many failures.
+ * @throws {429} LOGIN_THROTTLED / IP_BLOCKED - If the account or IP must wait before trying again.
+ * @throws {500} If there is an error during login.
+ */
+router.post("/login/2fa", authController.loginTwoFactor);
+
+/**
+ * POST /api/auth/refresh-token
+ *
+ * Exchange a refresh token for a new access token and refresh token.
+ * Each refresh token can be used once; reusing one revokes every token from the same login.
+ *
+ * @param {string} req.body.refreshToken - The current refresh token.
+ * @returns {object} The new access token and refresh token.
+ * @throws {400} If no refresh token is provided.
+ * @throws {401} If the refresh token is invalid, expired, revoked or reused.
+ * @throws {500} If there is an error issuing the new tokens.
+ */
+router.post("/refresh-token", authController.refreshToken);
+
+/**
+ * POST /api/auth/logout
+ *
+ * Revoke the refresh token of the current login.
+ *
+ * @param {string} req.body.refreshToken - The current refresh token.
+ * @returns {object} Success message.
+ * @throws {500} If there is an error revoking the token.
+ */
+router.post("/logout", authController.logout);
+
+/**
+ * POST /api/auth/magic-link
+ *
+ * Email a single-use login link (valid for 15 minutes) to the given address. Limited per IP address.
+ * Always responds with the same message, whether or not the email is registered.
+ *
+ * @param {string} req.body.email - The email address to send the login link to.
+ * @returns {object} A generic success message.
+ * @throws {400} If the email is missing or invalid.
+ * @throws {429} If too many links were requested from this IP address.
+ * @throws {500} If there is an error creating or sending the link.
+ */
+router.post("/magic-link", magicLinkLimiter, authController.requestMagicLink);
+
+/**
+ * POST /api/auth/magic-link/login
+ *
+ * Log in with the token from an emailed login link. Responds like POST /api/auth/login,
+ * including the two-factor challenge for users with two-factor authentication.
+ *
+ * @param {string} req.body.token - The token from the emailed link.
+ * @returns {object} The access token, refresh token and user details, or a two-factor challenge.
+ * @throws {400} MAGIC_LINK_INVALID - If the token is invalid, expired or already used.
+ * @throws {403} ACCOUNT_DISABLED / PASSWORD_RESET_REQUIRED - If an admin disabled the account or requires a new password.
+ * @throws {429} IP_BLOCKED - If too many logins failed from this IP address.
+ * @throws {500} If there is an error logging in.
+ */
+router.post("/magic-link/login", authController.loginWithMagicLink);
+
+/**
+ * POST /api/auth/forgot-password
+ *
+ * Email a single-use password reset link to the given address.
+ * Always responds with the same message, whether or not the email is registered.
+ *
+ * @param {string} req.body.email - The email address to send the reset link to.
+ * @returns {object} A generic success message.
+ * @throws {400} If no email is provided.
+ * @throws {500} If there is an error creating or sending the reset link.
+ */
+router.post("/forgot-password", authController.forgotPassword);
+
+/**
+ * POST /api/auth/reset-password
+ *
+ * Set a new password using a token from a password reset link.
+ *
+ * @param {string} req.body.token - The reset token from the emailed link.
+ * @param {string} req.body.password - The new password.
+ * @returns {object} Success message.
+ * @throws {400} If the token is missing, invalid, expired or already used, or the password does not meet the password policy.
+ * @throws {500} If there is an error updating the password.
+ */
+router.post("/reset-password", authController.resetPassword);
+
+/**
+ * POST /api/auth/unlock-account
+ *
+ * Lift a login lockout with the token from the emailed unlock link.
+ *
+ * @param {string} req.body.token - The unlock token from the emailed link.
+ * @returns {object} Success message.
+ * @throws {400} If the token is missing, invalid or expired.
+ * @throws {500} If there is an error unlocking the account.
+ */
+router.post("/unlock-account", authController.unlockAccount);
+
+/**
+ * POST /api/auth/verify-email
+ *
+ * Verify the user's email address with the token from the verification link.
+ *
+ * @param {string} req.body.token - The verification token from the emailed link.
+ * @returns {object} Success message.
+ * @throws {400} If the token is missing, invalid or expired.
+ * @throws {500} If there is an error verifying the email.
+ */
+router.post("/verify-email", authController.verifyEmail);
+
+/**
+ * POST /api/auth/resend-verification
+ *
+ * Email a new verification link to the current user. Requires a valid token.
+ *
+ * @returns {object} Success message.
+ * @throws {400} If the email is already verified.
+ * @throws {401} If the token is missing or invalid.
+ * @throws {429} If too many links were requested recently.
+ * @throws {500} If there is an error sending the email.
+ */
+router.post(
+  "/resend-verification",
+  authMiddleware,
+  resendVerificationLimiter,
+  authController.resendVerification
+);
+
+module.exports = router;
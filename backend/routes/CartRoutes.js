@@ -4,58 +4,75 @@
  * This module handles all the cart-related API routes such as getting all carts,
  * retrieving a specific cart by ID, creating, updating, and deleting carts.
  * It includes authentication middleware to ensure that only authenticated users can access or modify their own carts.
+ * Carts can also be saved in a household's shared cart space (see HouseholdRoutes): every
+ * member can view and load them, while only owners and editors can create, update or delete them.
+ * Saved carts are only available to users who have verified their email address.
+ * Support staff can also view the saved carts of any user.
+ * Scripts can use a personal API key instead of a login token: reading carts needs the
+ * `cart:read` scope and changing them the `cart:write` scope.
  *
  * @module CartRoutes
  */
 
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const Cart = require("../models/Cart");
-const jwt = require("jsonwebtoken");
+const { logActivity } = require("../services/ActivityService");
+const householdService = require("../services/HouseholdService");
+const authMiddleware = require("../middleware/AuthMiddleware");
+const verifiedEmailMiddleware = require("../middleware/VerifiedEmailMiddleware");
+const authorize = require("../middleware/AuthorizeMiddleware");
+const {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  canEditHouseholdCarts,
+} = require("../services/AuthorizationService");
 
-/**
- * Auth Middleware for Cart Routes
- *
- * This middleware ensures that all cart-related routes are protected.
- * It verifies the presence and validity of the authentication token provided in the request header.
- * If the token is invalid or missing, it returns a 401 Unauthorized error.
- *
- * @param {object} req - The request object.
- * @param {object} res - The response object.
- * @param {function} next - The next middleware function.
- */
-const authMiddleware = (req, res, next) => {
-  const token = req.header("x-auth-token");
-
-  // Check if token exists
-  if (!token) {
-    return res.status(401).json({ message: "אין הרשאה, נדרש טוקן" });
-  }
-
-  try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({ message: "טוקן לא תקין" });
-  }
+// Sent when a household viewer tries to change the household's carts
+const VIEWER_FORBIDDEN = {
+  code: "HOUSEHOLD_VIEWER",
+  message: "צופים במשק הבית אינם יכולים לשנות את העגלות המשותפות",
 };
 
 // Apply auth middleware to all cart routes
-router.use(authMiddleware);
+router.use(
+  authMiddleware.allowApiKey((req) =>
+    req.method === "GET" ? API_KEY_SCOPES.CART_READ : API_KEY_SCOPES.CART_WRITE
+  )
+);
+router.use(verifiedEmailMiddleware);
 
 /**
  * GET /api/cart
- * Get all saved carts for the current user.
+ * Get all saved carts for the current user, or the shared carts of one of their households.
  * The carts are sorted by the creation date, with the most recent ones appearing first.
  *
+ * @param {string} req.query.householdId - The household whose carts to get (optional, personal carts by default)
  * @returns {object[]} Array of cart objects
+ * @throws {403} NOT_HOUSEHOLD_MEMBER - If the user is not a member of the household
  * @throws {500} If server encounters an error while fetching the carts
  */
 router.get("/", async (req, res) => {
   try {
-    const carts = await Cart.find({ userId: req.user.userId }).sort({
+    const { householdId } = req.query;
+    let filter = { userId: req.user.userId, householdId: null };
+
+    if (householdId) {
+      const membership = await householdService.getMembership(
+        householdId,
+        req.user.userId
+      );
+      if (!membership) {
+        return res.status(403).json({
+          code: "NOT_HOUSEHOLD_MEMBER",
+          message: "אינך חבר במשק בית זה",
+        });
+      }
+      filter = { householdId: membership.household._id };
+    }
+
+    const carts = await Cart.find(filter).sort({
       createdAt: -1,
     });
     res.json(carts);
@@ -65,15 +82,46 @@ router.get("/", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/cart/users/:userId
+ * Get all saved carts of another user, most recent first.
+ * Requires the `carts:read_any` permission (support).
+ *
+ * @param {string} req.params.userId - The user ID
+ * @returns {object[]} Array of cart objects
+ * @throws {400} If the user ID is invalid
+ * @throws {403} FORBIDDEN / TWO_FACTOR_REQUIRED - If the user lacks the permission or did not sign in with two-factor authentication
+ * @throws {500} If server encounters an error while fetching the carts
+ */
+router.get(
+  "/users/:userId",
+  authorize(PERMISSIONS.CARTS_READ_ANY),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.userId)) {
+        return res.status(400).json({ message: "מזהה משתמש לא תקין" });
+      }
+
+      const carts = await Cart.find({ userId: req.params.userId }).sort({
+        createdAt: -1,
+      });
+      res.json(carts);
+    } catch (error) {
+      console.error("Error fetching user carts:", error);
+      res.status(500).json({ message: "שגיאת שרת בטעינת העגלות" });
+    }
+  }
+);
+
 /**
  * GET /api/cart/:id
  * Get a specific cart by ID.
- * This route checks if the cart belongs to the current authenticated user.
+ * This route checks if the cart belongs to the current authenticated user or to one of their households.
  *
  * @param {string} req.params.id - The cart ID
  * @returns {object} The cart object
  * @throws {404} If the cart is not found
- * @throws {403} If the cart does not belong to the current user
+ * @throws {403} If the cart belongs to neither the current user nor one of their households
  * @throws {500} If server encounters an error while fetching the cart
  */
 router.get("/:id", async (req, res) => {
@@ -84,11 +132,18 @@ router.get("/:id", async (req, res) => {
       return res.status(404).json({ message: "העגלה לא נמצאה" });
     }
 
-    // Check if the cart belongs to the current user
-    if (cart.userId.toString() !== req.user.userId) {
+    // Check if the cart belongs to the current user or one of their households
+    const role = await householdService.getCartRole(cart, req.user.userId);
+    if (!role) {
       return res.status(403).json({ message: "אין הרשאה לצפות בעגלה זו" });
     }
 
+    await logActivity(req, req.user.userId, "cart_load", {
+      cartId: cart._id,
+      cartName: cart.name,
+      householdId: cart.householdId,
+    });
+
     res.json(cart);
   } catch (error) {
     console.error("Error fetching cart:", error);
@@ -98,30 +153,55 @@ router.get("/:id", async (req, res) => {
 
 /**
  * POST /api/cart
- * Create a new saved cart for the current user.
+ * Create a new saved cart for the current user, or in one of their households.
  * The request body should include the cart items and optional name.
  *
  * @param {string} req.body.name - The name of the cart (optional)
  * @param {Array} req.body.items - List of items in the cart
+ * @param {string} req.body.householdId - The household to save the cart in (optional, personal by default)
  * @returns {object} The created cart object
  * @throws {400} If the cart items are empty or not provided
+ * @throws {403} NOT_HOUSEHOLD_MEMBER / HOUSEHOLD_VIEWER - If the user is not a member of the household, or only a viewer
  * @throws {500} If server encounters an error while saving the cart
  */
 router.post("/", async (req, res) => {
   try {
-    const { name, items } = req.body;
+    const { name, items, householdId } = req.body;
 
     if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ message: "העגלה ריקה, לא ניתן לשמור" });
     }
 
+    if (householdId) {
+      const membership = await householdService.getMembership(
+        householdId,
+        req.user.userId
+      );
+      if (!membership) {
+        return res.status(403).json({
+          code: "NOT_HOUSEHOLD_MEMBER",
+          message: "אינך חבר במשק בית זה",
+        });
+      }
+      if (!canEditHouseholdCarts(membership.role)) {
+        return res.status(403).json(VIEWER_FORBIDDEN);
+      }
+    }
+
     const newCart = new Cart({
       name: name || `עגלה ${Date.now()}`,
       items,
       userId: req.user.userId,
+      householdId: householdId || null,
     });
 
     const savedCart = await newCart.save();
+    await logActivity(req, req.user.userId, "cart_save", {
+      cartId: savedCart._id,
+      cartName: savedCart.name,
+      householdId: savedCart.householdId,
+    });
+
     res.status(201).json(savedCart);
   } catch (error) {
     console.error("Error saving cart:", error);
@@ -131,7 +211,7 @@ router.post("/", async (req, res) => {
 
 /**
  * PUT /api/cart/:id
- * Update an existing cart for the current user.
+ * Update an existing cart of the current user or one of their households.
  * The request body should include the cart items and optional name.
  *
  * @param {string} req.params.id - The cart ID
@@ -140,7 +220,7 @@ router.post("/", async (req, res) => {
  * @returns {object} The updated cart object
  * @throws {400} If the cart items are empty or not provided
  * @throws {404} If the cart does not exist
- * @throws {403} If the cart does not belong to the current user
+ * @throws {403} HOUSEHOLD_VIEWER - If the cart belongs to neither the current user nor one of their households, or the user is only a viewer
  * @throws {500} If server encounters an error while updating the cart
  */
 router.put("/:id", async (req, res) => {
@@ -157,16 +237,26 @@ router.put("/:id", async (req, res) => {
       return res.status(404).json({ message: "העגלה לא נמצאה" });
     }
 
-    // Check if the cart belongs to the current user
-    if (cart.userId.toString() !== req.user.userId) {
+    // Check if the cart belongs to the current user or one of their households
+    const role = await householdService.getCartRole(cart, req.user.userId);
+    if (!role) {
       return res.status(403).json({ message: "אין הרשאה לעדכן עגלה זו" });
     }
+    if (!canEditHouseholdCarts(role)) {
+      return res.status(403).json(VIEWER_FORBIDDEN);
+    }
 
     cart.name = name || cart.name;
     cart.items = items;
     cart.updatedAt = Date.now();
 
     const updatedCart = await cart.save();
+    await logActivity(req, req.user.userId, "cart_update", {
+      cartId: updatedCart._id,
+      cartName: updatedCart.name,
+      householdId: updatedCart.householdId,
+    });
+
     res.json(updatedCart);
   } catch (error) {
     console.error("Error updating cart:", error);
@@ -176,12 +266,12 @@ router.put("/:id", async (req, res) => {
 
 /**
  * DELETE /api/cart/:id
- * Delete a specific cart by ID for the current user.
+ * Delete a specific cart by ID of the current user or one of their households.
  *
  * @param {string} req.params.id - The cart ID
  * @returns {object} Success message indicating that the cart has been deleted
  * @throws {404} If the cart does not exist
- * @throws {403} If the cart does not belong to the current user
+ * @throws {403} HOUSEHOLD_VIEWER - If the cart belongs to neither the current user nor one of their households, or the user is only a viewer
  * @throws {500} If server encounters an error while deleting the cart
  */
 router.delete("/:id", async (req, res) => {
@@ -192,12 +282,22 @@ router.delete("/:id", async (req, res) => {
       return res.status(404).json({ message: "העגלה לא נמצאה" });
     }
 
-    // Check if the cart belongs to the current user
-    if (cart.userId.toString() !== req.user.userId) {
+    // Check if the cart belongs to the current user or one of their households
+    const role = await householdService.getCartRole(cart, req.user.userId);
+    if (!role) {
       return res.status(403).json({ message: "אין הרשאה למחוק עגלה זו" });
     }
+    if (!canEditHouseholdCarts(role)) {
+      return res.status(403).json(VIEWER_FORBIDDEN);
+    }
 
     await Cart.deleteOne({ _id: req.params.id });
+    await logActivity(req, req.user.userId, "cart_delete", {
+      cartId: cart._id,
+      cartName: cart.name,
+      householdId: cart.householdId,
+    });
+
     res.json({ message: "העגלה נמחקה בהצלחה" });
   } catch (error) {
     console.error("Error deleting cart:", error);
@@ -0,0 +1,55 @@
+/**
+ * Favorite Routes - Express Router
+ *
+ * This module handles the favorites (watchlist) API routes: listing the current user's
+ * favorite products, adding products to the favorites and removing them.
+ * All routes require a valid token in the `x-auth-token` header.
+ *
+ * @module FavoriteRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+const favoriteController = require("../controllers/FavoriteController");
+const authMiddleware = require("../middleware/AuthMiddleware");
+
+// Apply auth middleware to all favorite routes
+router.use(authMiddleware);
+
+/**
+ * GET /api/favorites
+ *
+ * Get the current user's favorite products, newest first.
+ *
+ * @returns {object[]} The favorites (product ID, the current product details and when it was added).
+ * @throws {500} If there is an error fetching the favorites.
+ */
+router.get("/", favoriteController.getFavorites);
+
+/**
+ * POST /api/favorites
+ *
+ * Add a product to the current user's favorites. Adding a product that is already
+ * a favorite returns the existing favorite.
+ *
+ * @param {string} req.body.productId - The product's document ID (`_id`).
+ * @returns {object} The favorite (201 if it was just added).
+ * @throws {400} If the product ID is invalid or the favorites are full (200 products).
+ * @throws {404} If the product does not exist.
+ * @throws {500} If there is an error adding the favorite.
+ */
+router.post("/", favoriteController.addFavorite);
+
+/**
+ * DELETE /api/favorites/:productId
+ *
+ * Remove a product from the current user's favorites.
+ *
+ * @param {string} req.params.productId - The product's document ID (`_id`).
+ * @returns {object} Success message.
+ * @throws {404} If the product is not one of the user's favorites.
+ * @throws {500} If there is an error removing the favorite.
+ */
+router.delete("/:productId", favoriteController.removeFavorite);
+
+module.exports = router;
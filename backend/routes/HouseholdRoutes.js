@@ -0,0 +1,203 @@
+/**
+ * Household Routes - Express Router
+ *
+ * This module handles the household API routes: creating households, inviting members
+ * by email, accepting or declining invites, changing member roles and leaving. The carts
+ * a household shares are managed through the cart routes, with the household ID.
+ * Member roles are owner (manage the household and its members), editor (change the
+ * household's carts) and viewer (view and load them).
+ * All routes require a valid token in the `x-auth-token` header and a verified email
+ * address, since invites are matched by email; API keys are not accepted.
+ *
+ * @module HouseholdRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+const householdController = require("../controllers/HouseholdController");
+const authMiddleware = require("../middleware/AuthMiddleware");
+const verifiedEmailMiddleware = require("../middleware/VerifiedEmailMiddleware");
+const createRateLimiter = require("../middleware/RateLimitMiddleware");
+
+// Limit how many invitation emails a user can send
+const inviteLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20,
+  message: "יותר מדי הזמנות, נסו שוב מאוחר יותר",
+  keyGenerator: (req) => req.user.userId,
+});
+
+// Apply auth middleware to all household routes
+router.use(authMiddleware);
+router.use(verifiedEmailMiddleware);
+
+/**
+ * GET /api/households
+ *
+ * Get the households the current user belongs to.
+ *
+ * @returns {object[]} The households (name, the user's role and the members with their roles).
+ * @throws {500} If there is an error fetching the households.
+ */
+router.get("/", householdController.getHouseholds);
+
+/**
+ * POST /api/households
+ *
+ * Create a household with the current user as its owner.
+ *
+ * @param {string} req.body.name - The household name (up to 50 characters).
+ * @returns {object} The new household.
+ * @throws {400} If the name is invalid or the user already belongs to too many households.
+ * @throws {500} If there is an error creating the household.
+ */
+router.post("/", householdController.createHousehold);
+
+/**
+ * GET /api/households/invites
+ *
+ * Get the pending household invites addressed to the current user's email.
+ *
+ * @returns {object[]} The invites (household name, inviter, role and expiry).
+ * @throws {500} If there is an error fetching the invites.
+ */
+router.get("/invites", householdController.getMyInvites);
+
+/**
+ * POST /api/households/invites/:inviteId/accept
+ *
+ * Accept an invite and join the household with the invited role.
+ *
+ * @param {string} req.params.inviteId - The invite ID.
+ * @returns {object} The household joined.
+ * @throws {400} If the invite is invalid or expired, the household is full or the user belongs to too many households.
+ * @throws {500} If there is an error joining the household.
+ */
+router.post("/invites/:inviteId/accept", householdController.acceptInvite);
+
+/**
+ * POST /api/households/invites/:inviteId/decline
+ *
+ * Decline an invite.
+ *
+ * @param {string} req.params.inviteId - The invite ID.
+ * @returns {object} Success message.
+ * @throws {404} If the invite does not exist.
+ * @throws {500} If there is an error declining the invite.
+ */
+router.post("/invites/:inviteId/decline", householdController.declineInvite);
+
+/**
+ * PUT /api/households/:id
+ *
+ * Rename a household. Owners only.
+ *
+ * @param {string} req.params.id - The household ID.
+ * @param {string} req.body.name - The new name (up to 50 characters).
+ * @returns {object} The updated household.
+ * @throws {400} If the name is invalid.
+ * @throws {403} HOUSEHOLD_OWNER_REQUIRED - If the user is not an owner.
+ * @throws {404} If the household does not exist or the user is not a member.
+ * @throws {500} If there is an error updating the household.
+ */
+router.put("/:id", householdController.updateHousehold);
+
+/**
+ * DELETE /api/households/:id
+ *
+ * Delete a household with all of its carts and invites. Owners only.
+ *
+ * @param {string} req.params.id - The household ID.
+ * @returns {object} Success message.
+ * @throws {403} HOUSEHOLD_OWNER_REQUIRED - If the user is not an owner.
+ * @throws {404} If the household does not exist or the user is not a member.
+ * @throws {500} If there is an error deleting the household.
+ */
+router.delete("/:id", householdController.deleteHousehold);
+
+/**
+ * GET /api/households/:id/invites
+ *
+ * Get the pending invites of a household. Owners only.
+ *
+ * @param {string} req.params.id - The household ID.
+ * @returns {object[]} The invites (email, role and expiry).
+ * @throws {403} HOUSEHOLD_OWNER_REQUIRED - If the user is not an owner.
+ * @throws {404} If the household does not exist or the user is not a member.
+ * @throws {500} If there is an error fetching the invites.
+ */
+router.get("/:id/invites", householdController.getHouseholdInvites);
+
+/**
+ * POST /api/households/:id/invites
+ *
+ * Invite an email address to a household and email the invitation. Owners only.
+ * Invites can be accepted for 14 days; inviting an address again renews its invite.
+ *
+ * @param {string} req.params.id - The household ID.
+ * @param {string} req.body.email - The address to invite.
+ * @param {string} [req.body.role="editor"] - The role to join with: `editor` or `viewer`.
+ * @returns {object} The invite.
+ * @throws {400} If the email or role is invalid, or the household is full.
+ * @throws {403} HOUSEHOLD_OWNER_REQUIRED - If the user is not an owner.
+ * @throws {404} If the household does not exist or the user is not a member.
+ * @throws {409} If the address belongs to a member already.
+ * @throws {429} If too many invites were sent.
+ * @throws {500} If there is an error sending the invite.
+ */
+router.post(
+  "/:id/invites",
+  inviteLimiter,
+  householdController.createHouseholdInvite
+);
+
+/**
+ * DELETE /api/households/:id/invites/:inviteId
+ *
+ * Cancel a pending invite. Owners only.
+ *
+ * @param {string} req.params.id - The household ID.
+ * @param {string} req.params.inviteId - The invite ID.
+ * @returns {object} Success message.
+ * @throws {403} HOUSEHOLD_OWNER_REQUIRED - If the user is not an owner.
+ * @throws {404} If the household or the invite does not exist.
+ * @throws {500} If there is an error cancelling the invite.
+ */
+router.delete(
+  "/:id/invites/:inviteId",
+  householdController.cancelHouseholdInvite
+);
+
+/**
+ * PUT /api/households/:id/members/:userId
+ *
+ * Change a member's role. Owners only; the household must keep at least one owner.
+ *
+ * @param {string} req.params.id - The household ID.
+ * @param {string} req.params.userId - The member's user ID.
+ * @param {string} req.body.role - The new role: `owner`, `editor` or `viewer`.
+ * @returns {object} The updated household.
+ * @throws {400} LAST_OWNER - If the role is invalid, or the change would leave no owner.
+ * @throws {403} HOUSEHOLD_OWNER_REQUIRED - If the user is not an owner.
+ * @throws {404} If the household or the member does not exist.
+ * @throws {500} If there is an error updating the member.
+ */
+router.put("/:id/members/:userId", householdController.updateMember);
+
+/**
+ * DELETE /api/households/:id/members/:userId
+ *
+ * Remove a member from a household. Owners can remove any member, and every member can
+ * remove themselves to leave. When the last member leaves, the household and its carts are deleted.
+ *
+ * @param {string} req.params.id - The household ID.
+ * @param {string} req.params.userId - The member's user ID.
+ * @returns {object} Success message.
+ * @throws {400} LAST_OWNER - If the last owner tries to leave while other members remain.
+ * @throws {403} HOUSEHOLD_OWNER_REQUIRED - If a member who is not an owner tries to remove someone else.
+ * @throws {404} If the household or the member does not exist.
+ * @throws {500} If there is an error removing the member.
+ */
+router.delete("/:id/members/:userId", householdController.removeMember);
+
+module.exports = router;
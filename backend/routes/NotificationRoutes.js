@@ -0,0 +1,62 @@
+/**
+ * Notification Routes - Express Router
+ *
+ * This module handles the in-app notification inbox API routes: listing the notifications
+ * (such as price-drop alerts and household invites), counting the unread ones and
+ * marking them as read.
+ * All routes require a valid token in the `x-auth-token` header.
+ *
+ * @module NotificationRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+const notificationController = require("../controllers/NotificationController");
+const authMiddleware = require("../middleware/AuthMiddleware");
+
+// Apply auth middleware to all notification routes
+router.use(authMiddleware);
+
+/**
+ * GET /api/notifications
+ *
+ * Get the latest notifications in the current user's inbox, newest first.
+ *
+ * @returns {object} `notifications` (type, title, message, link, details and whether each was read) and `unreadCount`.
+ * @throws {500} If there is an error fetching the notifications.
+ */
+router.get("/", notificationController.getNotifications);
+
+/**
+ * GET /api/notifications/unread-count
+ *
+ * Count the unread notifications in the current user's inbox.
+ *
+ * @returns {object} `unreadCount`.
+ * @throws {500} If there is an error counting the notifications.
+ */
+router.get("/unread-count", notificationController.getUnreadCount);
+
+/**
+ * POST /api/notifications/read-all
+ *
+ * Mark all of the current user's notifications as read.
+ *
+ * @returns {object} `unreadCount` (0).
+ * @throws {500} If there is an error updating the notifications.
+ */
+router.post("/read-all", notificationController.markAllNotificationsRead);
+
+/**
+ * POST /api/notifications/:id/read
+ *
+ * Mark a notification as read.
+ *
+ * @param {string} req.params.id - The notification ID.
+ * @returns {object} The `notification` and the remaining `unreadCount`.
+ * @throws {404} If the notification does not exist.
+ * @throws {500} If there is an error updating the notification.
+ */
+router.post("/:id/read", notificationController.markNotificationRead);
+
+module.exports = router;
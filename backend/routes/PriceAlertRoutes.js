@@ -0,0 +1,62 @@
+/**
+ * Price Alert Routes - Express Router
+ *
+ * This module handles the price-drop alert API routes: listing the current user's alerts,
+ * setting a target price on a product (in one chain or in any chain) and removing alerts.
+ * The alerts are checked whenever prices change; when one fires, the user gets an in-app
+ * notification (see NotificationRoutes) and an email.
+ * All routes require a valid token in the `x-auth-token` header and a verified email address,
+ * since alerts are delivered by email.
+ *
+ * @module PriceAlertRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+const priceAlertController = require("../controllers/PriceAlertController");
+const authMiddleware = require("../middleware/AuthMiddleware");
+const verifiedEmailMiddleware = require("../middleware/VerifiedEmailMiddleware");
+
+// Apply auth middleware to all price alert routes
+router.use(authMiddleware);
+router.use(verifiedEmailMiddleware);
+
+/**
+ * GET /api/price-alerts
+ *
+ * Get the current user's price alerts, newest first.
+ *
+ * @returns {object[]} The alerts (product details, chain, target price and when they last fired).
+ * @throws {500} If there is an error fetching the alerts.
+ */
+router.get("/", priceAlertController.getPriceAlerts);
+
+/**
+ * POST /api/price-alerts
+ *
+ * Set a target price on a product. Setting it again for the same product and chain
+ * changes the target and arms the alert again.
+ *
+ * @param {string} req.body.productId - The product's document ID (`_id`).
+ * @param {number} req.body.targetPrice - The price to be notified at.
+ * @param {string|null} [req.body.chain=null] - The chain to watch, or null for the lowest price in any chain.
+ * @returns {object} The alert (201 if it was just created).
+ * @throws {400} If the product ID or target price is invalid, the product is not sold in the chain, or the user has too many alerts (50).
+ * @throws {404} If the product does not exist.
+ * @throws {500} If there is an error saving the alert.
+ */
+router.post("/", priceAlertController.setPriceAlert);
+
+/**
+ * DELETE /api/price-alerts/:id
+ *
+ * Remove one of the current user's price alerts.
+ *
+ * @param {string} req.params.id - The alert ID.
+ * @returns {object} Success message.
+ * @throws {404} If the alert does not exist.
+ * @throws {500} If there is an error removing the alert.
+ */
+router.delete("/:id", priceAlertController.deletePriceAlert);
+
+module.exports = router;
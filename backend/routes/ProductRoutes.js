@@ -3,8 +3,11 @@
  *
  * This module handles all the product-related API routes including fetching all products,
  * getting product details by ID, filtering products by category, searching products,
- * and managing the top-rated and most popular products.
- * It also includes routes that are protected and require admin privileges for creating, updating, and deleting products.
+ * the price history of a product, and managing the top-rated and most popular products.
+ * It also includes protected routes for creating, updating, and deleting products, which require
+ * the catalog or price permissions of a staff role (see AuthorizationService).
+ * Scripts may send a personal API key with the public routes; the key needs the
+ * `catalog:read` scope and its requests count against its rate limit.
  *
  * @module ProductRoutes
  */
@@ -12,55 +15,15 @@
 const express = require("express");
 const router = express.Router();
 const productController = require("../controllers/ProductController");
-const jwt = require("jsonwebtoken");
+const authMiddleware = require("../middleware/AuthMiddleware");
+const authorize = require("../middleware/AuthorizeMiddleware");
+const {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+} = require("../services/AuthorizationService");
 
-/**
- * Auth Middleware for Protected Routes
- *
- * This middleware verifies that the request contains a valid JWT token in the `x-auth-token` header.
- * If the token is invalid or missing, it returns a `401 Unauthorized` error.
- *
- * @param {object} req - The request object.
- * @param {object} res - The response object.
- * @param {function} next - The next middleware function.
- */
-const authMiddleware = (req, res, next) => {
-  const token = req.header("x-auth-token");
-
-  // Check if token exists
-  if (!token) {
-    return res.status(401).json({ message: "אין הרשאה, נדרש טוקן" });
-  }
-
-  try {
-    // Verify token
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || "yourSecretKey"
-    );
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({ message: "טוקן לא תקין" });
-  }
-};
-
-/**
- * Admin Middleware for Admin Routes
- *
- * This middleware checks if the current user is an admin.
- * If the user does not have admin privileges, it returns a `403 Forbidden` error.
- *
- * @param {object} req - The request object.
- * @param {object} res - The response object.
- * @param {function} next - The next middleware function.
- */
-const adminMiddleware = (req, res, next) => {
-  if (!req.user.isAdmin) {
-    return res.status(403).json({ message: "אין הרשאת מנהל" });
-  }
-  next();
-};
+// Check the API key of scripted requests, if one is sent
+router.use(authMiddleware.optionalApiKey(API_KEY_SCOPES.CATALOG_READ));
 
 // Public Product Routes
 
@@ -84,6 +47,16 @@ router.get("/", productController.getAllProducts);
  */
 router.get("/categories", productController.getAllCategories);
 
+/**
+ * GET /api/products/chains
+ *
+ * Get the supermarket chains that have prices in the catalog.
+ *
+ * @returns {Array} List of chain names, sorted.
+ * @throws {500} If there is an error fetching the chains.
+ */
+router.get("/chains", productController.getChains);
+
 /**
  * GET /api/products/category/:category
  *
@@ -98,7 +71,8 @@ router.get("/category/:category", productController.getProductsByCategory);
 /**
  * GET /api/products/search
  *
- * Search for products based on a query string. It can search by product name or category.
+ * Search for products based on a query string. It can search by product name or category,
+ * and a number also by catalog ID or barcode.
  *
  * @param {string} req.query.q - The search query.
  * @returns {Array} List of products matching the search criteria.
@@ -107,16 +81,51 @@ router.get("/category/:category", productController.getProductsByCategory);
  */
 router.get("/search", productController.searchProducts);
 
+/**
+ * GET /api/products/barcode/:code
+ *
+ * Get the product with an EAN/UPC barcode (GTIN-8, 12, 13 or 14). Codes that differ only
+ * by leading zeros (e.g. UPC-A and EAN-13) find the same product.
+ *
+ * @param {string} req.params.code - The barcode.
+ * @returns {object} The product details.
+ * @throws {400} INVALID_BARCODE - If the barcode has the wrong length or check digit.
+ * @throws {404} If no product has the barcode.
+ * @throws {500} If there is an error fetching the product.
+ */
+router.get("/barcode/:code", productController.getProductByBarcode);
+
 /**
  * GET /api/products/top
  *
  * Get the top products based on different criteria (e.g., cheapest, most selected, highest rated).
  *
+ * @param {string} [req.query.criteria="cheapest"] - The criteria to rank the products by.
+ * @param {number} [req.query.limit=10] - How many products to return.
+ * @param {string} [req.query.chains] - Comma-separated chains to compare prices in (all chains by default).
  * @returns {Array} List of top products based on the criteria.
  * @throws {500} If there is an error fetching top products.
  */
 router.get("/top", productController.getTopProducts);
 
+/**
+ * GET /api/products/:id/price-history
+ *
+ * Get the changes of a product's prices, oldest first, with the price each chain had
+ * when the range starts and the lowest price each chain ever had. The history starts
+ * when the catalog was backfilled or the product was created.
+ *
+ * @param {string} req.params.id - The product ID.
+ * @param {string} [req.query.from] - Start of the range (ISO date; the whole history by default).
+ * @param {string} [req.query.to] - End of the range (ISO date; now by default).
+ * @param {string} [req.query.chain] - Only the changes in this chain.
+ * @returns {object} The range, the prices at its start and the all-time lows by chain, and the price changes.
+ * @throws {400} If a date is invalid or the range ends before it starts.
+ * @throws {404} If the product with the given ID is not found.
+ * @throws {500} If there is an error fetching the price history.
+ */
+router.get("/:id/price-history", productController.getPriceHistory);
+
 /**
  * GET /api/products/:id
  *
@@ -129,33 +138,38 @@ router.get("/top", productController.getTopProducts);
  */
 router.get("/:id", productController.getProductById);
 
-// Admin-only Product Routes
+// Staff Product Routes
 
 /**
  * POST /api/products
  *
- * Create a new product. Only accessible to admin users.
+ * Create a new product. Requires the `catalog:write` permission.
  *
  * @param {string} req.body.name - The name of the product.
  * @param {string} req.body.description - The description of the product.
  * @param {string} req.body.category - The category of the product.
  * @param {Object} req.body.prices - Prices of the product in different supermarkets.
  * @param {string} req.body.unit - The unit of the product (e.g., kg, liter).
+ * @param {string} [req.body.barcode] - The EAN/UPC barcode of the product.
  * @returns {object} The newly created product.
- * @throws {400} If required fields like name, category, or prices are missing.
+ * @throws {400} If required fields like name, category, or prices are missing, or INVALID_BARCODE.
+ * @throws {409} BARCODE_TAKEN - If another product has the barcode.
+ * @throws {403} FORBIDDEN / TWO_FACTOR_REQUIRED - If the user lacks the permission or did not sign in with two-factor authentication.
  * @throws {500} If there is an error creating the product.
  */
 router.post(
   "/",
   authMiddleware,
-  adminMiddleware,
+  authorize(PERMISSIONS.CATALOG_WRITE),
   productController.createProduct
 );
 
 /**
  * PUT /api/products/:id
  *
- * Update an existing product. Only accessible to admin users.
+ * Update an existing product. Changing the product details requires the `catalog:write`
+ * permission; changing prices requires the `prices:write` permission for each chain whose
+ * price changes (price editors are limited to their own chains).
  *
  * @param {string} req.params.id - The product ID.
  * @param {string} req.body.name - The name of the product (optional).
@@ -163,33 +177,38 @@ router.post(
  * @param {string} req.body.category - The category of the product (optional).
  * @param {Object} req.body.prices - Prices of the product in different supermarkets (optional).
  * @param {string} req.body.unit - The unit of the product (optional).
+ * @param {string} req.body.barcode - The EAN/UPC barcode of the product, or an empty string to remove it (optional).
  * @param {number} req.body.popularity - The popularity rating of the product (optional).
  * @param {number} req.body.rating - The rating of the product (optional).
  * @returns {object} The updated product.
+ * @throws {400} INVALID_BARCODE - If the barcode has the wrong length or check digit.
+ * @throws {403} FORBIDDEN / CHAIN_NOT_ALLOWED / TWO_FACTOR_REQUIRED - If the user may not make these changes.
  * @throws {404} If the product with the given ID is not found.
+ * @throws {409} BARCODE_TAKEN - If another product has the barcode.
  * @throws {500} If there is an error updating the product.
  */
 router.put(
   "/:id",
   authMiddleware,
-  adminMiddleware,
+  authorize(PERMISSIONS.CATALOG_WRITE, PERMISSIONS.PRICES_WRITE),
   productController.updateProduct
 );
 
 /**
  * DELETE /api/products/:id
  *
- * Delete a specific product by its ID. Only accessible to admin users.
+ * Delete a specific product by its ID. Requires the `catalog:write` permission.
  *
  * @param {string} req.params.id - The product ID.
  * @returns {object} Success message indicating the product has been deleted.
+ * @throws {403} FORBIDDEN / TWO_FACTOR_REQUIRED - If the user lacks the permission or did not sign in with two-factor authentication.
  * @throws {404} If the product with the given ID is not found.
  * @throws {500} If there is an error deleting the product.
  */
 router.delete(
   "/:id",
   authMiddleware,
-  adminMiddleware,
+  authorize(PERMISSIONS.CATALOG_WRITE),
   productController.deleteProduct
 );
 
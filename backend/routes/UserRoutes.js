@@ -0,0 +1,359 @@
+/**
+ * User Routes - Express Router
+ *
+ * This module handles the account self-service API routes for the authenticated user:
+ * viewing and updating the profile and shopping preferences, uploading a profile picture, changing the password,
+ * managing two-factor authentication, viewing and signing out logged-in devices,
+ * managing personal API keys, exporting all of the user's data,
+ * viewing the activity log and permissions, and deleting the account.
+ * Support staff can also view the activity log of any user.
+ * All routes require a valid token in the `x-auth-token` header; API keys are not accepted.
+ *
+ * @module UserRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+const userController = require("../controllers/UserController");
+const twoFactorController = require("../controllers/TwoFactorController");
+const sessionController = require("../controllers/SessionController");
+const apiKeyController = require("../controllers/ApiKeyController");
+const dataExportController = require("../controllers/DataExportController");
+const authMiddleware = require("../middleware/AuthMiddleware");
+const avatarUploadMiddleware = require("../middleware/UploadMiddleware");
+const authorize = require("../middleware/AuthorizeMiddleware");
+const { PERMISSIONS } = require("../services/AuthorizationService");
+const createRateLimiter = require("../middleware/RateLimitMiddleware");
+
+// Limit how many two-factor codes a user can try on the account routes
+const twoFactorCodeLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: "יותר מדי ניסיונות אימות, נסו שוב מאוחר יותר",
+  keyGenerator: (req) => req.user.userId,
+});
+
+// Limit how often a user can request a data export
+const dataExportLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  message: "יותר מדי בקשות לקובץ נתונים, נסו שוב מאוחר יותר",
+  keyGenerator: (req) => req.user.userId,
+});
+
+// Apply auth middleware to all user routes
+router.use(authMiddleware);
+
+/**
+ * GET /api/user/profile
+ *
+ * Get the profile of the current user.
+ *
+ * @returns {object} The user's profile excluding the password.
+ * @throws {404} If the user no longer exists.
+ * @throws {500} If there is an error fetching the profile.
+ */
+router.get("/profile", userController.getProfile);
+
+/**
+ * PUT /api/user/profile
+ *
+ * Update the current user's name and/or email.
+ *
+ * @param {string} req.body.name - The new name (optional).
+ * @param {string} req.body.email - The new email (optional).
+ * @param {string} req.body.currentPassword - The current password, required when changing the email.
+ * @returns {object} The updated user profile.
+ * @throws {400} If the data is invalid or the current password is missing.
+ * @throws {401} If the current password is wrong.
+ * @throws {409} If the new email is already registered.
+ * @throws {500} If there is an error updating the profile.
+ */
+router.put("/profile", userController.updateProfile);
+
+/**
+ * PUT /api/user/preferences
+ *
+ * Update the current user's shopping preferences. Prices and totals of excluded chains
+ * are hidden, preferred chains are listed first and the default chain is listed before them.
+ *
+ * @param {string[]} req.body.preferredChains - The chains the user prefers.
+ * @param {string[]} req.body.excludedChains - The chains the user never shops at.
+ * @param {string|null} req.body.defaultChain - The chain the user usually shops at (optional).
+ * @returns {object} The updated shopping preferences.
+ * @throws {400} If a chain is unknown, both preferred and excluded, the default chain is excluded, or every chain is excluded.
+ * @throws {404} If the user no longer exists.
+ * @throws {500} If there is an error saving the preferences.
+ */
+router.put("/preferences", userController.updateShoppingPreferences);
+
+/**
+ * POST /api/user/profile-picture
+ *
+ * Upload a new profile picture as multipart form data in the `avatar` field.
+ * The image is resized into large and thumbnail versions and replaces the previous picture.
+ *
+ * @param {File} req.file - The image file (JPEG, PNG, WEBP or GIF, up to 2 MB by default).
+ * @returns {object} The URLs of the large and thumbnail versions.
+ * @throws {400} If no file was sent, or it is too large or not a valid image.
+ * @throws {500} If there is an error processing or storing the image.
+ */
+router.post(
+  "/profile-picture",
+  avatarUploadMiddleware,
+  userController.uploadProfilePicture
+);
+
+/**
+ * PUT /api/user/change-password
+ *
+ * Change the current user's password and sign out all other devices.
+ *
+ * @param {string} req.body.currentPassword - The current password.
+ * @param {string} req.body.newPassword - The new password.
+ * @returns {object} Success message with a new access token and refresh token.
+ * @throws {400} If a password is missing or the new password does not meet the password policy.
+ * @throws {401} If the current password is wrong.
+ * @throws {500} If there is an error changing the password.
+ */
+router.put("/change-password", userController.changePassword);
+
+/**
+ * GET /api/user/activities
+ *
+ * Get the current user's activity log (sign-ins, password changes, saved cart
+ * actions and product edits), newest first.
+ *
+ * @param {number} req.query.page - The page number (default 1).
+ * @param {number} req.query.limit - The number of activities per page (default 10, max 50).
+ * @returns {object} The activities and pagination details (page, limit, total, totalPages).
+ * @throws {500} If there is an error fetching the activities.
+ */
+router.get("/activities", userController.getActivities);
+
+/**
+ * GET /api/user/permissions
+ *
+ * Get the current user's staff roles and permissions.
+ *
+ * @returns {object} The roles, the permissions and the chains whose prices the user may change (null for every chain).
+ * @throws {404} If the user no longer exists.
+ * @throws {500} If there is an error fetching the permissions.
+ */
+router.get("/permissions", userController.getPermissions);
+
+/**
+ * GET /api/user/:userId/activities
+ *
+ * Get another user's activity log, newest first. Requires the `users:read` permission (support).
+ *
+ * @param {string} req.params.userId - The user ID.
+ * @param {number} req.query.page - The page number (default 1).
+ * @param {number} req.query.limit - The number of activities per page (default 10, max 50).
+ * @returns {object} The activities and pagination details (page, limit, total, totalPages).
+ * @throws {400} If the user ID is invalid.
+ * @throws {403} FORBIDDEN / TWO_FACTOR_REQUIRED - If the user lacks the permission or did not sign in with two-factor authentication.
+ * @throws {500} If there is an error fetching the activities.
+ */
+router.get(
+  "/:userId/activities",
+  authorize(PERMISSIONS.USERS_READ),
+  userController.getActivities
+);
+
+/**
+ * GET /api/user/sessions
+ *
+ * Get the devices the current user is logged in on.
+ *
+ * @returns {object[]} The active sessions (user agent, IP, created and last-seen times), with the current one marked.
+ * @throws {500} If there is an error fetching the sessions.
+ */
+router.get("/sessions", sessionController.getSessions);
+
+/**
+ * DELETE /api/user/sessions/:id
+ *
+ * Sign out one of the current user's devices.
+ *
+ * @param {string} req.params.id - The session ID.
+ * @returns {object} Success message.
+ * @throws {404} If the session does not exist or was already signed out.
+ * @throws {500} If there is an error signing out the device.
+ */
+router.delete("/sessions/:id", sessionController.revokeSession);
+
+/**
+ * DELETE /api/user/sessions
+ *
+ * Sign out the current user on every device, including this one.
+ *
+ * @returns {object} Success message.
+ * @throws {500} If there is an error signing out the devices.
+ */
+router.delete("/sessions", sessionController.revokeAllSessions);
+
+/**
+ * GET /api/user/api-keys
+ *
+ * Get the current user's active API keys. The keys themselves are never returned.
+ *
+ * @returns {object[]} The keys (name, prefix, scopes, rate limit, created and last-used times).
+ * @throws {500} If there is an error fetching the keys.
+ */
+router.get("/api-keys", apiKeyController.getApiKeys);
+
+/**
+ * POST /api/user/api-keys
+ *
+ * Create a personal API key for scripts, sent in the `x-api-key` header.
+ *
+ * @param {string} req.body.name - A name for the key (up to 50 characters).
+ * @param {string[]} req.body.scopes - The scopes: `catalog:read`, `cart:read` and/or `cart:write`.
+ * @param {number} [req.body.rateLimit=60] - Requests allowed per minute (1-600).
+ * @returns {object} The key details and the key itself, which is shown only once.
+ * @throws {400} If the name, scopes or rate limit are invalid, or the user has too many keys.
+ * @throws {500} If there is an error creating the key.
+ */
+router.post("/api-keys", apiKeyController.createApiKey);
+
+/**
+ * DELETE /api/user/api-keys/:id
+ *
+ * Revoke one of the current user's API keys.
+ *
+ * @param {string} req.params.id - The key ID.
+ * @returns {object} Success message.
+ * @throws {404} If the key does not exist or was already revoked.
+ * @throws {500} If there is an error revoking the key.
+ */
+router.delete("/api-keys/:id", apiKeyController.revokeApiKey);
+
+/**
+ * POST /api/user/export
+ *
+ * Start building a zip with all of the current user's data: the profile, saved carts,
+ * activity log, logged-in devices, API keys and households, as JSON and CSV files. The export is
+ * built in the background; an export already being built is returned instead of a new one.
+ * Starting a new export deletes the previous one.
+ *
+ * @returns {object} The export (id, status, size, created, completed and expiry times).
+ * @throws {429} If too many exports were requested.
+ * @throws {500} If there is an error starting the export.
+ */
+router.post("/export", dataExportLimiter, dataExportController.requestDataExport);
+
+/**
+ * GET /api/user/export
+ *
+ * Get the status of the current user's latest data export.
+ *
+ * @returns {object|null} The export (status pending, processing, ready, failed or expired), or null if there is none.
+ * @throws {500} If there is an error fetching the export.
+ */
+router.get("/export", dataExportController.getDataExport);
+
+/**
+ * GET /api/user/export/:id/download
+ *
+ * Download the zip file of a ready data export. Exports can be downloaded for 7 days.
+ *
+ * @param {string} req.params.id - The export ID.
+ * @returns {File} The zip file.
+ * @throws {404} If the export does not exist, is not ready or has expired.
+ * @throws {500} If there is an error sending the file.
+ */
+router.get("/export/:id/download", dataExportController.downloadDataExport);
+
+/**
+ * GET /api/user/2fa
+ *
+ * Get the current user's two-factor authentication status.
+ *
+ * @returns {object} Whether it is enabled, whether it is required (for staff roles) and the number of recovery codes left.
+ * @throws {404} If the user no longer exists.
+ * @throws {500} If there is an error fetching the status.
+ */
+router.get("/2fa", twoFactorController.getStatus);
+
+/**
+ * POST /api/user/2fa/setup
+ *
+ * Start two-factor setup with a new secret for an authenticator app.
+ *
+ * @returns {object} The secret, the otpauth:// provisioning URI and a QR code image (data URL).
+ * @throws {400} If two-factor authentication is already enabled.
+ * @throws {500} If there is an error starting the setup.
+ */
+router.post("/2fa/setup", twoFactorController.setup);
+
+/**
+ * POST /api/user/2fa/enable
+ *
+ * Confirm the setup with a code from the authenticator app and enable two-factor
+ * authentication. Signs out all other devices.
+ *
+ * @param {string} req.body.code - The 6-digit code from the authenticator app.
+ * @returns {object} The recovery codes (shown only once) with a new access token and refresh token.
+ * @throws {400} If the code is wrong or two-factor authentication is already enabled.
+ * @throws {429} If too many codes were tried.
+ * @throws {500} If there is an error enabling two-factor authentication.
+ */
+router.post(
+  "/2fa/enable",
+  twoFactorCodeLimiter,
+  twoFactorController.enable
+);
+
+/**
+ * POST /api/user/2fa/disable
+ *
+ * Disable two-factor authentication. Not allowed for staff roles.
+ *
+ * @param {string} req.body.password - The current password.
+ * @param {string} req.body.code - A code from the authenticator app or a recovery code.
+ * @returns {object} Success message.
+ * @throws {400} If data is missing or two-factor authentication is not enabled.
+ * @throws {401} If the password or code is wrong.
+ * @throws {403} If the user has a staff role.
+ * @throws {429} If too many codes were tried.
+ * @throws {500} If there is an error disabling two-factor authentication.
+ */
+router.post(
+  "/2fa/disable",
+  twoFactorCodeLimiter,
+  twoFactorController.disable
+);
+
+/**
+ * POST /api/user/2fa/recovery-codes
+ *
+ * Replace all recovery codes with a new set.
+ *
+ * @param {string} req.body.code - A code from the authenticator app or a recovery code.
+ * @returns {object} The new recovery codes (shown only once).
+ * @throws {400} If two-factor authentication is not enabled.
+ * @throws {401} If the code is wrong.
+ * @throws {429} If too many codes were tried.
+ * @throws {500} If there is an error creating the codes.
+ */
+router.post(
+  "/2fa/recovery-codes",
+  twoFactorCodeLimiter,
+  twoFactorController.regenerateRecoveryCodes
+);
+
+/**
+ * DELETE /api/user/account
+ *
+ * Permanently delete the current user's account and all of their data.
+ *
+ * @param {string} req.body.password - The current password.
+ * @returns {object} Success message.
+ * @throws {400} If the password is missing.
+ * @throws {401} If the password is wrong.
+ * @throws {500} If there is an error deleting the account.
+ */
+router.delete("/account", userController.deleteAccount);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+/**
+ * Email verification backfill script
+ *
+ * Marks the accounts created before email verification was introduced as verified.
+ * Those accounts have no emailVerified field, so without this they would count as
+ * unverified and lose access to their saved carts. Accounts created since then always
+ * have the field (false until verified), so they are not touched and the script is
+ * safe to run again.
+ *
+ * Usage: node scripts/backfillEmailVerified.js
+ */
+const mongoose = require("mongoose");
+const User = require("../models/User");
+require("dotenv").config();
+
+// Connect to MongoDB
+mongoose
+  .connect(process.env.MONGO_URI || "mongodb://localhost:27017/auth-app")
+  .then(async () => {
+    try {
+      const result = await User.updateMany(
+        { emailVerified: { $exists: false } },
+        { $set: { emailVerified: true } }
+      );
+      console.log(`Marked ${result.modifiedCount} existing accounts as verified`);
+    } catch (error) {
+      console.error("Error backfilling email verification:", error);
+      process.exitCode = 1;
+    } finally {
+      await mongoose.disconnect();
+    }
+  })
+  .catch((err) => {
+    console.error("MongoDB connection error:", err);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,31 @@
+/**
+ * Price history backfill script
+ *
+ * Records the current prices of every product that has no price history yet, so the
+ * history of a catalog that existed before prices were tracked starts from today.
+ * Products that already have a history are skipped, so the script is safe to run again.
+ *
+ * Usage: node scripts/backfillPriceHistory.js
+ */
+const mongoose = require("mongoose");
+const priceHistoryService = require("../services/PriceHistoryService");
+require("dotenv").config();
+
+// Connect to MongoDB
+mongoose
+  .connect(process.env.MONGO_URI || "mongodb://localhost:27017/auth-app")
+  .then(async () => {
+    try {
+      const { products, prices } = await priceHistoryService.backfill();
+      console.log(`Recorded ${prices} prices of ${products} products`);
+    } catch (error) {
+      console.error("Error backfilling price history:", error);
+      process.exitCode = 1;
+    } finally {
+      await mongoose.disconnect();
+    }
+  })
+  .catch((err) => {
+    console.error("MongoDB connection error:", err);
+    process.exitCode = 1;
+  });
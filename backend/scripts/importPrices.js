@@ -0,0 +1,84 @@
+/**
+ * Price import script
+ *
+ * Updates product prices from a JSON file, records the changes in the price history and
+ * checks the users' price-drop alerts on every product whose prices changed, like a price
+ * change made through the staff routes.
+ *
+ * Usage: node scripts/importPrices.js <file.json>
+ *
+ * The file holds an array of products by their catalog number, each with the prices to
+ * set by chain; chains that are not listed keep their current price:
+ *   [{ "id": 1, "prices": { "רמי לוי": 5.2, "שופרסל": 5.6 } }]
+ */
+const fs = require("fs");
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const priceAlertService = require("../services/PriceAlertService");
+const priceHistoryService = require("../services/PriceHistoryService");
+require("dotenv").config();
+
+/**
+ * Apply the imported prices to the products, record them in the history and check their alerts.
+ *
+ * @param {Array<{id: number, prices: Object}>} entries - The imported prices
+ * @returns {Promise<{updated: number, missing: number, alerts: number}>} - What the import changed
+ */
+const importPrices = async (entries) => {
+  const summary = { updated: 0, missing: 0, alerts: 0 };
+
+  for (const entry of entries) {
+    const product = await Product.findOne({ id: entry.id });
+    if (!product) {
+      console.warn(`Product ${entry.id} not found, skipping`);
+      summary.missing += 1;
+      continue;
+    }
+
+    const previousPrices = Object.fromEntries(product.prices);
+    const changed = Object.entries(entry.prices || {}).filter(
+      ([chain, price]) =>
+        Number.isFinite(Number(price)) && previousPrices[chain] !== Number(price)
+    );
+    if (changed.length === 0) continue;
+
+    changed.forEach(([chain, price]) => product.prices.set(chain, Number(price)));
+    product.updatedAt = Date.now();
+    await product.save();
+    summary.updated += 1;
+    await priceHistoryService.recordPriceChanges(product, previousPrices, {
+      source: "import",
+    });
+    summary.alerts += await priceAlertService.checkPriceChange(product, previousPrices);
+  }
+
+  return summary;
+};
+
+const file = process.argv[2];
+if (!file) {
+  console.error("Usage: node scripts/importPrices.js <file.json>");
+  process.exit(1);
+}
+
+// Connect to MongoDB
+mongoose
+  .connect(process.env.MONGO_URI || "mongodb://localhost:27017/auth-app")
+  .then(async () => {
+    try {
+      const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+      const { updated, missing, alerts } = await importPrices(entries);
+      console.log(
+        `Updated ${updated} products (${missing} not found), sent ${alerts} price alerts`
+      );
+    } catch (error) {
+      console.error("Error importing prices:", error);
+      process.exitCode = 1;
+    } finally {
+      await mongoose.disconnect();
+    }
+  })
+  .catch((err) => {
+    console.error("MongoDB connection error:", err);
+    process.exitCode = 1;
+  });
@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 const Product = require("../models/Product");
+const PriceHistory = require("../models/PriceHistory");
+const priceHistoryService = require("../services/PriceHistoryService");
 require("dotenv").config();
 
 const sampleProducts = [
@@ -1815,14 +1817,20 @@ mongoose
     console.log("MongoDB connected");
 
     try {
-      // Clear existing products
+      // Clear existing products and their price history
       await Product.deleteMany({});
+      await PriceHistory.deleteMany({});
       console.log("Cleared existing products");
 
       // Insert sample products
       const inserted = await Product.insertMany(sampleProducts);
       console.log(`Added ${inserted.length} products to the database`);
 
+      // Start the price history from the sample prices
+      for (const product of inserted) {
+        await priceHistoryService.recordSnapshot(product, "create");
+      }
+
       mongoose.disconnect();
       console.log("Database connection closed");
     } catch (error) {
@@ -0,0 +1,91 @@
+/**
+ * Activity Service
+ *
+ * Records entries in a user's activity log. Logging is best effort: a failure
+ * to write an activity is reported to the console but never fails the request
+ * that triggered it.
+ *
+ * @module ActivityService
+ */
+
+const Activity = require("../models/Activity");
+
+// Longest user agent string that is stored
+const MAX_USER_AGENT_LENGTH = 300;
+
+/**
+ * Record an activity for a user.
+ *
+ * @param {Request} req - The request that performed the action (used for the IP and user agent)
+ * @param {string} userId - The ID of the user the activity belongs to
+ * @param {string} type - The activity type, one of the types listed in the Activity model
+ * @param {Object} [details={}] - Extra information about the action
+ * @returns {Promise<void>}
+ */
+exports.logActivity = async (req, userId, type, details = {}) => {
+  try {
+    await Activity.create({
+      userId,
+      type,
+      details,
+      ip: req.ip || "",
+      userAgent: (req.get("user-agent") || "").slice(0, MAX_USER_AGENT_LENGTH),
+    });
+  } catch (error) {
+    console.error("Error logging activity:", error);
+  }
+};
+
+/**
+ * Record an action a staff member took on a user's account, in that user's activity log.
+ * The staff member's IP and user agent are left out, so the entry does not look like a
+ * sign-in from a device the user does not know; the staff member's ID is kept in the details.
+ *
+ * @param {Request} req - The staff member's request
+ * @param {string} userId - The ID of the user whose account was changed
+ * @param {string} type - The activity type, one of the types listed in the Activity model
+ * @param {Object} [details={}] - Extra information about the action
+ * @returns {Promise<void>}
+ */
+exports.logStaffActivity = async (req, userId, type, details = {}) => {
+  try {
+    await Activity.create({
+      userId,
+      type,
+      details: { ...details, changedBy: req.user.userId },
+    });
+  } catch (error) {
+    console.error("Error logging activity:", error);
+  }
+};
+
+/**
+ * Get a page of a user's activities, newest first.
+ *
+ * @param {string} userId - The user ID
+ * @param {number} page - The page number, starting at 1
+ * @param {number} limit - The number of activities per page
+ * @returns {Promise<{activities: Object[], total: number}>} - The page of activities and the total count
+ */
+exports.getActivities = async (userId, page, limit) => {
+  const [activities, total] = await Promise.all([
+    Activity.find({ userId })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("-userId -__v"),
+    Activity.countDocuments({ userId }),
+  ]);
+
+  return { activities, total };
+};
+
+/**
+ * Remove all of a user's activities (used when the account is deleted).
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+exports.removeAllForUser = async (userId) => {
+  await Activity.deleteMany({ userId });
+};
@@ -0,0 +1,130 @@
+/**
+ * API Key Service
+ *
+ * Creates, checks and revokes the personal API keys that scripts send in the
+ * `x-api-key` header instead of a login token. Keys look like `sc_<random>`; only
+ * their SHA-256 hash is stored, so a lost key cannot be shown again, only revoked.
+ *
+ * @module ApiKeyService
+ */
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+
+// Prefix of every key, so leaked keys are easy to recognize
+const KEY_PREFIX = "sc_";
+
+// How many characters of a key are kept to tell keys apart
+const DISPLAY_PREFIX_LENGTH = 10;
+
+// Most active keys a user can have
+const MAX_KEYS_PER_USER = 10;
+
+// How often the last-used time of a key is written (at most once a minute)
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hash a raw key so that only its digest is ever stored in the database.
+ *
+ * @param {string} key - The raw key
+ * @returns {string} - The SHA-256 hex digest of the key
+ */
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Create an API key for a user.
+ *
+ * @param {string} userId - The user ID
+ * @param {Object} options
+ * @param {string} options.name - A name that reminds the user what the key is for
+ * @param {string[]} options.scopes - The scopes the key grants
+ * @param {number} [options.rateLimit] - Requests allowed per minute
+ * @returns {Promise<{apiKey: Object, key: string}|null>} - The stored key and the raw key
+ *   (shown to the user once), or null if the user already has the most keys allowed
+ */
+exports.createKey = async (userId, { name, scopes, rateLimit }) => {
+  const activeKeys = await ApiKey.countDocuments({ userId, revokedAt: null });
+  if (activeKeys >= MAX_KEYS_PER_USER) return null;
+
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString("base64url");
+  const apiKey = await ApiKey.create({
+    userId,
+    name,
+    scopes: [...new Set(scopes)],
+    rateLimit,
+    keyHash: hashKey(key),
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Find the active key matching a raw key, and record that it was used.
+ * Keys of disabled accounts are not accepted.
+ *
+ * @param {Request} req - The request the key was sent with
+ * @param {string} key - The raw key
+ * @returns {Promise<Object|null>} - The key, or null if it is unknown, revoked or its account is disabled
+ */
+exports.authenticate = async (req, key) => {
+  if (!key.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key), revokedAt: null });
+  if (!apiKey) return null;
+
+  const user = await User.findById(apiKey.userId).select("disabled");
+  if (!user || user.disabled) return null;
+
+  if (
+    !apiKey.lastUsedAt ||
+    Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS
+  ) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip || "" }
+    );
+  }
+
+  return apiKey;
+};
+
+/**
+ * List a user's active keys, newest first.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object[]>} - The keys
+ */
+exports.listKeys = (userId) =>
+  ApiKey.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+
+/**
+ * Revoke one of a user's keys. It stops working immediately.
+ *
+ * @param {string} userId - The user ID
+ * @param {string} keyId - The key ID
+ * @returns {Promise<Object|null>} - The revoked key, or null if the user has no such active key
+ */
+exports.revokeKey = async (userId, keyId) => {
+  if (!mongoose.isValidObjectId(keyId)) return null;
+
+  return ApiKey.findOneAndUpdate(
+    { _id: keyId, userId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Remove all of a user's keys (when the account is deleted).
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+exports.removeAllForUser = async (userId) => {
+  await ApiKey.deleteMany({ userId });
+};
+
+exports.MAX_KEYS_PER_USER = MAX_KEYS_PER_USER;
@@ -0,0 +1,131 @@
+/**
+ * Authorization Service
+ *
+ * Defines the staff roles and the permissions each one grants:
+ * - super_admin: every permission, for all supermarket chains.
+ * - catalog_editor: create, edit and delete products (including the prices of a new product).
+ * - price_editor: change the prices of existing products, only in the chains listed in
+ *   the user's `priceChains`.
+ * - support: view any user's saved carts and account activity.
+ *
+ * Users with the legacy `isAdmin` flag are treated as super admins.
+ *
+ * It also defines the scopes of personal API keys. A request made with an API key is
+ * limited to the key's scopes and never has staff permissions.
+ *
+ * Finally, it defines the roles of household members, which control what each member
+ * may do with the carts the household shares.
+ *
+ * @module AuthorizationService
+ */
+
+// Permissions checked by the authorization middleware and controllers
+const PERMISSIONS = {
+  CATALOG_WRITE: "catalog:write", // Create, edit and delete products
+  PRICES_WRITE: "prices:write", // Change prices of existing products
+  CARTS_READ_ANY: "carts:read_any", // View any user's saved carts
+  USERS_READ: "users:read", // View user accounts and their activity
+  USERS_MANAGE: "users:manage", // Change roles and manage accounts
+};
+
+// The permissions granted by each role
+const ROLE_PERMISSIONS = {
+  super_admin: Object.values(PERMISSIONS),
+  catalog_editor: [PERMISSIONS.CATALOG_WRITE],
+  price_editor: [PERMISSIONS.PRICES_WRITE],
+  support: [PERMISSIONS.CARTS_READ_ANY, PERMISSIONS.USERS_READ],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Scopes that can be granted to a personal API key
+const API_KEY_SCOPES = {
+  CATALOG_READ: "catalog:read", // Read products and categories
+  CART_READ: "cart:read", // Read the user's saved carts
+  CART_WRITE: "cart:write", // Create, update and delete the user's saved carts
+};
+
+// Roles of household members
+const HOUSEHOLD_ROLES = {
+  OWNER: "owner", // Manage the household, its members and invites, and edit its carts
+  EDITOR: "editor", // Create, update and delete the household's carts
+  VIEWER: "viewer", // View and load the household's carts
+};
+
+/**
+ * Get a user's roles, including super_admin for the legacy isAdmin flag.
+ *
+ * @param {Object} user - The user document
+ * @returns {string[]} - The role names
+ */
+const getRoles = (user) => {
+  const roles = (user.roles || []).filter((role) => ROLES.includes(role));
+  if (user.isAdmin && !roles.includes("super_admin")) roles.push("super_admin");
+  return roles;
+};
+
+/**
+ * Work out what a user may do.
+ *
+ * @param {Object} user - The user document, with its roles and price chains
+ * @returns {{roles: string[], permissions: string[], priceChains: string[]|null}} -
+ *   The roles, the granted permissions and the chains whose prices the user may
+ *   change (null means every chain)
+ */
+exports.getAccess = (user) => {
+  const roles = getRoles(user);
+  const permissions = [
+    ...new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role])),
+  ];
+  const priceChains = roles.includes("super_admin")
+    ? null
+    : roles.includes("price_editor")
+      ? user.priceChains || []
+      : [];
+
+  return { roles, permissions, priceChains };
+};
+
+/**
+ * Check whether an access object grants a permission.
+ *
+ * @param {Object} access - The result of getAccess
+ * @param {string} permission - The permission
+ * @returns {boolean}
+ */
+exports.hasPermission = (access, permission) =>
+  access.permissions.includes(permission);
+
+/**
+ * Check whether an access object allows changing prices in a supermarket chain.
+ *
+ * @param {Object} access - The result of getAccess
+ * @param {string} chain - The supermarket chain
+ * @returns {boolean}
+ */
+exports.canEditPrices = (access, chain) =>
+  exports.hasPermission(access, PERMISSIONS.PRICES_WRITE) &&
+  (access.priceChains === null || access.priceChains.includes(chain));
+
+/**
+ * Check whether a user holds any staff role. Staff must use two-factor authentication.
+ *
+ * @param {Object} user - The user document
+ * @returns {boolean}
+ */
+exports.isStaff = (user) => getRoles(user).length > 0;
+
+/**
+ * Check whether a household role allows changing the household's carts.
+ *
+ * @param {string|null} role - The member's household role
+ * @returns {boolean}
+ */
+exports.canEditHouseholdCarts = (role) =>
+  role === HOUSEHOLD_ROLES.OWNER || role === HOUSEHOLD_ROLES.EDITOR;
+
+exports.PERMISSIONS = PERMISSIONS;
+exports.ROLES = ROLES;
+exports.API_KEY_SCOPES = API_KEY_SCOPES;
+exports.HOUSEHOLD_ROLES = HOUSEHOLD_ROLES;
+exports.getRoles = getRoles;
@@ -0,0 +1,54 @@
+/**
+ * Barcode Service
+ *
+ * Checks product barcodes (EAN/UPC, known together as GTIN) and finds the forms a barcode
+ * can be written in. A GTIN has 8, 12, 13 or 14 digits, the last of which is a check digit.
+ * The same product can be scanned as UPC-A (12 digits) or EAN-13 (the same digits with a
+ * leading zero), so lookups match every zero-padded form of a code.
+ *
+ * @module BarcodeService
+ */
+
+// The lengths of the GTIN formats: GTIN-8 (EAN-8), GTIN-12 (UPC-A), GTIN-13 (EAN-13) and GTIN-14
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+/**
+ * Clean up a barcode as typed or scanned: remove spaces and dashes.
+ *
+ * @param {string} code - The barcode
+ * @returns {string} - The barcode digits
+ */
+exports.normalizeBarcode = (code) => String(code ?? "").replace(/[\s-]/g, "");
+
+/**
+ * Check whether a barcode is a valid GTIN: 8, 12, 13 or 14 digits with a correct check
+ * digit. From the right, the digits before the check digit are weighted 3, 1, 3, 1...,
+ * and the check digit brings their sum up to a multiple of 10.
+ *
+ * @param {string} code - The barcode digits
+ * @returns {boolean} - Whether the barcode is valid
+ */
+exports.isValidGtin = (code) => {
+  if (!/^\d+$/.test(code) || !GTIN_LENGTHS.includes(code.length)) return false;
+
+  const digits = [...code].map(Number);
+  const checkDigit = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === checkDigit;
+};
+
+/**
+ * Get the forms a valid barcode can be stored in: the same digits padded with leading
+ * zeros to each GTIN length (e.g. a UPC-A code and the EAN-13 code that starts with 0).
+ *
+ * @param {string} code - A valid barcode
+ * @returns {string[]} - The barcode in each GTIN length it fits in
+ */
+exports.getEquivalentBarcodes = (code) => {
+  const significant = code.replace(/^0+/, "");
+  return GTIN_LENGTHS.filter((length) => length >= significant.length).map(
+    (length) => significant.padStart(length, "0")
+  );
+};
@@ -0,0 +1,26 @@
+/**
+ * Chain Service
+ *
+ * Works with the supermarket chains of the catalog. The chains are not stored on their
+ * own: they are the keys of the product `prices` maps, so a chain exists as long as
+ * some product has a price in it.
+ *
+ * @module ChainService
+ */
+
+const Product = require("../models/Product");
+
+/**
+ * List the supermarket chains that have prices in the catalog.
+ *
+ * @returns {Promise<string[]>} - The chain names, sorted
+ */
+exports.listChains = async () => {
+  const chains = await Product.aggregate([
+    { $project: { chains: { $objectToArray: "$prices" } } },
+    { $unwind: "$chains" },
+    { $group: { _id: "$chains.k" } },
+    { $sort: { _id: 1 } },
+  ]);
+  return chains.map((chain) => chain._id);
+};
@@ -0,0 +1,355 @@
+/**
+ * Data Export Service
+ *
+ * Builds the personal data export a user can download from the account page: a zip
+ * with everything stored about them (profile, saved carts, account activity,
+ * logged-in devices, API keys, household memberships, favorite products, price alerts and
+ * notifications) as one JSON file plus a CSV file per collection.
+ * Secrets such as the password hash, token hashes and two-factor secrets are left out.
+ *
+ * Exports run in the background after they are requested; the zip is written to the
+ * private exports directory (`EXPORTS_DIR`, not served publicly) and can be downloaded
+ * for a limited time. Requesting a new export replaces the previous one.
+ *
+ * @module DataExportService
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const mongoose = require("mongoose");
+const DataExport = require("../models/DataExport");
+const User = require("../models/User");
+const Cart = require("../models/Cart");
+const Activity = require("../models/Activity");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const Household = require("../models/Household");
+const Favorite = require("../models/Favorite");
+const PriceAlert = require("../models/PriceAlert");
+const Notification = require("../models/Notification");
+const { createZip } = require("./ZipService");
+
+// Ready exports can be downloaded for 7 days
+const EXPORT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Exports still unfinished after this long are treated as failed (e.g. the server restarted)
+const STALE_EXPORT_MS = 10 * 60 * 1000;
+
+/**
+ * Get the directory export files are written to.
+ *
+ * @returns {string} - The absolute exports directory
+ */
+const getExportsDir = () =>
+  process.env.EXPORTS_DIR || path.join(__dirname, "..", "exports");
+
+/**
+ * Get the path of an export's zip file.
+ *
+ * @param {Object} dataExport - The export document
+ * @returns {string} - The file path
+ */
+const getExportPath = (dataExport) =>
+  path.join(getExportsDir(), String(dataExport.userId), `${dataExport._id}.zip`);
+
+/**
+ * Turn a list of records into CSV text. Values are quoted when needed, and the text
+ * starts with a byte order mark so spreadsheet programs read Hebrew correctly.
+ *
+ * @param {string[]} columns - The column names
+ * @param {Array<Object>} rows - The records, keyed by column name
+ * @returns {string} - The CSV text
+ */
+const toCsv = (columns, rows) => {
+  const escape = (value) => {
+    if (value === undefined || value === null) return "";
+    const text =
+      value instanceof Date
+        ? value.toISOString()
+        : typeof value === "object"
+          ? JSON.stringify(value)
+          : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [columns, ...rows.map((row) => columns.map((c) => row[c]))].map(
+    (values) => values.map(escape).join(",")
+  );
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+};
+
+/**
+ * Collect everything stored about a user.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} - The user's data, by collection
+ */
+const collectUserData = async (userId) => {
+  const [
+    user,
+    carts,
+    activities,
+    sessions,
+    apiKeys,
+    households,
+    favorites,
+    priceAlerts,
+    notifications,
+  ] = await Promise.all([
+    User.findById(userId).lean(),
+    Cart.find({ userId }).sort({ createdAt: -1 }).lean(),
+    Activity.find({ userId }).sort({ createdAt: -1 }).lean(),
+    Session.find({ userId }).sort({ createdAt: -1 }).lean(),
+    ApiKey.find({ userId }).select("-keyHash").sort({ createdAt: -1 }).lean(),
+    Household.find({ "members.userId": userId }).sort({ createdAt: 1 }).lean(),
+    Favorite.find({ userId }).sort({ createdAt: -1 }).populate("productId", "name").lean(),
+    PriceAlert.find({ userId }).sort({ createdAt: -1 }).populate("productId", "name").lean(),
+    Notification.find({ userId }).sort({ createdAt: -1 }).lean(),
+  ]);
+  if (!user) throw new Error("User not found");
+
+  const { password, __v, ...profile } = user;
+
+  return {
+    profile,
+    carts: carts.map(({ __v: version, userId: owner, ...cart }) => cart),
+    activities: activities.map(({ __v: version, userId: owner, ...activity }) => activity),
+    sessions: sessions.map(({ __v: version, userId: owner, ...session }) => session),
+    apiKeys: apiKeys.map(({ __v: version, userId: owner, ...apiKey }) => apiKey),
+    households: households.map((household) => {
+      const member = household.members.find(
+        (item) => String(item.userId) === String(userId)
+      );
+      return {
+        householdId: household._id,
+        name: household.name,
+        role: member.role,
+        joinedAt: member.joinedAt,
+      };
+    }),
+    favorites: favorites.map((favorite) => ({
+      productId: favorite.productId?._id,
+      productName: favorite.productId?.name,
+      createdAt: favorite.createdAt,
+    })),
+    priceAlerts: priceAlerts.map((alert) => ({
+      productId: alert.productId?._id,
+      productName: alert.productId?.name,
+      chain: alert.chain,
+      targetPrice: alert.targetPrice,
+      triggeredAt: alert.triggeredAt,
+      triggeredPrice: alert.triggeredPrice,
+      createdAt: alert.createdAt,
+    })),
+    notifications: notifications.map(
+      ({ __v: version, userId: owner, ...notification }) => notification
+    ),
+  };
+};
+
+/**
+ * Build the files of the export zip from the collected data.
+ *
+ * @param {Object} data - The result of collectUserData
+ * @param {Date} exportedAt - When the export was made
+ * @returns {Array<{name: string, data: string}>} - The files
+ */
+const buildExportFiles = (data, exportedAt) => [
+  {
+    name: "data.json",
+    data: JSON.stringify({ exportedAt, ...data }, null, 2),
+  },
+  {
+    name: "profile.csv",
+    data: toCsv(
+      ["field", "value"],
+      Object.entries(data.profile).map(([field, value]) => ({ field, value }))
+    ),
+  },
+  {
+    name: "carts.csv",
+    data: toCsv(
+      ["cartId", "cartName", "createdAt", "updatedAt", "productId", "productName", "quantity", "prices"],
+      data.carts.flatMap((cart) =>
+        cart.items.map((item) => ({
+          cartId: cart._id,
+          cartName: cart.name,
+          createdAt: cart.createdAt,
+          updatedAt: cart.updatedAt,
+          productId: item.id,
+          productName: item.name,
+          quantity: item.quantity,
+          prices: item.prices,
+        }))
+      )
+    ),
+  },
+  {
+    name: "activities.csv",
+    data: toCsv(["createdAt", "type", "ip", "userAgent", "details"], data.activities),
+  },
+  {
+    name: "sessions.csv",
+    data: toCsv(
+      ["createdAt", "lastSeenAt", "expiresAt", "revokedAt", "ip", "userAgent"],
+      data.sessions
+    ),
+  },
+  {
+    name: "api-keys.csv",
+    data: toCsv(
+      ["createdAt", "name", "prefix", "scopes", "rateLimit", "lastUsedAt", "lastUsedIp", "revokedAt"],
+      data.apiKeys
+    ),
+  },
+  {
+    name: "households.csv",
+    data: toCsv(["householdId", "name", "role", "joinedAt"], data.households),
+  },
+  {
+    name: "favorites.csv",
+    data: toCsv(["createdAt", "productId", "productName"], data.favorites),
+  },
+  {
+    name: "price-alerts.csv",
+    data: toCsv(
+      ["createdAt", "productId", "productName", "chain", "targetPrice", "triggeredAt", "triggeredPrice"],
+      data.priceAlerts
+    ),
+  },
+  {
+    name: "notifications.csv",
+    data: toCsv(["createdAt", "type", "title", "message", "link"], data.notifications),
+  },
+];
+
+/**
+ * Build an export's zip file and mark it ready (or failed).
+ *
+ * @param {string} exportId - The export ID
+ * @returns {Promise<void>}
+ */
+const processExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: "pending" },
+    { status: "processing" },
+    { new: true }
+  );
+  if (!dataExport) return;
+
+  try {
+    const exportedAt = new Date();
+    const data = await collectUserData(dataExport.userId);
+    const zip = createZip(buildExportFiles(data, exportedAt), exportedAt);
+
+    const filePath = getExportPath(dataExport);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, zip);
+
+    dataExport.status = "ready";
+    dataExport.size = zip.length;
+    dataExport.completedAt = exportedAt;
+    dataExport.expiresAt = new Date(exportedAt.getTime() + EXPORT_TTL_MS);
+    await dataExport.save();
+  } catch (error) {
+    console.error("Error building data export:", error);
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { status: "failed", completedAt: new Date() }
+    );
+  }
+};
+
+/**
+ * Get the status of an export as seen by the user: unfinished exports that are too
+ * old count as failed, and ready exports past their expiry as expired.
+ *
+ * @param {Object} dataExport - The export document
+ * @returns {string} - "pending", "processing", "ready", "failed" or "expired"
+ */
+const getStatus = (dataExport) => {
+  const now = Date.now();
+  if (
+    ["pending", "processing"].includes(dataExport.status) &&
+    now - dataExport.createdAt.getTime() > STALE_EXPORT_MS
+  ) {
+    return "failed";
+  }
+  if (dataExport.status === "ready" && dataExport.expiresAt <= now) {
+    return "expired";
+  }
+  return dataExport.status;
+};
+
+/**
+ * Delete an export's file and record.
+ *
+ * @param {Object} dataExport - The export document
+ * @returns {Promise<void>}
+ */
+const removeExport = async (dataExport) => {
+  await fs.rm(getExportPath(dataExport), { force: true });
+  await DataExport.deleteOne({ _id: dataExport._id });
+};
+
+/**
+ * Request an export of a user's data. An export already in progress is returned as is;
+ * otherwise the user's previous exports are removed and a new one starts in the background.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<{dataExport: Object, created: boolean}>} - The export, and whether a new one was started
+ */
+exports.requestExport = async (userId) => {
+  const previous = await DataExport.find({ userId });
+  const inProgress = previous.find((dataExport) =>
+    ["pending", "processing"].includes(getStatus(dataExport))
+  );
+  if (inProgress) return { dataExport: inProgress, created: false };
+
+  await Promise.all(previous.map(removeExport));
+
+  const dataExport = await DataExport.create({ userId });
+  setImmediate(() => processExport(dataExport._id));
+  return { dataExport, created: true };
+};
+
+/**
+ * Get a user's latest export.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - The export, or null if there is none
+ */
+exports.getLatestExport = (userId) =>
+  DataExport.findOne({ userId }).sort({ createdAt: -1 });
+
+/**
+ * Get the file path of a user's export, if it is ready to download.
+ *
+ * @param {string} userId - The user ID
+ * @param {string} exportId - The export ID
+ * @returns {Promise<string|null>} - The zip file path, or null if there is no such ready export
+ */
+exports.getDownloadPath = async (userId, exportId) => {
+  if (!mongoose.isValidObjectId(exportId)) return null;
+
+  const dataExport = await DataExport.findOne({ _id: exportId, userId });
+  if (!dataExport || getStatus(dataExport) !== "ready") return null;
+  return getExportPath(dataExport);
+};
+
+/**
+ * Remove all of a user's exports (when the account is deleted).
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+exports.removeAllForUser = async (userId) => {
+  const dataExports = await DataExport.find({ userId });
+  await Promise.all(dataExports.map(removeExport));
+  await fs.rm(path.join(getExportsDir(), String(userId)), {
+    recursive: true,
+    force: true,
+  });
+};
+
+exports.getStatus = getStatus;
@@ -0,0 +1,65 @@
+/**
+ * Email Verification Service
+ *
+ * Creates single-use email verification tokens, emails the verification link
+ * through the MailService and confirms addresses when a token is presented.
+ * Only the SHA-256 hash of each token is stored on the user.
+ *
+ * @module EmailVerificationService
+ */
+
+const crypto = require("crypto");
+const User = require("../models/User");
+const { sendMail } = require("./MailService");
+const { hashToken } = require("./TokenService");
+
+// Verification links are valid for 24 hours
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a new verification token for a user and email the verification link.
+ * Any previously sent link stops working.
+ *
+ * @param {Object} user - The user document
+ * @returns {Promise<void>}
+ */
+exports.sendVerificationEmail = async (user) => {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+  user.emailVerificationToken = hashToken(verificationToken);
+  user.emailVerificationExpires = Date.now() + VERIFICATION_TOKEN_TTL_MS;
+  await user.save();
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+  const verifyUrl = `${clientUrl}/verify-email?token=${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "אימות כתובת האימייל - Smart Cart",
+    text:
+      `שלום ${user.name},\n\n` +
+      `כדי לאמת את כתובת האימייל שלך יש להיכנס לקישור הבא:\n` +
+      `${verifyUrl}\n\n` +
+      `הקישור תקף ל-24 שעות.\n` +
+      `אם לא נרשמת ל-Smart Cart, ניתן להתעלם מהודעה זו.`,
+  });
+};
+
+/**
+ * Verify an email address with a token from a verification link.
+ * The token is consumed atomically so it can only be used once.
+ *
+ * @param {string} rawToken - The token from the verification link
+ * @returns {Promise<Object|null>} - The verified user, or null if the token is invalid or expired
+ */
+exports.verifyEmailToken = (rawToken) =>
+  User.findOneAndUpdate(
+    {
+      emailVerificationToken: hashToken(rawToken),
+      emailVerificationExpires: { $gt: Date.now() },
+    },
+    {
+      $set: { emailVerified: true },
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+    },
+    { new: true }
+  );
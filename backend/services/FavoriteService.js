@@ -0,0 +1,85 @@
+/**
+ * Favorite Service
+ *
+ * Manages the users' favorite products (their watchlist): listing them with the
+ * current product details, adding and removing products, and cleaning up when
+ * products or accounts are deleted.
+ *
+ * @module FavoriteService
+ */
+
+const Favorite = require("../models/Favorite");
+
+// Most products a user can keep in their favorites
+const MAX_FAVORITES_PER_USER = 200;
+
+/**
+ * List a user's favorites with the current product details, newest first.
+ * Favorites of products that no longer exist are left out.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} - The favorites, with the populated product
+ */
+exports.listForUser = async (userId) => {
+  const favorites = await Favorite.find({ userId })
+    .sort({ createdAt: -1 })
+    .populate("productId");
+  return favorites.filter((favorite) => favorite.productId);
+};
+
+/**
+ * Add a product to a user's favorites. Adding a product that is already a favorite
+ * returns the existing favorite.
+ *
+ * @param {string} userId - The user ID
+ * @param {Object} product - The product document
+ * @returns {Promise<{favorite: Object, created: boolean}|null>} - The favorite (with the product)
+ *   and whether it was just added, or null if the user already has the most favorites allowed
+ */
+exports.addFavorite = async (userId, product) => {
+  let favorite = await Favorite.findOne({ userId, productId: product._id });
+  const created = !favorite;
+
+  if (created) {
+    const count = await Favorite.countDocuments({ userId });
+    if (count >= MAX_FAVORITES_PER_USER) return null;
+    favorite = await Favorite.create({ userId, productId: product._id });
+  }
+
+  favorite.productId = product;
+  return { favorite, created };
+};
+
+/**
+ * Remove a product from a user's favorites.
+ *
+ * @param {string} userId - The user ID
+ * @param {string} productId - The product's document ID
+ * @returns {Promise<boolean>} - Whether the product was a favorite
+ */
+exports.removeFavorite = async (userId, productId) => {
+  const result = await Favorite.deleteOne({ userId, productId });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Remove a product from everyone's favorites (when the product is deleted).
+ *
+ * @param {string} productId - The product's document ID
+ * @returns {Promise<void>}
+ */
+exports.removeAllForProduct = async (productId) => {
+  await Favorite.deleteMany({ productId });
+};
+
+/**
+ * Remove all of a user's favorites (when the account is deleted).
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+exports.removeAllForUser = async (userId) => {
+  await Favorite.deleteMany({ userId });
+};
+
+exports.MAX_FAVORITES_PER_USER = MAX_FAVORITES_PER_USER;
@@ -0,0 +1,351 @@
+/**
+ * Household Service
+ *
+ * Manages households: groups of users that share a space of saved carts. Members are
+ * invited by email and join with the invited role once they accept; the roles (owner,
+ * editor, viewer) are defined in AuthorizationService. A household always keeps at least
+ * one owner, and is deleted together with its carts when its last member leaves.
+ *
+ * @module HouseholdService
+ */
+
+const mongoose = require("mongoose");
+const Household = require("../models/Household");
+const HouseholdInvite = require("../models/HouseholdInvite");
+const Cart = require("../models/Cart");
+const User = require("../models/User");
+const { sendMail } = require("./MailService");
+const notificationService = require("./NotificationService");
+const { HOUSEHOLD_ROLES } = require("./AuthorizationService");
+
+// Most households a user can belong to, and most members (including pending invites) per household
+const MAX_HOUSEHOLDS_PER_USER = 5;
+const MAX_MEMBERS = 10;
+
+// Invites can be accepted for 14 days
+const INVITE_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Member details shown to the other members
+const MEMBER_FIELDS = "name email avatarThumbUrl";
+
+/**
+ * Get a user's role in a household.
+ *
+ * @param {Object} household - The household document
+ * @param {string} userId - The user ID
+ * @returns {string|null} - The role, or null if the user is not a member
+ */
+const getRole = (household, userId) => {
+  const member = household.members.find(
+    (item) => String(item.userId._id || item.userId) === String(userId)
+  );
+  return member ? member.role : null;
+};
+
+/**
+ * Find a household and the user's role in it.
+ *
+ * @param {string} householdId - The household ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<{household: Object, role: string}|null>} - The household and role, or null if the user is not a member
+ */
+const getMembership = async (householdId, userId) => {
+  if (!mongoose.isValidObjectId(householdId)) return null;
+
+  const household = await Household.findOne({
+    _id: householdId,
+    "members.userId": userId,
+  });
+  return household ? { household, role: getRole(household, userId) } : null;
+};
+
+/**
+ * Get a user's access to a saved cart: personal carts belong only to the user who saved
+ * them, and household carts to every member, with their household role.
+ *
+ * @param {Object} cart - The cart document
+ * @param {string} userId - The user ID
+ * @returns {Promise<string|null>} - "owner", "editor" or "viewer", or null if the user has no access
+ */
+exports.getCartRole = async (cart, userId) => {
+  if (cart.householdId) {
+    const membership = await getMembership(cart.householdId, userId);
+    return membership ? membership.role : null;
+  }
+  return cart.userId.toString() === String(userId) ? HOUSEHOLD_ROLES.OWNER : null;
+};
+
+/**
+ * List the households a user belongs to, with their members.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} - The households, oldest first
+ */
+exports.listForUser = (userId) =>
+  Household.find({ "members.userId": userId })
+    .sort({ createdAt: 1 })
+    .populate("members.userId", MEMBER_FIELDS);
+
+/**
+ * Create a household with the user as its owner.
+ *
+ * @param {string} userId - The user ID
+ * @param {string} name - The household name
+ * @returns {Promise<Object|null>} - The household, or null if the user already belongs to too many households
+ */
+exports.createHousehold = async (userId, name) => {
+  const count = await Household.countDocuments({ "members.userId": userId });
+  if (count >= MAX_HOUSEHOLDS_PER_USER) return null;
+
+  return Household.create({
+    name,
+    members: [{ userId, role: HOUSEHOLD_ROLES.OWNER }],
+  });
+};
+
+/**
+ * Invite an email address to a household and email the invitation. A user who already
+ * has a verified account with the address also gets it in their notification inbox.
+ * Inviting an address again replaces its pending invite.
+ *
+ * @param {Object} household - The household document
+ * @param {Object} inviter - The user sending the invite
+ * @param {string} email - The address to invite (lowercase)
+ * @param {string} role - The role to join with ("editor" or "viewer")
+ * @returns {Promise<Object|null>} - The invite, or null if the household is full
+ */
+exports.createInvite = async (household, inviter, email, role) => {
+  const pending = await HouseholdInvite.countDocuments({
+    householdId: household._id,
+    email: { $ne: email },
+    expiresAt: { $gt: Date.now() },
+  });
+  if (household.members.length + pending >= MAX_MEMBERS) return null;
+
+  const invite = await HouseholdInvite.findOneAndUpdate(
+    { householdId: household._id, email },
+    {
+      role,
+      invitedBy: inviter._id,
+      expiresAt: Date.now() + INVITE_TTL_MS,
+      createdAt: Date.now(),
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+  await sendMail({
+    to: email,
+    subject: `הזמנה למשק הבית "${household.name}" - Smart Cart`,
+    text:
+      `שלום,\n\n` +
+      `${inviter.name} הזמין/ה אותך להצטרף למשק הבית "${household.name}" ב-Smart Cart ` +
+      `ולשתף איתו/ה עגלות קניות.\n\n` +
+      `כדי להצטרף יש להתחבר (או להירשם) עם כתובת האימייל הזו ולאשר את ההזמנה בקישור הבא:\n` +
+      `${clientUrl}/households\n\n` +
+      `ההזמנה תקפה ל-14 ימים. אם אינך מכיר/ה את השולח/ת, ניתן להתעלם מהודעה זו.`,
+  });
+
+  const invitee = await User.findOne({ email, emailVerified: true });
+  if (invitee) {
+    await notificationService.notify(invitee._id, {
+      type: "household_invite",
+      title: `הזמנה למשק הבית "${household.name}"`,
+      message: `${inviter.name} הזמין/ה אותך להצטרף למשק הבית ולשתף עגלות קניות`,
+      link: "/households",
+      data: { householdId: household._id, inviteId: invite._id },
+    });
+  }
+
+  return invite;
+};
+
+/**
+ * List the pending invites of a household.
+ *
+ * @param {string} householdId - The household ID
+ * @returns {Promise<Array<Object>>} - The invites, newest first
+ */
+exports.listInvites = (householdId) =>
+  HouseholdInvite.find({ householdId, expiresAt: { $gt: Date.now() } }).sort({
+    createdAt: -1,
+  });
+
+/**
+ * List the pending invites addressed to an email address.
+ *
+ * @param {string} email - The address
+ * @returns {Promise<Array<Object>>} - The invites with the household name and inviter, newest first
+ */
+exports.listInvitesForEmail = (email) =>
+  HouseholdInvite.find({
+    email: email.toLowerCase(),
+    expiresAt: { $gt: Date.now() },
+  })
+    .sort({ createdAt: -1 })
+    .populate("householdId", "name")
+    .populate("invitedBy", "name");
+
+/**
+ * Cancel a pending invite of a household.
+ *
+ * @param {string} householdId - The household ID
+ * @param {string} inviteId - The invite ID
+ * @returns {Promise<Object|null>} - The removed invite, or null if it does not exist
+ */
+exports.cancelInvite = (householdId, inviteId) => {
+  if (!mongoose.isValidObjectId(inviteId)) return null;
+  return HouseholdInvite.findOneAndDelete({ _id: inviteId, householdId });
+};
+
+/**
+ * Accept an invite addressed to a user and add them to the household. The invite is
+ * used up only once the user has joined, so it stays valid if the household is full.
+ *
+ * @param {string} inviteId - The invite ID
+ * @param {Object} user - The user accepting the invite
+ * @returns {Promise<Object|null>} - The household joined, or null if the invite is invalid,
+ *   expired, the household is full or the user belongs to too many households
+ */
+exports.acceptInvite = async (inviteId, user) => {
+  if (!mongoose.isValidObjectId(inviteId)) return null;
+
+  const count = await Household.countDocuments({ "members.userId": user._id });
+  if (count >= MAX_HOUSEHOLDS_PER_USER) return null;
+
+  const invite = await HouseholdInvite.findOne({
+    _id: inviteId,
+    email: user.email.toLowerCase(),
+    expiresAt: { $gt: Date.now() },
+  });
+  if (!invite) return null;
+
+  // Add the user unless they are already a member or the household is full
+  const household = await Household.findOneAndUpdate(
+    {
+      _id: invite.householdId,
+      "members.userId": { $ne: user._id },
+      [`members.${MAX_MEMBERS - 1}`]: { $exists: false },
+    },
+    { $push: { members: { userId: user._id, role: invite.role } } },
+    { new: true }
+  );
+  if (!household) return null;
+
+  await HouseholdInvite.deleteOne({ _id: invite._id });
+  return household;
+};
+
+/**
+ * Decline an invite addressed to an email address.
+ *
+ * @param {string} inviteId - The invite ID
+ * @param {string} email - The user's email address
+ * @returns {Promise<Object|null>} - The removed invite, or null if it does not exist
+ */
+exports.declineInvite = (inviteId, email) => {
+  if (!mongoose.isValidObjectId(inviteId)) return null;
+  return HouseholdInvite.findOneAndDelete({
+    _id: inviteId,
+    email: email.toLowerCase(),
+  });
+};
+
+/**
+ * Check whether a household has an owner other than the given user.
+ *
+ * @param {Object} household - The household document
+ * @param {string} userId - The user ID
+ * @returns {boolean}
+ */
+exports.hasOtherOwner = (household, userId) =>
+  household.members.some(
+    (member) =>
+      member.role === HOUSEHOLD_ROLES.OWNER &&
+      String(member.userId._id || member.userId) !== String(userId)
+  );
+
+/**
+ * Change a member's role.
+ *
+ * @param {string} householdId - The household ID
+ * @param {string} userId - The member's user ID
+ * @param {string} role - The new role
+ * @returns {Promise<Object|null>} - The updated household, or null if the user is not a member
+ */
+exports.updateMemberRole = (householdId, userId, role) =>
+  Household.findOneAndUpdate(
+    { _id: householdId, "members.userId": userId },
+    { $set: { "members.$.role": role } },
+    { new: true }
+  );
+
+/**
+ * Delete a household with its carts and invites.
+ *
+ * @param {string} householdId - The household ID
+ * @returns {Promise<void>}
+ */
+const deleteHousehold = async (householdId) => {
+  await Cart.deleteMany({ householdId });
+  await HouseholdInvite.deleteMany({ householdId });
+  await Household.deleteOne({ _id: householdId });
+};
+
+/**
+ * Remove a member from a household. When the last member leaves, the household is deleted.
+ *
+ * @param {Object} household - The household document
+ * @param {string} userId - The member's user ID
+ * @returns {Promise<void>}
+ */
+const removeMember = async (household, userId) => {
+  const remaining = household.members.filter(
+    (member) => String(member.userId._id || member.userId) !== String(userId)
+  );
+  if (remaining.length === 0) {
+    await deleteHousehold(household._id);
+    return;
+  }
+
+  await Household.updateOne(
+    { _id: household._id },
+    { $pull: { members: { userId } } }
+  );
+};
+
+/**
+ * Remove a user from all of their households (when the account is deleted). Households
+ * that would be left without an owner are handed to the longest-standing remaining member.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+exports.removeUserFromAll = async (userId) => {
+  const households = await Household.find({ "members.userId": userId });
+
+  for (const household of households) {
+    const leavingOwner = getRole(household, userId) === HOUSEHOLD_ROLES.OWNER;
+    await removeMember(household, userId);
+
+    if (leavingOwner && !exports.hasOtherOwner(household, userId)) {
+      const successor = household.members
+        .filter((member) => String(member.userId) !== String(userId))
+        .sort((a, b) => a.joinedAt - b.joinedAt)[0];
+      if (successor) {
+        await exports.updateMemberRole(
+          household._id,
+          successor.userId,
+          HOUSEHOLD_ROLES.OWNER
+        );
+      }
+    }
+  }
+};
+
+exports.getRole = getRole;
+exports.getMembership = getMembership;
+exports.removeMember = removeMember;
+exports.deleteHousehold = deleteHousehold;
+exports.MAX_HOUSEHOLDS_PER_USER = MAX_HOUSEHOLDS_PER_USER;
+exports.MAX_MEMBERS = MAX_MEMBERS;
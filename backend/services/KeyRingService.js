@@ -0,0 +1,202 @@
+/**
+ * Key Ring Service
+ *
+ * Holds the keys used to sign and verify JWTs, so every token in the app is signed
+ * and checked the same way. Each key has an id (`kid`) that is written to the header
+ * of the tokens it signs, so a token is always verified with the key that signed it.
+ *
+ * The keys come from `JWT_KEYS`, a JSON array such as:
+ *
+ *   [{"kid": "2026-10", "secret": "...", "activeFrom": "2026-10-01"},
+ *    {"kid": "2026-11", "secret": "...", "activeFrom": "2026-11-01"}]
+ *
+ * New tokens are signed with the key that became active most recently, so adding a key
+ * with a future `activeFrom` schedules a rotation. Every key keeps verifying tokens until
+ * its optional `retireAt` date, so tokens signed before a rotation stay valid until they
+ * expire. Without `JWT_KEYS`, `JWT_SECRET` is used as the only key; in development a
+ * built-in default is used as a last resort, but the server refuses to start with it in
+ * production (see assertSecureConfig).
+ *
+ * @module KeyRingService
+ */
+
+const jwt = require("jsonwebtoken");
+
+// Development-only secret used when no key is configured
+const DEFAULT_SECRET = "yourSecretKey";
+
+// Secrets that must never be used in production (the built-in default and the README placeholder)
+const INSECURE_SECRETS = [DEFAULT_SECRET, "your_jwt_secret"];
+
+// Key id of the key taken from JWT_SECRET (or the default)
+const SINGLE_KEY_ID = "primary";
+
+// Only HMAC keys are used, and tokens are only accepted with this algorithm
+const ALGORITHM = "HS256";
+
+let cachedKeys = null;
+
+/**
+ * Read the keys from the environment.
+ *
+ * @returns {Array<{kid: string, secret: string, activeFrom: Date, retireAt: Date|null}>} - The keys
+ * @throws {Error} If `JWT_KEYS` is not a valid key list
+ */
+const loadKeys = () => {
+  if (!process.env.JWT_KEYS) {
+    return [
+      {
+        kid: SINGLE_KEY_ID,
+        secret: process.env.JWT_SECRET || DEFAULT_SECRET,
+        activeFrom: new Date(0),
+        retireAt: null,
+      },
+    ];
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(process.env.JWT_KEYS);
+  } catch {
+    throw new Error("JWT_KEYS must be a JSON array of keys");
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error("JWT_KEYS must list at least one key");
+  }
+
+  const keys = entries.map((entry) => {
+    const key = {
+      kid: entry?.kid,
+      secret: entry?.secret,
+      activeFrom: new Date(entry?.activeFrom || 0),
+      retireAt: entry?.retireAt ? new Date(entry.retireAt) : null,
+    };
+    if (typeof key.kid !== "string" || !key.kid) {
+      throw new Error("Every key in JWT_KEYS needs a kid");
+    }
+    if (typeof key.secret !== "string" || !key.secret) {
+      throw new Error(`Key "${key.kid}" in JWT_KEYS needs a secret`);
+    }
+    if (isNaN(key.activeFrom) || (key.retireAt && isNaN(key.retireAt))) {
+      throw new Error(`Key "${key.kid}" in JWT_KEYS has an invalid date`);
+    }
+    return key;
+  });
+
+  if (new Set(keys.map((key) => key.kid)).size !== keys.length) {
+    throw new Error("The kids in JWT_KEYS must be unique");
+  }
+  return keys;
+};
+
+/**
+ * Get the configured keys, reading them on first use.
+ *
+ * @returns {Array<Object>} - The keys
+ */
+const getKeys = () => {
+  if (!cachedKeys) cachedKeys = loadKeys();
+  return cachedKeys;
+};
+
+/**
+ * Check whether a key still verifies tokens.
+ *
+ * @param {Object} key - The key
+ * @param {Date} now - The current time
+ * @returns {boolean}
+ */
+const isRetired = (key, now) => key.retireAt !== null && key.retireAt <= now;
+
+/**
+ * Get the key new tokens are signed with: the most recently activated key that is not retired.
+ *
+ * @returns {Object} - The signing key
+ * @throws {Error} If no key is active
+ */
+const getSigningKey = () => {
+  const now = new Date();
+  const active = getKeys()
+    .filter((key) => key.activeFrom <= now && !isRetired(key, now))
+    .sort((a, b) => b.activeFrom - a.activeFrom);
+
+  if (active.length === 0) {
+    throw new Error("No active JWT signing key");
+  }
+  return active[0];
+};
+
+/**
+ * Derive the secret for a kind of token from a key, so tokens made for one
+ * purpose (such as a two-factor challenge) are never accepted as another.
+ *
+ * @param {Object} key - The key
+ * @param {string} [purpose] - The kind of token, or nothing for access tokens
+ * @returns {string} - The secret
+ */
+const getSecret = (key, purpose) =>
+  purpose ? `${key.secret}:${purpose}` : key.secret;
+
+/**
+ * Sign a JWT with the current signing key, writing its kid to the token header.
+ *
+ * @param {Object} payload - The token claims
+ * @param {Object} [options] - Options for jwt.sign, such as `expiresIn`
+ * @param {string} [purpose] - The kind of token, or nothing for access tokens
+ * @returns {string} - The signed JWT
+ */
+exports.sign = (payload, options = {}, purpose) => {
+  const key = getSigningKey();
+  return jwt.sign(payload, getSecret(key, purpose), {
+    ...options,
+    algorithm: ALGORITHM,
+    keyid: key.kid,
+  });
+};
+
+/**
+ * Verify a JWT with the key named in its header. Tokens signed before key ids were
+ * used have no kid and are checked against the "primary" key (the one JWT_SECRET provides).
+ *
+ * @param {string} token - The JWT
+ * @param {string} [purpose] - The kind of token, or nothing for access tokens
+ * @returns {Object} - The decoded claims
+ * @throws {Error} If the token is malformed, expired, signed with an unknown or retired key, or its signature is invalid
+ */
+exports.verify = (token, purpose) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError("jwt malformed");
+  }
+
+  const kid = decoded.header.kid || SINGLE_KEY_ID;
+  const key = getKeys().find((candidate) => candidate.kid === kid);
+  if (!key || isRetired(key, new Date())) {
+    throw new jwt.JsonWebTokenError("unknown signing key");
+  }
+
+  return jwt.verify(token, getSecret(key, purpose), {
+    algorithms: [ALGORITHM],
+  });
+};
+
+/**
+ * Check the key configuration at startup. In production, the server must not run with
+ * the built-in default secret (or the README placeholder), or without any key at all.
+ * Outside production a warning is printed instead.
+ *
+ * @throws {Error} If the keys are invalid, or insecure in production
+ */
+exports.assertSecureConfig = () => {
+  const keys = getKeys();
+  getSigningKey();
+
+  const insecure = keys.filter((key) => INSECURE_SECRETS.includes(key.secret));
+  if (insecure.length === 0) return;
+
+  const problem = `JWT key "${insecure[0].kid}" uses a default secret; set JWT_SECRET or JWT_KEYS`;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(`Refusing to start in production: ${problem}`);
+  }
+  console.warn(`Warning: ${problem}`);
+};
@@ -0,0 +1,242 @@
+/**
+ * Login Protection Service
+ *
+ * Protects the login route against password guessing:
+ * - Failed attempts are counted per account (on the user document) and per IP (in memory).
+ * - After a few failures on an account, each further attempt has to wait a growing delay.
+ * - After too many failures the account is locked for a while and an unlock link is emailed.
+ * - An IP with too many failures across any accounts is blocked until its window ends.
+ *
+ * Each check returns `null` when the attempt may proceed, or a rejection
+ * `{ status, code, message, retryAfter }` for the controller to send.
+ *
+ * @module LoginProtectionService
+ */
+
+const crypto = require("crypto");
+const User = require("../models/User");
+const { sendMail } = require("./MailService");
+const { hashToken } = require("./TokenService");
+
+// Failures on an account before each attempt has to wait (1s, 2s, 4s, ...)
+const DELAY_AFTER_ATTEMPTS = 3;
+// Longest delay between attempts on an account
+const MAX_DELAY_MS = 60 * 1000;
+// Failures on an account before it is locked
+const MAX_ACCOUNT_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 8;
+// How long a locked account stays locked
+const LOCK_DURATION_MS =
+  (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000;
+// Failures allowed from one IP in each window
+const MAX_IP_ATTEMPTS = Number(process.env.LOGIN_MAX_IP_ATTEMPTS) || 30;
+const IP_WINDOW_MS = 15 * 60 * 1000;
+// Unlock links are valid for as long as the lock itself
+const UNLOCK_TOKEN_TTL_MS = LOCK_DURATION_MS;
+
+/**
+ * Failed attempts per IP address.
+ *
+ * @type {Map<string, {count: number, resetAt: number}>}
+ */
+const ipFailures = new Map();
+
+// Drop expired IP windows so the map does not grow without bound
+setInterval(() => {
+  const now = Date.now();
+  for (const [ip, entry] of ipFailures) {
+    if (entry.resetAt <= now) ipFailures.delete(ip);
+  }
+}, IP_WINDOW_MS).unref();
+
+/**
+ * Seconds until a point in time, rounded up.
+ *
+ * @param {number} time - The time in milliseconds since the epoch
+ * @returns {number} - The number of seconds, at least 1
+ */
+const secondsUntil = (time) => Math.max(Math.ceil((time - Date.now()) / 1000), 1);
+
+/**
+ * Build the rejection for a locked account.
+ *
+ * @param {Date} lockUntil - When the lock ends
+ * @returns {Object} - The rejection
+ */
+const lockedRejection = (lockUntil) => ({
+  status: 423,
+  code: "ACCOUNT_LOCKED",
+  message:
+    "החשבון ננעל זמנית עקב ניסיונות התחברות כושלים רבים. נשלח אליך אימייל לשחרור הנעילה",
+  retryAfter: secondsUntil(lockUntil.getTime()),
+});
+
+/**
+ * Check whether an IP address may attempt to log in.
+ *
+ * @param {string} ip - The client IP address
+ * @returns {Object|null} - A rejection, or null if the attempt may proceed
+ */
+exports.checkIp = (ip) => {
+  const entry = ipFailures.get(ip);
+  if (!entry || entry.resetAt <= Date.now() || entry.count < MAX_IP_ATTEMPTS) {
+    return null;
+  }
+
+  return {
+    status: 429,
+    code: "IP_BLOCKED",
+    message: "יותר מדי ניסיונות התחברות כושלים מכתובת זו, נסו שוב מאוחר יותר",
+    retryAfter: secondsUntil(entry.resetAt),
+  };
+};
+
+/**
+ * Record a failed login attempt from an IP address.
+ *
+ * @param {string} ip - The client IP address
+ */
+exports.recordIpFailure = (ip) => {
+  const now = Date.now();
+  let entry = ipFailures.get(ip);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + IP_WINDOW_MS };
+    ipFailures.set(ip, entry);
+  }
+  entry.count += 1;
+};
+
+/**
+ * Check whether an account may attempt to log in.
+ * An expired lock is cleared so the account starts over with a clean counter.
+ *
+ * @param {Object} user - The user document
+ * @returns {Promise<Object|null>} - A rejection, or null if the attempt may proceed
+ */
+exports.checkAccount = async (user) => {
+  const now = Date.now();
+
+  if (user.lockUntil) {
+    if (user.lockUntil.getTime() > now) {
+      return lockedRejection(user.lockUntil);
+    }
+
+    await exports.resetAccount(user);
+    return null;
+  }
+
+  if (user.failedLoginAttempts >= DELAY_AFTER_ATTEMPTS && user.lastFailedLoginAt) {
+    const delay = Math.min(
+      1000 * 2 ** (user.failedLoginAttempts - DELAY_AFTER_ATTEMPTS),
+      MAX_DELAY_MS
+    );
+    const nextAttemptAt = user.lastFailedLoginAt.getTime() + delay;
+
+    if (nextAttemptAt > now) {
+      return {
+        status: 429,
+        code: "LOGIN_THROTTLED",
+        message: "יותר מדי ניסיונות התחברות, יש להמתין מעט ולנסות שוב",
+        retryAfter: secondsUntil(nextAttemptAt),
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Record a failed login attempt on an account, locking it and emailing an
+ * unlock link once it reaches the maximum number of failures.
+ *
+ * @param {Object} user - The user document
+ * @returns {Promise<Object|null>} - The lockout rejection if this attempt locked the account, otherwise null
+ */
+exports.recordAccountFailure = async (user) => {
+  // Increment atomically so concurrent attempts are all counted
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: new Date() },
+    },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < MAX_ACCOUNT_ATTEMPTS) {
+    return null;
+  }
+
+  const unlockToken = crypto.randomBytes(32).toString("hex");
+  updated.lockUntil = Date.now() + LOCK_DURATION_MS;
+  updated.unlockToken = hashToken(unlockToken);
+  updated.unlockExpires = Date.now() + UNLOCK_TOKEN_TTL_MS;
+  await updated.save();
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+  const unlockUrl = `${clientUrl}/unlock-account?token=${unlockToken}`;
+  const lockMinutes = Math.round(LOCK_DURATION_MS / 60000);
+
+  try {
+    await sendMail({
+      to: updated.email,
+      subject: "החשבון שלך ננעל - Smart Cart",
+      text:
+        `שלום ${updated.name},\n\n` +
+        `בעקבות ניסיונות התחברות כושלים רבים, החשבון שלך ננעל ל-${lockMinutes} דקות.\n` +
+        `אם ניסית להתחבר בעצמך, ניתן לשחרר את הנעילה מיד באמצעות הקישור הבא:\n` +
+        `${unlockUrl}\n\n` +
+        `אם לא ניסית להתחבר, מומלץ לשנות את הסיסמה לאחר שחרור הנעילה.`,
+    });
+  } catch (error) {
+    console.error("Error sending unlock email:", error);
+  }
+
+  return lockedRejection(updated.lockUntil);
+};
+
+/**
+ * Clear an account's failed attempts and lock (after a successful login or an expired lock).
+ *
+ * @param {Object} user - The user document
+ * @returns {Promise<void>}
+ */
+exports.resetAccount = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { failedLoginAttempts: 0 },
+      $unset: {
+        lastFailedLoginAt: 1,
+        lockUntil: 1,
+        unlockToken: 1,
+        unlockExpires: 1,
+      },
+    }
+  );
+};
+
+/**
+ * Unlock an account with the token from an unlock link.
+ * The token is consumed atomically so it can only be used once.
+ *
+ * @param {string} rawToken - The token from the unlock link
+ * @returns {Promise<Object|null>} - The unlocked user, or null if the token is invalid or expired
+ */
+exports.unlockWithToken = (rawToken) =>
+  User.findOneAndUpdate(
+    {
+      unlockToken: hashToken(rawToken),
+      unlockExpires: { $gt: Date.now() },
+    },
+    {
+      $set: { failedLoginAttempts: 0 },
+      $unset: {
+        lastFailedLoginAt: 1,
+        lockUntil: 1,
+        unlockToken: 1,
+        unlockExpires: 1,
+      },
+    }
+  );
@@ -0,0 +1,65 @@
+/**
+ * Magic Link Service
+ *
+ * Emails single-use login links, so users can sign in without their password.
+ * Only the SHA-256 hash of each token is stored on the user, and a token is
+ * consumed atomically, so a link can only ever be used once.
+ *
+ * @module MagicLinkService
+ */
+
+const crypto = require("crypto");
+const User = require("../models/User");
+const { sendMail } = require("./MailService");
+const { hashToken } = require("./TokenService");
+
+// Login links are valid for 15 minutes
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * Create a new login token for a user and email the login link.
+ * Any previously sent link stops working.
+ *
+ * @param {Object} user - The user document
+ * @returns {Promise<void>}
+ */
+exports.sendMagicLink = async (user) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  await User.updateOne(
+    { _id: user._id },
+    {
+      magicLinkToken: hashToken(token),
+      magicLinkExpires: Date.now() + MAGIC_LINK_TTL_MS,
+    }
+  );
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+  const loginUrl = `${clientUrl}/login?magicToken=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "קישור התחברות - Smart Cart",
+    text:
+      `שלום ${user.name},\n\n` +
+      `להתחברות לחשבון שלך ללא סיסמה יש להיכנס לקישור הבא:\n` +
+      `${loginUrl}\n\n` +
+      `הקישור תקף ל-15 דקות וניתן להשתמש בו פעם אחת בלבד.\n` +
+      `אם לא ביקשת להתחבר, ניתן להתעלם מהודעה זו.`,
+  });
+};
+
+/**
+ * Use a login token. The token is cleared, so the link cannot be used again.
+ *
+ * @param {string} token - The token from the emailed link
+ * @returns {Promise<Object|null>} - The user, or null if the token is invalid, expired or already used
+ */
+exports.consumeMagicLink = (token) =>
+  User.findOneAndUpdate(
+    {
+      magicLinkToken: hashToken(token),
+      magicLinkExpires: { $gt: Date.now() },
+    },
+    { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+    { new: true }
+  );
@@ -0,0 +1,94 @@
+/**
+ * Mail Service
+ *
+ * Sends outgoing email through a pluggable transport. The active transport is
+ * chosen by the `MAIL_TRANSPORT` environment variable and defaults to "outbox",
+ * which writes every message as a JSON file to a local directory instead of
+ * delivering it, so the flows that rely on email can be exercised in development.
+ *
+ * A real provider can be plugged in with `registerTransport(name, send)` and
+ * selected by setting `MAIL_TRANSPORT` to that name.
+ *
+ * @module MailService
+ */
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Registered transports, keyed by name.
+ * Each transport is an async function receiving the full message object.
+ *
+ * @type {Object<string, function(Object): Promise<void>>}
+ */
+const transports = {
+  /**
+   * Writes the message to the outbox directory as a JSON file. The random suffix keeps
+   * messages sent to the same recipient in the same millisecond apart.
+   */
+  outbox: async (message) => {
+    const outboxDir =
+      process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "outbox");
+    await fs.mkdir(outboxDir, { recursive: true });
+    const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, "_");
+    const suffix = crypto.randomBytes(4).toString("hex");
+    const fileName = `${Date.now()}-${suffix}-${safeRecipient}.json`;
+    await fs.writeFile(
+      path.join(outboxDir, fileName),
+      JSON.stringify(message, null, 2),
+      "utf8"
+    );
+  },
+
+  /**
+   * Prints the message to the server console.
+   */
+  console: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`
+    );
+  },
+};
+
+/**
+ * Register (or replace) a mail transport.
+ *
+ * @param {string} name - The transport name used in MAIL_TRANSPORT
+ * @param {function(Object): Promise<void>} send - Function that delivers a message
+ */
+exports.registerTransport = (name, send) => {
+  if (typeof send !== "function") {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports[name] = send;
+};
+
+/**
+ * Send an email through the configured transport.
+ *
+ * @param {Object} options - The message options
+ * @param {string} options.to - Recipient email address
+ * @param {string} options.subject - Message subject
+ * @param {string} options.text - Plain text body
+ * @param {string} [options.html] - Optional HTML body
+ * @returns {Promise<void>}
+ * @throws {Error} If the configured transport does not exist or fails
+ */
+exports.sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || "outbox";
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || "Smart Cart <no-reply@smartcart.local>",
+    to,
+    subject,
+    text,
+    html,
+    date: new Date().toISOString(),
+  });
+};
@@ -0,0 +1,84 @@
+/**
+ * Notification Service
+ *
+ * Delivers messages to the users' in-app notification inbox, lists them with the
+ * number of unread ones, and marks them as read.
+ *
+ * @module NotificationService
+ */
+
+const Notification = require("../models/Notification");
+
+// How many notifications the inbox shows
+const INBOX_SIZE = 50;
+
+/**
+ * Add a notification to a user's inbox.
+ *
+ * @param {string} userId - The user ID
+ * @param {Object} notification
+ * @param {string} notification.type - The notification type (e.g. "price_drop")
+ * @param {string} notification.title - A short title
+ * @param {string} [notification.message] - The full message
+ * @param {string} [notification.link] - Path in the app the notification leads to
+ * @param {Object} [notification.data] - Details of the event
+ * @returns {Promise<Object>} - The notification
+ */
+exports.notify = async (userId, { type, title, message, link, data }) =>
+  Notification.create({ userId, type, title, message, link, data });
+
+/**
+ * List a user's latest notifications, newest first.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} - The notifications
+ */
+exports.listForUser = async (userId) =>
+  Notification.find({ userId }).sort({ createdAt: -1 }).limit(INBOX_SIZE);
+
+/**
+ * Count a user's unread notifications.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<number>} - The number of unread notifications
+ */
+exports.countUnread = async (userId) =>
+  Notification.countDocuments({ userId, readAt: null });
+
+/**
+ * Mark one of a user's notifications as read.
+ *
+ * @param {string} userId - The user ID
+ * @param {string} notificationId - The notification ID
+ * @returns {Promise<Object|null>} - The notification, or null if it does not exist
+ */
+exports.markRead = async (userId, notificationId) => {
+  const notification = await Notification.findOne({ _id: notificationId, userId });
+  if (!notification) return null;
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  return notification;
+};
+
+/**
+ * Mark all of a user's notifications as read.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+exports.markAllRead = async (userId) => {
+  await Notification.updateMany({ userId, readAt: null }, { readAt: new Date() });
+};
+
+/**
+ * Remove all of a user's notifications (when the account is deleted).
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+exports.removeAllForUser = async (userId) => {
+  await Notification.deleteMany({ userId });
+};
@@ -0,0 +1,53 @@
+/**
+ * Password Reset Service
+ *
+ * Creates single-use password reset tokens and emails the reset link through the
+ * MailService, either when a user asks for it or when an admin forces a reset.
+ * Only the SHA-256 hash of each token is stored on the user.
+ *
+ * @module PasswordResetService
+ */
+
+const crypto = require("crypto");
+const { sendMail } = require("./MailService");
+const { hashToken } = require("./TokenService");
+
+// Password reset links are valid for one hour
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Create a new reset token for a user and email the reset link.
+ * Any previously sent link stops working.
+ *
+ * @param {Object} user - The user document
+ * @param {Object} [options]
+ * @param {boolean} [options.forced=false] - Whether an admin requires the reset (changes the email text)
+ * @returns {Promise<void>}
+ */
+exports.sendPasswordResetEmail = async (user, { forced = false } = {}) => {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+  user.passwordResetToken = hashToken(resetToken);
+  user.passwordResetExpires = Date.now() + RESET_TOKEN_TTL_MS;
+  await user.save();
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+  const resetUrl = `${clientUrl}/reset-password?token=${resetToken}`;
+
+  const intro = forced
+    ? `מטעמי אבטחה, יש לבחור סיסמה חדשה לפני ההתחברות הבאה. לאיפוס הסיסמה יש להיכנס לקישור הבא:\n`
+    : `התקבלה בקשה לאיפוס הסיסמה שלך. לאיפוס הסיסמה יש להיכנס לקישור הבא:\n`;
+  const outro = forced
+    ? `אם הקישור פג תוקף, ניתן לבקש קישור חדש בדף "שכחת סיסמה".`
+    : `אם לא ביקשת לאפס את הסיסמה, ניתן להתעלם מהודעה זו.`;
+
+  await sendMail({
+    to: user.email,
+    subject: "איפוס סיסמה - Smart Cart",
+    text:
+      `שלום ${user.name},\n\n` +
+      intro +
+      `${resetUrl}\n\n` +
+      `הקישור תקף לשעה אחת וניתן להשתמש בו פעם אחת בלבד.\n` +
+      outro,
+  });
+};
@@ -0,0 +1,196 @@
+/**
+ * Price Alert Service
+ *
+ * Manages the users' price-drop alerts and checks them whenever product prices change,
+ * through the staff product routes or a price import. An alert fires when the watched
+ * price (in its chain, or the lowest in any chain the user does not exclude) drops to
+ * the target price from above it; the user then gets an in-app notification and an email.
+ *
+ * @module PriceAlertService
+ */
+
+const PriceAlert = require("../models/PriceAlert");
+const notificationService = require("./NotificationService");
+const { sendMail } = require("./MailService");
+
+// Most alerts a user can have
+const MAX_ALERTS_PER_USER = 50;
+
+/**
+ * Find the price an alert watches.
+ *
+ * @param {Object} prices - The product's prices, by chain
+ * @param {string|null} chain - The alert's chain, or null for any chain
+ * @param {string[]} excludedChains - Chains the user never shops at
+ * @returns {{chain: string, price: number}|null} - The watched price and its chain, or null if there is none
+ */
+const getWatchedPrice = (prices, chain, excludedChains) => {
+  const candidates = Object.entries(prices || {}).filter(([name]) =>
+    chain ? name === chain : !excludedChains.includes(name)
+  );
+  if (candidates.length === 0) return null;
+
+  const [bestChain, price] = candidates.reduce((best, entry) =>
+    entry[1] < best[1] ? entry : best
+  );
+  return { chain: bestChain, price };
+};
+
+/**
+ * Let a user know that an alert fired, in the app and by email.
+ *
+ * @param {Object} user - The user document
+ * @param {Object} product - The product document
+ * @param {Object} alert - The alert document
+ * @param {{chain: string, price: number}} watched - The price that fired the alert
+ * @returns {Promise<void>}
+ */
+const deliverAlert = async (user, product, alert, watched) => {
+  const price = `₪${watched.price.toFixed(2)}`;
+  const title = `ירידת מחיר: ${product.name}`;
+  const message = `${product.name} עולה עכשיו ${price} ב${watched.chain} (מחיר היעד שלך: ₪${alert.targetPrice.toFixed(2)})`;
+
+  await notificationService.notify(user._id, {
+    type: "price_drop",
+    title,
+    message,
+    link: `/products?id=${product.id}`,
+    data: {
+      productId: product._id,
+      chain: watched.chain,
+      price: watched.price,
+      targetPrice: alert.targetPrice,
+    },
+  });
+
+  if (user.emailVerified) {
+    const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+    await sendMail({
+      to: user.email,
+      subject: `${title} - Smart Cart`,
+      text:
+        `שלום ${user.name},\n\n` +
+        `${message}.\n\n` +
+        `לצפייה במוצר:\n${clientUrl}/products?id=${product.id}\n\n` +
+        `לניהול התראות המחיר שלך:\n${clientUrl}/price-alerts`,
+    });
+  }
+};
+
+/**
+ * List a user's alerts with the current product details, newest first.
+ * Alerts of products that no longer exist are left out.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} - The alerts, with the populated product
+ */
+exports.listForUser = async (userId) => {
+  const alerts = await PriceAlert.find({ userId })
+    .sort({ createdAt: -1 })
+    .populate("productId");
+  return alerts.filter((alert) => alert.productId);
+};
+
+/**
+ * Set the target price of a user's alert on a product and chain, creating the alert
+ * if needed. Changing the target arms the alert again.
+ *
+ * @param {string} userId - The user ID
+ * @param {Object} product - The product document
+ * @param {Object} options
+ * @param {number} options.targetPrice - The price to be notified at
+ * @param {string|null} options.chain - The chain to watch, or null for any chain
+ * @returns {Promise<{alert: Object, created: boolean}|null>} - The alert (with the product) and whether
+ *   it was just created, or null if the user already has the most alerts allowed
+ */
+exports.setAlert = async (userId, product, { targetPrice, chain }) => {
+  const filter = { userId, productId: product._id, chain };
+  const existing = await PriceAlert.exists(filter);
+
+  if (!existing) {
+    const count = await PriceAlert.countDocuments({ userId });
+    if (count >= MAX_ALERTS_PER_USER) return null;
+  }
+
+  const alert = await PriceAlert.findOneAndUpdate(
+    filter,
+    { targetPrice, triggeredAt: null, triggeredPrice: null },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  alert.productId = product;
+  return { alert, created: !existing };
+};
+
+/**
+ * Remove one of a user's alerts.
+ *
+ * @param {string} userId - The user ID
+ * @param {string} alertId - The alert ID
+ * @returns {Promise<Object|null>} - The removed alert, or null if it does not exist
+ */
+exports.removeAlert = async (userId, alertId) =>
+  PriceAlert.findOneAndDelete({ _id: alertId, userId });
+
+/**
+ * Check the alerts on a product after its prices changed, and notify the users whose
+ * watched price dropped to their target. A failure to notify one user does not stop the others.
+ *
+ * @param {Object} product - The product document, with the new prices
+ * @param {Object} previousPrices - The prices before the change, by chain
+ * @returns {Promise<number>} - How many alerts fired
+ */
+exports.checkPriceChange = async (product, previousPrices) => {
+  const alerts = await PriceAlert.find({ productId: product._id }).populate(
+    "userId",
+    "name email emailVerified shoppingPreferences"
+  );
+  const prices = Object.fromEntries(product.prices);
+  let fired = 0;
+
+  for (const alert of alerts) {
+    const user = alert.userId;
+    if (!user) continue;
+
+    const excludedChains = user.shoppingPreferences?.excludedChains || [];
+    const before = getWatchedPrice(previousPrices, alert.chain, excludedChains);
+    const after = getWatchedPrice(prices, alert.chain, excludedChains);
+
+    // Fire only when the price crosses the target, not on every change below it
+    if (!after || after.price > alert.targetPrice) continue;
+    if (before && before.price <= alert.targetPrice) continue;
+
+    try {
+      await deliverAlert(user, product, alert, after);
+      alert.triggeredAt = new Date();
+      alert.triggeredPrice = after.price;
+      await alert.save();
+      fired += 1;
+    } catch (error) {
+      console.error("Error delivering price alert:", error);
+    }
+  }
+
+  return fired;
+};
+
+/**
+ * Remove all alerts on a product (when the product is deleted).
+ *
+ * @param {string} productId - The product's document ID
+ * @returns {Promise<void>}
+ */
+exports.removeAllForProduct = async (productId) => {
+  await PriceAlert.deleteMany({ productId });
+};
+
+/**
+ * Remove all of a user's alerts (when the account is deleted).
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+exports.removeAllForUser = async (userId) => {
+  await PriceAlert.deleteMany({ userId });
+};
+
+exports.MAX_ALERTS_PER_USER = MAX_ALERTS_PER_USER;
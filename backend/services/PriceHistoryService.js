@@ -0,0 +1,183 @@
+/**
+ * Price History Service
+ *
+ * Records every change of the products' prices by chain, lists a product's history for
+ * a date range, and backfills a first snapshot of the catalog for products that have
+ * no history yet.
+ *
+ * @module PriceHistoryService
+ */
+
+const PriceHistory = require("../models/PriceHistory");
+const Product = require("../models/Product");
+
+// Most history entries returned for one request
+const MAX_HISTORY_ENTRIES = 5000;
+
+/**
+ * Record the price changes of a product: every chain whose price differs from the
+ * previous prices, including chains that were added or removed.
+ *
+ * @param {Object} product - The product document, with its new prices
+ * @param {Object} previousPrices - The prices before the change, by chain
+ * @param {Object} options
+ * @param {string} options.source - Where the change came from ("backfill", "create", "staff" or "import")
+ * @param {string} [options.changedBy] - The ID of the staff member who made the change
+ * @returns {Promise<number>} - How many changes were recorded
+ */
+exports.recordPriceChanges = async (
+  product,
+  previousPrices,
+  { source, changedBy = null }
+) => {
+  const prices = Object.fromEntries(product.prices);
+  const chains = new Set([...Object.keys(previousPrices), ...Object.keys(prices)]);
+  const recordedAt = new Date();
+
+  const entries = [...chains]
+    .filter((chain) => previousPrices[chain] !== prices[chain])
+    .map((chain) => ({
+      productId: product._id,
+      chain,
+      oldPrice: previousPrices[chain] ?? null,
+      newPrice: prices[chain] ?? null,
+      source,
+      changedBy,
+      recordedAt,
+    }));
+
+  if (entries.length > 0) await PriceHistory.insertMany(entries);
+  return entries.length;
+};
+
+/**
+ * Record a product's current prices as the start of its history (when the product is
+ * created or backfilled).
+ *
+ * @param {Object} product - The product document
+ * @param {string} source - "create" or "backfill"
+ * @returns {Promise<number>} - How many prices were recorded
+ */
+exports.recordSnapshot = async (product, source) =>
+  exports.recordPriceChanges(product, {}, { source });
+
+/**
+ * Get the price each chain had at a point in time: the new price of the last change
+ * before it. Chains that had no price then are left out.
+ *
+ * @param {string} productId - The product's document ID
+ * @param {Date} date - The point in time
+ * @param {string} [chain] - Only this chain
+ * @returns {Promise<Object>} - The prices, by chain
+ */
+const getPricesAt = async (productId, date, chain) => {
+  const lastChanges = await PriceHistory.aggregate([
+    {
+      $match: {
+        productId,
+        recordedAt: { $lt: date },
+        ...(chain && { chain }),
+      },
+    },
+    { $sort: { recordedAt: 1, _id: 1 } },
+    { $group: { _id: "$chain", price: { $last: "$newPrice" } } },
+  ]);
+
+  return Object.fromEntries(
+    lastChanges
+      .filter(({ price }) => price !== null)
+      .map(({ _id, price }) => [_id, price])
+  );
+};
+
+/**
+ * Get the lowest price each chain ever had, and when it was first recorded.
+ *
+ * @param {string} productId - The product's document ID
+ * @param {string} [chain] - Only this chain
+ * @returns {Promise<Object<string, {price: number, recordedAt: Date}>>} - The lowest prices, by chain
+ */
+const getLowestPrices = async (productId, chain) => {
+  const lowest = await PriceHistory.aggregate([
+    {
+      $match: {
+        productId,
+        newPrice: { $ne: null },
+        ...(chain && { chain }),
+      },
+    },
+    { $sort: { newPrice: 1, recordedAt: 1 } },
+    {
+      $group: {
+        _id: "$chain",
+        price: { $first: "$newPrice" },
+        recordedAt: { $first: "$recordedAt" },
+      },
+    },
+  ]);
+
+  return Object.fromEntries(
+    lowest.map(({ _id, price, recordedAt }) => [_id, { price, recordedAt }])
+  );
+};
+
+/**
+ * List a product's price changes in a date range, oldest first, with the prices each
+ * chain had when the range starts and the lowest price each chain ever had.
+ *
+ * @param {Object} product - The product document
+ * @param {Object} [filters]
+ * @param {Date} [filters.from] - Start of the range (the whole history by default)
+ * @param {Date} [filters.to] - End of the range (now by default)
+ * @param {string} [filters.chain] - Only this chain
+ * @returns {Promise<{startPrices: Object, lowestPrices: Object, history: Array<Object>}>} - The
+ *   prices at the start of the range and the all-time lows by chain, and the changes in the range
+ */
+exports.listForProduct = async (product, { from, to, chain } = {}) => {
+  const recordedAt = {
+    ...(from && { $gte: from }),
+    ...(to && { $lte: to }),
+  };
+
+  const [startPrices, lowestPrices, history] = await Promise.all([
+    from ? getPricesAt(product._id, from, chain) : {},
+    getLowestPrices(product._id, chain),
+    PriceHistory.find({
+      productId: product._id,
+      ...(chain && { chain }),
+      ...(Object.keys(recordedAt).length > 0 && { recordedAt }),
+    })
+      .sort({ recordedAt: 1, _id: 1 })
+      .limit(MAX_HISTORY_ENTRIES),
+  ]);
+
+  return { startPrices, lowestPrices, history };
+};
+
+/**
+ * Record a snapshot of the current prices of every product that has no history yet,
+ * so the history of the existing catalog starts from today. Safe to run again.
+ *
+ * @returns {Promise<{products: number, prices: number}>} - How many products and prices were recorded
+ */
+exports.backfill = async () => {
+  const productIds = await PriceHistory.distinct("productId");
+  const products = await Product.find({ _id: { $nin: productIds } });
+  let prices = 0;
+
+  for (const product of products) {
+    prices += await exports.recordSnapshot(product, "backfill");
+  }
+
+  return { products: products.length, prices };
+};
+
+/**
+ * Remove a product's price history (when the product is deleted).
+ *
+ * @param {string} productId - The product's document ID
+ * @returns {Promise<void>}
+ */
+exports.removeAllForProduct = async (productId) => {
+  await PriceHistory.deleteMany({ productId });
+};
@@ -0,0 +1,96 @@
+/**
+ * Session Service
+ *
+ * Checks and lists the logged-in devices (sessions) of a user and signs them out.
+ * Sessions are started by TokenService when tokens are issued at login; signing a
+ * session out revokes its refresh tokens as well, so it cannot be renewed.
+ *
+ * @module SessionService
+ */
+
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const tokenService = require("./TokenService");
+
+// How often the last-seen time of a session is written (at most once a minute)
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Check that the session of an access token is still active, and record that it was used.
+ *
+ * @param {Request} req - The authenticated request
+ * @param {Object} decoded - The decoded access token
+ * @returns {Promise<Object|null>} - The session, or null if it was signed out or has expired
+ */
+exports.validateSession = async (req, decoded) => {
+  if (!mongoose.isValidObjectId(decoded.sessionId)) return null;
+
+  const session = await Session.findOne({
+    _id: decoded.sessionId,
+    userId: decoded.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!session) return null;
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+    await Session.updateOne(
+      { _id: session._id },
+      { lastSeenAt: new Date(), ip: req.ip || session.ip }
+    );
+  }
+
+  return session;
+};
+
+/**
+ * List a user's active sessions, most recently used first.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object[]>} - The sessions
+ */
+exports.listSessions = (userId) =>
+  Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+
+/**
+ * Sign out one of a user's sessions.
+ *
+ * @param {string} userId - The user ID
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<boolean>} - Whether an active session of the user was found and signed out
+ */
+exports.revokeSession = async (userId, sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+  });
+  if (!session) return false;
+
+  await tokenService.revokeFamily(String(session._id));
+  return true;
+};
+
+/**
+ * Sign out all of a user's sessions, including the current one.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+exports.revokeAllSessions = (userId) => tokenService.revokeAllForUser(userId);
+
+/**
+ * Remove all of a user's sessions (when the account is deleted).
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+exports.removeAllForUser = async (userId) => {
+  await Session.deleteMany({ userId });
+};
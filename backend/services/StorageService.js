@@ -0,0 +1,99 @@
+/**
+ * Storage Service
+ *
+ * Stores uploaded files (e.g. profile pictures) through a pluggable storage driver.
+ * The active driver is chosen by the `STORAGE_DRIVER` environment variable and
+ * defaults to "local", which writes files under the uploads directory that
+ * server.js serves at `/api/uploads`.
+ *
+ * Another backend (e.g. object storage) can be plugged in with
+ * `registerStorageDriver(name, driver)` and selected by setting `STORAGE_DRIVER`.
+ * A driver is an object with `save(key, buffer, contentType)` returning the public
+ * URL of the stored file, and `remove(key)`.
+ *
+ * @module StorageService
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Get the directory used by the local driver.
+ *
+ * @returns {string} - The absolute uploads directory
+ */
+const getUploadsDir = () =>
+  process.env.UPLOADS_DIR || path.join(__dirname, "..", "uploads");
+
+/**
+ * Registered storage drivers, keyed by name.
+ *
+ * @type {Object<string, {save: Function, remove: Function}>}
+ */
+const drivers = {
+  local: {
+    save: async (key, buffer) => {
+      const filePath = path.join(getUploadsDir(), key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `/api/uploads/${key}`;
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.unlink(path.join(getUploadsDir(), key));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+  },
+};
+
+/**
+ * Get the configured storage driver.
+ *
+ * @returns {{save: Function, remove: Function}} - The active driver
+ * @throws {Error} If the configured driver does not exist
+ */
+const getDriver = () => {
+  const driverName = process.env.STORAGE_DRIVER || "local";
+  const driver = drivers[driverName];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${driverName}`);
+  }
+  return driver;
+};
+
+/**
+ * Register (or replace) a storage driver.
+ *
+ * @param {string} name - The driver name used in STORAGE_DRIVER
+ * @param {{save: Function, remove: Function}} driver - The driver implementation
+ */
+exports.registerStorageDriver = (name, driver) => {
+  if (typeof driver?.save !== "function" || typeof driver?.remove !== "function") {
+    throw new Error(`Storage driver "${name}" must implement save and remove`);
+  }
+  drivers[name] = driver;
+};
+
+/**
+ * Store a file.
+ *
+ * @param {string} key - The storage key (relative path, generated by the server)
+ * @param {Buffer} buffer - The file contents
+ * @param {string} contentType - The MIME type of the file
+ * @returns {Promise<string>} - The public URL of the stored file
+ */
+exports.saveFile = (key, buffer, contentType) =>
+  getDriver().save(key, buffer, contentType);
+
+/**
+ * Remove a stored file. Missing files are ignored.
+ *
+ * @param {string} key - The storage key
+ * @returns {Promise<void>}
+ */
+exports.removeFile = (key) => getDriver().remove(key);
+
+exports.getUploadsDir = getUploadsDir;
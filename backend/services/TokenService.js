@@ -0,0 +1,266 @@
+/**
+ * Token Service
+ *
+ * Issues the short-lived JWT access tokens sent in the `x-auth-token` header,
+ * the long-lived, rotating refresh tokens used to obtain new access tokens, and
+ * the short-lived challenge tokens that link the two steps of a two-factor login.
+ *
+ * Every login starts a session (see the Session model). Its id is the family of the
+ * login's refresh tokens and the `sessionId` claim of its access tokens, so revoking
+ * a family also signs out the session and makes its access tokens invalid.
+ *
+ * Access tokens carry a `twoFactor` claim when the login passed two-factor
+ * authentication; the claim is kept on the refresh token so it survives rotation.
+ * All JWTs are signed with the current key of the key ring (see KeyRingService).
+ *
+ * @module TokenService
+ */
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const keyRing = require("./KeyRingService");
+
+/**
+ * Hash a raw token so that only its digest is ever stored in the database.
+ *
+ * @param {string} token - The raw token
+ * @returns {string} - The SHA-256 hex digest of the token
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Error thrown when a refresh token cannot be used.
+ * The `reused` flag is set when a revoked token was presented again.
+ */
+class RefreshTokenError extends Error {
+  constructor(message, reused = false) {
+    super(message);
+    this.name = "RefreshTokenError";
+    this.reused = reused;
+  }
+}
+
+// A two-factor login must be completed within 5 minutes of entering the password
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = "5m";
+
+/**
+ * Get the expiry date of a refresh token (and of its session) issued now.
+ *
+ * @returns {Date} - The expiry date
+ */
+const getRefreshExpiry = () => {
+  const ttlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  return new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+};
+
+// Challenge tokens are signed with their own derived secret, so a challenge can
+// never be accepted as an access token
+const TWO_FACTOR_CHALLENGE_PURPOSE = "2fa-challenge";
+
+/**
+ * Sign a short-lived access token for a user.
+ *
+ * @param {Object} user - The user document
+ * @param {string} sessionId - The id of the session the token belongs to
+ * @param {boolean} [twoFactor=false] - Whether the login passed two-factor authentication
+ * @returns {string} - The signed JWT
+ */
+const issueAccessToken = (user, sessionId, twoFactor = false) =>
+  keyRing.sign(
+    {
+      userId: user._id,
+      sessionId,
+      ...(twoFactor && { twoFactor }),
+    },
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m" }
+  );
+
+/**
+ * Create and persist a new refresh token for a user.
+ *
+ * @param {Object} user - The user document
+ * @param {string} family - The token family (the session id)
+ * @param {boolean} [twoFactor=false] - Whether the login passed two-factor authentication
+ * @returns {Promise<string>} - The raw refresh token to hand to the client
+ */
+const issueRefreshToken = async (user, family, twoFactor = false) => {
+  const token = crypto.randomBytes(48).toString("hex");
+
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    family,
+    twoFactor,
+    expiresAt: getRefreshExpiry(),
+  });
+
+  return token;
+};
+
+/**
+ * Start a new session for a user and issue its first access token and refresh token.
+ * The device (user agent) and IP address of the request are recorded on the session.
+ *
+ * @param {Request} req - The login request
+ * @param {Object} user - The user document
+ * @param {Object} [options]
+ * @param {boolean} [options.twoFactor=false] - Whether the login passed two-factor authentication
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+exports.issueTokens = async (req, user, { twoFactor = false } = {}) => {
+  const session = await Session.create({
+    userId: user._id,
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip || "",
+    expiresAt: getRefreshExpiry(),
+  });
+  const sessionId = String(session._id);
+
+  return {
+    token: issueAccessToken(user, sessionId, twoFactor),
+    refreshToken: await issueRefreshToken(user, sessionId, twoFactor),
+  };
+};
+
+/**
+ * Sign the challenge token returned after the password step of a two-factor login.
+ *
+ * @param {Object} user - The user document
+ * @returns {string} - The signed challenge JWT
+ */
+exports.issueTwoFactorChallenge = (user) =>
+  keyRing.sign(
+    { userId: user._id, purpose: "2fa" },
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN },
+    TWO_FACTOR_CHALLENGE_PURPOSE
+  );
+
+/**
+ * Verify a two-factor challenge token.
+ *
+ * @param {string} token - The challenge token from the password step
+ * @returns {string|null} - The user id, or null if the token is invalid or expired
+ */
+exports.verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = keyRing.verify(token, TWO_FACTOR_CHALLENGE_PURPOSE);
+    return decoded.purpose === "2fa" ? decoded.userId : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * The presented token is revoked and replaced by a new one in the same family.
+ * If the token was already revoked, it is being reused, so the whole family is revoked.
+ * The token's session must still be active; its expiry is extended with the new token.
+ *
+ * @param {string} rawToken - The refresh token presented by the client
+ * @returns {Promise<{token: string, refreshToken: string, userId: string}>}
+ * @throws {RefreshTokenError} If the token is unknown, expired, reused, its session was signed out or its user no longer exists
+ */
+exports.rotateRefreshToken = async (rawToken) => {
+  const tokenHash = hashToken(rawToken);
+
+  // Revoke atomically so two concurrent refreshes cannot both succeed
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  if (!stored) {
+    const reused = await RefreshToken.findOne({ tokenHash });
+    if (reused) {
+      await exports.revokeFamily(reused.family);
+      throw new RefreshTokenError("Refresh token reuse detected", true);
+    }
+    throw new RefreshTokenError("Unknown refresh token");
+  }
+
+  if (stored.expiresAt < new Date()) {
+    throw new RefreshTokenError("Refresh token expired");
+  }
+
+  const user = await User.findById(stored.userId);
+  if (!user) {
+    await exports.revokeFamily(stored.family);
+    throw new RefreshTokenError("User no longer exists");
+  }
+
+  // Tokens issued before sessions existed have no session and need a new login
+  const session =
+    mongoose.isValidObjectId(stored.family) &&
+    (await Session.findOneAndUpdate(
+      { _id: stored.family, userId: user._id, revokedAt: null },
+      { lastSeenAt: new Date(), expiresAt: getRefreshExpiry() }
+    ));
+  if (!session) {
+    await exports.revokeFamily(stored.family);
+    throw new RefreshTokenError("Session is no longer active");
+  }
+
+  return {
+    token: issueAccessToken(user, stored.family, stored.twoFactor),
+    refreshToken: await issueRefreshToken(user, stored.family, stored.twoFactor),
+    userId: String(user._id),
+  };
+};
+
+/**
+ * Revoke every token in a family and sign out its session.
+ *
+ * @param {string} family - The token family id (the session id)
+ * @returns {Promise<void>}
+ */
+exports.revokeFamily = async (family) => {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  if (mongoose.isValidObjectId(family)) {
+    await Session.updateOne(
+      { _id: family, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+};
+
+/**
+ * Revoke the family that a raw refresh token belongs to (used on logout).
+ * Unknown tokens are ignored.
+ *
+ * @param {string} rawToken - The refresh token presented by the client
+ * @returns {Promise<void>}
+ */
+exports.revokeRefreshToken = async (rawToken) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (stored) {
+    await exports.revokeFamily(stored.family);
+  }
+};
+
+/**
+ * Revoke every refresh token and session a user holds, signing them out everywhere.
+ *
+ * @param {string} userId - The user id
+ * @returns {Promise<void>}
+ */
+exports.revokeAllForUser = async (userId) => {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+exports.hashToken = hashToken;
+exports.RefreshTokenError = RefreshTokenError;
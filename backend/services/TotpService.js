@@ -0,0 +1,195 @@
+/**
+ * TOTP Service
+ *
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication,
+ * compatible with authenticator apps such as Google Authenticator:
+ * HMAC-SHA1, 6 digits and a 30 second time step. Also creates the
+ * provisioning URI / QR code for enrollment and single-use recovery codes.
+ *
+ * @module TotpService
+ */
+
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const { hashToken } = require("./TokenService");
+
+const ISSUER = "Smart Cart";
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept codes from one time step before or after the current one (clock drift)
+const WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode bytes as base32 (RFC 4648, without padding), the format authenticator apps expect.
+ *
+ * @param {Buffer} buffer - The bytes to encode
+ * @returns {string} - The base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, spaces and padding ignored).
+ *
+ * @param {string} input - The base32 string
+ * @returns {Buffer} - The decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate the HOTP code (RFC 4226) for a counter value.
+ *
+ * @param {Buffer} key - The shared secret
+ * @param {number} counter - The counter (the TOTP time step)
+ * @returns {string} - The zero-padded code
+ */
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac("sha1", key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Get the TOTP time step for a point in time.
+ *
+ * @param {number} [time=Date.now()] - The time in milliseconds since the epoch
+ * @returns {number} - The time step
+ */
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Generate a new random shared secret.
+ *
+ * @returns {string} - The base32-encoded secret (160 bits)
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Generate the code for a secret at a point in time.
+ *
+ * @param {string} secret - The base32-encoded secret
+ * @param {number} [time=Date.now()] - The time in milliseconds since the epoch
+ * @returns {string} - The code
+ */
+exports.generateCode = (secret, time = Date.now()) =>
+  hotp(base32Decode(secret), getTimeStep(time));
+
+/**
+ * Verify a code against a secret, allowing a small clock drift.
+ * Codes from a time step that was already used are rejected so a code cannot be replayed.
+ *
+ * @param {string} secret - The base32-encoded secret
+ * @param {string} code - The code entered by the user
+ * @param {number} [lastUsedStep] - The time step of the last accepted code
+ * @returns {number|null} - The matched time step, or null if the code is invalid
+ */
+exports.verifyCode = (secret, code, lastUsedStep) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = getTimeStep();
+
+  for (let step = currentStep - WINDOW; step <= currentStep + WINDOW; step++) {
+    if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = Buffer.from(hotp(key, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// provisioning URI that authenticator apps scan.
+ *
+ * @param {string} secret - The base32-encoded secret
+ * @param {string} accountName - The account label (the user's email)
+ * @returns {string} - The provisioning URI
+ */
+exports.buildProvisioningUri = (secret, accountName) => {
+  const issuer = encodeURIComponent(ISSUER);
+  const label = `${issuer}:${encodeURIComponent(accountName)}`;
+  return (
+    `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`
+  );
+};
+
+/**
+ * Render a provisioning URI as a QR code image.
+ *
+ * @param {string} uri - The provisioning URI
+ * @returns {Promise<string>} - A PNG data URL
+ */
+exports.buildQrCode = (uri) => QRCode.toDataURL(uri, { margin: 1, width: 220 });
+
+/**
+ * Hash a recovery code for storage or lookup, ignoring case and the separator.
+ *
+ * @param {string} code - The recovery code
+ * @returns {string} - The hash
+ */
+const hashRecoveryCode = (code) =>
+  hashToken(String(code).toLowerCase().replace(/[\s-]/g, ""));
+
+/**
+ * Generate a new set of single-use recovery codes.
+ *
+ * @returns {{codes: string[], hashes: string[]}} - The codes to show the user once and the hashes to store
+ */
+exports.generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex"); // 10 hex characters
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashRecoveryCode(code)) };
+};
+
+exports.hashRecoveryCode = hashRecoveryCode;
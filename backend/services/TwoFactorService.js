@@ -0,0 +1,150 @@
+/**
+ * Two-Factor Service
+ *
+ * Manages two-factor authentication for users: enrollment with an authenticator
+ * app, verification of codes and recovery codes during login and for sensitive
+ * changes, recovery code regeneration and disabling.
+ *
+ * @module TwoFactorService
+ */
+
+const User = require("../models/User");
+const totp = require("./TotpService");
+
+// Fields that hold the two-factor secrets, which are not selected by default
+const SECRET_FIELDS =
+  "+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep";
+
+/**
+ * Load a user together with their two-factor secrets.
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} - The user document
+ */
+exports.findUserWithSecrets = (userId) =>
+  User.findById(userId).select(SECRET_FIELDS);
+
+/**
+ * Start enrollment: create a new secret that becomes active once confirmed with a code.
+ *
+ * @param {Object} user - The user document
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>} - The data for the authenticator app
+ */
+exports.startEnrollment = async (user) => {
+  const secret = totp.generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  const otpauthUrl = totp.buildProvisioningUri(secret, user.email);
+  return { secret, otpauthUrl, qrCode: await totp.buildQrCode(otpauthUrl) };
+};
+
+/**
+ * Finish enrollment: check a code from the pending secret and enable two-factor
+ * authentication with a fresh set of recovery codes.
+ *
+ * @param {Object} user - The user document, loaded with its secrets
+ * @param {string} code - The code from the authenticator app
+ * @returns {Promise<string[]|null>} - The recovery codes to show once, or null if the code is invalid
+ */
+exports.confirmEnrollment = async (user, code) => {
+  if (!user.twoFactorPendingSecret) return null;
+
+  const step = totp.verifyCode(user.twoFactorPendingSecret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = totp.generateRecoveryCodes();
+  user.twoFactorEnabled = true;
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = hashes;
+  user.twoFactorLastUsedStep = step;
+  await user.save();
+
+  return codes;
+};
+
+/**
+ * Verify a second factor: a code from the authenticator app or an unused recovery code.
+ * Accepted codes are consumed atomically, so the same code cannot be used twice.
+ *
+ * @param {Object} user - The user document, loaded with its secrets
+ * @param {string} code - The code entered by the user
+ * @returns {Promise<string|null>} - "totp" or "recovery_code" for the method used, or null if invalid
+ */
+exports.verifySecondFactor = async (user, code) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret || !code) return null;
+
+  const step = totp.verifyCode(
+    user.twoFactorSecret,
+    code,
+    user.twoFactorLastUsedStep
+  );
+  if (step !== null) {
+    // Only succeeds if no other request has used this or a later step meanwhile
+    const updated = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { twoFactorLastUsedStep: { $lt: step } },
+          { twoFactorLastUsedStep: null },
+        ],
+      },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+    return updated.modifiedCount === 1 ? "totp" : null;
+  }
+
+  const codeHash = totp.hashRecoveryCode(code);
+  if (!(user.twoFactorRecoveryCodes || []).includes(codeHash)) return null;
+
+  const updated = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodes: codeHash },
+    { $pull: { twoFactorRecoveryCodes: codeHash } }
+  );
+  return updated.modifiedCount === 1 ? "recovery_code" : null;
+};
+
+/**
+ * Replace the user's recovery codes with a new set.
+ *
+ * @param {Object} user - The user document
+ * @returns {Promise<string[]>} - The new recovery codes to show once
+ */
+exports.regenerateRecoveryCodes = async (user) => {
+  const { codes, hashes } = totp.generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { twoFactorRecoveryCodes: hashes } }
+  );
+  return codes;
+};
+
+/**
+ * Turn off two-factor authentication and remove its secrets.
+ *
+ * @param {Object} user - The user document
+ * @returns {Promise<void>}
+ */
+exports.disable = async (user) => {
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { twoFactorEnabled: false },
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastUsedStep: 1,
+      },
+    }
+  );
+};
+
+/**
+ * Count the recovery codes a user has left.
+ *
+ * @param {Object} user - The user document, loaded with its secrets
+ * @returns {number} - The number of unused recovery codes
+ */
+exports.countRecoveryCodes = (user) => (user.twoFactorRecoveryCodes || []).length;
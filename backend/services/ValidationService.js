@@ -0,0 +1,164 @@
+/**
+ * Validation Service
+ *
+ * Checks user input against the same rules as the registration form and the User
+ * schema, and reports the problems per field so the frontend can show each error
+ * next to its input. Passwords must also follow the password policy: 8-24 characters
+ * with a lowercase letter, an uppercase letter, a digit and one of !@#$%, not a common
+ * password (see data/common-passwords.txt) and not containing the user's name or email.
+ *
+ * @module ValidationService
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Same patterns as the registration form (RegisterPage)
+const EMAIL_REGEX = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+const PASSWORD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#$%]).{8,24}$/;
+const NAME_REGEX = /^[A-Za-z\u0590-\u05FF\s]{2,30}$/; // Hebrew and English names with spaces
+
+// Longest email address accepted (RFC 5321)
+const MAX_EMAIL_LENGTH = 254;
+
+// Parts of the name or email shorter than this are not checked against the password
+const MIN_PERSONAL_PART_LENGTH = 3;
+
+/**
+ * Load the bundled list of common passwords (one per line, lines starting with # are comments).
+ *
+ * @returns {Set<string>} - The common passwords, lowercase
+ */
+const loadCommonPasswords = () => {
+  const file = path.join(__dirname, "..", "data", "common-passwords.txt");
+  return new Set(
+    fs
+      .readFileSync(file, "utf8")
+      .split(/\r?\n/)
+      .map((line) => line.trim().toLowerCase())
+      .filter((line) => line && !line.startsWith("#"))
+  );
+};
+
+const COMMON_PASSWORDS = loadCommonPasswords();
+
+/**
+ * Check whether a password is a common password, also after removing leading and
+ * trailing digits and symbols (so "Password123!" counts as "password").
+ *
+ * @param {string} password - The password
+ * @returns {boolean}
+ */
+const isCommonPassword = (password) => {
+  const lower = password.toLowerCase();
+  const core = lower.replace(/^[^a-z\u0590-\u05FF]+|[^a-z\u0590-\u05FF]+$/g, "");
+  return COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(core);
+};
+
+/**
+ * Check a password against the password policy.
+ *
+ * @param {*} password - The password
+ * @param {Object} [personal] - Details the password must not contain
+ * @param {string} [personal.name] - The user's name
+ * @param {string} [personal.email] - The user's email
+ * @returns {string|null} - The error message, or null if the password is acceptable
+ */
+exports.validatePassword = (password, { name = "", email = "" } = {}) => {
+  if (typeof password !== "string" || !password) {
+    return "נדרשת סיסמה";
+  }
+  if (!PASSWORD_REGEX.test(password)) {
+    return "הסיסמה צריכה להיות 8-24 תווים, להכיל אות גדולה, אות קטנה, מספר ותו מיוחד (!@#$%)";
+  }
+  if (isCommonPassword(password)) {
+    return "הסיסמה נפוצה מדי וקלה לניחוש, יש לבחור סיסמה אחרת";
+  }
+
+  const lower = password.toLowerCase();
+  const personalParts = [
+    ...String(name).toLowerCase().split(/\s+/),
+    String(email).toLowerCase().split("@")[0],
+  ].filter((part) => part.length >= MIN_PERSONAL_PART_LENGTH);
+  if (personalParts.some((part) => lower.includes(part))) {
+    return "הסיסמה לא יכולה להכיל את השם או את כתובת האימייל";
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a value is a valid email address.
+ *
+ * @param {*} email - The value
+ * @returns {boolean}
+ */
+exports.isValidEmail = (email) =>
+  typeof email === "string" &&
+  email.trim().length <= MAX_EMAIL_LENGTH &&
+  EMAIL_REGEX.test(email.trim());
+
+/**
+ * Validate a registration request.
+ *
+ * @param {Object} body - The request body
+ * @returns {{values: {name: string, email: string, password: string}, errors: Object<string, string>|null}} -
+ *   The trimmed values, and the error message for each invalid field (null if all are valid)
+ */
+exports.validateRegistration = (body = {}) => {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+  const email = typeof body.email === "string" ? body.email.trim().toLowerCase() : "";
+  const { password } = body;
+  const errors = {};
+
+  if (!name) {
+    errors.name = "נדרש שם";
+  } else if (!NAME_REGEX.test(name)) {
+    errors.name = "שם צריך להיות 2-30 תווים ולהכיל רק אותיות בעברית או אנגלית";
+  }
+
+  if (!email) {
+    errors.email = "נדרשת כתובת אימייל";
+  } else if (!exports.isValidEmail(email)) {
+    errors.email = "כתובת אימייל לא תקינה";
+  }
+
+  const passwordError = exports.validatePassword(password, { name, email });
+  if (passwordError) errors.password = passwordError;
+
+  return {
+    values: { name, email, password },
+    errors: Object.keys(errors).length > 0 ? errors : null,
+  };
+};
+
+/**
+ * Build the response body for invalid input, mapping each field to its error.
+ * When a single field is invalid, its error is also the overall message.
+ *
+ * @param {Object<string, string>} errors - The error message of each invalid field
+ * @param {string} [code="VALIDATION_FAILED"] - The error code
+ * @returns {{code: string, message: string, errors: Object<string, string>}}
+ */
+exports.validationErrorResponse = (errors, code = "VALIDATION_FAILED") => {
+  const messages = Object.values(errors);
+  return {
+    code,
+    message: messages.length === 1 ? messages[0] : "נתונים לא תקינים",
+    errors,
+  };
+};
+
+/**
+ * Map a Mongoose validation error to field errors, for input the checks above missed.
+ *
+ * @param {Error} error - The error thrown when saving a document
+ * @returns {Object<string, string>|null} - The field errors, or null if it is not a validation error
+ */
+exports.fromMongooseError = (error) => {
+  if (error?.name !== "ValidationError") return null;
+
+  return Object.fromEntries(
+    Object.entries(error.errors).map(([field]) => [field, "ערך לא תקין"])
+  );
+};
@@ -1,14 +1,24 @@
 import React from "react";
 import { Routes, Route, Navigate } from "react-router-dom";
-import { UserProvider, useUser } from "./context/UserContext";
+import { useUser } from "./context/UserContext";
 import Layout from "./components/Layout";
 import HomePage from "./pages/HomePage";
 import RegisterPage from "./pages/RegisterPage";
 import LoginPage from "./pages/LoginPage";
+import ForgotPasswordPage from "./pages/ForgotPasswordPage";
+import ResetPasswordPage from "./pages/ResetPasswordPage";
+import VerifyEmailPage from "./pages/VerifyEmailPage";
+import UnlockAccountPage from "./pages/UnlockAccountPage";
 import SavedCartsPage from "./pages/SavedCartsPage";
 import ProductsPage from "./pages/ProductsPage";
 import TopProductsPage from "./pages/TopProductsPage";
 import CartPage from "./pages/CartPage";
+import AccountPage from "./pages/AccountPage";
+import AdminUsersPage from "./pages/AdminUsersPage";
+import HouseholdsPage from "./pages/HouseholdsPage";
+import FavoritesPage from "./pages/FavoritesPage";
+import PriceAlertsPage from "./pages/PriceAlertsPage";
+import { hasAnyRole, USER_ADMIN_ROLES } from "./utils/roles";
 
 /**
  * ProtectedRoute is a wrapper component for protecting routes that require authentication.
@@ -38,6 +48,35 @@ const ProtectedRoute = ({ children }) => {
   return children;
 };
 
+/**
+ * AdminRoute protects the admin pages. Logged-out users are sent to the login page,
+ * and users without one of the user-admin roles are sent to the home page.
+ * The server checks the permissions again on every request.
+ *
+ * @param {Object} props - The properties passed to the component.
+ * @param {React.ReactNode} props.children - The child components to be rendered if the user is an admin.
+ * @returns {JSX.Element} The wrapped admin route or a redirection.
+ */
+const AdminRoute = ({ children }) => {
+  const { currentUser, loading } = useUser();
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-screen">טוען...</div>
+    );
+  }
+
+  if (!currentUser) {
+    return <Navigate to="/login" />;
+  }
+
+  if (!hasAnyRole(currentUser, USER_ADMIN_ROLES)) {
+    return <Navigate to="/" replace />;
+  }
+
+  return children;
+};
+
 /**
  * AppRoutes defines all routes for the app.
  * It includes both public and protected routes, with conditional rendering based on authentication.
@@ -53,6 +92,10 @@ function AppRoutes() {
         <Route index element={<HomePage />} />
         <Route path="/register" element={<RegisterPage />} />
         <Route path="/login" element={<LoginPage />} />
+        <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+        <Route path="/reset-password" element={<ResetPasswordPage />} />
+        <Route path="/verify-email" element={<VerifyEmailPage />} />
+        <Route path="/unlock-account" element={<UnlockAccountPage />} />
 
         {/* Protected routes */}
         <Route
@@ -73,6 +116,51 @@ function AppRoutes() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/account"
+          element={
+            <ProtectedRoute>
+              <AccountPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/households"
+          element={
+            <ProtectedRoute>
+              <HouseholdsPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/favorites"
+          element={
+            <ProtectedRoute>
+              <FavoritesPage />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/price-alerts"
+          element={
+            <ProtectedRoute>
+              <PriceAlertsPage />
+            </ProtectedRoute>
+          }
+        />
+
+        {/* Admin routes */}
+        <Route
+          path="/admin/users"
+          element={
+            <AdminRoute>
+              <AdminUsersPage />
+            </AdminRoute>
+          }
+        />
 
         {/* Fallback route for 404 */}
         <Route path="*" element={<Navigate to="/" replace />} />
@@ -83,16 +171,13 @@ function AppRoutes() {
 
 /**
  * The App component is the root of the application.
- * It wraps the entire app in the UserProvider context and renders the AppRoutes component to manage routing.
+ * It renders the AppRoutes component to manage routing. The context providers are set up
+ * in main.jsx, so the pages share the same user state as the cart and household contexts.
  *
- * @returns {JSX.Element} The root application component with context and routes.
+ * @returns {JSX.Element} The root application component with routes.
  */
 function App() {
-  return (
-    <UserProvider>
-      <AppRoutes />
-    </UserProvider>
-  );
+  return <AppRoutes />;
 }
 
 export default App;
@@ -0,0 +1,151 @@
+import axios from "axios";
+
+/**
+ * API URL for admin endpoints
+ * @type {string}
+ */
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
+
+/**
+ * Helper function to get authentication token
+ *
+ * @returns {string|null} The authentication token or null if not found
+ */
+const getToken = () => {
+  return localStorage.getItem("token");
+};
+
+/**
+ * Get a page of users for the admin console
+ *
+ * @param {Object} options - Query options
+ * @param {string} [options.search] - Text to find in the name or email
+ * @param {string} [options.role] - Only users with this role
+ * @param {number} [options.page=1] - Page number for pagination
+ * @param {number} [options.limit=20] - Number of users per page
+ * @returns {Promise<Object>} The users with pagination
+ * @throws {Error} If fetching the users fails
+ */
+export const getUsers = async ({ search = "", role = "", page = 1, limit = 20 } = {}) => {
+  try {
+    const response = await axios.get(`${API_URL}/admin/users`, {
+      params: { search, role, page, limit },
+      headers: {
+        "Content-Type": "application/json",
+        "x-auth-token": getToken(),
+      },
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error fetching users:", err);
+    throw err;
+  }
+};
+
+/**
+ * Get the supermarket chains that price editors can be assigned to
+ *
+ * @returns {Promise<string[]>} The chain names
+ * @throws {Error} If fetching the chains fails
+ */
+export const getChains = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/admin/chains`, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-auth-token": getToken(),
+      },
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error fetching chains:", err);
+    throw err;
+  }
+};
+
+/**
+ * Replace a user's staff roles
+ *
+ * @param {string} userId - The user ID
+ * @param {string[]} roles - The new roles
+ * @param {string[]} priceChains - The chains a price editor may change
+ * @returns {Promise<Object>} The updated user
+ * @throws {Error} If updating the roles fails
+ */
+export const updateUserRoles = async (userId, roles, priceChains) => {
+  try {
+    const response = await axios.put(
+      `${API_URL}/admin/users/${userId}/roles`,
+      { roles, priceChains },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "x-auth-token": getToken(),
+        },
+      }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error updating user roles:", err);
+    throw err;
+  }
+};
+
+/**
+ * Disable or re-enable a user's account
+ *
+ * @param {string} userId - The user ID
+ * @param {boolean} disabled - Whether the account is disabled
+ * @param {string} [reason] - The reason for disabling the account
+ * @returns {Promise<Object>} The updated user
+ * @throws {Error} If updating the account fails
+ */
+export const setUserDisabled = async (userId, disabled, reason = "") => {
+  try {
+    const response = await axios.put(
+      `${API_URL}/admin/users/${userId}/status`,
+      { disabled, reason },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "x-auth-token": getToken(),
+        },
+      }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error updating account status:", err);
+    throw err;
+  }
+};
+
+/**
+ * Sign a user out everywhere and email them a password reset link they must use
+ *
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If the reset fails
+ */
+export const forcePasswordReset = async (userId) => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/admin/users/${userId}/force-password-reset`,
+      {},
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "x-auth-token": getToken(),
+        },
+      }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error forcing password reset:", err);
+    throw err;
+  }
+};
@@ -6,6 +6,24 @@ import axios from "axios";
  */
 const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
 
+/**
+ * Auth endpoints whose 401 responses must not trigger a token refresh
+ * @type {string[]}
+ */
+const NO_REFRESH_PATHS = ["/auth/login", "/auth/register", "/auth/refresh-token"];
+
+/**
+ * Pending refresh request, shared by every caller that hits a 401 at the same time
+ * @type {Promise<string>|null}
+ */
+let refreshPromise = null;
+
+/**
+ * Listeners notified when the session can no longer be refreshed
+ * @type {Set<Function>}
+ */
+const authFailureListeners = new Set();
+
 /**
  * Set the authentication token for all future API requests
  *
@@ -45,8 +63,11 @@ export const loginUser = async (email, password) => {
       throw new Error("No token received from server");
     }
 
-    // Set the token in local storage and axios headers
+    // Set the tokens in local storage and axios headers
     localStorage.setItem("token", response.data.token);
+    if (response.data.refreshToken) {
+      localStorage.setItem("refreshToken", response.data.refreshToken);
+    }
     setAuthToken(response.data.token);
 
     return response.data;
@@ -78,6 +99,9 @@ export const registerUser = async (name, email, password) => {
     // If registration returns a token, set it
     if (response.data.token) {
       localStorage.setItem("token", response.data.token);
+      if (response.data.refreshToken) {
+        localStorage.setItem("refreshToken", response.data.refreshToken);
+      }
       setAuthToken(response.data.token);
     }
 
@@ -89,10 +113,19 @@ export const registerUser = async (name, email, password) => {
 };
 
 /**
- * Log out the current user by removing authentication data
+ * Log out the current user by revoking the refresh token on the server
+ * and removing authentication data
  */
 export const logoutUser = () => {
+  const storedRefreshToken = localStorage.getItem("refreshToken");
+  if (storedRefreshToken) {
+    axios
+      .post(`${API_URL}/auth/logout`, { refreshToken: storedRefreshToken })
+      .catch((err) => console.error("Logout error:", err));
+  }
+
   localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
   removeAuthToken();
 };
 
@@ -137,17 +170,24 @@ export const resetPassword = async (token, newPassword) => {
 };
 
 /**
- * Refresh the authentication token
+ * Refresh the authentication token using the stored refresh token.
+ * The server rotates the refresh token, so both tokens are replaced.
  *
  * @returns {Promise<string>} The new authentication token
  * @throws {Error} If token refresh fails
  */
 export const refreshToken = async () => {
   try {
-    const response = await axios.post(`${API_URL}/auth/refresh-token`);
+    const storedRefreshToken = localStorage.getItem("refreshToken");
+    if (!storedRefreshToken) throw new Error("No refresh token stored");
+
+    const response = await axios.post(`${API_URL}/auth/refresh-token`, {
+      refreshToken: storedRefreshToken,
+    });
 
     if (response.data.token) {
       localStorage.setItem("token", response.data.token);
+      localStorage.setItem("refreshToken", response.data.refreshToken);
       setAuthToken(response.data.token);
     }
 
@@ -173,3 +213,108 @@ export const checkEmailExists = async (email) => {
     return false;
   }
 };
+
+/**
+ * Register a listener that is called when the session expires and cannot be refreshed
+ *
+ * @param {Function} listener - Callback invoked after the stored tokens are cleared
+ * @returns {Function} Function that removes the listener
+ */
+export const onAuthFailure = (listener) => {
+  authFailureListeners.add(listener);
+  return () => authFailureListeners.delete(listener);
+};
+
+/**
+ * Refresh the access token, reusing a refresh that is already in flight.
+ * If the server rejects the refresh token, the stored tokens are cleared
+ * and the auth failure listeners are notified.
+ *
+ * @returns {Promise<string>} The new authentication token
+ * @throws {Error} If token refresh fails
+ */
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = refreshToken()
+      .catch((err) => {
+        // Only drop the session when the server rejected it, not on network errors
+        if (err.response || !localStorage.getItem("refreshToken")) {
+          localStorage.removeItem("token");
+          localStorage.removeItem("refreshToken");
+          removeAuthToken();
+          authFailureListeners.forEach((listener) => listener());
+        }
+        throw err;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Check whether a failed request should be retried after refreshing the token
+ *
+ * @param {number} status - The response status code
+ * @param {string} url - The request URL
+ * @returns {boolean} True if the request may be retried with a new token
+ */
+const shouldRefresh = (status, url = "") =>
+  status === 401 &&
+  !NO_REFRESH_PATHS.some((path) => url.includes(path)) &&
+  !!localStorage.getItem("refreshToken");
+
+// Transparently refresh the access token and retry axios requests that fail with 401
+axios.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (
+      !originalRequest ||
+      originalRequest._retry ||
+      !shouldRefresh(error.response?.status, originalRequest.url)
+    ) {
+      return Promise.reject(error);
+    }
+
+    originalRequest._retry = true;
+    try {
+      const newToken = await refreshAccessToken();
+      originalRequest.headers["x-auth-token"] = newToken;
+      return axios(originalRequest);
+    } catch {
+      return Promise.reject(error);
+    }
+  }
+);
+
+/**
+ * Perform a fetch request with the current authentication token.
+ * If the request fails with 401, the token is refreshed and the request retried once.
+ *
+ * @param {string} url - The request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} The fetch response
+ */
+export const fetchWithAuth = async (url, options = {}) => {
+  const send = () =>
+    fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        "x-auth-token": localStorage.getItem("token"),
+      },
+    });
+
+  const response = await send();
+  if (!shouldRefresh(response.status, url)) return response;
+
+  try {
+    await refreshAccessToken();
+  } catch {
+    return response;
+  }
+  return send();
+};
@@ -1,3 +1,5 @@
+import { fetchWithAuth } from "./authAPI";
+
 /**
  * API base URL for cart endpoints
  * @type {string}
@@ -14,21 +16,22 @@ const getToken = () => {
 };
 
 /**
- * Retrieve all saved carts for the authenticated user
+ * Retrieve all saved carts for the authenticated user, or the shared carts of one of their households
  *
+ * @param {string|null} [householdId] - The household whose carts to retrieve, or nothing for personal carts
  * @returns {Promise<Array>} Array of saved cart objects
  * @throws {Error} If the user is not logged in or fetch operation fails
  */
-export const getSavedCarts = async () => {
+export const getSavedCarts = async (householdId = null) => {
   const token = getToken();
   if (!token) throw new Error("Unauthorized: User not logged in");
 
   try {
-    const response = await fetch(`${API_URL}/cart`, {
+    const query = householdId ? `?householdId=${householdId}` : "";
+    const response = await fetchWithAuth(`${API_URL}/cart${query}`, {
       method: "GET",
       headers: {
         "Content-Type": "application/json",
-        "x-auth-token": token,
       },
     });
 
@@ -56,11 +59,10 @@ export const getSavedCartById = async (cartId) => {
   if (!token) throw new Error("Unauthorized: User not logged in");
 
   try {
-    const response = await fetch(`${API_URL}/cart/${cartId}`, {
+    const response = await fetchWithAuth(`${API_URL}/cart/${cartId}`, {
       method: "GET",
       headers: {
         "Content-Type": "application/json",
-        "x-auth-token": token,
       },
     });
 
@@ -82,6 +84,7 @@ export const getSavedCartById = async (cartId) => {
  * @param {Object} cartData - The cart data to save
  * @param {Array} cartData.items - Array of cart items
  * @param {string} [cartData.name] - Optional name for the saved cart
+ * @param {string} [cartData.householdId] - Optional household to save the cart in, shared with its members
  * @returns {Promise<Object>} The saved cart data with ID
  * @throws {Error} If the user is not logged in or save operation fails
  */
@@ -90,11 +93,10 @@ export const saveCartToDB = async (cartData) => {
   if (!token) throw new Error("Unauthorized: User not logged in");
 
   try {
-    const response = await fetch(`${API_URL}/cart`, {
+    const response = await fetchWithAuth(`${API_URL}/cart`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        "x-auth-token": token,
       },
       body: JSON.stringify(cartData),
     });
@@ -126,11 +128,10 @@ export const updateSavedCart = async (cartId, cartData) => {
   if (!token) throw new Error("Unauthorized: User not logged in");
 
   try {
-    const response = await fetch(`${API_URL}/cart/${cartId}`, {
+    const response = await fetchWithAuth(`${API_URL}/cart/${cartId}`, {
       method: "PUT",
       headers: {
         "Content-Type": "application/json",
-        "x-auth-token": token,
       },
       body: JSON.stringify(cartData),
     });
@@ -158,11 +159,10 @@ export const deleteSavedCart = async (cartId) => {
   const token = getToken();
   if (!token) throw new Error("Unauthorized: User not logged in");
   try {
-    const response = await fetch(`${API_URL}/cart/${cartId}`, {
+    const response = await fetchWithAuth(`${API_URL}/cart/${cartId}`, {
       method: "DELETE",
       headers: {
         "Content-Type": "application/json",
-        "x-auth-token": token,
       },
     });
     if (!response.ok) {
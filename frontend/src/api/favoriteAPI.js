@@ -0,0 +1,87 @@
+import axios from "axios";
+
+/**
+ * API URL for favorite endpoints
+ * @type {string}
+ */
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
+
+/**
+ * Helper function to get authentication token
+ *
+ * @returns {string|null} The authentication token or null if not found
+ */
+const getToken = () => {
+  return localStorage.getItem("token");
+};
+
+/**
+ * Helper function to build the request headers
+ *
+ * @returns {Object} The headers with the authentication token
+ */
+const authHeaders = () => ({
+  "Content-Type": "application/json",
+  "x-auth-token": getToken(),
+});
+
+/**
+ * Get the current user's favorite products
+ *
+ * @returns {Promise<Array>} The favorites (product ID, product details and when it was added), newest first
+ * @throws {Error} If fetching the favorites fails
+ */
+export const getFavorites = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/favorites`, {
+      headers: authHeaders(),
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error fetching favorites:", err);
+    throw err;
+  }
+};
+
+/**
+ * Add a product to the current user's favorites
+ *
+ * @param {string} productId - The product's document ID (`_id`)
+ * @returns {Promise<Object>} The favorite
+ * @throws {Error} If adding the favorite fails
+ */
+export const addFavorite = async (productId) => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/favorites`,
+      { productId },
+      { headers: authHeaders() }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error adding favorite:", err);
+    throw err;
+  }
+};
+
+/**
+ * Remove a product from the current user's favorites
+ *
+ * @param {string} productId - The product's document ID (`_id`)
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If removing the favorite fails
+ */
+export const removeFavorite = async (productId) => {
+  try {
+    const response = await axios.delete(`${API_URL}/favorites/${productId}`, {
+      headers: authHeaders(),
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error removing favorite:", err);
+    throw err;
+  }
+};
@@ -0,0 +1,286 @@
+import axios from "axios";
+
+/**
+ * API URL for household endpoints
+ * @type {string}
+ */
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
+
+/**
+ * Helper function to get authentication token
+ *
+ * @returns {string|null} The authentication token or null if not found
+ */
+const getToken = () => {
+  return localStorage.getItem("token");
+};
+
+/**
+ * Helper function to build the request headers
+ *
+ * @returns {Object} The headers with the authentication token
+ */
+const authHeaders = () => ({
+  "Content-Type": "application/json",
+  "x-auth-token": getToken(),
+});
+
+/**
+ * Get the households the current user belongs to
+ *
+ * @returns {Promise<Array>} The households with the user's role and the members
+ * @throws {Error} If fetching the households fails
+ */
+export const getHouseholds = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/households`, {
+      headers: authHeaders(),
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error fetching households:", err);
+    throw err;
+  }
+};
+
+/**
+ * Create a household with the current user as its owner
+ *
+ * @param {string} name - The household name
+ * @returns {Promise<Object>} The new household
+ * @throws {Error} If creating the household fails
+ */
+export const createHousehold = async (name) => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/households`,
+      { name },
+      { headers: authHeaders() }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error creating household:", err);
+    throw err;
+  }
+};
+
+/**
+ * Rename a household
+ *
+ * @param {string} householdId - The household ID
+ * @param {string} name - The new name
+ * @returns {Promise<Object>} The updated household
+ * @throws {Error} If renaming the household fails
+ */
+export const renameHousehold = async (householdId, name) => {
+  try {
+    const response = await axios.put(
+      `${API_URL}/households/${householdId}`,
+      { name },
+      { headers: authHeaders() }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error renaming household:", err);
+    throw err;
+  }
+};
+
+/**
+ * Delete a household with all of its carts
+ *
+ * @param {string} householdId - The household ID
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If deleting the household fails
+ */
+export const deleteHousehold = async (householdId) => {
+  try {
+    const response = await axios.delete(`${API_URL}/households/${householdId}`, {
+      headers: authHeaders(),
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error deleting household:", err);
+    throw err;
+  }
+};
+
+/**
+ * Get the pending invites of a household (owners only)
+ *
+ * @param {string} householdId - The household ID
+ * @returns {Promise<Array>} The invites
+ * @throws {Error} If fetching the invites fails
+ */
+export const getHouseholdInvites = async (householdId) => {
+  try {
+    const response = await axios.get(
+      `${API_URL}/households/${householdId}/invites`,
+      { headers: authHeaders() }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error fetching household invites:", err);
+    throw err;
+  }
+};
+
+/**
+ * Invite an email address to a household
+ *
+ * @param {string} householdId - The household ID
+ * @param {string} email - The address to invite
+ * @param {string} role - The role to join with ("editor" or "viewer")
+ * @returns {Promise<Object>} The invite
+ * @throws {Error} If sending the invite fails
+ */
+export const inviteMember = async (householdId, email, role) => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/households/${householdId}/invites`,
+      { email, role },
+      { headers: authHeaders() }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error inviting household member:", err);
+    throw err;
+  }
+};
+
+/**
+ * Cancel a pending invite of a household
+ *
+ * @param {string} householdId - The household ID
+ * @param {string} inviteId - The invite ID
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If cancelling the invite fails
+ */
+export const cancelInvite = async (householdId, inviteId) => {
+  try {
+    const response = await axios.delete(
+      `${API_URL}/households/${householdId}/invites/${inviteId}`,
+      { headers: authHeaders() }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error cancelling household invite:", err);
+    throw err;
+  }
+};
+
+/**
+ * Get the pending household invites addressed to the current user
+ *
+ * @returns {Promise<Array>} The invites
+ * @throws {Error} If fetching the invites fails
+ */
+export const getMyInvites = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/households/invites`, {
+      headers: authHeaders(),
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error fetching invites:", err);
+    throw err;
+  }
+};
+
+/**
+ * Accept an invite and join its household
+ *
+ * @param {string} inviteId - The invite ID
+ * @returns {Promise<Object>} The household joined
+ * @throws {Error} If accepting the invite fails
+ */
+export const acceptInvite = async (inviteId) => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/households/invites/${inviteId}/accept`,
+      {},
+      { headers: authHeaders() }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error accepting invite:", err);
+    throw err;
+  }
+};
+
+/**
+ * Decline an invite
+ *
+ * @param {string} inviteId - The invite ID
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If declining the invite fails
+ */
+export const declineInvite = async (inviteId) => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/households/invites/${inviteId}/decline`,
+      {},
+      { headers: authHeaders() }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error declining invite:", err);
+    throw err;
+  }
+};
+
+/**
+ * Change a member's role
+ *
+ * @param {string} householdId - The household ID
+ * @param {string} userId - The member's user ID
+ * @param {string} role - The new role ("owner", "editor" or "viewer")
+ * @returns {Promise<Object>} The updated household
+ * @throws {Error} If changing the role fails
+ */
+export const updateMemberRole = async (householdId, userId, role) => {
+  try {
+    const response = await axios.put(
+      `${API_URL}/households/${householdId}/members/${userId}`,
+      { role },
+      { headers: authHeaders() }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error updating household member:", err);
+    throw err;
+  }
+};
+
+/**
+ * Remove a member from a household, or leave it when the member is the current user
+ *
+ * @param {string} householdId - The household ID
+ * @param {string} userId - The member's user ID
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If removing the member fails
+ */
+export const removeMember = async (householdId, userId) => {
+  try {
+    const response = await axios.delete(
+      `${API_URL}/households/${householdId}/members/${userId}`,
+      { headers: authHeaders() }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error removing household member:", err);
+    throw err;
+  }
+};
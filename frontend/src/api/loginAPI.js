@@ -5,7 +5,8 @@ import axios from "axios";
  *
  * @param {string} email - The user's email address
  * @param {string} password - The user's password
- * @returns {Promise<Object>} - The user data and authentication token
+ * @returns {Promise<Object>} - The user data and authentication token, or
+ *   `{ twoFactorRequired, twoFactorToken }` when a two-factor code is needed
  * @throws {Error} - If authentication fails
  */
 export const loginUser = async (email, password) => {
@@ -17,7 +18,7 @@ export const loginUser = async (email, password) => {
 
     console.log("Login successful:", response.data);
 
-    if (!response.data.token) {
+    if (!response.data.token && !response.data.twoFactorRequired) {
       throw new Error("No token received from server");
     }
 
@@ -28,6 +29,72 @@ export const loginUser = async (email, password) => {
   }
 };
 
+/**
+ * Completes a two-factor login with a code from the authenticator app or a recovery code
+ *
+ * @param {string} twoFactorToken - The challenge token returned by loginUser
+ * @param {string} code - The 6-digit code or a recovery code
+ * @returns {Promise<Object>} - The user data and authentication token
+ * @throws {Error} - If the code is wrong or the challenge expired
+ */
+export const loginTwoFactor = async (twoFactorToken, code) => {
+  try {
+    const response = await axios.post("/api/auth/login/2fa", {
+      twoFactorToken,
+      code,
+    });
+
+    if (!response.data.token) {
+      throw new Error("No token received from server");
+    }
+
+    return response.data;
+  } catch (err) {
+    console.error("Two-factor login error:", err);
+    throw err;
+  }
+};
+
+/**
+ * Requests a single-use login link by email, for signing in without the password
+ *
+ * @param {string} email - The email address to send the link to
+ * @returns {Promise<Object>} - Response data
+ * @throws {Error} - If the request fails
+ */
+export const requestMagicLink = async (email) => {
+  try {
+    const response = await axios.post("/api/auth/magic-link", { email });
+    return response.data;
+  } catch (err) {
+    console.error("Magic link request error:", err);
+    throw err;
+  }
+};
+
+/**
+ * Logs in with the token from an emailed login link
+ *
+ * @param {string} token - The token from the login link
+ * @returns {Promise<Object>} - The user data and authentication token, or
+ *   `{ twoFactorRequired, twoFactorToken }` when a two-factor code is needed
+ * @throws {Error} - If the link is invalid, expired or already used
+ */
+export const loginWithMagicLink = async (token) => {
+  try {
+    const response = await axios.post("/api/auth/magic-link/login", { token });
+
+    if (!response.data.token && !response.data.twoFactorRequired) {
+      throw new Error("No token received from server");
+    }
+
+    return response.data;
+  } catch (err) {
+    console.error("Magic link login error:", err);
+    throw err;
+  }
+};
+
 /**
  * Requests a password reset for the given email
  *
@@ -65,16 +132,55 @@ export const resetPassword = async (token, newPassword) => {
 };
 
 /**
- * Refreshes the authentication token
+ * Unlocks an account that was locked after too many failed logins
+ *
+ * @param {string} token - The unlock token from the emailed link
+ * @returns {Promise<Object>} - Response data
+ */
+export const unlockAccount = async (token) => {
+  try {
+    const response = await axios.post("/api/auth/unlock-account", { token });
+    return response.data;
+  } catch (err) {
+    console.error("Unlock account error:", err);
+    throw err;
+  }
+};
+
+/**
+ * Verifies an email address with the token from a verification link
  *
- * @returns {Promise<string>} - The new token
+ * @param {string} token - The verification token
+ * @returns {Promise<Object>} - Response data
  */
-export const refreshToken = async () => {
+export const verifyEmail = async (token) => {
   try {
-    const response = await axios.post("/api/auth/refresh-token");
-    return response.data.token;
+    const response = await axios.post("/api/auth/verify-email", { token });
+    return response.data;
   } catch (err) {
-    console.error("Token refresh error:", err);
+    console.error("Email verification error:", err);
     throw err;
   }
 };
+
+/**
+ * Asks the server to email a new verification link to the logged-in user
+ *
+ * @returns {Promise<Object>} - Response data
+ */
+export const resendVerificationEmail = async () => {
+  try {
+    const response = await axios.post(
+      "/api/auth/resend-verification",
+      {},
+      { headers: { "x-auth-token": localStorage.getItem("token") } }
+    );
+    return response.data;
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    throw err;
+  }
+};
+
+// Refreshing rotates the refresh token, so there is one implementation that stores the new tokens
+export { refreshToken } from "./authAPI";
@@ -0,0 +1,108 @@
+import axios from "axios";
+
+/**
+ * API URL for notification endpoints
+ * @type {string}
+ */
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
+
+/**
+ * Helper function to get authentication token
+ *
+ * @returns {string|null} The authentication token or null if not found
+ */
+const getToken = () => {
+  return localStorage.getItem("token");
+};
+
+/**
+ * Helper function to build the request headers
+ *
+ * @returns {Object} The headers with the authentication token
+ */
+const authHeaders = () => ({
+  "Content-Type": "application/json",
+  "x-auth-token": getToken(),
+});
+
+/**
+ * Get the latest notifications in the current user's inbox
+ *
+ * @returns {Promise<{notifications: Array, unreadCount: number}>} The notifications, newest first,
+ *   and how many are unread
+ * @throws {Error} If fetching the notifications fails
+ */
+export const getNotifications = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/notifications`, {
+      headers: authHeaders(),
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error fetching notifications:", err);
+    throw err;
+  }
+};
+
+/**
+ * Count the unread notifications in the current user's inbox
+ *
+ * @returns {Promise<number>} The number of unread notifications
+ * @throws {Error} If counting the notifications fails
+ */
+export const getUnreadCount = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/notifications/unread-count`, {
+      headers: authHeaders(),
+    });
+
+    return response.data.unreadCount;
+  } catch (err) {
+    console.error("Error counting notifications:", err);
+    throw err;
+  }
+};
+
+/**
+ * Mark a notification as read
+ *
+ * @param {string} notificationId - The notification ID
+ * @returns {Promise<{notification: Object, unreadCount: number}>} The notification and the remaining unread count
+ * @throws {Error} If updating the notification fails
+ */
+export const markNotificationRead = async (notificationId) => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/notifications/${notificationId}/read`,
+      {},
+      { headers: authHeaders() }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error marking notification as read:", err);
+    throw err;
+  }
+};
+
+/**
+ * Mark all of the current user's notifications as read
+ *
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If updating the notifications fails
+ */
+export const markAllNotificationsRead = async () => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/notifications/read-all`,
+      {},
+      { headers: authHeaders() }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error marking notifications as read:", err);
+    throw err;
+  }
+};
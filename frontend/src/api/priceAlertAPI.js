@@ -0,0 +1,90 @@
+import axios from "axios";
+
+/**
+ * API URL for price alert endpoints
+ * @type {string}
+ */
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
+
+/**
+ * Helper function to get authentication token
+ *
+ * @returns {string|null} The authentication token or null if not found
+ */
+const getToken = () => {
+  return localStorage.getItem("token");
+};
+
+/**
+ * Helper function to build the request headers
+ *
+ * @returns {Object} The headers with the authentication token
+ */
+const authHeaders = () => ({
+  "Content-Type": "application/json",
+  "x-auth-token": getToken(),
+});
+
+/**
+ * Get the current user's price alerts
+ *
+ * @returns {Promise<Array>} The alerts (product details, chain, target price and when they last fired), newest first
+ * @throws {Error} If fetching the alerts fails
+ */
+export const getPriceAlerts = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/price-alerts`, {
+      headers: authHeaders(),
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error fetching price alerts:", err);
+    throw err;
+  }
+};
+
+/**
+ * Set a target price on a product, in one chain or in any chain
+ *
+ * @param {Object} alert - The alert
+ * @param {string} alert.productId - The product's document ID (`_id`)
+ * @param {number} alert.targetPrice - The price to be notified at
+ * @param {string|null} alert.chain - The chain to watch, or null for any chain
+ * @returns {Promise<Object>} The alert
+ * @throws {Error} If saving the alert fails
+ */
+export const setPriceAlert = async ({ productId, targetPrice, chain }) => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/price-alerts`,
+      { productId, targetPrice, chain },
+      { headers: authHeaders() }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error setting price alert:", err);
+    throw err;
+  }
+};
+
+/**
+ * Delete one of the current user's price alerts
+ *
+ * @param {string} alertId - The alert ID
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If deleting the alert fails
+ */
+export const deletePriceAlert = async (alertId) => {
+  try {
+    const response = await axios.delete(`${API_URL}/price-alerts/${alertId}`, {
+      headers: authHeaders(),
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error deleting price alert:", err);
+    throw err;
+  }
+};
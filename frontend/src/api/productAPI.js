@@ -70,6 +70,39 @@ export const getProductById = async (productId) => {
   }
 };
 
+/**
+ * Retrieve a product by its EAN/UPC barcode
+ *
+ * @param {string} barcode - The barcode of the product to fetch
+ * @returns {Promise<Object>} The product data
+ * @throws {Error} If the barcode is invalid, no product has it, or the fetch fails
+ */
+export const getProductByBarcode = async (barcode) => {
+  try {
+    const response = await fetch(
+      `${API_URL}/products/barcode/${encodeURIComponent(barcode)}`,
+      {
+        method: "GET",
+        headers: {
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(
+        errorData.message || `Failed to fetch product with barcode: ${barcode}`
+      );
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error in getProductByBarcode:", error);
+    throw error;
+  }
+};
+
 /**
  * Retrieve products filtered by category
  *
@@ -128,6 +161,33 @@ export const getAllCategories = async () => {
   }
 };
 
+/**
+ * Retrieve the supermarket chains that have prices in the catalog
+ *
+ * @returns {Promise<Array>} Array of chain names
+ * @throws {Error} If the fetch operation fails
+ */
+export const getChains = async () => {
+  try {
+    const response = await fetch(`${API_URL}/products/chains`, {
+      method: "GET",
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || "Failed to fetch chains");
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error in getChains:", error);
+    throw error;
+  }
+};
+
 /**
  * Search for products matching a query string
  *
@@ -164,13 +224,16 @@ export const searchProducts = async (query) => {
  *
  * @param {string} criteria - The sorting criteria (e.g., 'rating', 'sales')
  * @param {number} limit - Maximum number of products to return
+ * @param {string[]} [chains] - Chains to compare prices in (all chains by default)
  * @returns {Promise<Array>} Array of top products
  * @throws {Error} If the fetch operation fails
  */
-export const getTopProducts = async (criteria, limit) => {
+export const getTopProducts = async (criteria, limit, chains) => {
   try {
+    const params = new URLSearchParams({ criteria, limit });
+    if (chains?.length) params.set("chains", chains.join(","));
     const response = await fetch(
-      `${API_URL}/products/top?criteria=${criteria}&limit=${limit}`,
+      `${API_URL}/products/top?${params}`,
       {
         method: "GET",
         headers: {
@@ -190,3 +253,40 @@ export const getTopProducts = async (criteria, limit) => {
     throw error;
   }
 };
+
+/**
+ * Retrieve the price history of a product
+ *
+ * @param {string} productId - The product's document ID
+ * @param {Object} [filters] - Optional filters
+ * @param {Date} [filters.from] - Start of the range (the whole history by default)
+ * @param {string} [filters.chain] - Only this chain
+ * @returns {Promise<Object>} The prices at the start of the range and the all-time lows by chain, and the price changes
+ * @throws {Error} If the fetch operation fails
+ */
+export const getPriceHistory = async (productId, { from, chain } = {}) => {
+  try {
+    const params = new URLSearchParams();
+    if (from) params.set("from", from.toISOString());
+    if (chain) params.set("chain", chain);
+    const response = await fetch(
+      `${API_URL}/products/${productId}/price-history?${params}`,
+      {
+        method: "GET",
+        headers: {
+          "Content-Type": "application/json",
+        },
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.message || "Failed to fetch price history");
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error("Error in getPriceHistory:", error);
+    throw error;
+  }
+};
@@ -47,6 +47,7 @@ export const getUserProfile = async () => {
  * @param {Object} userData - The user data to update
  * @param {string} [userData.name] - User's name
  * @param {string} [userData.email] - User's email
+ * @param {string} [userData.currentPassword] - Current password, required when changing the email
  * @param {Object} [userData.preferences] - User preferences
  * @returns {Promise<Object>} The updated user data
  * @throws {Error} If the update fails
@@ -71,6 +72,32 @@ export const updateUserProfile = async (userData) => {
   }
 };
 
+/**
+ * Update the current user's shopping preferences
+ *
+ * @param {Object} preferences - The preferences
+ * @param {string[]} preferences.preferredChains - The chains the user prefers
+ * @param {string[]} preferences.excludedChains - The chains the user never shops at
+ * @param {string|null} preferences.defaultChain - The chain the user usually shops at
+ * @returns {Promise<Object>} The saved preferences
+ * @throws {Error} If saving the preferences fails
+ */
+export const updateShoppingPreferences = async (preferences) => {
+  try {
+    const response = await axios.put(`${API_URL}/user/preferences`, preferences, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-auth-token": getToken(),
+      },
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error updating shopping preferences:", err);
+    throw err;
+  }
+};
+
 /**
  * Change the current user's password
  *
@@ -105,12 +132,14 @@ export const changePassword = async (currentPassword, newPassword) => {
 /**
  * Delete the current user's account
  *
+ * @param {string} password - The current password, required to confirm the deletion
  * @returns {Promise<Object>} Response data
  * @throws {Error} If the account deletion fails
  */
-export const deleteAccount = async () => {
+export const deleteAccount = async (password) => {
   try {
     const response = await axios.delete(`${API_URL}/user/account`, {
+      data: { password },
       headers: {
         "Content-Type": "application/json",
         "x-auth-token": getToken(),
@@ -179,3 +208,358 @@ export const uploadProfilePicture = async (formData) => {
     throw err;
   }
 };
+
+/**
+ * Get the current user's two-factor authentication status
+ *
+ * @returns {Promise<Object>} Whether it is enabled and required, and the number of recovery codes left
+ * @throws {Error} If fetching the status fails
+ */
+export const getTwoFactorStatus = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/user/2fa`, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-auth-token": getToken(),
+      },
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error fetching two-factor status:", err);
+    throw err;
+  }
+};
+
+/**
+ * Start two-factor setup for the current user
+ *
+ * @returns {Promise<Object>} The secret, the otpauth:// URI and a QR code image (data URL)
+ * @throws {Error} If the setup fails
+ */
+export const setupTwoFactor = async () => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/user/2fa/setup`,
+      {},
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "x-auth-token": getToken(),
+        },
+      }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error starting two-factor setup:", err);
+    throw err;
+  }
+};
+
+/**
+ * Enable two-factor authentication with a code from the authenticator app
+ *
+ * @param {string} code - The 6-digit code
+ * @returns {Promise<Object>} The recovery codes with a new access token and refresh token
+ * @throws {Error} If the code is wrong
+ */
+export const enableTwoFactor = async (code) => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/user/2fa/enable`,
+      { code },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "x-auth-token": getToken(),
+        },
+      }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error enabling two-factor authentication:", err);
+    throw err;
+  }
+};
+
+/**
+ * Disable two-factor authentication
+ *
+ * @param {string} password - The current password
+ * @param {string} code - A code from the authenticator app or a recovery code
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If the password or code is wrong
+ */
+export const disableTwoFactor = async (password, code) => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/user/2fa/disable`,
+      { password, code },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "x-auth-token": getToken(),
+        },
+      }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error disabling two-factor authentication:", err);
+    throw err;
+  }
+};
+
+/**
+ * Replace the recovery codes with a new set
+ *
+ * @param {string} code - A code from the authenticator app or a recovery code
+ * @returns {Promise<Object>} The new recovery codes
+ * @throws {Error} If the code is wrong
+ */
+export const regenerateRecoveryCodes = async (code) => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/user/2fa/recovery-codes`,
+      { code },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "x-auth-token": getToken(),
+        },
+      }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error regenerating recovery codes:", err);
+    throw err;
+  }
+};
+
+/**
+ * Get the devices the current user is logged in on
+ *
+ * @returns {Promise<Object[]>} The active sessions, with the current one marked
+ * @throws {Error} If fetching the sessions fails
+ */
+export const getSessions = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/user/sessions`, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-auth-token": getToken(),
+      },
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error fetching sessions:", err);
+    throw err;
+  }
+};
+
+/**
+ * Sign out one of the current user's devices
+ *
+ * @param {string} sessionId - The ID of the session to sign out
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If signing out the device fails
+ */
+export const revokeSession = async (sessionId) => {
+  try {
+    const response = await axios.delete(
+      `${API_URL}/user/sessions/${sessionId}`,
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "x-auth-token": getToken(),
+        },
+      }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error revoking session:", err);
+    throw err;
+  }
+};
+
+/**
+ * Sign out the current user on every device, including this one
+ *
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If signing out the devices fails
+ */
+export const revokeAllSessions = async () => {
+  try {
+    const response = await axios.delete(`${API_URL}/user/sessions`, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-auth-token": getToken(),
+      },
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error revoking all sessions:", err);
+    throw err;
+  }
+};
+
+/**
+ * Get the current user's active API keys
+ *
+ * @returns {Promise<Array>} The keys (the keys themselves are never returned)
+ * @throws {Error} If fetching the keys fails
+ */
+export const getApiKeys = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/user/api-keys`, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-auth-token": getToken(),
+      },
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error fetching API keys:", err);
+    throw err;
+  }
+};
+
+/**
+ * Create a personal API key for scripts
+ *
+ * @param {Object} keyData - The key's settings
+ * @param {string} keyData.name - A name for the key
+ * @param {string[]} keyData.scopes - The scopes the key grants
+ * @param {number} [keyData.rateLimit] - Requests allowed per minute
+ * @returns {Promise<Object>} The key details, with the key itself shown only this once
+ * @throws {Error} If creating the key fails
+ */
+export const createApiKey = async (keyData) => {
+  try {
+    const response = await axios.post(`${API_URL}/user/api-keys`, keyData, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-auth-token": getToken(),
+      },
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error creating API key:", err);
+    throw err;
+  }
+};
+
+/**
+ * Revoke one of the current user's API keys
+ *
+ * @param {string} keyId - The ID of the key to revoke
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} If revoking the key fails
+ */
+export const revokeApiKey = async (keyId) => {
+  try {
+    const response = await axios.delete(`${API_URL}/user/api-keys/${keyId}`, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-auth-token": getToken(),
+      },
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error revoking API key:", err);
+    throw err;
+  }
+};
+
+/**
+ * Start building a zip with all of the current user's data
+ *
+ * @returns {Promise<Object>} The export (id and status)
+ * @throws {Error} If starting the export fails
+ */
+export const requestDataExport = async () => {
+  try {
+    const response = await axios.post(
+      `${API_URL}/user/export`,
+      {},
+      {
+        headers: {
+          "Content-Type": "application/json",
+          "x-auth-token": getToken(),
+        },
+      }
+    );
+
+    return response.data;
+  } catch (err) {
+    console.error("Error requesting data export:", err);
+    throw err;
+  }
+};
+
+/**
+ * Fetch the status of the current user's latest data export
+ *
+ * @returns {Promise<Object|null>} The export, or null if there is none
+ * @throws {Error} If fetching the export fails
+ */
+export const getDataExport = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/user/export`, {
+      headers: {
+        "x-auth-token": getToken(),
+      },
+    });
+
+    return response.data;
+  } catch (err) {
+    console.error("Error fetching data export:", err);
+    throw err;
+  }
+};
+
+/**
+ * Download the zip file of a ready data export and save it in the browser
+ *
+ * @param {string} exportId - The ID of the export
+ * @returns {Promise<void>}
+ * @throws {Error} If downloading the file fails
+ */
+export const downloadDataExport = async (exportId) => {
+  try {
+    const response = await axios.get(
+      `${API_URL}/user/export/${exportId}/download`,
+      {
+        headers: {
+          "x-auth-token": getToken(),
+        },
+        responseType: "blob",
+      }
+    );
+
+    // Save the file through a temporary link, since the request needs the auth header
+    const fileName =
+      response.headers["content-disposition"]?.match(/filename="?([^";]+)"?/)?.[1] ||
+      "smart-cart-data.zip";
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    console.error("Error downloading data export:", err);
+    throw err;
+  }
+};
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { FiMonitor } from "react-icons/fi";
+import { useUser } from "../context/UserContext";
+import { useToast } from "../context/ToastContext";
+import { getSessions, revokeSession, revokeAllSessions } from "../api/userAPI";
+import { describeDevice } from "../utils/describeDevice";
+import { getErrorMessage } from "../utils/errors";
+
+/**
+ * ActiveSessions lists the devices the logged-in user is signed in on, with the device,
+ * IP address, sign-in time and last activity of each. The user can sign out a single
+ * device, or sign out everywhere (which also logs out this device).
+ *
+ * @returns {JSX.Element} ActiveSessions component with the list of logged-in devices.
+ */
+const ActiveSessions = () => {
+  const { logout } = useUser(); // Access logout from UserContext
+  const navigate = useNavigate(); // Hook for navigation after signing out everywhere
+  const { confirm } = useToast(); // Confirmation dialog before signing out everywhere
+
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [busyId, setBusyId] = useState(null); // Session being signed out, or "all"
+
+  // Load the active sessions
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        setSessions(await getSessions());
+        setError("");
+      } catch (err) {
+        console.error("Error loading sessions:", err);
+        setError("לא ניתן לטעון את המכשירים המחוברים");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, []);
+
+  /**
+   * Signs out one device and removes it from the list
+   *
+   * @param {string} sessionId - The ID of the session to sign out
+   */
+  const handleRevoke = async (sessionId) => {
+    setBusyId(sessionId);
+    try {
+      await revokeSession(sessionId);
+      setSessions((prev) => prev.filter((session) => session.id !== sessionId));
+      setError("");
+    } catch (err) {
+      console.error("Error revoking session:", err);
+      setError(getErrorMessage(err, "ניתוק המכשיר נכשל"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Signs out every device, then logs out locally and returns to the login page
+   */
+  const handleRevokeAll = async () => {
+    const confirmed = await confirm("להתנתק מכל המכשירים, כולל המכשיר הזה?", {
+      confirmLabel: "התנתק",
+      danger: true,
+    });
+    if (!confirmed) return;
+
+    setBusyId("all");
+    try {
+      await revokeAllSessions();
+      logout();
+      navigate("/login");
+    } catch (err) {
+      console.error("Error revoking all sessions:", err);
+      setError(getErrorMessage(err, "הניתוק מכל המכשירים נכשל"));
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-xl shadow border border-gray-100 mb-6">
+      <h2 className="text-xl font-bold text-blue-700 mb-2 flex items-center gap-2">
+        <FiMonitor />
+        מכשירים מחוברים
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        המכשירים שבהם החשבון מחובר כרגע. ניתוק מכשיר מבטל את ההתחברות בו מיד.
+      </p>
+
+      {error && <p className="text-sm text-red-500 mb-3">{error}</p>}
+      {loading && <p className="text-gray-500">טוען...</p>}
+
+      <ul className="divide-y divide-gray-100 mb-4">
+        {sessions.map((session) => (
+          <li
+            key={session.id}
+            className="py-3 flex items-center justify-between gap-4"
+          >
+            <div>
+              <p className="font-medium text-gray-800">
+                {describeDevice(session.userAgent) || "מכשיר לא מזוהה"}
+                {session.current && (
+                  <span className="mr-2 text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded-full">
+                    המכשיר הנוכחי
+                  </span>
+                )}
+              </p>
+              <p className="text-xs text-gray-500">
+                {session.ip && `IP ${session.ip} | `}
+                התחברות: {new Date(session.createdAt).toLocaleString("he-IL")}
+                {" | "}
+                פעילות אחרונה:{" "}
+                {new Date(session.lastSeenAt).toLocaleString("he-IL")}
+              </p>
+            </div>
+            {!session.current && (
+              <button
+                onClick={() => handleRevoke(session.id)}
+                disabled={busyId !== null}
+                className="whitespace-nowrap text-red-600 hover:underline text-sm font-medium disabled:opacity-50"
+              >
+                {busyId === session.id ? "מנתק..." : "ניתוק"}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <button
+        onClick={handleRevokeAll}
+        disabled={busyId !== null || sessions.length === 0}
+        className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg font-medium transition disabled:opacity-50"
+      >
+        {busyId === "all" ? "מנתק..." : "התנתקות מכל המכשירים"}
+      </button>
+    </section>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from "react";
+import { FiActivity } from "react-icons/fi";
+import { getUserActivities } from "../api/userAPI";
+import { describeDevice } from "../utils/describeDevice";
+
+const PAGE_SIZE = 10; // Number of activities loaded per page
+
+// Display label and icon for each activity type
+const ACTIVITY_LABELS = {
+  login: { icon: "🔑", text: "התחברות לחשבון" },
+  account_locked: { icon: "⛔", text: "החשבון ננעל עקב ניסיונות התחברות כושלים" },
+  password_change: { icon: "🔒", text: "שינוי סיסמה" },
+  password_reset: { icon: "🔒", text: "איפוס סיסמה באמצעות אימייל" },
+  two_factor_enabled: { icon: "🛡️", text: "הפעלת אימות דו-שלבי" },
+  two_factor_disabled: { icon: "⚠️", text: "ביטול אימות דו-שלבי" },
+  roles_change: { icon: "👥", text: "עדכון תפקידים על ידי מנהל" },
+  account_disabled: { icon: "⛔", text: "החשבון הושבת על ידי מנהל" },
+  account_enabled: { icon: "✅", text: "החשבון הופעל מחדש על ידי מנהל" },
+  password_reset_forced: { icon: "🔒", text: "מנהל חייב איפוס סיסמה" },
+  api_key_create: { icon: "🔑", text: "יצירת מפתח API" },
+  api_key_revoke: { icon: "🗑️", text: "ביטול מפתח API" },
+  data_export: { icon: "📦", text: "בקשת קובץ עם כל הנתונים" },
+  cart_save: { icon: "💾", text: "שמירת עגלה" },
+  cart_update: { icon: "✏️", text: "עדכון עגלה שמורה" },
+  cart_load: { icon: "🛒", text: "טעינת עגלה שמורה" },
+  cart_delete: { icon: "🗑️", text: "מחיקת עגלה שמורה" },
+  household_create: { icon: "🏠", text: "יצירת משק בית" },
+  household_invite: { icon: "✉️", text: "הזמנה למשק הבית" },
+  household_join: { icon: "🤝", text: "הצטרפות למשק בית" },
+  household_leave: { icon: "🚪", text: "עזיבת משק בית" },
+  household_delete: { icon: "🗑️", text: "מחיקת משק בית" },
+  product_create: { icon: "➕", text: "יצירת מוצר" },
+  product_update: { icon: "✏️", text: "עדכון מוצר" },
+  product_delete: { icon: "🗑️", text: "מחיקת מוצר" },
+};
+
+/**
+ * ActivityTimeline shows the logged-in user's recent account activity (sign-ins, password changes,
+ * saved cart actions and product edits) with the time, device and IP address of each action,
+ * so the user can spot sign-ins they do not recognize. Older activities are loaded page by page.
+ *
+ * @returns {JSX.Element} ActivityTimeline component with the list of activities and a "load more" button.
+ */
+const ActivityTimeline = () => {
+  const [activities, setActivities] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  // Load the requested page and append it to the list
+  useEffect(() => {
+    const fetchActivities = async () => {
+      try {
+        setLoading(true);
+        const data = await getUserActivities({ page, limit: PAGE_SIZE });
+        setActivities((prev) =>
+          page === 1 ? data.activities : [...prev, ...data.activities]
+        );
+        setTotalPages(data.pagination.totalPages);
+        setError("");
+      } catch (err) {
+        console.error("Error loading activities:", err);
+        setError("לא ניתן לטעון את הפעילות האחרונה");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchActivities();
+  }, [page]);
+
+  return (
+    <section className="bg-white p-6 rounded-xl shadow border border-gray-100 mb-6">
+      <h2 className="text-xl font-bold text-blue-700 mb-2 flex items-center gap-2">
+        <FiActivity />
+        פעילות אחרונה
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        אם מופיעה כאן התחברות שאינך מזהה, מומלץ לשנות את הסיסמה.
+      </p>
+
+      {error && <p className="text-sm text-red-500 mb-3">{error}</p>}
+
+      {!loading && !error && activities.length === 0 && (
+        <p className="text-gray-500">אין פעילות להצגה</p>
+      )}
+
+      <ul className="border-r-2 border-blue-100 pr-4 space-y-4">
+        {activities.map((activity) => {
+          const label = ACTIVITY_LABELS[activity.type] || {
+            icon: "•",
+            text: activity.type,
+          };
+          const subject =
+            activity.details?.cartName || activity.details?.productName;
+          const device = describeDevice(activity.userAgent);
+
+          return (
+            <li key={activity._id} className="relative">
+              <span className="absolute -right-[1.6rem] top-1 w-3 h-3 rounded-full bg-blue-500" />
+              <p className="font-medium text-gray-800">
+                {label.icon} {label.text}
+                {subject && <span className="text-gray-600"> – {subject}</span>}
+              </p>
+              <p className="text-xs text-gray-500">
+                {new Date(activity.createdAt).toLocaleString("he-IL")}
+                {device && ` | ${device}`}
+                {activity.ip && ` | IP ${activity.ip}`}
+              </p>
+            </li>
+          );
+        })}
+      </ul>
+
+      {loading && <p className="text-gray-500 mt-3">טוען...</p>}
+
+      {!loading && page < totalPages && (
+        <button
+          onClick={() => setPage((prev) => prev + 1)}
+          className="mt-4 text-blue-600 hover:underline font-medium"
+        >
+          הצג פעילות קודמת
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default ActivityTimeline;
@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from "react";
+import { FiKey } from "react-icons/fi";
+import { useToast } from "../context/ToastContext";
+import { getApiKeys, createApiKey, revokeApiKey } from "../api/userAPI";
+import { getErrorMessage } from "../utils/errors";
+
+// The scopes a key can grant, with their Hebrew descriptions
+const SCOPE_LABELS = {
+  "catalog:read": "קריאת קטלוג המוצרים",
+  "cart:read": "קריאת העגלות השמורות",
+  "cart:write": "יצירה, עדכון ומחיקה של עגלות שמורות",
+};
+
+const inputClassName =
+  "w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600";
+
+const emptyForm = { name: "", scopes: ["catalog:read"], rateLimit: 60 };
+
+/**
+ * ApiKeys lets the logged-in user create personal API keys for scripts, sent in the
+ * `x-api-key` header instead of logging in. Each key has a name, scopes and a per-minute
+ * request limit. A new key is shown once; afterwards only its prefix and last use are listed,
+ * and the user can revoke it.
+ *
+ * @returns {JSX.Element} ApiKeys component with the create form and the list of keys.
+ */
+const ApiKeys = () => {
+  const { confirm } = useToast(); // Confirmation dialog before revoking a key
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+  const [newKey, setNewKey] = useState(""); // Key shown once after it is created
+  const [message, setMessage] = useState({ type: "", text: "" });
+  const [busyId, setBusyId] = useState(null); // Key being revoked, or "create"
+
+  // Load the active keys
+  useEffect(() => {
+    const fetchApiKeys = async () => {
+      try {
+        setApiKeys(await getApiKeys());
+      } catch (err) {
+        console.error("Error loading API keys:", err);
+        setMessage({ type: "error", text: "לא ניתן לטעון את מפתחות ה-API" });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchApiKeys();
+  }, []);
+
+  /**
+   * Adds or removes a scope in the create form
+   *
+   * @param {string} scope - The scope
+   */
+  const toggleScope = (scope) =>
+    setForm((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((item) => item !== scope)
+        : [...prev.scopes, scope],
+    }));
+
+  /**
+   * Creates a key and shows it once
+   *
+   * @param {Event} e - The event object triggered by form submission
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusyId("create");
+    setMessage({ type: "", text: "" });
+    try {
+      const { key, ...apiKey } = await createApiKey({
+        name: form.name.trim(),
+        scopes: form.scopes,
+        rateLimit: Number(form.rateLimit),
+      });
+      setApiKeys((prev) => [apiKey, ...prev]);
+      setNewKey(key);
+      setForm(emptyForm);
+    } catch (err) {
+      setMessage({
+        type: "error",
+        text: getErrorMessage(err, "יצירת המפתח נכשלה"),
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Revokes a key and removes it from the list
+   *
+   * @param {Object} apiKey - The key to revoke
+   */
+  const handleRevoke = async (apiKey) => {
+    const confirmed = await confirm(
+      `לבטל את המפתח "${apiKey.name}"? סקריפטים שמשתמשים בו יפסיקו לעבוד.`,
+      { confirmLabel: "בטל מפתח", danger: true }
+    );
+    if (!confirmed) return;
+
+    setBusyId(apiKey.id);
+    setMessage({ type: "", text: "" });
+    try {
+      await revokeApiKey(apiKey.id);
+      setApiKeys((prev) => prev.filter((item) => item.id !== apiKey.id));
+    } catch (err) {
+      setMessage({
+        type: "error",
+        text: getErrorMessage(err, "ביטול המפתח נכשל"),
+      });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-xl shadow border border-gray-100 mb-6">
+      <h2 className="text-xl font-bold text-blue-700 mb-2 flex items-center gap-2">
+        <FiKey />
+        מפתחות API
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        מפתחות לגישה מסקריפטים לקטלוג ולעגלות השמורות, בכותרת <code dir="ltr">x-api-key</code>.
+        כל מפתח מוגבל להרשאות שנבחרו.
+      </p>
+
+      {message.text && (
+        <p className="text-sm text-red-500 mb-3" aria-live="polite">
+          {message.text}
+        </p>
+      )}
+
+      {/* New key, shown only once */}
+      {newKey && (
+        <div className="bg-gray-50 border rounded-lg p-4 mb-4">
+          <p className="text-sm font-semibold text-gray-800 mb-2">
+            העתיקו את המפתח עכשיו – הוא לא יוצג שוב.
+          </p>
+          <p className="font-mono text-sm break-all mb-3" dir="ltr">
+            {newKey}
+          </p>
+          <div className="flex gap-3">
+            <button
+              onClick={() => navigator.clipboard?.writeText(newKey)}
+              className="text-blue-600 hover:underline text-sm font-medium"
+            >
+              העתקה
+            </button>
+            <button
+              onClick={() => setNewKey("")}
+              className="text-gray-600 hover:underline text-sm font-medium"
+            >
+              שמרתי את המפתח
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading && <p className="text-gray-500">טוען...</p>}
+
+      <ul className="divide-y divide-gray-100 mb-4">
+        {apiKeys.map((apiKey) => (
+          <li key={apiKey.id} className="py-3 flex items-center justify-between gap-4">
+            <div>
+              <p className="font-medium text-gray-800">
+                {apiKey.name}{" "}
+                <span className="font-mono text-xs text-gray-500" dir="ltr">
+                  {apiKey.prefix}…
+                </span>
+              </p>
+              <p className="text-xs text-gray-500">
+                {apiKey.scopes.map((scope) => SCOPE_LABELS[scope] || scope).join(", ")}
+                {" | "}
+                {apiKey.rateLimit} בקשות בדקה
+                {" | "}
+                שימוש אחרון:{" "}
+                {apiKey.lastUsedAt
+                  ? new Date(apiKey.lastUsedAt).toLocaleString("he-IL")
+                  : "אף פעם"}
+              </p>
+            </div>
+            <button
+              onClick={() => handleRevoke(apiKey)}
+              disabled={busyId !== null}
+              className="whitespace-nowrap text-red-600 hover:underline text-sm font-medium disabled:opacity-50"
+            >
+              {busyId === apiKey.id ? "מבטל..." : "ביטול"}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {/* Create a key */}
+      <form onSubmit={handleCreate} className="space-y-3">
+        <input
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="שם המפתח (למשל: סקריפט קניות שבועי)"
+          maxLength={50}
+          className={inputClassName}
+          required
+        />
+        <div className="flex flex-wrap gap-4">
+          {Object.entries(SCOPE_LABELS).map(([scope, label]) => (
+            <label key={scope} className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={form.scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-sm">
+          מגבלת בקשות בדקה:
+          <input
+            type="number"
+            min={1}
+            max={600}
+            value={form.rateLimit}
+            onChange={(e) => setForm({ ...form, rateLimit: e.target.value })}
+            className="w-24 p-2 border rounded-md"
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={busyId !== null || form.scopes.length === 0}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50"
+        >
+          {busyId === "create" ? "יוצר..." : "יצירת מפתח"}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default ApiKeys;
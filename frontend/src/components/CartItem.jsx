@@ -1,11 +1,14 @@
 import React from "react";
 import { FiTrash2, FiMinus, FiPlus } from "react-icons/fi";
 import { useCart } from "../context/CartContext";
+import { useUser } from "../context/UserContext";
+import { getShoppingPreferences, getChainPrices } from "../utils/chains";
 import { useNavigate } from "react-router-dom";
 
 /**
  * CartItem component displays an individual item in the user's shopping cart
  * and provides functionalities to update quantity and remove the item.
+ * Prices of chains the user excluded in their shopping preferences are hidden.
  *
  * @param {Object} props - Component props
  * @param {Object} props.item - Item object to be displayed in the cart
@@ -19,6 +22,8 @@ import { useNavigate } from "react-router-dom";
 const CartItem = ({ item }) => {
   const { removeFromCart, updateQuantity } = useCart(); // Access cart context functions for removing and updating quantity
   const navigate = useNavigate(); // Hook for navigation
+  const { currentUser } = useUser(); // Access the user's shopping preferences
+  const preferences = getShoppingPreferences(currentUser);
 
   /**
    * Opens the product modal for the current cart item
@@ -46,7 +51,7 @@ const CartItem = ({ item }) => {
           <div className="mt-4">
             <h4 className="font-medium text-gray-700 mb-1">מחירים:</h4>
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
-              {Object.entries(item.prices).map(([market, price]) => (
+              {getChainPrices(item.prices, preferences).map(([market, price]) => (
                 <div
                   key={market}
                   className="flex justify-between bg-gray-50 px-3 py-2 rounded-md border border-gray-200"
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from "react";
+import { FiDownload } from "react-icons/fi";
+import {
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
+} from "../api/userAPI";
+import { getErrorMessage } from "../utils/errors";
+
+// How often to check an export that is still being built (in milliseconds)
+const POLL_INTERVAL = 3000;
+
+/**
+ * Checks whether an export is still being built
+ *
+ * @param {Object|null} dataExport - The export
+ * @returns {boolean}
+ */
+const isInProgress = (dataExport) =>
+  ["pending", "processing"].includes(dataExport?.status);
+
+/**
+ * Formats a file size in bytes for display
+ *
+ * @param {number} bytes - The size
+ * @returns {string} The size in KB or MB
+ */
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+/**
+ * DataExport lets the logged-in user download everything stored about them: the
+ * profile, saved carts, activity, logged-in devices, API keys, households, favorites, price alerts
+ * and notifications, as a zip of JSON and CSV files. The zip is built on the server in the background; while it is being built
+ * the status is checked every few seconds, and once ready it can be downloaded for 7 days.
+ *
+ * @returns {JSX.Element} DataExport component with the export status and buttons.
+ */
+const DataExport = () => {
+  const [dataExport, setDataExport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  // Load the latest export
+  useEffect(() => {
+    const fetchDataExport = async () => {
+      try {
+        setDataExport(await getDataExport());
+      } catch (err) {
+        console.error("Error loading data export:", err);
+        setMessage("לא ניתן לטעון את מצב קובץ הנתונים");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDataExport();
+  }, []);
+
+  // Check the status until the export is ready or failed
+  const inProgress = isInProgress(dataExport);
+  useEffect(() => {
+    if (!inProgress) return undefined;
+
+    const timer = setInterval(async () => {
+      try {
+        setDataExport(await getDataExport());
+      } catch (err) {
+        console.error("Error checking data export:", err);
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [inProgress]);
+
+  /**
+   * Starts building a new export
+   */
+  const handleRequest = async () => {
+    setBusy(true);
+    setMessage("");
+    try {
+      setDataExport(await requestDataExport());
+    } catch (err) {
+      setMessage(getErrorMessage(err, "יצירת קובץ הנתונים נכשלה"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Downloads the ready export
+   */
+  const handleDownload = async () => {
+    setBusy(true);
+    setMessage("");
+    try {
+      await downloadDataExport(dataExport.id);
+    } catch (err) {
+      console.error("Error downloading data export:", err);
+      setMessage("הורדת הקובץ נכשלה, נסו ליצור קובץ חדש");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-xl shadow border border-gray-100 mb-6">
+      <h2 className="text-xl font-bold text-blue-700 mb-2 flex items-center gap-2">
+        <FiDownload />
+        הנתונים שלי
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        הורדת קובץ ZIP עם כל המידע שנשמר עליכם: פרטי החשבון, העגלות השמורות, היסטוריית
+        הפעילות, המכשירים המחוברים, מפתחות ה-API, משקי הבית, המוצרים המועדפים, התראות המחיר
+        וההתראות שקיבלתם, בפורמט JSON ו-CSV.
+      </p>
+
+      {message && (
+        <p className="text-sm text-red-500 mb-3" aria-live="polite">
+          {message}
+        </p>
+      )}
+
+      {loading && <p className="text-gray-500">טוען...</p>}
+
+      {!loading && (
+        <div aria-live="polite" className="text-sm text-gray-700 mb-4">
+          {inProgress && <p>מכינים את הקובץ... זה עשוי לקחת כמה רגעים.</p>}
+          {dataExport?.status === "ready" && (
+            <p>
+              הקובץ מוכן ({formatSize(dataExport.size)}) וזמין להורדה עד{" "}
+              {new Date(dataExport.expiresAt).toLocaleString("he-IL")}.
+            </p>
+          )}
+          {dataExport?.status === "failed" && (
+            <p className="text-red-500">הכנת הקובץ נכשלה, נסו שוב.</p>
+          )}
+          {dataExport?.status === "expired" && (
+            <p>תוקף הקובץ הקודם פג, ניתן ליצור קובץ חדש.</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        {dataExport?.status === "ready" && (
+          <button
+            onClick={handleDownload}
+            disabled={busy}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50"
+          >
+            הורדת הקובץ
+          </button>
+        )}
+        <button
+          onClick={handleRequest}
+          disabled={busy || loading || inProgress}
+          className={
+            dataExport?.status === "ready"
+              ? "text-blue-600 hover:underline text-sm font-medium disabled:opacity-50"
+              : "bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50"
+          }
+        >
+          {inProgress
+            ? "מכין..."
+            : dataExport?.status === "ready"
+              ? "יצירת קובץ חדש"
+              : "הכנת קובץ עם הנתונים שלי"}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default DataExport;
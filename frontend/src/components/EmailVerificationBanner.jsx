@@ -0,0 +1,67 @@
+import React, { useState } from "react";
+import { useUser } from "../context/UserContext";
+import { resendVerificationEmail } from "../api/loginAPI";
+import { getErrorMessage } from "../utils/errors";
+
+/**
+ * EmailVerificationBanner reminds logged-in users who have not verified their email address
+ * that features such as saved carts are unavailable until they do, and lets them request
+ * a new verification link. It renders nothing for guests and verified users.
+ *
+ * @returns {JSX.Element|null} EmailVerificationBanner component with a resend button and status message.
+ */
+const EmailVerificationBanner = () => {
+  const { currentUser } = useUser(); // Access user state from UserContext
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState({ type: "", text: "" });
+
+  if (!currentUser || currentUser.emailVerified !== false) return null;
+
+  /**
+   * Requests a new verification email
+   */
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const result = await resendVerificationEmail();
+      setMessage({ type: "success", text: result.message });
+    } catch (err) {
+      setMessage({
+        type: "error",
+        text: getErrorMessage(err, "שליחת הקישור נכשלה"),
+      });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200 text-yellow-800">
+      <div className="container mx-auto px-4 py-2 flex flex-wrap items-center justify-center gap-3 text-sm">
+        <span>
+          📧 כתובת האימייל {currentUser.email} עדיין לא אומתה. כדי לשמור עגלות
+          יש ללחוץ על הקישור שנשלח אליך.
+        </span>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="font-semibold text-blue-700 hover:underline disabled:opacity-50"
+        >
+          {sending ? "שולח..." : "שליחת קישור חדש"}
+        </button>
+        {message.text && (
+          <span
+            className={
+              message.type === "error" ? "text-red-600" : "text-green-700"
+            }
+            aria-live="polite"
+          >
+            {message.text}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
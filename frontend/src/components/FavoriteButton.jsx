@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+import { FiHeart } from "react-icons/fi";
+import { useUser } from "../context/UserContext";
+import { useFavorites } from "../context/FavoritesContext";
+import { useToast } from "../context/ToastContext";
+import { getErrorMessage } from "../utils/errors";
+
+/**
+ * FavoriteButton shows a heart that adds a product to the logged-in user's favorites
+ * or removes it from them, confirming the change with a toast. Nothing is shown to
+ * logged-out users.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.product - The product to toggle
+ * @param {string} [props.className] - Extra classes for the button
+ * @returns {JSX.Element|null} FavoriteButton component
+ */
+const FavoriteButton = ({ product, className = "" }) => {
+  const { currentUser } = useUser();
+  const { isFavorite, toggleFavorite } = useFavorites();
+  const { showToast } = useToast();
+  const [busy, setBusy] = useState(false);
+
+  if (!currentUser || !product?._id) return null;
+
+  const favorite = isFavorite(product);
+
+  /**
+   * Toggles the product in the favorites
+   */
+  const handleClick = async () => {
+    setBusy(true);
+    try {
+      await toggleFavorite(product);
+      showToast(favorite ? "הוסר מהמועדפים" : "נוסף למועדפים ❤️");
+    } catch (err) {
+      console.error("Failed to update favorites:", err);
+      showToast(getErrorMessage(err, "עדכון המועדפים נכשל"), "error");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={busy}
+      aria-pressed={favorite}
+      aria-label={favorite ? "הסר מהמועדפים" : "הוסף למועדפים"}
+      title={favorite ? "הסר מהמועדפים" : "הוסף למועדפים"}
+      className={`text-2xl transition disabled:opacity-50 ${
+        favorite ? "text-red-500" : "text-gray-400 hover:text-red-400"
+      } ${className}`}
+    >
+      <FiHeart className={favorite ? "fill-current" : ""} />
+    </button>
+  );
+};
+
+export default FavoriteButton;
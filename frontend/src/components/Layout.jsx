@@ -1,6 +1,7 @@
 import React from "react";
 import { Outlet } from "react-router-dom";
 import Navbar from "./Navbar";
+import EmailVerificationBanner from "./EmailVerificationBanner";
 
 /**
  * Layout component for the page structure, including a navigation bar, dynamic content, and footer.
@@ -12,6 +13,7 @@ const Layout = () => {
   return (
     <div dir="rtl" className="min-h-screen bg-gray-50 flex flex-col text-right">
       <Navbar />
+      <EmailVerificationBanner />
       <main className="flex-grow container mx-auto px-4 py-8 max-w-7xl">
         <Outlet />
       </main>
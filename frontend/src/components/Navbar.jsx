@@ -2,18 +2,24 @@ import React, { useState } from "react";
 import { Link, useLocation } from "react-router-dom";
 import { useCart } from "../context/CartContext";
 import { useUser } from "../context/UserContext";
-import { FiShoppingCart, FiUser } from "react-icons/fi";
+import { useHousehold } from "../context/HouseholdContext";
+import { hasAnyRole, USER_ADMIN_ROLES } from "../utils/roles";
+import NotificationBell from "./NotificationBell";
+import { FiShoppingCart, FiUser, FiHome } from "react-icons/fi";
 
 /**
  * Navbar component that provides the main navigation for the application.
  * It includes the brand logo, navigation links, a shopping cart icon with item count,
- * and an account menu with login/logout options.
+ * a notification bell with the user's inbox, and an account menu with login/logout options.
+ * Members of households also get a switcher between their personal carts and each
+ * household's shared carts.
  *
  * @returns {JSX.Element} Navbar component with navigation links, user account menu, and shopping cart
  */
 const Navbar = () => {
   const { cart } = useCart(); // Access cart state from CartContext
   const { currentUser, logout } = useUser(); // Access user state from UserContext
+  const { households, activeHouseholdId, setActiveHouseholdId } = useHousehold(); // Access the households and active cart space
   const [showAccountMenu, setShowAccountMenu] = useState(false); // State for toggling the account menu
   const location = useLocation(); // Hook for current location (path)
 
@@ -46,13 +52,24 @@ const Navbar = () => {
       >
         {/* Right Side: Account & Brand */}
         <div className="flex items-center gap-15">
-          <button
-            onClick={() => setShowAccountMenu(true)}
-            className="flex items-center gap-1 text-white hover:text-blue-100 font-medium"
-          >
-            <FiUser className="text-lg" />
-            {currentUser ? currentUser.name : "התחברות"}
-          </button>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => setShowAccountMenu(true)}
+              className="flex items-center gap-1 text-white hover:text-blue-100 font-medium"
+            >
+              {currentUser?.avatarThumbUrl ? (
+                <img
+                  src={currentUser.avatarThumbUrl}
+                  alt=""
+                  className="w-7 h-7 rounded-full object-cover border border-white"
+                />
+              ) : (
+                <FiUser className="text-lg" />
+              )}
+              {currentUser ? currentUser.name : "התחברות"}
+            </button>
+            <NotificationBell />
+          </div>
 
           <Link
             to="/"
@@ -79,8 +96,29 @@ const Navbar = () => {
               <Link to="/saved-carts" className={linkClasses("/saved-carts")}>
                 עגלות שמורות
               </Link>
+              <Link to="/favorites" className={linkClasses("/favorites")}>
+                מועדפים
+              </Link>
             </>
           )}
+          {currentUser && households.length > 0 && (
+            <label className="flex items-center gap-1 text-white" title="מרחב העגלות">
+              <FiHome />
+              <span className="sr-only">מרחב העגלות</span>
+              <select
+                value={activeHouseholdId || ""}
+                onChange={(e) => setActiveHouseholdId(e.target.value || null)}
+                className="bg-blue-700 text-white rounded-lg px-2 py-1 focus:outline-none focus:ring-2 focus:ring-white"
+              >
+                <option value="">העגלות שלי</option>
+                {households.map((household) => (
+                  <option key={household.id} value={household.id}>
+                    {household.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
           <Link
             to="/cart"
             className={`${linkClasses("/cart")} flex items-center`}
@@ -139,15 +177,47 @@ const Navbar = () => {
                     </Link>
                   </>
                 ) : (
-                  <button
-                    onClick={() => {
-                      logout();
-                      setShowAccountMenu(false);
-                    }}
-                    className="block w-full bg-red-500 hover:bg-red-600 text-white font-semibold py-3 rounded-lg transition"
-                  >
-                    התנתק
-                  </button>
+                  <>
+                    <Link
+                      to="/account"
+                      onClick={() => setShowAccountMenu(false)}
+                      className="block bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 rounded-lg transition"
+                    >
+                      החשבון שלי 👤
+                    </Link>
+                    <Link
+                      to="/households"
+                      onClick={() => setShowAccountMenu(false)}
+                      className="block bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-3 rounded-lg transition"
+                    >
+                      משקי הבית שלי 🏠
+                    </Link>
+                    <Link
+                      to="/price-alerts"
+                      onClick={() => setShowAccountMenu(false)}
+                      className="block bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-3 rounded-lg transition"
+                    >
+                      התראות מחיר 🔔
+                    </Link>
+                    {hasAnyRole(currentUser, USER_ADMIN_ROLES) && (
+                      <Link
+                        to="/admin/users"
+                        onClick={() => setShowAccountMenu(false)}
+                        className="block bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-3 rounded-lg transition"
+                      >
+                        ניהול משתמשים 🛠️
+                      </Link>
+                    )}
+                    <button
+                      onClick={() => {
+                        logout();
+                        setShowAccountMenu(false);
+                      }}
+                      className="block w-full bg-red-500 hover:bg-red-600 text-white font-semibold py-3 rounded-lg transition"
+                    >
+                      התנתק
+                    </button>
+                  </>
                 )}
               </div>
 
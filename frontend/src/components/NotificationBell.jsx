@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import { FiBell } from "react-icons/fi";
+import { useUser } from "../context/UserContext";
+import { useToast } from "../context/ToastContext";
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../api/notificationAPI";
+
+// How often to check for new notifications (in milliseconds)
+const POLL_INTERVAL = 60 * 1000;
+
+/**
+ * NotificationBell shows the logged-in user's unread notification count in the Navbar and
+ * opens a dropdown with the inbox: price-drop alerts, household invites and so on.
+ * Opening a notification marks it as read and goes to the page it is about. New
+ * notifications that arrive while the app is open are also shown as toasts.
+ *
+ * @returns {JSX.Element|null} NotificationBell component with the unread badge and the inbox dropdown.
+ */
+const NotificationBell = () => {
+  const { currentUser } = useUser();
+  const { showToast } = useToast();
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const lastUnreadCount = useRef(null); // The count at the previous check, to spot new notifications
+  const containerRef = useRef(null);
+
+  /**
+   * Check the unread count, and announce notifications that arrived since the previous check
+   */
+  const checkUnread = useCallback(async () => {
+    try {
+      const count = await getUnreadCount();
+      if (lastUnreadCount.current !== null && count > lastUnreadCount.current) {
+        showToast(
+          count - lastUnreadCount.current === 1
+            ? "התקבלה התראה חדשה"
+            : `התקבלו ${count - lastUnreadCount.current} התראות חדשות`,
+          "info"
+        );
+      }
+      lastUnreadCount.current = count;
+      setUnreadCount(count);
+    } catch (err) {
+      console.error("Error checking notifications:", err);
+    }
+  }, [showToast]);
+
+  // Check for new notifications while the user is logged in
+  useEffect(() => {
+    if (!currentUser) {
+      lastUnreadCount.current = null;
+      setUnreadCount(0);
+      return undefined;
+    }
+
+    checkUnread();
+    const timer = setInterval(checkUnread, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [currentUser, checkUnread]);
+
+  // Close the dropdown when clicking outside of it
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [open]);
+
+  if (!currentUser) return null;
+
+  /**
+   * Open or close the dropdown, loading the inbox when it opens
+   */
+  const toggleOpen = async () => {
+    if (open) {
+      setOpen(false);
+      return;
+    }
+
+    setOpen(true);
+    setLoading(true);
+    try {
+      const data = await getNotifications();
+      setNotifications(data.notifications);
+      setUnreadCount(data.unreadCount);
+      lastUnreadCount.current = data.unreadCount;
+    } catch (err) {
+      console.error("Error loading notifications:", err);
+      showToast("לא ניתן לטעון את ההתראות", "error");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Mark a notification as read and go to its page
+   *
+   * @param {Object} notification - The notification
+   */
+  const handleOpenNotification = async (notification) => {
+    setOpen(false);
+    if (!notification.read) {
+      try {
+        const data = await markNotificationRead(notification.id);
+        setUnreadCount(data.unreadCount);
+        lastUnreadCount.current = data.unreadCount;
+        setNotifications((prev) =>
+          prev.map((item) =>
+            item.id === notification.id ? { ...item, read: true } : item
+          )
+        );
+      } catch (err) {
+        console.error("Error marking notification as read:", err);
+      }
+    }
+    if (notification.link) navigate(notification.link);
+  };
+
+  /**
+   * Mark every notification as read
+   */
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      setUnreadCount(0);
+      lastUnreadCount.current = 0;
+      setNotifications((prev) => prev.map((item) => ({ ...item, read: true })));
+    } catch (err) {
+      console.error("Error marking notifications as read:", err);
+      showToast("עדכון ההתראות נכשל", "error");
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={toggleOpen}
+        aria-expanded={open}
+        aria-label={
+          unreadCount > 0 ? `התראות (${unreadCount} שלא נקראו)` : "התראות"
+        }
+        className="relative text-white hover:text-blue-100 text-xl p-1"
+      >
+        <FiBell />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -left-1 bg-red-600 text-white rounded-full px-1.5 text-xs font-semibold">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div
+          dir="rtl"
+          className="absolute top-full mt-2 right-0 w-80 max-h-96 overflow-y-auto bg-white rounded-xl shadow-lg border border-gray-100 text-right z-50"
+        >
+          <div className="flex justify-between items-center px-4 py-3 border-b">
+            <span className="font-bold text-blue-700">התראות</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="text-sm text-blue-600 hover:underline"
+              >
+                סמן הכל כנקרא
+              </button>
+            )}
+          </div>
+
+          {loading && <p className="px-4 py-3 text-gray-500 text-sm">טוען...</p>}
+
+          {!loading && notifications.length === 0 && (
+            <p className="px-4 py-3 text-gray-500 text-sm">אין התראות</p>
+          )}
+
+          {!loading && notifications.length > 0 && (
+            <ul className="divide-y divide-gray-100">
+              {notifications.map((notification) => (
+                <li key={notification.id}>
+                  <button
+                    onClick={() => handleOpenNotification(notification)}
+                    className={`w-full text-right px-4 py-3 hover:bg-gray-50 ${
+                      notification.read ? "" : "bg-blue-50"
+                    }`}
+                  >
+                    <p
+                      className={`text-sm text-gray-800 ${
+                        notification.read ? "" : "font-semibold"
+                      }`}
+                    >
+                      {notification.title}
+                    </p>
+                    {notification.message && (
+                      <p className="text-xs text-gray-600">{notification.message}</p>
+                    )}
+                    <p className="text-xs text-gray-400">
+                      {new Date(notification.createdAt).toLocaleString("he-IL")}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
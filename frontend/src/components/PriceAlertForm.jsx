@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { FiBell, FiTrash2 } from "react-icons/fi";
+import { useUser } from "../context/UserContext";
+import { useToast } from "../context/ToastContext";
+import {
+  getPriceAlerts,
+  setPriceAlert,
+  deletePriceAlert,
+} from "../api/priceAlertAPI";
+import { getShoppingPreferences, getChainPrices } from "../utils/chains";
+import { getErrorMessage } from "../utils/errors";
+
+/**
+ * PriceAlertForm lets the logged-in user set price-drop alerts on a product: a target
+ * price in one chain or in any chain they shop at. When a price change brings the price
+ * down to the target, they get a notification and an email. It also lists the product's
+ * current alerts so they can be removed. Alerts require a verified email address.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.product - The product to set alerts on
+ * @returns {JSX.Element|null} PriceAlertForm component
+ */
+const PriceAlertForm = ({ product }) => {
+  const { currentUser } = useUser();
+  const { showToast } = useToast();
+  const [open, setOpen] = useState(false);
+  const [alerts, setAlerts] = useState([]);
+  const [targetPrice, setTargetPrice] = useState("");
+  const [chain, setChain] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: "", text: "" });
+
+  const canUseAlerts = Boolean(currentUser?.emailVerified && product?._id);
+
+  // Load the product's alerts when the form is opened
+  useEffect(() => {
+    if (!open || !canUseAlerts) return;
+
+    const fetchAlerts = async () => {
+      try {
+        const all = await getPriceAlerts();
+        setAlerts(all.filter((alert) => alert.productId === product._id));
+      } catch (err) {
+        console.error("Error loading price alerts:", err);
+      }
+    };
+
+    fetchAlerts();
+  }, [open, canUseAlerts, product]);
+
+  if (!currentUser || !product?._id) return null;
+
+  const chainPrices = getChainPrices(
+    product.prices,
+    getShoppingPreferences(currentUser)
+  );
+
+  /**
+   * Saves the alert
+   *
+   * @param {Event} e - The form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage({ type: "", text: "" });
+    try {
+      const alert = await setPriceAlert({
+        productId: product._id,
+        targetPrice: Number(targetPrice),
+        chain: chain || null,
+      });
+      setAlerts((prev) => [alert, ...prev.filter((item) => item.id !== alert.id)]);
+      setTargetPrice("");
+      showToast("נעדכן אתכם כשהמחיר ירד 🔔");
+    } catch (err) {
+      setMessage({
+        type: "error",
+        text: getErrorMessage(err, "שמירת ההתראה נכשלה"),
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Removes an alert
+   *
+   * @param {string} alertId - The alert ID
+   */
+  const handleDelete = async (alertId) => {
+    try {
+      await deletePriceAlert(alertId);
+      setAlerts((prev) => prev.filter((alert) => alert.id !== alertId));
+    } catch (err) {
+      console.error("Failed to delete price alert:", err);
+      setMessage({ type: "error", text: "מחיקת ההתראה נכשלה" });
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <button
+        type="button"
+        onClick={() => setOpen((prev) => !prev)}
+        aria-expanded={open}
+        className="flex items-center gap-2 text-blue-600 hover:underline font-medium"
+      >
+        <FiBell />
+        התראת ירידת מחיר
+      </button>
+
+      {open && !canUseAlerts && (
+        <p className="text-sm text-gray-600 mt-2">
+          כדי להגדיר התראות מחיר יש לאמת את כתובת האימייל.
+        </p>
+      )}
+
+      {open && canUseAlerts && (
+        <div className="mt-3 bg-gray-50 border border-gray-200 rounded-md p-4 space-y-3">
+          {alerts.length > 0 && (
+            <ul className="space-y-1 text-sm">
+              {alerts.map((alert) => (
+                <li key={alert.id} className="flex justify-between items-center">
+                  <span>
+                    ₪{alert.targetPrice.toFixed(2)} ב{alert.chain || "כל רשת"}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(alert.id)}
+                    className="text-red-500 hover:text-red-600"
+                    aria-label="מחק התראה"
+                  >
+                    <FiTrash2 />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-2">
+            <label className="text-sm">
+              מחיר יעד (₪)
+              <input
+                type="number"
+                min="0.01"
+                step="0.01"
+                required
+                value={targetPrice}
+                onChange={(e) => setTargetPrice(e.target.value)}
+                className="block w-28 p-1 border rounded-md"
+              />
+            </label>
+            <label className="text-sm">
+              רשת
+              <select
+                value={chain}
+                onChange={(e) => setChain(e.target.value)}
+                className="block p-1 border rounded-md"
+              >
+                <option value="">כל רשת</option>
+                {chainPrices.map(([market, price]) => (
+                  <option key={market} value={market}>
+                    {market} (₪{price.toFixed(2)})
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              type="submit"
+              disabled={saving || !targetPrice}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded-lg text-sm font-semibold transition disabled:opacity-50"
+            >
+              {saving ? "שומר..." : "הגדר התראה"}
+            </button>
+          </form>
+
+          {message.text && (
+            <p
+              className={`text-sm ${
+                message.type === "error" ? "text-red-500" : "text-green-600"
+              }`}
+              aria-live="polite"
+            >
+              {message.text}
+            </p>
+          )}
+
+          <Link to="/price-alerts" className="text-sm text-blue-600 hover:underline">
+            כל התראות המחיר שלי
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PriceAlertForm;
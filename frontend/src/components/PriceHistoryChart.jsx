@@ -0,0 +1,366 @@
+import React, { useState, useEffect } from "react";
+import { FiTrendingDown } from "react-icons/fi";
+import { useUser } from "../context/UserContext";
+import { getPriceHistory } from "../api/productAPI";
+import { getShoppingPreferences, getChainPrices } from "../utils/chains";
+
+/**
+ * The ranges the chart can show
+ * @type {Array<{days: number, label: string}>}
+ */
+const RANGES = [
+  { days: 30, label: "30 יום" },
+  { days: 90, label: "90 יום" },
+  { days: 365, label: "שנה" },
+];
+
+// Line colors of the chains, in order
+const COLORS = [
+  "#2563eb",
+  "#dc2626",
+  "#16a34a",
+  "#d97706",
+  "#7c3aed",
+  "#0891b2",
+];
+
+// Size of the chart drawing and the room for the axis labels
+const WIDTH = 400;
+const HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 20, left: 44 };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Builds the price line of a chain: its price when the range starts, every change in the
+ * range, and its current price at the end. A null price means the chain had no price then.
+ *
+ * @param {Object} data - The price history from the API
+ * @param {string} chain - The chain
+ * @param {number} from - Start of the range (timestamp)
+ * @param {number} to - End of the range (timestamp)
+ * @returns {Array<{time: number, price: number|null}>} The points of the line
+ */
+const buildPoints = (data, chain, from, to) => {
+  const points = [];
+  if (data.startPrices[chain] !== undefined) {
+    points.push({ time: from, price: data.startPrices[chain] });
+  }
+  data.history
+    .filter((entry) => entry.chain === chain)
+    .forEach((entry) =>
+      points.push({
+        time: new Date(entry.recordedAt).getTime(),
+        price: entry.newPrice,
+      })
+    );
+
+  const last = points[points.length - 1];
+  if (last && last.price !== null) points.push({ time: to, price: last.price });
+  return points;
+};
+
+/**
+ * Builds the SVG path of a price line. Prices hold until they change, so the line moves in
+ * steps, and it breaks while the chain has no price.
+ *
+ * @param {Array<{time: number, price: number|null}>} points - The points of the line
+ * @param {Function} x - Converts a time to an x coordinate
+ * @param {Function} y - Converts a price to a y coordinate
+ * @returns {string} The path
+ */
+const buildPath = (points, x, y) => {
+  let path = "";
+  let previous = null;
+  points.forEach(({ time, price }) => {
+    if (price === null) {
+      previous = null;
+      return;
+    }
+    path +=
+      previous === null
+        ? `M${x(time)},${y(price)}`
+        : `L${x(time)},${y(previous)}L${x(time)},${y(price)}`;
+    previous = price;
+  });
+  return path;
+};
+
+/**
+ * PriceHistoryChart shows how a product's price changed in each chain the user shops at,
+ * over the last 30, 90 or 365 days. It marks the lowest price ever recorded and the chain
+ * that is the cheapest now. The chart is drawn locally as SVG, so it needs no chart service.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.product - The product to show the history of
+ * @returns {JSX.Element|null} PriceHistoryChart component
+ */
+const PriceHistoryChart = ({ product }) => {
+  const { currentUser } = useUser();
+  const [days, setDays] = useState(RANGES[0].days);
+  const [data, setData] = useState(null); // The history, with the range it covers
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const productId = product?._id;
+
+  // Load the history of the chosen range
+  useEffect(() => {
+    if (!productId) return;
+
+    const fetchHistory = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const to = Date.now();
+        const from = to - days * DAY;
+        const history = await getPriceHistory(productId, {
+          from: new Date(from),
+        });
+        setData({ ...history, from, to });
+      } catch (err) {
+        console.error("Error loading price history:", err);
+        setError("לא ניתן לטעון את היסטוריית המחירים");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [productId, days]);
+
+  if (!productId) return null;
+
+  const preferences = getShoppingPreferences(currentUser);
+  const currentPrices = getChainPrices(product.prices, preferences);
+
+  // The chain that is the cheapest now, among the chains the user shops at
+  const cheapestNow = currentPrices.reduce(
+    (best, entry) => (!best || entry[1] < best[1] ? entry : best),
+    null
+  );
+
+  // Chains to draw: the chains the user shops at, in their order, then chains that only have history
+  const chains = data
+    ? [
+        ...new Set([
+          ...currentPrices.map(([chain]) => chain),
+          ...Object.keys(data.startPrices),
+          ...data.history.map((entry) => entry.chain),
+        ]),
+      ].filter((chain) => !preferences.excludedChains.includes(chain))
+    : [];
+
+  const lines = data
+    ? chains
+        .map((chain, index) => ({
+          chain,
+          color: COLORS[index % COLORS.length],
+          points: buildPoints(data, chain, data.from, data.to),
+        }))
+        .filter(({ points }) => points.length > 0)
+    : [];
+
+  // The lowest price ever recorded in the chains drawn
+  const allTimeLow = data
+    ? chains
+        .filter((chain) => data.lowestPrices[chain])
+        .map((chain) => ({ chain, ...data.lowestPrices[chain] }))
+        .reduce(
+          (best, low) => (!best || low.price < best.price ? low : best),
+          null
+        )
+    : null;
+
+  let chart = null;
+  if (data && lines.length > 0) {
+    const prices = lines.flatMap(({ points }) =>
+      points.map(({ price }) => price).filter((price) => price !== null)
+    );
+    if (allTimeLow) prices.push(allTimeLow.price);
+    let min = Math.min(...prices);
+    let max = Math.max(...prices);
+    const margin = max > min ? (max - min) * 0.1 : 1;
+    min = Math.max(0, min - margin);
+    max += margin;
+
+    const x = (time) =>
+      (
+        PADDING.left +
+        ((time - data.from) / (data.to - data.from)) *
+          (WIDTH - PADDING.left - PADDING.right)
+      ).toFixed(1);
+    const y = (price) =>
+      (
+        PADDING.top +
+        ((max - price) / (max - min)) * (HEIGHT - PADDING.top - PADDING.bottom)
+      ).toFixed(1);
+
+    const lowTime = allTimeLow ? new Date(allTimeLow.recordedAt).getTime() : null;
+
+    chart = (
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        role="img"
+        aria-label={`גרף מחירים של ${product.name}`}
+      >
+        {/* Price axis */}
+        {[max, (min + max) / 2, min].map((price) => (
+          <g key={price}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(price)}
+              y2={y(price)}
+              stroke="#e5e7eb"
+            />
+            <text
+              x={PADDING.left - 4}
+              y={y(price)}
+              textAnchor="end"
+              dominantBaseline="middle"
+              className="fill-gray-500 text-[10px]"
+            >
+              ₪{price.toFixed(2)}
+            </text>
+          </g>
+        ))}
+
+        {/* Date axis */}
+        <text
+          x={PADDING.left}
+          y={HEIGHT - 4}
+          className="fill-gray-500 text-[10px]"
+        >
+          {new Date(data.from).toLocaleDateString("he-IL")}
+        </text>
+        <text
+          x={WIDTH - PADDING.right}
+          y={HEIGHT - 4}
+          textAnchor="end"
+          className="fill-gray-500 text-[10px]"
+        >
+          היום
+        </text>
+
+        {/* All-time low */}
+        {allTimeLow && (
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(allTimeLow.price)}
+            y2={y(allTimeLow.price)}
+            stroke="#16a34a"
+            strokeDasharray="4 3"
+          />
+        )}
+
+        {/* Price lines */}
+        {lines.map(({ chain, color, points }) => (
+          <g key={chain}>
+            <path
+              d={buildPath(points, x, y)}
+              fill="none"
+              stroke={color}
+              strokeWidth="2"
+            />
+            {points
+              .filter(({ time, price }) => price !== null && time !== data.to)
+              .map(({ time, price }, index) => (
+                <circle key={index} cx={x(time)} cy={y(price)} r="2.5" fill={color}>
+                  <title>
+                    {chain}: ₪{price.toFixed(2)} (
+                    {new Date(time).toLocaleDateString("he-IL")})
+                  </title>
+                </circle>
+              ))}
+          </g>
+        ))}
+
+        {/* All-time low marker, when it happened in the range */}
+        {allTimeLow && lowTime >= data.from && (
+          <circle
+            cx={x(lowTime)}
+            cy={y(allTimeLow.price)}
+            r="5"
+            fill="none"
+            stroke="#16a34a"
+            strokeWidth="2"
+          >
+            <title>
+              המחיר הנמוך ביותר: ₪{allTimeLow.price.toFixed(2)} ב{allTimeLow.chain}
+            </title>
+          </circle>
+        )}
+      </svg>
+    );
+  }
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+        <h3 className="font-semibold text-gray-800">היסטוריית מחירים:</h3>
+        <div className="flex gap-1" role="group" aria-label="טווח הגרף">
+          {RANGES.map((range) => (
+            <button
+              key={range.days}
+              type="button"
+              onClick={() => setDays(range.days)}
+              aria-pressed={days === range.days}
+              className={`px-2 py-0.5 rounded-md text-sm border ${
+                days === range.days
+                  ? "bg-blue-600 text-white border-blue-600"
+                  : "bg-white text-gray-700 hover:bg-gray-100"
+              }`}
+            >
+              {range.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {cheapestNow && (
+        <p className="inline-flex items-center gap-1 bg-green-100 text-green-700 text-sm font-medium px-2 py-0.5 rounded-full mb-2">
+          <FiTrendingDown />
+          הכי זול עכשיו ב{cheapestNow[0]} · ₪{cheapestNow[1].toFixed(2)}
+        </p>
+      )}
+
+      {loading && <p className="text-sm text-gray-500">טוען...</p>}
+      {!loading && error && <p className="text-sm text-red-500">{error}</p>}
+      {!loading && !error && !chart && (
+        <p className="text-sm text-gray-500">אין עדיין היסטוריית מחירים למוצר זה.</p>
+      )}
+
+      {!loading && chart && (
+        <div className="bg-gray-50 border border-gray-200 rounded-md p-2">
+          {/* Time runs left to right, also in the right-to-left layout */}
+          <div dir="ltr">{chart}</div>
+
+          <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-sm">
+            {lines.map(({ chain, color }) => (
+              <span key={chain} className="flex items-center gap-1">
+                <span
+                  className="inline-block w-3 h-3 rounded-full"
+                  style={{ backgroundColor: color }}
+                />
+                {chain}
+              </span>
+            ))}
+          </div>
+
+          {allTimeLow && (
+            <p className="text-sm text-green-700 mt-1">
+              המחיר הנמוך ביותר אי פעם: ₪{allTimeLow.price.toFixed(2)} ב
+              {allTimeLow.chain} (
+              {new Date(allTimeLow.recordedAt).toLocaleDateString("he-IL")})
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PriceHistoryChart;
@@ -1,11 +1,17 @@
 import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { useCart } from "../context/CartContext";
+import { useUser } from "../context/UserContext";
+import { useToast } from "../context/ToastContext";
+import FavoriteButton from "./FavoriteButton";
+import { getShoppingPreferences, getChainPrices } from "../utils/chains";
 
 /**
  * ProductCard component displays information about a product including its name, category,
  * price comparison across supermarkets, quantity selector, and the option to add the product to the cart.
  * It allows users to view product details and interact with the cart by adjusting the quantity and adding items.
+ * Logged-in users can add the product to their favorites with the heart next to its name.
+ * Prices follow the user's shopping preferences: excluded chains are hidden and the default chain is marked.
  *
  * @param {Object} props - Component props
  * @param {Object} props.product - The product object to be displayed
@@ -17,6 +23,8 @@ import { useCart } from "../context/CartContext";
  */
 const ProductCard = ({ product }) => {
   const { addToCart } = useCart(); // Access addToCart from CartContext
+  const { currentUser } = useUser(); // Access the user's shopping preferences
+  const { showToast } = useToast(); // Access toasts to confirm adding to the cart
   const [quantity, setQuantity] = useState(1); // State to store the quantity of the product
   const [isAdding, setIsAdding] = useState(false); // State to manage the "adding to cart" state
   const navigate = useNavigate(); // Hook for navigating to the product modal
@@ -39,15 +47,17 @@ const ProductCard = ({ product }) => {
   };
 
   /**
-   * Handles adding the product to the cart with the specified quantity
+   * Handles adding the product to the cart with the specified quantity, confirming it with a toast
    */
   const handleAddToCart = async () => {
     setIsAdding(true);
     try {
       await addToCart(product, null, quantity);
+      showToast(`${product.name} נוסף לעגלה 🛒`);
       setQuantity(1); // Reset quantity after adding to cart
     } catch (error) {
       console.error("Failed to add item to cart:", error);
+      showToast("הוספת המוצר לעגלה נכשלה", "error");
     } finally {
       setIsAdding(false);
     }
@@ -62,18 +72,23 @@ const ProductCard = ({ product }) => {
     );
   }
 
+  const preferences = getShoppingPreferences(currentUser);
+
   return (
     <div
       dir="rtl"
       className="bg-white rounded-2xl shadow-md hover:shadow-lg p-6 transition-all duration-300 border border-gray-100 text-right"
     >
-      {/* Clickable product name */}
-      <h2
-        onClick={openModal}
-        className="text-2xl font-bold text-blue-700 mb-1 cursor-pointer hover:underline"
-      >
-        {product.name}
-      </h2>
+      {/* Clickable product name and favorite toggle */}
+      <div className="flex justify-between items-start gap-2">
+        <h2
+          onClick={openModal}
+          className="text-2xl font-bold text-blue-700 mb-1 cursor-pointer hover:underline"
+        >
+          {product.name}
+        </h2>
+        <FavoriteButton product={product} />
+      </div>
       <p className="text-sm text-gray-500 mb-4">{product.category}</p>
 
       {/* Price comparison table */}
@@ -82,12 +97,21 @@ const ProductCard = ({ product }) => {
           מחירים בסופרמרקטים:
         </h3>
         <div className="space-y-1">
-          {Object.entries(product.prices).map(([market, price]) => (
+          {getChainPrices(product.prices, preferences).map(([market, price]) => (
             <div
               key={market}
-              className="flex justify-between text-gray-700 text-sm bg-gray-50 px-3 py-1 rounded-md border"
+              className={`flex justify-between text-gray-700 text-sm px-3 py-1 rounded-md border ${
+                market === preferences.defaultChain
+                  ? "bg-blue-50 border-blue-200"
+                  : "bg-gray-50"
+              }`}
             >
-              <span className="text-right">{market}</span>
+              <span className="text-right">
+                {market}
+                {market === preferences.defaultChain && (
+                  <span className="text-xs text-blue-600 mr-1">(הרשת שלי)</span>
+                )}
+              </span>
               <span className="font-medium text-left">₪{price.toFixed(2)}</span>
             </div>
           ))}
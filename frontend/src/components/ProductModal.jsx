@@ -1,12 +1,20 @@
 import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { useCart } from "../context/CartContext";
+import { useUser } from "../context/UserContext";
+import { useToast } from "../context/ToastContext";
+import FavoriteButton from "./FavoriteButton";
+import PriceAlertForm from "./PriceAlertForm";
+import PriceHistoryChart from "./PriceHistoryChart";
+import { getShoppingPreferences, getChainPriceValues } from "../utils/chains";
 import { FiX } from "react-icons/fi";
 
 /**
  * ProductModal component displays detailed information about a product, including its name,
  * category, rating, description, price range, and the ability to adjust the quantity and add the product to the cart.
  * It is presented as a modal and is typically triggered when a user clicks on a product to view more details.
+ * A chart shows how the price changed in each chain, with the all-time low and the cheapest chain now.
+ * Logged-in users can also add the product to their favorites and set price-drop alerts on it from here.
  *
  * @param {Object} props - Component props
  * @param {Object} props.product - The product object to be displayed
@@ -21,6 +29,8 @@ import { FiX } from "react-icons/fi";
 const ProductModal = ({ product }) => {
   const { cart, addToCart } = useCart(); // Access cart state and addToCart function from CartContext
   const navigate = useNavigate(); // Hook for navigating to the previous page
+  const { currentUser } = useUser(); // Access the user's shopping preferences
+  const { showToast } = useToast(); // Access toasts to confirm adding to the cart
   const [isAdding, setIsAdding] = useState(false); // State for managing the "adding to cart" state
 
   // Get the existing quantity of the product in the cart
@@ -50,15 +60,18 @@ const ProductModal = ({ product }) => {
   const decreaseQty = () => setQuantity((q) => Math.max(q - 1, 1));
 
   /**
-   * Handles adding the product to the cart with the selected quantity and closes the modal
+   * Handles adding the product to the cart with the selected quantity, confirms it with a toast
+   * and closes the modal
    */
   const handleAddToCart = async () => {
     setIsAdding(true);
     try {
       await addToCart(product, null, quantity);
+      showToast(`${product.name} נוסף לעגלה 🛒`);
       closeModal();
     } catch (error) {
       console.error("Failed to add item to cart:", error);
+      showToast("הוספת המוצר לעגלה נכשלה", "error");
     } finally {
       setIsAdding(false);
     }
@@ -91,8 +104,11 @@ const ProductModal = ({ product }) => {
     );
   }
 
-  // Calculate the price range (minimum and maximum price) across supermarkets
-  const priceValues = Object.values(product.prices);
+  // Calculate the price range (minimum and maximum price) across the supermarkets the user shops at
+  const priceValues = getChainPriceValues(
+    product.prices,
+    getShoppingPreferences(currentUser)
+  );
   const minPrice = Math.min(...priceValues);
   const maxPrice = Math.max(...priceValues);
 
@@ -125,7 +141,7 @@ const ProductModal = ({ product }) => {
       dir="rtl"
       className="fixed inset-0 bg-black/40 backdrop-blur-sm z-50 flex justify-center items-center p-4 text-right"
     >
-      <div className="bg-white w-full max-w-xl rounded-2xl shadow-lg p-6 relative animate-fade-in">
+      <div className="bg-white w-full max-w-xl max-h-[90vh] overflow-y-auto rounded-2xl shadow-lg p-6 relative animate-fade-in">
         {/* Close button */}
         <button
           onClick={closeModal}
@@ -135,10 +151,14 @@ const ProductModal = ({ product }) => {
         </button>
 
         {/* Product info */}
-        <h2 className="text-3xl font-bold text-blue-700 mb-1">
-          {product.name}
-        </h2>
-        <p className="text-sm text-gray-500 mb-4">{product.category}</p>
+        <div className="flex items-center gap-3 mb-1 ml-8">
+          <h2 className="text-3xl font-bold text-blue-700">{product.name}</h2>
+          <FavoriteButton product={product} />
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          {product.category}
+          {product.barcode && ` · ברקוד: ${product.barcode}`}
+        </p>
 
         {/* Product Rating */}
         <div className="mb-4">
@@ -174,6 +194,12 @@ const ProductModal = ({ product }) => {
           </div>
         </div>
 
+        {/* Price history */}
+        <PriceHistoryChart product={product} />
+
+        {/* Price-drop alerts */}
+        <PriceAlertForm product={product} />
+
         {/* Quantity and add to cart */}
         <div className="flex items-center justify-between">
           <div className="flex items-center gap-3">
@@ -0,0 +1,130 @@
+import React, { useState, useEffect, useRef } from "react";
+import { FiUser, FiCamera } from "react-icons/fi";
+import { useUser } from "../context/UserContext";
+import { uploadProfilePicture } from "../api/userAPI";
+
+// Same limits as the server, checked before uploading to give immediate feedback
+const ALLOWED_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+const MAX_FILE_BYTES = 2 * 1024 * 1024; // 2 MB
+
+/**
+ * ProfilePictureUpload shows the current user's profile picture and lets them choose a new one.
+ * The selected image is previewed immediately, uploaded to the server (which resizes it),
+ * and the new picture URLs are stored on the logged-in user so the navbar updates too.
+ *
+ * @returns {JSX.Element} ProfilePictureUpload component with the picture, a change button and status message.
+ */
+const ProfilePictureUpload = () => {
+  const { currentUser, updateCurrentUser } = useUser(); // Access user state from UserContext
+  const fileInputRef = useRef(null); // Hidden file input opened by the change button
+
+  const [previewUrl, setPreviewUrl] = useState(""); // Local preview of the selected image
+  const [uploading, setUploading] = useState(false);
+  const [message, setMessage] = useState({ type: "", text: "" });
+
+  // Release the preview object URL when it is replaced or the component unmounts
+  useEffect(() => {
+    return () => {
+      if (previewUrl) URL.revokeObjectURL(previewUrl);
+    };
+  }, [previewUrl]);
+
+  /**
+   * Validates the selected file, shows a preview and uploads it
+   *
+   * @param {Event} e - The change event of the file input
+   */
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow choosing the same file again
+    if (!file) return;
+
+    if (!ALLOWED_TYPES.includes(file.type)) {
+      setMessage({
+        type: "error",
+        text: "ניתן להעלות רק תמונות JPEG, PNG, WEBP או GIF",
+      });
+      return;
+    }
+    if (file.size > MAX_FILE_BYTES) {
+      setMessage({ type: "error", text: "גודל התמונה המקסימלי הוא 2MB" });
+      return;
+    }
+
+    setPreviewUrl(URL.createObjectURL(file));
+    setMessage({ type: "", text: "" });
+    setUploading(true);
+
+    try {
+      const formData = new FormData();
+      formData.append("avatar", file);
+
+      const result = await uploadProfilePicture(formData);
+      updateCurrentUser({
+        avatarUrl: result.avatarUrl,
+        avatarThumbUrl: result.avatarThumbUrl,
+      });
+      setPreviewUrl("");
+      setMessage({ type: "success", text: "תמונת הפרופיל עודכנה" });
+    } catch (err) {
+      setPreviewUrl(""); // Go back to the previous picture
+      setMessage({
+        type: "error",
+        text: !err?.response
+          ? "שרת לא מגיב"
+          : err.response.data?.message || "העלאת התמונה נכשלה",
+      });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const imageUrl = previewUrl || currentUser?.avatarUrl;
+
+  return (
+    <div className="flex items-center gap-4 mb-5">
+      <div className="relative w-20 h-20 rounded-full bg-blue-50 border border-blue-100 overflow-hidden flex items-center justify-center">
+        {imageUrl ? (
+          <img
+            src={imageUrl}
+            alt="תמונת פרופיל"
+            className={`w-full h-full object-cover ${uploading ? "opacity-50" : ""}`}
+          />
+        ) : (
+          <FiUser className="text-3xl text-blue-300" />
+        )}
+      </div>
+
+      <div className="space-y-1">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ALLOWED_TYPES.join(",")}
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={uploading}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg border border-blue-600 text-blue-600 hover:bg-blue-50 disabled:opacity-50"
+        >
+          <FiCamera />
+          {uploading ? "מעלה..." : "החלפת תמונה"}
+        </button>
+        {message.text && (
+          <p
+            className={`text-sm ${
+              message.type === "error" ? "text-red-500" : "text-green-600"
+            }`}
+            aria-live="assertive"
+          >
+            {message.text}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProfilePictureUpload;
@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import { useCart } from "../context/CartContext";
+import { useToast } from "../context/ToastContext";
 
 /**
  * SavedCarts component allows users to save their current shopping cart, load previously saved carts,
@@ -19,61 +20,63 @@ const SavedCarts = () => {
     loading,
     error,
   } = useCart(); // Access cart management functions from CartContext
+  const { showToast, confirm } = useToast(); // Access toasts and confirmation dialogs
 
   const [cartName, setCartName] = useState(""); // State for the cart name input field
-  const [successMessage, setSuccessMessage] = useState(""); // State for displaying success messages
 
   /**
    * Saves the current cart with the provided name.
-   * If the cart is empty, alerts the user and prevents saving.
+   * If the cart is empty, warns the user and prevents saving.
    */
   const handleSaveCart = async () => {
     if (cart.length === 0) {
-      alert("Cannot save empty cart");
+      showToast("Cannot save empty cart", "error");
       return;
     }
 
     const result = await saveCart(cartName); // Save cart using the provided cartName
     if (result) {
       setCartName(""); // Clear the cart name input field after saving
-      setSuccessMessage("Cart saved successfully!");
-      setTimeout(() => setSuccessMessage(""), 3000); // Reset success message after 3 seconds
+      showToast("Cart saved successfully!");
     }
   };
 
   /**
    * Loads a saved cart by its ID.
    * Warns the user if the current cart will be replaced by the saved one.
-   * Displays a success message after loading.
+   * Shows a success toast after loading.
    *
    * @param {string} cartId - The ID of the saved cart to load
    */
   const handleLoadCart = async (cartId) => {
     if (cart.length > 0) {
-      if (!window.confirm("This will replace your current cart. Continue?")) {
+      if (!(await confirm("This will replace your current cart. Continue?"))) {
         return; // Prevent loading if the user cancels
       }
     }
 
     const success = await loadSavedCart(cartId); // Load the saved cart by ID
     if (success) {
-      setSuccessMessage("Cart loaded successfully!");
-      setTimeout(() => setSuccessMessage(""), 3000); // Reset success message after 3 seconds
+      showToast("Cart loaded successfully!");
     }
   };
 
   /**
    * Deletes a saved cart by its ID after user confirmation.
-   * Displays a success message after deletion.
+   * Shows a success toast after deletion.
    *
    * @param {string} cartId - The ID of the saved cart to delete
    */
   const handleDeleteCart = async (cartId) => {
-    if (window.confirm("Are you sure you want to delete this saved cart?")) {
+    if (
+      await confirm("Are you sure you want to delete this saved cart?", {
+        confirmLabel: "Delete",
+        danger: true,
+      })
+    ) {
       const success = await deleteSavedCartById(cartId); // Delete the saved cart by ID
       if (success) {
-        setSuccessMessage("Cart deleted successfully!");
-        setTimeout(() => setSuccessMessage(""), 3000); // Reset success message after 3 seconds
+        showToast("Cart deleted successfully!");
       }
     }
   };
@@ -83,9 +86,6 @@ const SavedCarts = () => {
       <h2>Saved Carts</h2>
       {error && <div className="error-message">{error}</div>}{" "}
       {/* Display error message if present */}
-      {successMessage && (
-        <div className="success-message">{successMessage}</div> // Display success message if any
-      )}
       <div className="save-cart-form">
         <input
           type="text"
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from "react";
+import { FiShoppingBag } from "react-icons/fi";
+import { useUser } from "../context/UserContext";
+import { useToast } from "../context/ToastContext";
+import { getChains } from "../api/productAPI";
+import { updateShoppingPreferences } from "../api/userAPI";
+import { getShoppingPreferences } from "../utils/chains";
+import { getErrorMessage } from "../utils/errors";
+
+/**
+ * Hebrew labels of the choices for each chain
+ * @type {Object<string, string>}
+ */
+const CHAIN_CHOICES = {
+  preferred: "מועדפת",
+  normal: "רגילה",
+  excluded: "לא קונה בה",
+};
+
+/**
+ * ShoppingPreferences lets the logged-in user choose the supermarket chains they prefer,
+ * the chains they never shop at and their default chain. Prices and cart totals
+ * hide the excluded chains and list the default and preferred chains first.
+ *
+ * @returns {JSX.Element} ShoppingPreferences component with a choice per chain and the default chain.
+ */
+const ShoppingPreferences = () => {
+  const { currentUser, updateCurrentUser } = useUser();
+  const { showToast } = useToast();
+  const [chains, setChains] = useState([]);
+  const [preferences, setPreferences] = useState(() =>
+    getShoppingPreferences(currentUser)
+  );
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState({ type: "", text: "" });
+
+  // Load the chains that have prices in the catalog
+  useEffect(() => {
+    const fetchChains = async () => {
+      try {
+        setChains(await getChains());
+      } catch (err) {
+        console.error("Error loading chains:", err);
+        setMessage({ type: "error", text: "לא ניתן לטעון את רשימת הרשתות" });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchChains();
+  }, []);
+
+  /**
+   * Gets the current choice for a chain
+   *
+   * @param {string} chain - The chain name
+   * @returns {string} "preferred", "excluded" or "normal"
+   */
+  const getChoice = (chain) =>
+    preferences.preferredChains.includes(chain)
+      ? "preferred"
+      : preferences.excludedChains.includes(chain)
+        ? "excluded"
+        : "normal";
+
+  /**
+   * Changes the choice for a chain. Excluding the default chain clears the default.
+   *
+   * @param {string} chain - The chain name
+   * @param {string} choice - "preferred", "excluded" or "normal"
+   */
+  const handleChoiceChange = (chain, choice) => {
+    setPreferences((prev) => ({
+      preferredChains: [
+        ...prev.preferredChains.filter((c) => c !== chain),
+        ...(choice === "preferred" ? [chain] : []),
+      ],
+      excludedChains: [
+        ...prev.excludedChains.filter((c) => c !== chain),
+        ...(choice === "excluded" ? [chain] : []),
+      ],
+      defaultChain:
+        choice === "excluded" && prev.defaultChain === chain
+          ? null
+          : prev.defaultChain,
+    }));
+    setMessage({ type: "", text: "" });
+  };
+
+  /**
+   * Saves the preferences
+   */
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage({ type: "", text: "" });
+    try {
+      const saved = await updateShoppingPreferences(preferences);
+      setPreferences(getShoppingPreferences({ shoppingPreferences: saved }));
+      updateCurrentUser({ shoppingPreferences: saved });
+      showToast("העדפות הקנייה נשמרו ✅");
+    } catch (err) {
+      setMessage({
+        type: "error",
+        text: getErrorMessage(err, "שמירת ההעדפות נכשלה"),
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const allExcluded =
+    chains.length > 0 &&
+    chains.every((chain) => preferences.excludedChains.includes(chain));
+
+  return (
+    <section className="bg-white p-6 rounded-xl shadow border border-gray-100 mb-6">
+      <h2 className="text-xl font-bold text-blue-700 mb-2 flex items-center gap-2">
+        <FiShoppingBag />
+        העדפות קנייה
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        רשתות מועדפות ורשת ברירת המחדל יוצגו ראשונות במחירים ובסיכומי העגלה. רשתות
+        שאינכם קונים בהן לא יוצגו כלל.
+      </p>
+
+      {message.text && (
+        <p
+          className={`text-sm mb-3 ${
+            message.type === "error" ? "text-red-500" : "text-green-600"
+          }`}
+          aria-live="polite"
+        >
+          {message.text}
+        </p>
+      )}
+
+      {loading && <p className="text-gray-500">טוען...</p>}
+
+      {!loading && chains.length > 0 && (
+        <>
+          <div className="space-y-2 mb-4">
+            {chains.map((chain) => (
+              <div
+                key={chain}
+                className="flex flex-wrap justify-between items-center gap-2 bg-gray-50 px-3 py-2 rounded-md border"
+              >
+                <span className="font-medium text-gray-800">{chain}</span>
+                <select
+                  value={getChoice(chain)}
+                  onChange={(e) => handleChoiceChange(chain, e.target.value)}
+                  aria-label={`העדפה עבור ${chain}`}
+                  className="p-1 border rounded-md text-sm"
+                >
+                  {Object.entries(CHAIN_CHOICES).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            רשת ברירת מחדל
+          </label>
+          <select
+            value={preferences.defaultChain || ""}
+            onChange={(e) =>
+              setPreferences((prev) => ({
+                ...prev,
+                defaultChain: e.target.value || null,
+              }))
+            }
+            className="w-full p-2 border rounded-md mb-4"
+          >
+            <option value="">ללא</option>
+            {chains
+              .filter((chain) => !preferences.excludedChains.includes(chain))
+              .map((chain) => (
+                <option key={chain} value={chain}>
+                  {chain}
+                </option>
+              ))}
+          </select>
+
+          {allExcluded && (
+            <p className="text-sm text-red-500 mb-3">
+              יש להשאיר לפחות רשת אחת שאינה מוחרגת
+            </p>
+          )}
+
+          <button
+            onClick={handleSave}
+            disabled={saving || allExcluded}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50"
+          >
+            {saving ? "שומר..." : "שמור העדפות"}
+          </button>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default ShoppingPreferences;
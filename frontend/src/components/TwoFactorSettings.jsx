@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from "react";
+import { FiShield } from "react-icons/fi";
+import { useUser } from "../context/UserContext";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../api/userAPI";
+import { getErrorMessage } from "../utils/errors";
+
+const inputClassName =
+  "w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600";
+
+/**
+ * TwoFactorSettings lets the logged-in user manage two-factor authentication:
+ * - Set it up by scanning a QR code (or typing the secret) in an authenticator app and confirming a code.
+ * - See the recovery codes once after enabling it, or after creating a new set.
+ * - Disable it with the password and a code (not available to staff roles, for whom it is mandatory).
+ *
+ * @returns {JSX.Element} TwoFactorSettings component with the setup, recovery code and disable forms.
+ */
+const TwoFactorSettings = () => {
+  const { currentUser, login } = useUser(); // Access user state from UserContext
+
+  const [status, setStatus] = useState(null); // { enabled, required, recoveryCodesLeft }
+  const [setupData, setSetupData] = useState(null); // { secret, otpauthUrl, qrCode } during setup
+  const [recoveryCodes, setRecoveryCodes] = useState([]); // Codes shown once after they are created
+  const [code, setCode] = useState(""); // Code for setup or for creating new recovery codes
+  const [disableForm, setDisableForm] = useState({ password: "", code: "" });
+  const [message, setMessage] = useState({ type: "", text: "" });
+  const [busy, setBusy] = useState(false);
+
+  // Load the current two-factor status
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        setStatus(await getTwoFactorStatus());
+      } catch (err) {
+        console.error("Error loading two-factor status:", err);
+        setMessage({ type: "error", text: getErrorMessage(err) });
+      }
+    };
+
+    fetchStatus();
+  }, []);
+
+  /**
+   * Runs an API action with a shared busy state and error handling
+   *
+   * @param {Function} action - The async action to run
+   */
+  const run = async (action) => {
+    setBusy(true);
+    setMessage({ type: "", text: "" });
+    try {
+      await action();
+    } catch (err) {
+      setMessage({ type: "error", text: getErrorMessage(err) });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Start setup and show the QR code
+  const handleStartSetup = () =>
+    run(async () => {
+      setSetupData(await setupTwoFactor());
+      setCode("");
+    });
+
+  /**
+   * Confirms the setup code; the server signs out other devices and returns new tokens for this one
+   *
+   * @param {Event} e - The event object triggered by form submission
+   */
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await enableTwoFactor(code.trim());
+      login({
+        ...currentUser,
+        twoFactorEnabled: true,
+        token: result.token,
+        refreshToken: result.refreshToken,
+      });
+      setStatus((prev) => ({
+        ...prev,
+        enabled: true,
+        recoveryCodesLeft: result.recoveryCodes.length,
+      }));
+      setRecoveryCodes(result.recoveryCodes);
+      setSetupData(null);
+      setCode("");
+      setMessage({ type: "success", text: "אימות דו-שלבי הופעל ✅" });
+    });
+  };
+
+  /**
+   * Replaces the recovery codes after checking a current code
+   *
+   * @param {Event} e - The event object triggered by form submission
+   */
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await regenerateRecoveryCodes(code.trim());
+      setStatus((prev) => ({
+        ...prev,
+        recoveryCodesLeft: result.recoveryCodes.length,
+      }));
+      setRecoveryCodes(result.recoveryCodes);
+      setCode("");
+      setMessage({ type: "success", text: "נוצרו קודי שחזור חדשים ✅" });
+    });
+  };
+
+  /**
+   * Disables two-factor authentication after checking the password and a code
+   *
+   * @param {Event} e - The event object triggered by form submission
+   */
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await disableTwoFactor(disableForm.password, disableForm.code.trim());
+      setStatus((prev) => ({ ...prev, enabled: false, recoveryCodesLeft: 0 }));
+      setRecoveryCodes([]);
+      setDisableForm({ password: "", code: "" });
+      setMessage({ type: "success", text: "אימות דו-שלבי בוטל" });
+    });
+  };
+
+  return (
+    <section className="bg-white p-6 rounded-xl shadow border border-gray-100 mb-6">
+      <h2 className="text-xl font-bold text-blue-700 mb-2 flex items-center gap-2">
+        <FiShield />
+        אימות דו-שלבי
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        בנוסף לסיסמה, ההתחברות תדרוש קוד מאפליקציית אימות (כמו Google
+        Authenticator) בטלפון.
+      </p>
+
+      {message.text && (
+        <p
+          className={`text-sm mb-3 ${
+            message.type === "error" ? "text-red-500" : "text-green-600"
+          }`}
+          aria-live="polite"
+        >
+          {message.text}
+        </p>
+      )}
+
+      {status?.required && !status.enabled && (
+        <p className="bg-yellow-50 border border-yellow-200 text-yellow-800 text-sm rounded-lg p-3 mb-4">
+          ⚠️ אימות דו-שלבי הוא חובה עבור בעלי הרשאות ניהול. פעולות ניהול יהיו
+          זמינות לאחר הפעלתו.
+        </p>
+      )}
+
+      {/* Recovery codes, shown only once */}
+      {recoveryCodes.length > 0 && (
+        <div className="bg-gray-50 border rounded-lg p-4 mb-4">
+          <p className="text-sm font-semibold text-gray-800 mb-2">
+            קודי שחזור – שמרו אותם במקום בטוח. כל קוד ניתן לשימוש פעם אחת בלבד,
+            והם לא יוצגו שוב.
+          </p>
+          <ul className="grid grid-cols-2 gap-2 font-mono text-sm mb-3" dir="ltr">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+          <div className="flex gap-3">
+            <button
+              onClick={() =>
+                navigator.clipboard?.writeText(recoveryCodes.join("\n"))
+              }
+              className="text-blue-600 hover:underline text-sm font-medium"
+            >
+              העתקה
+            </button>
+            <button
+              onClick={() => setRecoveryCodes([])}
+              className="text-gray-600 hover:underline text-sm font-medium"
+            >
+              שמרתי את הקודים
+            </button>
+          </div>
+        </div>
+      )}
+
+      {status && !status.enabled && !setupData && (
+        <button
+          onClick={handleStartSetup}
+          disabled={busy}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50"
+        >
+          הפעלת אימות דו-שלבי
+        </button>
+      )}
+
+      {/* Setup: scan the QR code and confirm a code */}
+      {setupData && (
+        <form onSubmit={handleEnable} className="space-y-3">
+          <p className="text-sm text-gray-700">
+            סרקו את הקוד באפליקציית האימות, או הזינו בה את המפתח ידנית:
+          </p>
+          <img
+            src={setupData.qrCode}
+            alt="קוד QR להגדרת אפליקציית האימות"
+            className="w-44 h-44 border rounded"
+          />
+          <p className="font-mono text-sm break-all" dir="ltr">
+            {setupData.secret}
+          </p>
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="קוד בן 6 ספרות מהאפליקציה"
+            className={inputClassName}
+            required
+          />
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={busy}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50"
+            >
+              {busy ? "מאמת..." : "אישור והפעלה"}
+            </button>
+            <button
+              type="button"
+              onClick={() => setSetupData(null)}
+              className="text-gray-600 hover:underline"
+            >
+              ביטול
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status?.enabled && (
+        <>
+          <p className="text-green-700 font-medium mb-1">אימות דו-שלבי מופעל ✅</p>
+          <p className="text-sm text-gray-600 mb-4">
+            נותרו {status.recoveryCodesLeft} קודי שחזור.
+          </p>
+
+          <form onSubmit={handleRegenerate} className="flex gap-2 mb-4">
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="קוד אימות"
+              className={inputClassName}
+              required
+            />
+            <button
+              type="submit"
+              disabled={busy}
+              className="whitespace-nowrap bg-gray-100 hover:bg-gray-200 text-gray-800 px-4 py-2 rounded-lg font-medium transition disabled:opacity-50"
+            >
+              קודי שחזור חדשים
+            </button>
+          </form>
+
+          {!status.required && (
+            <form onSubmit={handleDisable} className="space-y-3">
+              <p className="text-sm text-gray-700">ביטול אימות דו-שלבי:</p>
+              <input
+                type="password"
+                value={disableForm.password}
+                onChange={(e) =>
+                  setDisableForm({ ...disableForm, password: e.target.value })
+                }
+                placeholder="סיסמה"
+                className={inputClassName}
+                required
+              />
+              <input
+                value={disableForm.code}
+                onChange={(e) =>
+                  setDisableForm({ ...disableForm, code: e.target.value })
+                }
+                placeholder="קוד אימות או קוד שחזור"
+                className={inputClassName}
+                required
+              />
+              <button
+                type="submit"
+                disabled={busy}
+                className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50"
+              >
+                ביטול אימות דו-שלבי
+              </button>
+            </form>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,5 +1,7 @@
 import React, { createContext, useState, useContext, useEffect } from "react";
 import { useUser } from "../context/UserContext";
+import { useHousehold } from "../context/HouseholdContext";
+import { getShoppingPreferences, getChainPrices } from "../utils/chains";
 import {
   saveCartToDB,
   getSavedCarts,
@@ -14,7 +16,9 @@ import {
 const CartContext = createContext();
 
 /**
- * Provider component for managing the user's cart and saved carts
+ * Provider component for managing the user's cart and saved carts.
+ * Saved carts come from the active cart space chosen in the household switcher:
+ * the user's personal carts or the shared carts of a household.
  *
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components
@@ -26,13 +30,14 @@ export const CartProvider = ({ children }) => {
   const [loading, setLoading] = useState(false); // Loading state for API calls
   const [error, setError] = useState(null); // Error state for API calls
   const { currentUser } = useUser(); // Accessing current user from UserContext
+  const { activeHouseholdId } = useHousehold(); // Household whose carts are shown, or null for personal carts
 
-  // Fetch saved carts when component mounts or when currentUser changes
+  // Fetch saved carts when component mounts or when currentUser or the cart space changes
   useEffect(() => {
     if (currentUser) {
       fetchSavedCarts(); // Fetch saved carts if the user is logged in
     }
-  }, [currentUser]);
+  }, [currentUser, activeHouseholdId]);
 
   /**
    * Fetch all saved carts from the backend
@@ -43,8 +48,9 @@ export const CartProvider = ({ children }) => {
         console.warn("User not logged in. Skipping saved carts fetch.");
         return;
       }
+      if (!currentUser.emailVerified) return; // Saved carts require a verified email
       setLoading(true);
-      const carts = await getSavedCarts();
+      const carts = await getSavedCarts(activeHouseholdId);
       setSavedCarts(carts);
       setError(null);
     } catch (err) {
@@ -73,6 +79,26 @@ export const CartProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Add several products to the cart at once, one of each
+   *
+   * @param {Object[]} products - Product objects to add
+   */
+  const addItemsToCart = (products) => {
+    setCart((prev) => {
+      const updatedCart = prev.map((item) => ({ ...item }));
+      products.forEach((product) => {
+        const existingItem = updatedCart.find((item) => item.id === product.id);
+        if (existingItem) {
+          existingItem.quantity += 1;
+        } else {
+          updatedCart.push({ ...product, quantity: 1 });
+        }
+      });
+      return updatedCart;
+    });
+  };
+
   /**
    * Remove a product from the cart
    *
@@ -138,7 +164,7 @@ export const CartProvider = ({ children }) => {
   };
 
   /**
-   * Save the current cart to the database
+   * Save the current cart to the database, in the active cart space
    *
    * @param {string} name - Name of the saved cart
    * @returns {Object|null} - Saved cart data or null if error occurred
@@ -153,6 +179,7 @@ export const CartProvider = ({ children }) => {
       const cartData = {
         name: name || `עגלה ${Date.now()}`,
         items: cart,
+        householdId: activeHouseholdId, // Saved in the active household, if any
       };
       const savedCart = await saveCartToDB(cartData);
       await fetchSavedCarts(); // Refresh the list of saved carts
@@ -190,18 +217,20 @@ export const CartProvider = ({ children }) => {
   };
 
   /**
-   * Get the total price for each supermarket based on cart items
+   * Get the total price for each supermarket based on cart items.
+   * Chains the user excluded are skipped; the default and preferred chains come first.
    * @returns {Object} - Total prices for each supermarket
    */
   const getSupermarketTotals = () => {
+    const preferences = getShoppingPreferences(currentUser);
     const totals = {};
     cart.forEach((item) => {
-      Object.entries(item.prices).forEach(([market, price]) => {
+      getChainPrices(item.prices, preferences).forEach(([market, price]) => {
         if (!totals[market]) totals[market] = 0;
         totals[market] += price * item.quantity;
       });
     });
-    return totals;
+    return Object.fromEntries(getChainPrices(totals, preferences)); // Order the chains by preference
   };
 
   return (
@@ -212,6 +241,7 @@ export const CartProvider = ({ children }) => {
         loading,
         error,
         addToCart,
+        addItemsToCart,
         removeFromCart,
         updateQuantity,
         clearCart,
@@ -0,0 +1,96 @@
+import React, {
+  createContext,
+  useState,
+  useContext,
+  useEffect,
+  useCallback,
+} from "react";
+import { useUser } from "./UserContext";
+import {
+  getFavorites,
+  addFavorite,
+  removeFavorite,
+} from "../api/favoriteAPI";
+
+/**
+ * Context for the user's favorite products (watchlist)
+ * @type {React.Context}
+ */
+const FavoritesContext = createContext();
+
+/**
+ * Provider component for the products the logged-in user marked as favorites.
+ * The favorites are fetched when the user logs in and kept in sync as hearts are toggled.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {JSX.Element} Provider component
+ */
+export const FavoritesProvider = ({ children }) => {
+  const { currentUser } = useUser();
+  const [favorites, setFavorites] = useState([]); // The favorites, newest first
+
+  /**
+   * Fetch the user's favorites
+   */
+  const refreshFavorites = useCallback(async () => {
+    if (!currentUser) {
+      setFavorites([]);
+      return;
+    }
+    try {
+      setFavorites(await getFavorites());
+    } catch (err) {
+      console.error("Error fetching favorites:", err);
+    }
+  }, [currentUser]);
+
+  // Fetch the favorites when the user logs in or out
+  useEffect(() => {
+    refreshFavorites();
+  }, [refreshFavorites]);
+
+  /**
+   * Check whether a product is one of the user's favorites
+   *
+   * @param {Object} product - The product
+   * @returns {boolean}
+   */
+  const isFavorite = (product) =>
+    favorites.some((favorite) => favorite.productId === product?._id);
+
+  /**
+   * Add a product to the favorites, or remove it if it is already there
+   *
+   * @param {Object} product - The product
+   */
+  const toggleFavorite = async (product) => {
+    if (isFavorite(product)) {
+      await removeFavorite(product._id);
+      setFavorites((prev) =>
+        prev.filter((favorite) => favorite.productId !== product._id)
+      );
+    } else {
+      const favorite = await addFavorite(product._id);
+      setFavorites((prev) => [
+        favorite,
+        ...prev.filter((item) => item.productId !== favorite.productId),
+      ]);
+    }
+  };
+
+  return (
+    <FavoritesContext.Provider
+      value={{ favorites, isFavorite, toggleFavorite, refreshFavorites }}
+    >
+      {children}
+    </FavoritesContext.Provider>
+  );
+};
+
+/**
+ * Custom hook for accessing the favorites context
+ *
+ * @returns {Object} The favorites context value
+ */
+export const useFavorites = () => useContext(FavoritesContext);
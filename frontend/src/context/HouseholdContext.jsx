@@ -0,0 +1,95 @@
+import React, {
+  createContext,
+  useState,
+  useContext,
+  useEffect,
+  useCallback,
+} from "react";
+import { useUser } from "./UserContext";
+import { getHouseholds } from "../api/householdAPI";
+
+/**
+ * Context for the user's households and the active cart space
+ * @type {React.Context}
+ */
+const HouseholdContext = createContext();
+
+// Local storage key of the cart space chosen in the household switcher
+const ACTIVE_HOUSEHOLD_KEY = "activeHouseholdId";
+
+/**
+ * Provider component for the households the user belongs to. It also keeps the active
+ * cart space: the user's personal carts, or the shared carts of one of their households,
+ * as chosen in the Navbar switcher and remembered across visits.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {JSX.Element} Provider component
+ */
+export const HouseholdProvider = ({ children }) => {
+  const { currentUser } = useUser();
+  const [households, setHouseholds] = useState([]); // Households the user belongs to
+  const [selectedId, setSelectedId] = useState(() =>
+    localStorage.getItem(ACTIVE_HOUSEHOLD_KEY)
+  ); // Household chosen in the switcher, or null for personal carts
+
+  /**
+   * Fetch the user's households (they require a verified email)
+   */
+  const refreshHouseholds = useCallback(async () => {
+    if (!currentUser?.emailVerified) {
+      setHouseholds([]);
+      return;
+    }
+    try {
+      setHouseholds(await getHouseholds());
+    } catch (err) {
+      console.error("Error fetching households:", err);
+    }
+  }, [currentUser]);
+
+  // Fetch the households when the user logs in or out
+  useEffect(() => {
+    refreshHouseholds();
+  }, [refreshHouseholds]);
+
+  /**
+   * Switch the active cart space
+   *
+   * @param {string|null} householdId - The household ID, or null for personal carts
+   */
+  const setActiveHouseholdId = (householdId) => {
+    if (householdId) {
+      localStorage.setItem(ACTIVE_HOUSEHOLD_KEY, householdId);
+    } else {
+      localStorage.removeItem(ACTIVE_HOUSEHOLD_KEY);
+    }
+    setSelectedId(householdId || null);
+  };
+
+  // A household the user no longer belongs to falls back to personal carts
+  const activeHousehold =
+    households.find((household) => household.id === selectedId) || null;
+
+  return (
+    <HouseholdContext.Provider
+      value={{
+        households,
+        activeHousehold,
+        activeHouseholdId: activeHousehold?.id || null,
+        canEditCarts: !activeHousehold || activeHousehold.role !== "viewer",
+        setActiveHouseholdId,
+        refreshHouseholds,
+      }}
+    >
+      {children}
+    </HouseholdContext.Provider>
+  );
+};
+
+/**
+ * Custom hook for accessing the household context
+ *
+ * @returns {Object} The household context value
+ */
+export const useHousehold = () => useContext(HouseholdContext);
@@ -5,7 +5,10 @@ import {
   getProductsByCategory as fetchProductsByCategory,
   getTopProducts as fetchTopProducts,
   searchProducts as fetchSearchProducts,
+  getChains,
 } from "../api/productAPI";
+import { useUser } from "./UserContext";
+import { getShoppingPreferences, getChainPriceValues } from "../utils/chains";
 
 /**
  * Context for managing product data, categories, and search functionality
@@ -21,6 +24,7 @@ const ProductContext = createContext();
  * @returns {JSX.Element} Provider component
  */
 export const ProductProvider = ({ children }) => {
+  const { currentUser } = useUser(); // The user's shopping preferences limit the price comparisons
   const [products, setProducts] = useState([]); // All available products
   const [categories, setCategories] = useState([]); // All available product categories
   const [loading, setLoading] = useState(false); // Loading state for API calls
@@ -86,7 +90,8 @@ export const ProductProvider = ({ children }) => {
   };
 
   /**
-   * Get top products based on a given sorting criterion
+   * Get top products based on a given sorting criterion.
+   * The price criteria only compare prices in the chains the user does not exclude.
    *
    * @param {string} sortBy - Sorting criterion (e.g., "cheapest")
    * @param {number} amount - Number of top products to fetch
@@ -95,28 +100,33 @@ export const ProductProvider = ({ children }) => {
   const getTopProducts = async (sortBy = "cheapest", amount = 10) => {
     try {
       setLoading(true);
-      if (
-        products.length > 0 &&
-        (sortBy === "cheapest" || sortBy === "highest different")
-      ) {
+      const preferences = getShoppingPreferences(currentUser);
+      const isPriceCriteria =
+        sortBy === "cheapest" || sortBy === "highest different";
+      if (products.length > 0 && isPriceCriteria) {
+        const prices = (product) =>
+          getChainPriceValues(product.prices, preferences);
         const sortFunctions = {
-          cheapest: (a, b) =>
-            Math.min(...Object.values(a.prices)) -
-            Math.min(...Object.values(b.prices)),
+          cheapest: (a, b) => Math.min(...prices(a)) - Math.min(...prices(b)),
           "highest different": (a, b) => {
-            const diffA =
-              Math.max(...Object.values(a.prices)) -
-              Math.min(...Object.values(a.prices));
-            const diffB =
-              Math.max(...Object.values(b.prices)) -
-              Math.min(...Object.values(b.prices));
+            const diffA = Math.max(...prices(a)) - Math.min(...prices(a));
+            const diffB = Math.max(...prices(b)) - Math.min(...prices(b));
             return diffB - diffA;
           },
         };
-        const sorted = [...products].sort(sortFunctions[sortBy]);
+        const sorted = products
+          .filter((product) => prices(product).length > 0)
+          .sort(sortFunctions[sortBy]);
         return sorted.slice(0, amount);
       }
-      const topProducts = await fetchTopProducts(sortBy, amount);
+      // Let the server compare prices only in the chains the user shops at
+      const chains =
+        isPriceCriteria && preferences.excludedChains.length > 0
+          ? (await getChains()).filter(
+              (chain) => !preferences.excludedChains.includes(chain)
+            )
+          : undefined;
+      const topProducts = await fetchTopProducts(sortBy, amount, chains);
       setError(null);
       return topProducts;
     } catch (err) {
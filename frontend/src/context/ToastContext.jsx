@@ -0,0 +1,173 @@
+import React, {
+  createContext,
+  useState,
+  useContext,
+  useCallback,
+  useRef,
+} from "react";
+import { FiCheckCircle, FiAlertCircle, FiInfo, FiX } from "react-icons/fi";
+
+/**
+ * Context for short feedback messages (toasts) and confirmation dialogs
+ * @type {React.Context}
+ */
+const ToastContext = createContext();
+
+// How long a toast stays on screen (in milliseconds)
+const TOAST_DURATION = 4000;
+
+// Most toasts shown at once; older ones make room for new ones
+const MAX_TOASTS = 4;
+
+/**
+ * Colors and icons of each toast type
+ * @type {Object<string, {className: string, Icon: Function}>}
+ */
+const TOAST_STYLES = {
+  success: { className: "bg-green-600", Icon: FiCheckCircle },
+  error: { className: "bg-red-600", Icon: FiAlertCircle },
+  info: { className: "bg-blue-600", Icon: FiInfo },
+};
+
+/**
+ * Provider component for toasts and confirmation dialogs. Any component can publish
+ * a toast with `showToast`, or ask the user to confirm an action with `confirm`, which
+ * replaces `window.confirm` with a dialog that matches the app.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {JSX.Element} Provider component
+ */
+export const ToastProvider = ({ children }) => {
+  const [toasts, setToasts] = useState([]); // Toasts on screen, oldest first
+  const [dialog, setDialog] = useState(null); // The open confirmation dialog, if any
+  const nextId = useRef(0);
+
+  /**
+   * Remove a toast
+   *
+   * @param {number} id - The toast ID
+   */
+  const dismissToast = useCallback((id) => {
+    setToasts((prev) => prev.filter((toast) => toast.id !== id));
+  }, []);
+
+  /**
+   * Show a toast that disappears after a few seconds
+   *
+   * @param {string} message - The message
+   * @param {string} [type="success"] - "success", "error" or "info"
+   */
+  const showToast = useCallback(
+    (message, type = "success") => {
+      const id = nextId.current++;
+      setToasts((prev) => [
+        ...prev.slice(-(MAX_TOASTS - 1)),
+        { id, message, type },
+      ]);
+      setTimeout(() => dismissToast(id), TOAST_DURATION);
+    },
+    [dismissToast]
+  );
+
+  /**
+   * Ask the user to confirm an action
+   *
+   * @param {string} message - The question
+   * @param {Object} [options]
+   * @param {string} [options.confirmLabel="אישור"] - The text of the confirm button
+   * @param {boolean} [options.danger=false] - Whether the action is destructive (red button)
+   * @returns {Promise<boolean>} Whether the user confirmed
+   */
+  const confirm = useCallback(
+    (message, { confirmLabel = "אישור", danger = false } = {}) =>
+      new Promise((resolve) => {
+        setDialog({ message, confirmLabel, danger, resolve });
+      }),
+    []
+  );
+
+  /**
+   * Close the confirmation dialog with the user's answer
+   *
+   * @param {boolean} confirmed - Whether the user confirmed
+   */
+  const closeDialog = (confirmed) => {
+    dialog.resolve(confirmed);
+    setDialog(null);
+  };
+
+  return (
+    <ToastContext.Provider value={{ showToast, confirm }}>
+      {children}
+
+      {/* Toasts */}
+      <div
+        dir="rtl"
+        aria-live="polite"
+        className="fixed bottom-4 left-4 z-[60] flex flex-col gap-2 max-w-sm w-[90%]"
+      >
+        {toasts.map(({ id, message, type }) => {
+          const { className, Icon } = TOAST_STYLES[type] || TOAST_STYLES.info;
+          return (
+            <div
+              key={id}
+              role={type === "error" ? "alert" : "status"}
+              className={`${className} text-white px-4 py-3 rounded-lg shadow-lg flex items-center gap-3 text-right`}
+            >
+              <Icon className="shrink-0 text-lg" />
+              <span className="flex-1">{message}</span>
+              <button
+                onClick={() => dismissToast(id)}
+                aria-label="סגור"
+                className="shrink-0 hover:opacity-75"
+              >
+                <FiX />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Confirmation dialog */}
+      {dialog && (
+        <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-[60]">
+          <div
+            dir="rtl"
+            role="alertdialog"
+            aria-modal="true"
+            className="bg-white p-6 rounded-xl shadow-lg w-[90%] max-w-md text-center space-y-4"
+          >
+            <h3 className="text-lg font-semibold text-gray-800">{dialog.message}</h3>
+            <div className="flex justify-center gap-4 mt-6">
+              <button
+                onClick={() => closeDialog(true)}
+                autoFocus
+                className={`${
+                  dialog.danger
+                    ? "bg-red-500 hover:bg-red-600"
+                    : "bg-blue-600 hover:bg-blue-700"
+                } text-white px-4 py-2 rounded-lg transition`}
+              >
+                {dialog.confirmLabel}
+              </button>
+              <button
+                onClick={() => closeDialog(false)}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-4 py-2 rounded-lg transition"
+              >
+                ביטול
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </ToastContext.Provider>
+  );
+};
+
+/**
+ * Custom hook for accessing the toast context
+ *
+ * @returns {{showToast: Function, confirm: Function}} The toast context value
+ */
+export const useToast = () => useContext(ToastContext);
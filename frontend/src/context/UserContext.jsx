@@ -1,6 +1,6 @@
 import React, { createContext, useState, useContext, useEffect } from "react";
 import { getUserProfile } from "../api/userAPI";
-import { setAuthToken, removeAuthToken } from "../api/authAPI";
+import { setAuthToken, logoutUser, onAuthFailure } from "../api/authAPI";
 
 /**
  * Context for user authentication and profile information
@@ -40,17 +40,25 @@ export const UserProvider = ({ children }) => {
               id: userData._id,
               name: userData.name,
               email: userData.email,
+              isAdmin: userData.isAdmin,
+              roles: userData.roles,
+              emailVerified: userData.emailVerified,
+              twoFactorEnabled: userData.twoFactorEnabled,
+              avatarUrl: userData.avatarUrl,
+              avatarThumbUrl: userData.avatarThumbUrl,
+              shoppingPreferences: userData.shoppingPreferences,
               token,
             });
           }
         }
       } catch (err) {
+        // An expired access token is refreshed by the API layer; if the refresh
+        // token is rejected too, the stored tokens are cleared there. Other
+        // errors (e.g. server unreachable) keep the tokens for the next attempt.
         console.error(
           "Error during authentication check:",
           err.response?.data?.message || err.message
         );
-        localStorage.removeItem("token");
-        removeAuthToken();
       } finally {
         setLoading(false);
       }
@@ -59,29 +67,48 @@ export const UserProvider = ({ children }) => {
     checkLoggedIn();
   }, []);
 
+  // Log the user out when the session expires and cannot be refreshed
+  useEffect(() => {
+    return onAuthFailure(() => setCurrentUser(null));
+  }, []);
+
   /**
    * Log in a user and store their data in context
    *
    * @param {Object} userData - User data with authentication token
    * @param {string} userData.token - Authentication token
+   * @param {string} [userData.refreshToken] - Refresh token used to renew the authentication token
    */
   const login = (userData) => {
     localStorage.setItem("token", userData.token);
+    if (userData.refreshToken) {
+      localStorage.setItem("refreshToken", userData.refreshToken);
+    }
     setAuthToken(userData.token);
     setCurrentUser(userData);
   };
 
   /**
-   * Log out the current user and clear authentication data
+   * Log out the current user, revoke the refresh token and clear authentication data
    */
   const logout = () => {
-    localStorage.removeItem("token");
-    removeAuthToken();
+    logoutUser();
     setCurrentUser(null);
   };
 
+  /**
+   * Update fields of the logged-in user's data (e.g. after editing the profile)
+   *
+   * @param {Object} updates - The user fields to update
+   */
+  const updateCurrentUser = (updates) => {
+    setCurrentUser((prev) => (prev ? { ...prev, ...updates } : prev));
+  };
+
   return (
-    <UserContext.Provider value={{ currentUser, login, logout, loading }}>
+    <UserContext.Provider
+      value={{ currentUser, login, logout, updateCurrentUser, loading }}
+    >
       {children}
     </UserContext.Provider>
   );
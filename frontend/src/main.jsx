@@ -6,23 +6,33 @@ import "./index.css";
 import { CartProvider } from "./context/CartContext";
 import { ProductProvider } from "./context/ProductContext";
 import { UserProvider } from "./context/UserContext";
+import { HouseholdProvider } from "./context/HouseholdContext";
+import { FavoritesProvider } from "./context/FavoritesContext";
+import { ToastProvider } from "./context/ToastContext";
 
 /**
  * The entry point of the React application.
  * This file sets up the React app by rendering the `App` component inside the root element.
- * It also wraps the app with necessary context providers (UserProvider, ProductProvider, CartProvider) 
+ * It also wraps the app with necessary context providers (ToastProvider, UserProvider, ProductProvider,
+ * HouseholdProvider, FavoritesProvider, CartProvider)
  * and the React Router `BrowserRouter` for handling routing within the app.
  */
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <BrowserRouter>
-      <UserProvider>   {/* Provides user authentication state throughout the app */}
-        <ProductProvider> {/* Provides product-related data and functions */}
-          <CartProvider> {/* Provides cart-related data and functions */}
-            <App /> {/* Main application component */}
-          </CartProvider>
-        </ProductProvider>
-      </UserProvider>
+      <ToastProvider> {/* Provides toasts and confirmation dialogs */}
+        <UserProvider>   {/* Provides user authentication state throughout the app */}
+          <ProductProvider> {/* Provides product-related data and functions */}
+            <HouseholdProvider> {/* Provides the user's households and the active cart space */}
+              <FavoritesProvider> {/* Provides the user's favorite products */}
+                <CartProvider> {/* Provides cart-related data and functions */}
+                  <App /> {/* Main application component */}
+                </CartProvider>
+              </FavoritesProvider>
+            </HouseholdProvider>
+          </ProductProvider>
+        </UserProvider>
+      </ToastProvider>
     </BrowserRouter>
   </React.StrictMode>
 );
@@ -0,0 +1,394 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { FiUser, FiLock, FiTrash2 } from "react-icons/fi";
+import { useUser } from "../context/UserContext";
+import { useToast } from "../context/ToastContext";
+import {
+  getUserProfile,
+  updateUserProfile,
+  changePassword,
+  deleteAccount,
+} from "../api/userAPI";
+import ProfilePictureUpload from "../components/ProfilePictureUpload";
+import ActivityTimeline from "../components/ActivityTimeline";
+import TwoFactorSettings from "../components/TwoFactorSettings";
+import ActiveSessions from "../components/ActiveSessions";
+import ApiKeys from "../components/ApiKeys";
+import DataExport from "../components/DataExport";
+import ShoppingPreferences from "../components/ShoppingPreferences";
+import { getErrorMessage } from "../utils/errors";
+
+// Same validation rules as the registration form
+const EMAIL_REGEX = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+const PWD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#$%]).{8,24}$/;
+const NAME_REGEX = /^[A-Za-z\u0590-\u05FF\s]{2,30}$/; // Hebrew and English names with spaces
+
+/**
+ * AccountPage lets the logged-in user manage their account:
+ * - Upload a profile picture.
+ * - Edit their name and email (changing the email requires the current password).
+ * - Change their password.
+ * - Choose their preferred, excluded and default supermarket chains.
+ * - Set up two-factor authentication and manage its recovery codes.
+ * - See the devices they are logged in on and sign them out.
+ * - Create and revoke personal API keys for scripts.
+ * - Review their recent account activity.
+ * - Permanently delete the account and all saved carts after confirming with the password.
+ *
+ * @returns {JSX.Element} AccountPage component with profile, password and delete account sections.
+ */
+const AccountPage = () => {
+  const { currentUser, login, logout, updateCurrentUser } = useUser(); // Access user state and actions from UserContext
+  const navigate = useNavigate(); // Hook for navigation after deleting the account
+  const { showToast } = useToast(); // Access toasts for successful changes
+
+  // Profile form state
+  const [profile, setProfile] = useState({
+    name: currentUser?.name || "",
+    email: currentUser?.email || "",
+    currentPassword: "",
+  });
+  const [originalEmail, setOriginalEmail] = useState(currentUser?.email || "");
+  const [profileMessage, setProfileMessage] = useState({ type: "", text: "" });
+  const [savingProfile, setSavingProfile] = useState(false);
+
+  // Change password form state
+  const [passwords, setPasswords] = useState({
+    currentPassword: "",
+    newPassword: "",
+    confirmPassword: "",
+  });
+  const [passwordMessage, setPasswordMessage] = useState({ type: "", text: "" });
+  const [savingPassword, setSavingPassword] = useState(false);
+
+  // Delete account state
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [deletePassword, setDeletePassword] = useState("");
+  const [deleteError, setDeleteError] = useState("");
+  const [deleting, setDeleting] = useState(false);
+
+  // Load the latest profile from the server
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const userData = await getUserProfile();
+        setProfile((prev) => ({
+          ...prev,
+          name: userData.name,
+          email: userData.email,
+        }));
+        setOriginalEmail(userData.email);
+      } catch (err) {
+        console.error("Error loading profile:", err);
+      }
+    };
+
+    fetchProfile();
+  }, []);
+
+  const emailChanged =
+    profile.email.trim().toLowerCase() !== originalEmail.toLowerCase();
+  const validName = NAME_REGEX.test(profile.name);
+  const validEmail = EMAIL_REGEX.test(profile.email);
+  const validNewPassword = PWD_REGEX.test(passwords.newPassword);
+  const validMatch = passwords.newPassword === passwords.confirmPassword;
+
+  /**
+   * Saves the name and email
+   *
+   * @param {Event} e - The event object triggered by form submission
+   */
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    setSavingProfile(true);
+    setProfileMessage({ type: "", text: "" });
+
+    try {
+      const updated = await updateUserProfile({
+        name: profile.name,
+        email: profile.email,
+        ...(emailChanged && { currentPassword: profile.currentPassword }),
+      });
+      updateCurrentUser({
+        name: updated.name,
+        email: updated.email,
+        emailVerified: updated.emailVerified,
+      });
+      setOriginalEmail(updated.email);
+      setProfile({ name: updated.name, email: updated.email, currentPassword: "" });
+      showToast(
+        emailChanged
+          ? "הפרטים עודכנו בהצלחה ✅ נשלח קישור אימות לכתובת האימייל החדשה"
+          : "הפרטים עודכנו בהצלחה ✅"
+      );
+    } catch (err) {
+      setProfileMessage({ type: "error", text: getErrorMessage(err) });
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  /**
+   * Changes the password and keeps this device logged in with the new tokens
+   *
+   * @param {Event} e - The event object triggered by form submission
+   */
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    setSavingPassword(true);
+    setPasswordMessage({ type: "", text: "" });
+
+    try {
+      const result = await changePassword(
+        passwords.currentPassword,
+        passwords.newPassword
+      );
+      login({
+        ...currentUser,
+        token: result.token,
+        refreshToken: result.refreshToken,
+      });
+      setPasswords({ currentPassword: "", newPassword: "", confirmPassword: "" });
+      showToast("הסיסמה שונתה בהצלחה. שאר המכשירים נותקו ✅");
+    } catch (err) {
+      setPasswordMessage({ type: "error", text: getErrorMessage(err) });
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  /**
+   * Deletes the account after the password was confirmed, then logs out
+   */
+  const handleDeleteAccount = async () => {
+    setDeleting(true);
+    setDeleteError("");
+
+    try {
+      await deleteAccount(deletePassword);
+      logout();
+      showToast("החשבון נמחק", "info");
+      navigate("/");
+    } catch (err) {
+      setDeleteError(getErrorMessage(err));
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  /**
+   * Renders an error message for a form section. Successful changes are shown as toasts.
+   *
+   * @param {Object} message - The message object with type and text
+   * @returns {JSX.Element|null} The message element
+   */
+  const renderMessage = (message) =>
+    message.text ? (
+      <p
+        className={`text-sm mb-3 ${
+          message.type === "error" ? "text-red-500" : "text-green-600"
+        }`}
+        aria-live="assertive"
+      >
+        {message.text}
+      </p>
+    ) : null;
+
+  return (
+    <div dir="rtl" className="max-w-3xl mx-auto px-[5%] py-12 text-right">
+      <h1 className="text-4xl font-extrabold text-blue-700 text-center mb-10">
+        החשבון שלי 👤
+      </h1>
+
+      {/* Profile details */}
+      <section className="bg-white p-6 rounded-xl shadow border border-gray-100 mb-6">
+        <h2 className="text-xl font-bold text-blue-700 mb-4 flex items-center gap-2">
+          <FiUser />
+          פרטים אישיים
+        </h2>
+        <ProfilePictureUpload />
+        {renderMessage(profileMessage)}
+        <form onSubmit={handleProfileSubmit} className="space-y-3">
+          <input
+            name="name"
+            value={profile.name}
+            onChange={(e) => setProfile({ ...profile, name: e.target.value })}
+            type="text"
+            placeholder="שם מלא"
+            className={`w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600 ${
+              !validName && profile.name ? "border-red-500" : ""
+            }`}
+            required
+          />
+          <input
+            name="email"
+            value={profile.email}
+            onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+            type="email"
+            placeholder="אימייל"
+            className={`w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600 ${
+              !validEmail && profile.email ? "border-red-500" : ""
+            }`}
+            required
+          />
+          {emailChanged && (
+            <input
+              name="currentPassword"
+              value={profile.currentPassword}
+              onChange={(e) =>
+                setProfile({ ...profile, currentPassword: e.target.value })
+              }
+              type="password"
+              placeholder="סיסמה נוכחית (נדרשת לשינוי האימייל)"
+              className="w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600"
+              required
+            />
+          )}
+          <button
+            type="submit"
+            disabled={!validName || !validEmail || savingProfile}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50"
+          >
+            {savingProfile ? "שומר..." : "שמור פרטים"}
+          </button>
+        </form>
+      </section>
+
+      {/* Change password */}
+      <section className="bg-white p-6 rounded-xl shadow border border-gray-100 mb-6">
+        <h2 className="text-xl font-bold text-blue-700 mb-4 flex items-center gap-2">
+          <FiLock />
+          שינוי סיסמה
+        </h2>
+        {renderMessage(passwordMessage)}
+        <form onSubmit={handlePasswordSubmit} className="space-y-3">
+          <input
+            name="currentPassword"
+            value={passwords.currentPassword}
+            onChange={(e) =>
+              setPasswords({ ...passwords, currentPassword: e.target.value })
+            }
+            type="password"
+            placeholder="סיסמה נוכחית"
+            className="w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600"
+            required
+          />
+          <input
+            name="newPassword"
+            value={passwords.newPassword}
+            onChange={(e) =>
+              setPasswords({ ...passwords, newPassword: e.target.value })
+            }
+            type="password"
+            placeholder="סיסמה חדשה"
+            className={`w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600 ${
+              !validNewPassword && passwords.newPassword ? "border-red-500" : ""
+            }`}
+            required
+          />
+          {passwords.newPassword && !validNewPassword && (
+            <p className="text-xs text-red-500">
+              הסיסמה צריכה להיות 8-24 תווים, להכיל אות גדולה, אות קטנה, מספר ותו
+              מיוחד (!@#$%)
+            </p>
+          )}
+          <input
+            name="confirmPassword"
+            value={passwords.confirmPassword}
+            onChange={(e) =>
+              setPasswords({ ...passwords, confirmPassword: e.target.value })
+            }
+            type="password"
+            placeholder="אימות סיסמה חדשה"
+            className={`w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600 ${
+              !validMatch && passwords.confirmPassword ? "border-red-500" : ""
+            }`}
+            required
+          />
+          <button
+            type="submit"
+            disabled={!validNewPassword || !validMatch || savingPassword}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50"
+          >
+            {savingPassword ? "מעדכן..." : "שנה סיסמה"}
+          </button>
+        </form>
+      </section>
+
+      {/* Preferred and excluded chains */}
+      <ShoppingPreferences />
+
+      {/* Two-factor authentication */}
+      <TwoFactorSettings />
+
+      {/* Logged-in devices */}
+      <ActiveSessions />
+
+      {/* Personal API keys */}
+      <ApiKeys />
+
+      {/* Download my data */}
+      <DataExport />
+
+      {/* Recent activity */}
+      <ActivityTimeline />
+
+      {/* Delete account */}
+      <section className="bg-white p-6 rounded-xl shadow border border-red-100">
+        <h2 className="text-xl font-bold text-red-600 mb-2 flex items-center gap-2">
+          <FiTrash2 />
+          מחיקת חשבון
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          מחיקת החשבון תמחק לצמיתות את כל הפרטים שלך ואת כל העגלות השמורות.
+        </p>
+        <button
+          onClick={() => setShowDeleteConfirm(true)}
+          className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-lg font-semibold transition"
+        >
+          מחק את החשבון
+        </button>
+      </section>
+
+      {/* Confirm Delete Modal */}
+      {showDeleteConfirm && (
+        <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50">
+          <div className="bg-white p-6 rounded-xl shadow-lg w-[90%] max-w-md text-center space-y-4">
+            <h3 className="text-xl font-semibold text-gray-800">
+              האם את/ה בטוח/ה שברצונך למחוק את החשבון לצמיתות?
+            </h3>
+            <input
+              type="password"
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+              placeholder="הקלד/י את הסיסמה לאישור"
+              className="w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-red-500"
+            />
+            {deleteError && <p className="text-sm text-red-500">{deleteError}</p>}
+            <div className="flex justify-center gap-4 mt-6">
+              <button
+                onClick={handleDeleteAccount}
+                disabled={!deletePassword || deleting}
+                className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-lg font-semibold disabled:opacity-50"
+              >
+                {deleting ? "מוחק..." : "כן, מחק"}
+              </button>
+              <button
+                onClick={() => {
+                  setShowDeleteConfirm(false);
+                  setDeletePassword("");
+                  setDeleteError("");
+                }}
+                className="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-lg font-semibold"
+              >
+                ביטול
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccountPage;
@@ -0,0 +1,460 @@
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { FiUsers, FiSearch } from "react-icons/fi";
+import { useUser } from "../context/UserContext";
+import { useToast } from "../context/ToastContext";
+import {
+  getUsers,
+  getChains,
+  updateUserRoles,
+  setUserDisabled,
+  forcePasswordReset,
+} from "../api/adminAPI";
+import { ROLE_LABELS, hasAnyRole } from "../utils/roles";
+import { getErrorMessage } from "../utils/errors";
+
+const PAGE_SIZE = 20; // Number of users shown per page
+
+/**
+ * Describes the account status of a user for the users table
+ *
+ * @param {Object} user - The user from the admin API
+ * @returns {{text: string, className: string}} The status label and its colors
+ */
+const getStatus = (user) => {
+  if (user.disabled) {
+    return { text: "מושבת", className: "bg-red-100 text-red-700" };
+  }
+  if (user.passwordResetRequired) {
+    return { text: "ממתין לאיפוס סיסמה", className: "bg-yellow-100 text-yellow-800" };
+  }
+  if (user.lockUntil && new Date(user.lockUntil) > new Date()) {
+    return { text: "נעול זמנית", className: "bg-yellow-100 text-yellow-800" };
+  }
+  return { text: "פעיל", className: "bg-green-100 text-green-700" };
+};
+
+/**
+ * AdminUsersPage is the user-management console for staff:
+ * - Search users by name or email and filter them by role.
+ * - See each user's roles, saved-cart count and account status.
+ * - Super admins can also change roles (and the chains of price editors), disable or
+ *   re-enable accounts and force a password reset. Support staff see the list only.
+ *
+ * @returns {JSX.Element} AdminUsersPage component with the search form, users table and role editor.
+ */
+const AdminUsersPage = () => {
+  const { currentUser } = useUser(); // Access user state from UserContext
+  const { confirm } = useToast(); // Confirmation dialogs for account actions
+  const canManage = hasAnyRole(currentUser, ["super_admin"]);
+
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 });
+  const [filters, setFilters] = useState({ search: "", role: "" }); // Applied filters
+  const [searchText, setSearchText] = useState(""); // Search box value before submitting
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState({ code: "", text: "" });
+  const [message, setMessage] = useState({ type: "", text: "" });
+  const [busyUserId, setBusyUserId] = useState(null);
+
+  // Role editor state
+  const [chains, setChains] = useState([]);
+  const [editing, setEditing] = useState(null); // { user, roles, priceChains }
+
+  // Load the users whenever the filters or the page change
+  useEffect(() => {
+    const fetchUsers = async () => {
+      setLoading(true);
+      try {
+        const data = await getUsers({ ...filters, page, limit: PAGE_SIZE });
+        setUsers(data.users);
+        setPagination(data.pagination);
+        setError({ code: "", text: "" });
+      } catch (err) {
+        setError({
+          code: err?.response?.data?.code || "",
+          text: getErrorMessage(err),
+        });
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchUsers();
+  }, [filters, page]);
+
+  // Load the chains that price editors can be assigned to
+  useEffect(() => {
+    if (!canManage) return;
+
+    getChains()
+      .then(setChains)
+      .catch((err) => console.error("Error loading chains:", err));
+  }, [canManage]);
+
+  /**
+   * Applies the search box to the users list
+   *
+   * @param {Event} e - The event object triggered by form submission
+   */
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setFilters((prev) => ({ ...prev, search: searchText.trim() }));
+  };
+
+  /**
+   * Replaces a user in the list with the updated one from the server
+   *
+   * @param {Object} updatedUser - The updated user
+   */
+  const replaceUser = (updatedUser) =>
+    setUsers((prev) =>
+      prev.map((user) => (user._id === updatedUser._id ? updatedUser : user))
+    );
+
+  /**
+   * Runs an action on a user with a shared busy state and error handling
+   *
+   * @param {string} userId - The user the action applies to
+   * @param {Function} action - The async action to run
+   */
+  const run = async (userId, action) => {
+    setBusyUserId(userId);
+    setMessage({ type: "", text: "" });
+    try {
+      await action();
+    } catch (err) {
+      setMessage({ type: "error", text: getErrorMessage(err) });
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  /**
+   * Disables or re-enables a user's account, asking for a reason when disabling
+   *
+   * @param {Object} user - The user
+   */
+  const handleToggleDisabled = async (user) => {
+    let reason = "";
+    if (!user.disabled) {
+      reason = window.prompt(`סיבת השבתת החשבון של ${user.name}:`, "");
+      if (reason === null) return;
+    } else if (!(await confirm(`להפעיל מחדש את החשבון של ${user.name}?`))) {
+      return;
+    }
+
+    run(user._id, async () => {
+      replaceUser(await setUserDisabled(user._id, !user.disabled, reason));
+      setMessage({
+        type: "success",
+        text: user.disabled ? "החשבון הופעל מחדש ✅" : "החשבון הושבת והמשתמש נותק",
+      });
+    });
+  };
+
+  /**
+   * Signs a user out everywhere and emails them a password reset link
+   *
+   * @param {Object} user - The user
+   */
+  const handleForceReset = async (user) => {
+    const confirmed = await confirm(
+      `לנתק את ${user.name} מכל המכשירים ולחייב איפוס סיסמה באמצעות אימייל?`,
+      { danger: true }
+    );
+    if (!confirmed) return;
+
+    run(user._id, async () => {
+      const result = await forcePasswordReset(user._id);
+      replaceUser({ ...user, passwordResetRequired: true });
+      setMessage({ type: "success", text: result.message });
+    });
+  };
+
+  /**
+   * Toggles a value in one of the role editor's lists
+   *
+   * @param {string} field - "roles" or "priceChains"
+   * @param {string} value - The role or chain
+   */
+  const toggleEditorValue = (field, value) =>
+    setEditing((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter((item) => item !== value)
+        : [...prev[field], value],
+    }));
+
+  /**
+   * Saves the roles from the role editor
+   *
+   * @param {Event} e - The event object triggered by form submission
+   */
+  const handleSaveRoles = (e) => {
+    e.preventDefault();
+    run(editing.user._id, async () => {
+      replaceUser(
+        await updateUserRoles(editing.user._id, editing.roles, editing.priceChains)
+      );
+      setEditing(null);
+      setMessage({ type: "success", text: "התפקידים עודכנו ✅" });
+    });
+  };
+
+  if (error.code === "TWO_FACTOR_REQUIRED") {
+    return (
+      <div className="max-w-xl mx-auto bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-xl p-6 mt-6">
+        <p className="mb-3">{error.text}</p>
+        <Link to="/account" className="text-blue-600 hover:underline font-medium">
+          להגדרת אימות דו-שלבי בחשבון שלי
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto p-4">
+      <h1 className="text-2xl font-bold text-blue-700 mb-6 flex items-center gap-2">
+        <FiUsers />
+        ניהול משתמשים
+      </h1>
+
+      {/* Search and role filter */}
+      <form
+        onSubmit={handleSearch}
+        className="flex flex-wrap gap-2 mb-4 bg-white p-4 rounded-xl shadow border border-gray-100"
+      >
+        <input
+          value={searchText}
+          onChange={(e) => setSearchText(e.target.value)}
+          placeholder="חיפוש לפי שם או אימייל"
+          className="flex-1 min-w-48 p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600"
+        />
+        <select
+          value={filters.role}
+          onChange={(e) => {
+            setPage(1);
+            setFilters((prev) => ({ ...prev, role: e.target.value }));
+          }}
+          className="p-2 border rounded-md"
+        >
+          <option value="">כל המשתמשים</option>
+          {Object.entries(ROLE_LABELS).map(([role, label]) => (
+            <option key={role} value={role}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition flex items-center gap-1"
+        >
+          <FiSearch />
+          חיפוש
+        </button>
+      </form>
+
+      {(message.text || error.text) && (
+        <p
+          className={`text-sm mb-3 ${
+            message.type === "success" ? "text-green-600" : "text-red-500"
+          }`}
+          aria-live="polite"
+        >
+          {message.text || error.text}
+        </p>
+      )}
+
+      {/* Role editor */}
+      {editing && (
+        <form
+          onSubmit={handleSaveRoles}
+          className="bg-white p-6 rounded-xl shadow border border-gray-100 mb-6"
+        >
+          <h2 className="text-lg font-bold text-gray-800 mb-3">
+            תפקידים של {editing.user.name}
+          </h2>
+          <div className="flex flex-wrap gap-4 mb-4">
+            {Object.entries(ROLE_LABELS).map(([role, label]) => (
+              <label key={role} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={editing.roles.includes(role)}
+                  onChange={() => toggleEditorValue("roles", role)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          {editing.roles.includes("price_editor") && (
+            <div className="mb-4">
+              <p className="text-sm text-gray-700 mb-2">רשתות שמחיריהן ניתנים לעריכה:</p>
+              <div className="flex flex-wrap gap-4">
+                {chains.map((chain) => (
+                  <label key={chain} className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={editing.priceChains.includes(chain)}
+                      onChange={() => toggleEditorValue("priceChains", chain)}
+                    />
+                    {chain}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={busyUserId === editing.user._id}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50"
+            >
+              שמירה
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="text-gray-600 hover:underline"
+            >
+              ביטול
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Users table */}
+      <div className="bg-white rounded-xl shadow border border-gray-100 overflow-x-auto">
+        <table className="w-full text-sm text-right">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="p-3">שם</th>
+              <th className="p-3">אימייל</th>
+              <th className="p-3">תפקידים</th>
+              <th className="p-3">עגלות שמורות</th>
+              <th className="p-3">סטטוס</th>
+              {canManage && <th className="p-3">פעולות</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan={6} className="p-6 text-center text-gray-500">
+                  טוען...
+                </td>
+              </tr>
+            ) : users.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="p-6 text-center text-gray-500">
+                  לא נמצאו משתמשים
+                </td>
+              </tr>
+            ) : (
+              users.map((user) => {
+                const status = getStatus(user);
+                const isSelf = user._id === currentUser.id;
+                const busy = busyUserId === user._id;
+
+                return (
+                  <tr key={user._id} className="border-t">
+                    <td className="p-3 font-medium">{user.name}</td>
+                    <td className="p-3" dir="ltr">
+                      {user.email}
+                    </td>
+                    <td className="p-3">
+                      {user.roles.length > 0
+                        ? user.roles.map((role) => ROLE_LABELS[role]).join(", ")
+                        : "—"}
+                      {user.roles.includes("price_editor") &&
+                        user.priceChains.length > 0 && (
+                          <span className="block text-xs text-gray-500">
+                            {user.priceChains.join(", ")}
+                          </span>
+                        )}
+                    </td>
+                    <td className="p-3">{user.savedCartCount}</td>
+                    <td className="p-3">
+                      <span
+                        className={`px-2 py-1 rounded-full text-xs font-medium ${status.className}`}
+                        title={user.disabledReason || ""}
+                      >
+                        {status.text}
+                      </span>
+                    </td>
+                    {canManage && (
+                      <td className="p-3 whitespace-nowrap">
+                        {isSelf ? (
+                          <span className="text-gray-400">החשבון שלך</span>
+                        ) : (
+                          <div className="flex gap-3">
+                            <button
+                              onClick={() =>
+                                setEditing({
+                                  user,
+                                  roles: user.roles,
+                                  priceChains: user.priceChains,
+                                })
+                              }
+                              disabled={busy}
+                              className="text-blue-600 hover:underline disabled:opacity-50"
+                            >
+                              תפקידים
+                            </button>
+                            <button
+                              onClick={() => handleToggleDisabled(user)}
+                              disabled={busy}
+                              className="text-red-600 hover:underline disabled:opacity-50"
+                            >
+                              {user.disabled ? "הפעלה" : "השבתה"}
+                            </button>
+                            <button
+                              onClick={() => handleForceReset(user)}
+                              disabled={busy}
+                              className="text-gray-700 hover:underline disabled:opacity-50"
+                            >
+                              איפוס סיסמה
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Pagination */}
+      {pagination.totalPages > 1 && (
+        <div className="flex justify-center items-center gap-4 mt-4">
+          <button
+            onClick={() => setPage((prev) => prev - 1)}
+            disabled={page <= 1 || loading}
+            className="text-blue-600 hover:underline disabled:opacity-50"
+          >
+            הקודם
+          </button>
+          <span className="text-sm text-gray-600">
+            עמוד {pagination.page} מתוך {pagination.totalPages} ({pagination.total}{" "}
+            משתמשים)
+          </span>
+          <button
+            onClick={() => setPage((prev) => prev + 1)}
+            disabled={page >= pagination.totalPages || loading}
+            className="text-blue-600 hover:underline disabled:opacity-50"
+          >
+            הבא
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminUsersPage;
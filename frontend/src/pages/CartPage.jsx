@@ -6,14 +6,19 @@ import CartItem from "../components/CartItem";
 import ProductModal from "../components/ProductModal";
 import { useProducts } from "../context/ProductContext";
 import { useUser } from "../context/UserContext";
+import { useHousehold } from "../context/HouseholdContext";
+import { useToast } from "../context/ToastContext";
+import { getShoppingPreferences } from "../utils/chains";
 
 /**
  * CartPage displays the current user's shopping cart, including:
  * - A list of items in the cart with the option to remove or edit quantities.
- * - A feature to save the cart under a custom name (if the user is logged in).
+ * - A feature to save the cart under a custom name (if the user is logged in), in the active
+ *   cart space (personal, or shared with a household).
  * - A button to clear the entire cart after confirmation.
- * - Price totals for the cart items across different supermarkets.
- * - A modal for saving the cart and for clearing the cart.
+ * - Price totals for the cart items across different supermarkets, without the chains the user
+ *   excluded and with their default chain highlighted.
+ * - A modal for saving the cart. Saving and clearing the cart are confirmed with toasts.
  * It also provides functionality for loading product details in a modal if a product is clicked.
  *
  * @returns {JSX.Element} CartPage component displaying cart items, totals, and options to save or clear the cart
@@ -22,9 +27,10 @@ const CartPage = () => {
   const { cart, clearCart, saveCart, getSupermarketTotals } = useCart(); // Access cart functions from CartContext
   const { products } = useProducts(); // Access product list from ProductContext
   const { currentUser } = useUser(); // Access current user state from UserContext
+  const { activeHousehold, canEditCarts } = useHousehold(); // Access the active cart space
+  const { showToast, confirm } = useToast(); // Access toasts and confirmation dialogs
 
   const [searchParams] = useSearchParams(); // Access URL search parameters
-  const [showConfirm, setShowConfirm] = useState(false); // State for showing the clear cart confirmation modal
   const [showSaveModal, setShowSaveModal] = useState(false); // State for showing the save cart modal
   const [cartName, setCartName] = useState(""); // State for the cart name when saving
 
@@ -34,36 +40,45 @@ const CartPage = () => {
     : null;
 
   const supermarketTotals = getSupermarketTotals(); // Get price totals across supermarkets
+  const { defaultChain } = getShoppingPreferences(currentUser); // The chain to highlight in the totals
 
-  const [saveMessage, setSaveMessage] = useState(""); // State for displaying success message after saving cart
+  const canSaveCart = currentUser?.emailVerified && canEditCarts; // Saving carts requires a logged-in user with a verified email, and is not allowed for household viewers
 
   /**
    * Handles saving the current cart with the given name.
-   * It displays a success message if the cart is saved successfully.
+   * It shows a toast telling whether the cart was saved.
    */
   const handleSaveCart = async () => {
     const savedCart = await saveCart(cartName); // Save the cart with the given name
     if (savedCart) {
-      setSaveMessage("העגלה נשמרה בהצלחה! ✅"); // Set success message
-      setTimeout(() => setSaveMessage(""), 3000); // Clear success message after 3 seconds
+      showToast("העגלה נשמרה בהצלחה! ✅");
+    } else {
+      showToast("שמירת העגלה נכשלה", "error");
     }
     setCartName(""); // Clear cart name input
     setShowSaveModal(false); // Close the save cart modal
   };
 
+  /**
+   * Handles clearing the entire cart after the user confirms it.
+   */
+  const handleClearCart = async () => {
+    const confirmed = await confirm(
+      "האם את/ה בטוח/ה שברצונך לרוקן את כל העגלה?",
+      { confirmLabel: "כן, נקה", danger: true }
+    );
+    if (!confirmed) return;
+
+    clearCart();
+    showToast("העגלה רוקנה", "info");
+  };
+
   return (
     <div dir="rtl" className="max-w-6xl mx-auto px-[5%] py-12 text-right">
       <h1 className="text-4xl font-extrabold text-blue-700 text-center mb-10">
         עגלת הקניות שלך 🛒
       </h1>
 
-      {/* Success Message */}
-      {saveMessage && (
-        <div className="bg-green-100 text-green-700 p-3 rounded-md shadow-md text-center mb-4">
-          {saveMessage}
-        </div>
-      )}
-
       {/* Empty Cart State */}
       {cart.length === 0 ? (
         <div className="bg-white text-center p-10 rounded-2xl shadow-md text-gray-600">
@@ -79,10 +94,10 @@ const CartPage = () => {
             <div className="relative group">
               <button
                 onClick={() => setShowSaveModal(true)}
-                disabled={!currentUser}
+                disabled={!canSaveCart}
                 className={`font-semibold px-4 py-2 rounded-lg shadow flex items-center gap-2
                   ${
-                    currentUser
+                    canSaveCart
                       ? "bg-green-600 hover:bg-green-700 text-white"
                       : "bg-gray-300 text-gray-500 cursor-not-allowed"
                   }
@@ -91,15 +106,19 @@ const CartPage = () => {
                 <FiSave />
                 שמור עגלה
               </button>
-              {!currentUser && (
+              {!canSaveCart && (
                 <div className="absolute bottom-full mb-2 right-0 bg-black text-white text-xs px-3 py-1 rounded shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-200">
-                  על מנת לשמור עגלות עליך להתחבר
+                  {!currentUser
+                    ? "על מנת לשמור עגלות עליך להתחבר"
+                    : !currentUser.emailVerified
+                      ? "על מנת לשמור עגלות עליך לאמת את כתובת האימייל"
+                      : "צופים במשק הבית אינם יכולים לשמור עגלות משותפות"}
                 </div>
               )}
             </div>
 
             <button
-              onClick={() => setShowConfirm(true)}
+              onClick={handleClearCart}
               className="bg-red-500 hover:bg-red-600 text-white font-semibold px-4 py-2 rounded-lg shadow"
             >
               נקה עגלה
@@ -122,9 +141,16 @@ const CartPage = () => {
               {Object.entries(supermarketTotals).map(([supermarket, total]) => (
                 <div
                   key={supermarket}
-                  className="flex justify-between items-center text-lg font-medium border-b border-blue-100 py-2 last:border-b-0"
+                  className={`flex justify-between items-center text-lg font-medium border-b border-blue-100 py-2 last:border-b-0 ${
+                    supermarket === defaultChain ? "bg-white rounded-md px-2" : ""
+                  }`}
                 >
-                  <span className="text-gray-700">{supermarket}</span>
+                  <span className="text-gray-700">
+                    {supermarket}
+                    {supermarket === defaultChain && (
+                      <span className="text-sm text-blue-600 mr-2">(הרשת שלי)</span>
+                    )}
+                  </span>
                   <span className="text-gray-900 font-semibold">
                     ₪{total.toFixed(2)}
                   </span>
@@ -138,39 +164,16 @@ const CartPage = () => {
         </>
       )}
 
-      {/* Confirm Clear Cart Modal */}
-      {showConfirm && (
-        <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50">
-          <div className="bg-white p-6 rounded-xl shadow-lg w-[90%] max-w-md text-center space-y-4">
-            <h3 className="text-xl font-semibold text-gray-800">
-              האם את/ה בטוח/ה שברצונך לרוקן את כל העגלה?
-            </h3>
-            <div className="flex justify-center gap-4 mt-6">
-              <button
-                onClick={() => {
-                  clearCart();
-                  setShowConfirm(false);
-                }}
-                className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-lg font-semibold"
-              >
-                כן, נקה
-              </button>
-              <button
-                onClick={() => setShowConfirm(false)}
-                className="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-lg font-semibold"
-              >
-                ביטול
-              </button>
-            </div>
-          </div>
-        </div>
-      )}
-
       {/* Save Cart Modal */}
       {showSaveModal && (
         <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-50">
           <div className="bg-white p-6 rounded-xl shadow-lg w-[90%] max-w-md text-center space-y-4">
             <h3 className="text-xl font-semibold text-gray-800">שמור עגלה</h3>
+            {activeHousehold && (
+              <p className="text-sm text-gray-600">
+                העגלה תישמר במשק הבית "{activeHousehold.name}" ותהיה זמינה לכל חבריו
+              </p>
+            )}
             <input
               type="text"
               value={cartName}
@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { FiHeart, FiShoppingCart } from "react-icons/fi";
+import { useFavorites } from "../context/FavoritesContext";
+import { useCart } from "../context/CartContext";
+import { useToast } from "../context/ToastContext";
+import ProductCard from "../components/ProductCard";
+
+/**
+ * FavoritesPage displays the products the user marked as favorites (their watchlist),
+ * such as the products they buy regularly. Each product can be added to the cart on its own,
+ * or all of them at once with one of each.
+ *
+ * @returns {JSX.Element} FavoritesPage component displaying the favorite products.
+ */
+const FavoritesPage = () => {
+  const { favorites, refreshFavorites } = useFavorites(); // Access the favorites from FavoritesContext
+  const { addItemsToCart } = useCart(); // Access the cart functions from CartContext
+  const { showToast } = useToast(); // Access toasts for the "added all to cart" message
+  const [loading, setLoading] = useState(true); // State for the first load of the favorites
+
+  // Refresh the favorites so the product details and prices are current
+  useEffect(() => {
+    refreshFavorites().finally(() => setLoading(false));
+  }, [refreshFavorites]);
+
+  /**
+   * Adds one of each favorite product to the cart
+   */
+  const handleAddAll = () => {
+    addItemsToCart(favorites.map((favorite) => favorite.product));
+    showToast("כל המועדפים נוספו לעגלה 🛒");
+  };
+
+  return (
+    <div dir="rtl" className="mx-auto px-[5%] py-12 text-right">
+      <h1 className="text-4xl font-extrabold text-blue-700 text-center mb-10">
+        המועדפים שלי ❤️
+      </h1>
+
+      {loading && favorites.length === 0 && (
+        <p className="text-gray-500 text-center">טוען...</p>
+      )}
+
+      {!loading && favorites.length === 0 && (
+        <div className="text-center text-gray-600 space-y-2">
+          <FiHeart className="mx-auto text-4xl text-gray-400" />
+          <p>עדיין לא הוספתם מוצרים למועדפים.</p>
+          <p>
+            לחצו על הלב ליד מוצר ב
+            <Link to="/products" className="text-blue-600 hover:underline">
+              רשימת המוצרים
+            </Link>{" "}
+            כדי לשמור אותו כאן.
+          </p>
+        </div>
+      )}
+
+      {favorites.length > 0 && (
+        <>
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <p className="text-gray-600">{favorites.length} מוצרים במועדפים</p>
+            <button
+              onClick={handleAddAll}
+              className="bg-green-600 hover:bg-green-700 text-white px-5 py-2 rounded-lg font-semibold flex items-center gap-2 transition"
+            >
+              <FiShoppingCart />
+              הוסף את כל המועדפים לעגלה
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {favorites.map((favorite) => (
+              <ProductCard key={favorite.productId} product={favorite.product} />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FavoritesPage;
@@ -0,0 +1,118 @@
+import React, { useState, useRef, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { forgotPassword } from "../api/loginAPI";
+
+/**
+ * ForgotPasswordPage lets users request a password reset link by email.
+ * The server responds the same way whether or not the email is registered,
+ * so the page always shows the same confirmation after a successful request.
+ *
+ * @returns {JSX.Element} ForgotPasswordPage component with email form and confirmation message.
+ */
+const ForgotPasswordPage = () => {
+  const emailRef = useRef(); // Ref for focusing on the email input field
+  const errRef = useRef(); // Ref for displaying error messages
+
+  const [email, setEmail] = useState(""); // Email input state
+  const [error, setError] = useState(""); // State for error messages
+  const [sent, setSent] = useState(false); // Indicates the reset link request was accepted
+  const [loading, setLoading] = useState(false); // State for managing loading state during the request
+
+  // Set focus on email input on component mount
+  useEffect(() => {
+    emailRef.current.focus();
+  }, []);
+
+  // Clear error message when email changes
+  useEffect(() => {
+    setError("");
+  }, [email]);
+
+  /**
+   * Handles the form submission and requests a reset link from the server.
+   *
+   * @param {Event} e - The event object triggered by form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      await forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      if (!err?.response) {
+        setError("שרת לא מגיב");
+      } else {
+        setError(
+          "שליחת הבקשה נכשלה: " +
+            (err.response?.data?.message || "שגיאה לא ידועה")
+        );
+      }
+      errRef.current?.focus(); // Focus on the error message
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center h-full">
+      <div className="max-w-md w-full bg-white p-6 rounded-lg shadow-md">
+        <h2 className="text-2xl font-bold text-blue-800 mb-3">שכחתי סיסמה 🔑</h2>
+
+        {sent ? (
+          <p className="text-green-600 mb-2">
+            אם האימייל רשום במערכת, נשלח אליו קישור לאיפוס הסיסמה. הקישור תקף
+            לשעה אחת.
+          </p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 mb-3">
+              הזינו את כתובת האימייל שלכם ונשלח אליכם קישור לאיפוס הסיסמה
+            </p>
+            <p
+              ref={errRef}
+              className={error ? "text-red-500 text-sm mb-2" : "sr-only"}
+              aria-live="assertive"
+            >
+              {error}
+            </p>
+
+            <form onSubmit={handleSubmit} className="space-y-3">
+              <input
+                name="email"
+                ref={emailRef}
+                onChange={(e) => setEmail(e.target.value)}
+                value={email}
+                type="email"
+                placeholder="אימייל"
+                className="w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600"
+                required
+              />
+
+              <button
+                type="submit"
+                className="w-full bg-blue-600 hover:bg-blue-700 text-white p-2 rounded-md font-semibold transition"
+                disabled={loading}
+              >
+                {loading ? "שולח..." : "שלח קישור לאיפוס"}
+              </button>
+            </form>
+          </>
+        )}
+
+        <div className="text-sm text-gray-600 mt-3">
+          נזכרת בסיסמה?
+          <Link
+            to="/login"
+            className="text-blue-600 hover:text-blue-800 font-semibold mr-1"
+          >
+            חזרה להתחברות
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
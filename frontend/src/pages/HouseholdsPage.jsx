@@ -0,0 +1,459 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { FiHome, FiMail, FiUsers } from "react-icons/fi";
+import { useUser } from "../context/UserContext";
+import { useHousehold } from "../context/HouseholdContext";
+import { useToast } from "../context/ToastContext";
+import {
+  createHousehold,
+  renameHousehold,
+  deleteHousehold,
+  getHouseholdInvites,
+  inviteMember,
+  cancelInvite,
+  getMyInvites,
+  acceptInvite,
+  declineInvite,
+  updateMemberRole,
+  removeMember,
+} from "../api/householdAPI";
+import { getErrorMessage } from "../utils/errors";
+
+// Hebrew names of the household roles
+const HOUSEHOLD_ROLE_LABELS = {
+  owner: "בעלים",
+  editor: "עורך/ת",
+  viewer: "צופה",
+};
+
+const inputClassName =
+  "w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600";
+
+/**
+ * HouseholdsPage lets the logged-in user share carts with their family:
+ * - Accept or decline invites to households sent to their email.
+ * - Create a household, and switch to its shared carts.
+ * - Owners invite members by email as editors or viewers, change member roles, remove
+ *   members, cancel pending invites, rename the household or delete it.
+ * - Every member can leave a household.
+ * Households require a verified email address, since invites are matched by email.
+ *
+ * @returns {JSX.Element} HouseholdsPage component with the invites, the create form and the households.
+ */
+const HouseholdsPage = () => {
+  const { currentUser } = useUser(); // Access user state from UserContext
+  const { households, activeHouseholdId, setActiveHouseholdId, refreshHouseholds } =
+    useHousehold(); // Access the households and active cart space
+  const { confirm } = useToast(); // Confirmation dialogs for destructive actions
+  const navigate = useNavigate();
+
+  const [myInvites, setMyInvites] = useState([]); // Invites addressed to the user
+  const [householdInvites, setHouseholdInvites] = useState({}); // Pending invites of owned households, by household ID
+  const [newName, setNewName] = useState("");
+  const [inviteForms, setInviteForms] = useState({}); // Invite form of each owned household, by household ID
+  const [message, setMessage] = useState({ type: "", text: "" });
+  const [busy, setBusy] = useState(false);
+
+  const ownedIds = households
+    .filter((household) => household.role === "owner")
+    .map((household) => household.id)
+    .join(",");
+
+  /**
+   * Loads the invites addressed to the user and the pending invites of the households they own
+   */
+  const fetchInvites = useCallback(async () => {
+    if (!currentUser?.emailVerified) return;
+    try {
+      setMyInvites(await getMyInvites());
+      const ids = ownedIds ? ownedIds.split(",") : [];
+      const lists = await Promise.all(ids.map((id) => getHouseholdInvites(id)));
+      setHouseholdInvites(Object.fromEntries(ids.map((id, i) => [id, lists[i]])));
+    } catch (err) {
+      setMessage({ type: "error", text: getErrorMessage(err) });
+    }
+  }, [currentUser, ownedIds]);
+
+  // Load the invites when the page opens and when the owned households change
+  useEffect(() => {
+    fetchInvites();
+  }, [fetchInvites]);
+
+  /**
+   * Runs a household action, then reloads the households and invites and shows the result
+   *
+   * @param {Function} action - The API call to run
+   * @param {string} [successText] - The message to show when it succeeds
+   */
+  const runAction = async (action, successText) => {
+    setBusy(true);
+    setMessage({ type: "", text: "" });
+    try {
+      await action();
+      await refreshHouseholds();
+      await fetchInvites();
+      if (successText) setMessage({ type: "success", text: successText });
+    } catch (err) {
+      setMessage({ type: "error", text: getErrorMessage(err) });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Creates a household with the user as its owner
+   *
+   * @param {Event} e - The event object triggered by form submission
+   */
+  const handleCreate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await createHousehold(newName.trim());
+      setNewName("");
+    }, "משק הבית נוצר");
+  };
+
+  /**
+   * Invites an email address to a household
+   *
+   * @param {Event} e - The event object triggered by form submission
+   * @param {Object} household - The household
+   */
+  const handleInvite = (e, household) => {
+    e.preventDefault();
+    const form = inviteForms[household.id] || { email: "", role: "editor" };
+    runAction(async () => {
+      await inviteMember(household.id, form.email.trim(), form.role);
+      setInviteForms((prev) => ({
+        ...prev,
+        [household.id]: { email: "", role: form.role },
+      }));
+    }, `נשלחה הזמנה אל ${form.email.trim()}`);
+  };
+
+  /**
+   * Updates a field of a household's invite form
+   *
+   * @param {string} householdId - The household ID
+   * @param {string} field - "email" or "role"
+   * @param {string} value - The new value
+   */
+  const setInviteField = (householdId, field, value) =>
+    setInviteForms((prev) => ({
+      ...prev,
+      [householdId]: {
+        ...(prev[householdId] || { email: "", role: "editor" }),
+        [field]: value,
+      },
+    }));
+
+  /**
+   * Renames a household
+   *
+   * @param {Object} household - The household
+   */
+  const handleRename = (household) => {
+    const name = window.prompt("שם חדש למשק הבית:", household.name);
+    if (!name || name.trim() === household.name) return;
+    runAction(() => renameHousehold(household.id, name.trim()));
+  };
+
+  /**
+   * Deletes a household with all of its carts
+   *
+   * @param {Object} household - The household
+   */
+  const handleDelete = async (household) => {
+    const confirmed = await confirm(
+      `למחוק את משק הבית "${household.name}"? כל העגלות המשותפות שלו יימחקו.`,
+      { confirmLabel: "מחק", danger: true }
+    );
+    if (!confirmed) return;
+    runAction(() => deleteHousehold(household.id), "משק הבית נמחק");
+  };
+
+  /**
+   * Removes a member from a household, or leaves it when the member is the user
+   *
+   * @param {Object} household - The household
+   * @param {Object} member - The member
+   */
+  const handleRemove = async (household, member) => {
+    const leaving = member.userId === currentUser.id;
+    const question = leaving
+      ? `לעזוב את משק הבית "${household.name}"?`
+      : `להסיר את ${member.name} ממשק הבית?`;
+    if (!(await confirm(question, { danger: true }))) return;
+
+    runAction(
+      () => removeMember(household.id, member.userId),
+      leaving ? "עזבת את משק הבית" : "החבר הוסר ממשק הבית"
+    );
+  };
+
+  /**
+   * Shows a household's shared carts
+   *
+   * @param {Object} household - The household
+   */
+  const openCarts = (household) => {
+    setActiveHouseholdId(household.id);
+    navigate("/saved-carts");
+  };
+
+  if (!currentUser?.emailVerified) {
+    return (
+      <div dir="rtl" className="max-w-3xl mx-auto px-[5%] py-12 text-right">
+        <div className="bg-white text-center p-10 rounded-2xl shadow-md text-gray-600">
+          <FiHome className="mx-auto text-5xl mb-4 text-blue-500" />
+          <p className="text-lg">
+            יש לאמת את כתובת האימייל כדי ליצור משק בית או להצטרף אליו
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div dir="rtl" className="max-w-3xl mx-auto px-[5%] py-12 text-right">
+      <h1 className="text-4xl font-extrabold text-blue-700 text-center mb-4">
+        משקי הבית שלי 🏠
+      </h1>
+      <p className="text-center text-gray-600 mb-10">
+        משק בית מאפשר לשתף עגלות שמורות עם בני המשפחה. בוחרים את מרחב העגלות בתפריט העליון.
+      </p>
+
+      {message.text && (
+        <p
+          className={`text-sm mb-4 ${
+            message.type === "error" ? "text-red-500" : "text-green-600"
+          }`}
+          aria-live="polite"
+        >
+          {message.text}
+        </p>
+      )}
+
+      {/* Invites addressed to the user */}
+      {myInvites.length > 0 && (
+        <section className="bg-white p-6 rounded-xl shadow border border-gray-100 mb-6">
+          <h2 className="text-xl font-bold text-blue-700 mb-4 flex items-center gap-2">
+            <FiMail />
+            הזמנות שקיבלת
+          </h2>
+          <ul className="divide-y divide-gray-100">
+            {myInvites.map((invite) => (
+              <li key={invite.id} className="py-3 flex items-center justify-between gap-4">
+                <p className="text-gray-800">
+                  {invite.invitedBy} הזמין/ה אותך למשק הבית{" "}
+                  <span className="font-semibold">"{invite.householdName}"</span> בתור{" "}
+                  {HOUSEHOLD_ROLE_LABELS[invite.role]}
+                </p>
+                <div className="flex gap-3 whitespace-nowrap">
+                  <button
+                    onClick={() => runAction(() => acceptInvite(invite.id), "הצטרפת למשק הבית")}
+                    disabled={busy}
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-lg text-sm font-semibold disabled:opacity-50"
+                  >
+                    הצטרפות
+                  </button>
+                  <button
+                    onClick={() => runAction(() => declineInvite(invite.id))}
+                    disabled={busy}
+                    className="text-gray-600 hover:underline text-sm font-medium disabled:opacity-50"
+                  >
+                    דחייה
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {/* Households */}
+      {households.map((household) => {
+        const isOwner = household.role === "owner";
+        const inviteForm = inviteForms[household.id] || { email: "", role: "editor" };
+
+        return (
+          <section
+            key={household.id}
+            className="bg-white p-6 rounded-xl shadow border border-gray-100 mb-6"
+          >
+            <div className="flex items-center justify-between gap-4 mb-4">
+              <h2 className="text-xl font-bold text-blue-700 flex items-center gap-2">
+                <FiUsers />
+                {household.name}
+                <span className="text-sm font-normal text-gray-500">
+                  ({HOUSEHOLD_ROLE_LABELS[household.role]})
+                </span>
+              </h2>
+              <button
+                onClick={() => openCarts(household)}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-lg text-sm font-semibold whitespace-nowrap"
+              >
+                {activeHouseholdId === household.id ? "לעגלות המשותפות" : "מעבר לעגלות המשותפות"}
+              </button>
+            </div>
+
+            {/* Members */}
+            <ul className="divide-y divide-gray-100 mb-4">
+              {household.members.map((member) => (
+                <li key={member.userId} className="py-3 flex items-center justify-between gap-4">
+                  <div>
+                    <p className="font-medium text-gray-800">
+                      {member.name}
+                      {member.userId === currentUser.id && " (את/ה)"}
+                    </p>
+                    <p className="text-xs text-gray-500" dir="ltr">
+                      {member.email}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    {isOwner ? (
+                      <select
+                        value={member.role}
+                        onChange={(e) =>
+                          runAction(() =>
+                            updateMemberRole(household.id, member.userId, e.target.value)
+                          )
+                        }
+                        disabled={busy}
+                        className="p-1 border rounded-md text-sm"
+                        aria-label={`התפקיד של ${member.name}`}
+                      >
+                        {Object.entries(HOUSEHOLD_ROLE_LABELS).map(([role, label]) => (
+                          <option key={role} value={role}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="text-sm text-gray-600">
+                        {HOUSEHOLD_ROLE_LABELS[member.role]}
+                      </span>
+                    )}
+                    {(isOwner || member.userId === currentUser.id) && (
+                      <button
+                        onClick={() => handleRemove(household, member)}
+                        disabled={busy}
+                        className="text-red-600 hover:underline text-sm font-medium disabled:opacity-50"
+                      >
+                        {member.userId === currentUser.id ? "עזיבה" : "הסרה"}
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+
+            {isOwner && (
+              <>
+                {/* Pending invites */}
+                {(householdInvites[household.id] || []).length > 0 && (
+                  <div className="mb-4">
+                    <h3 className="font-semibold text-gray-800 mb-2">הזמנות ממתינות</h3>
+                    <ul className="text-sm space-y-1">
+                      {householdInvites[household.id].map((invite) => (
+                        <li key={invite.id} className="flex items-center justify-between gap-4">
+                          <span>
+                            <span dir="ltr">{invite.email}</span> –{" "}
+                            {HOUSEHOLD_ROLE_LABELS[invite.role]}
+                          </span>
+                          <button
+                            onClick={() => runAction(() => cancelInvite(household.id, invite.id))}
+                            disabled={busy}
+                            className="text-gray-600 hover:underline font-medium disabled:opacity-50"
+                          >
+                            ביטול
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {/* Invite a member */}
+                <form
+                  onSubmit={(e) => handleInvite(e, household)}
+                  className="flex flex-wrap gap-2 mb-4"
+                >
+                  <input
+                    type="email"
+                    value={inviteForm.email}
+                    onChange={(e) => setInviteField(household.id, "email", e.target.value)}
+                    placeholder="אימייל של בן/בת משפחה"
+                    className={`${inputClassName} flex-1 min-w-[12rem]`}
+                    dir="ltr"
+                    required
+                  />
+                  <select
+                    value={inviteForm.role}
+                    onChange={(e) => setInviteField(household.id, "role", e.target.value)}
+                    className="p-2 border rounded-md"
+                    aria-label="תפקיד"
+                  >
+                    <option value="editor">{HOUSEHOLD_ROLE_LABELS.editor}</option>
+                    <option value="viewer">{HOUSEHOLD_ROLE_LABELS.viewer}</option>
+                  </select>
+                  <button
+                    type="submit"
+                    disabled={busy}
+                    className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50"
+                  >
+                    שליחת הזמנה
+                  </button>
+                </form>
+
+                <div className="flex gap-4 text-sm">
+                  <button
+                    onClick={() => handleRename(household)}
+                    disabled={busy}
+                    className="text-blue-600 hover:underline font-medium disabled:opacity-50"
+                  >
+                    שינוי שם
+                  </button>
+                  <button
+                    onClick={() => handleDelete(household)}
+                    disabled={busy}
+                    className="text-red-600 hover:underline font-medium disabled:opacity-50"
+                  >
+                    מחיקת משק הבית
+                  </button>
+                </div>
+              </>
+            )}
+          </section>
+        );
+      })}
+
+      {/* Create a household */}
+      <section className="bg-white p-6 rounded-xl shadow border border-gray-100 mb-6">
+        <h2 className="text-xl font-bold text-blue-700 mb-4 flex items-center gap-2">
+          <FiHome />
+          משק בית חדש
+        </h2>
+        <form onSubmit={handleCreate} className="flex flex-wrap gap-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="שם משק הבית (למשל: משפחת כהן)"
+            maxLength={50}
+            className={`${inputClassName} flex-1 min-w-[12rem]`}
+            required
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50"
+          >
+            יצירה
+          </button>
+        </form>
+      </section>
+    </div>
+  );
+};
+
+export default HouseholdsPage;
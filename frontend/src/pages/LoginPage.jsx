@@ -1,11 +1,58 @@
-import React, { useState, useRef, useEffect } from "react";
-import { useNavigate, Link } from "react-router-dom";
+import React, { useState, useRef, useEffect, useCallback } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
 import { useUser } from "../context/UserContext";
-import { loginUser } from "../api/loginAPI";
+import {
+  loginUser,
+  loginTwoFactor,
+  requestMagicLink,
+  loginWithMagicLink,
+} from "../api/loginAPI";
+
+/**
+ * Builds the Hebrew error message for a failed login from the server's error code
+ *
+ * @param {Error} err - The error thrown by the login API call
+ * @returns {string} The error message to display
+ */
+const getLoginErrorMessage = (err) => {
+  if (!err?.response) return "שרת לא מגיב";
+
+  const { code, retryAfter, message } = err.response.data || {};
+  const minutes = Math.ceil((retryAfter || 0) / 60);
+
+  switch (code) {
+    case "INVALID_CREDENTIALS":
+      return "אימייל או סיסמה לא נכונים";
+    case "INVALID_TWO_FACTOR_CODE":
+      return "קוד האימות שגוי";
+    case "MAGIC_LINK_INVALID":
+      return "קישור ההתחברות אינו תקין, פג תוקפו או שכבר נעשה בו שימוש. ניתן לבקש קישור חדש";
+    case "TWO_FACTOR_EXPIRED":
+      return "פג תוקף ההתחברות, יש להזין שוב אימייל וסיסמה";
+    case "LOGIN_THROTTLED":
+      return `יותר מדי ניסיונות התחברות כושלים. יש להמתין ${retryAfter} שניות ולנסות שוב`;
+    case "ACCOUNT_LOCKED":
+      return `החשבון ננעל זמנית עקב ניסיונות התחברות כושלים רבים. ניתן לשחרר את הנעילה באמצעות הקישור שנשלח לאימייל, או לנסות שוב בעוד ${minutes} דקות`;
+    case "ACCOUNT_DISABLED":
+      return "החשבון הושבת. לפרטים יש לפנות לשירות הלקוחות";
+    case "PASSWORD_RESET_REQUIRED":
+      return "יש לאפס את הסיסמה לפני ההתחברות. קישור לאיפוס נשלח לאימייל שלך";
+    case "IP_BLOCKED":
+      return `נחסמו ניסיונות התחברות מהרשת שלך עקב ניסיונות כושלים רבים. יש לנסות שוב בעוד ${minutes} דקות`;
+    default:
+      return err.response.status === 401
+        ? "אימייל או סיסמה לא נכונים"
+        : "התחברות נכשלה: " + (message || "שגיאה לא ידועה");
+  }
+};
 
 /**
  * LoginPage provides the login form for users to authenticate.
  * It includes fields for email and password, validation, and error handling.
+ * Users with two-factor authentication continue to a second step where they enter a code
+ * from their authenticator app or one of their recovery codes.
+ * Instead of the password, users can ask for a single-use login link by email; opening the
+ * link returns here with a `magicToken` query parameter, which is exchanged for a login.
  * On successful login, the user's data is stored in the context, and the user is redirected to the home page.
  *
  * @returns {JSX.Element} LoginPage component with login form, error handling, and redirection on success.
@@ -13,23 +60,32 @@ import { loginUser } from "../api/loginAPI";
 const LoginPage = () => {
   const { login } = useUser(); // Access login function from UserContext
   const navigate = useNavigate(); // Hook for navigation after login
+  const [searchParams, setSearchParams] = useSearchParams(); // Access URL search parameters
+  const magicToken = searchParams.get("magicToken"); // Token from an emailed login link
 
   const emailRef = useRef(); // Ref for focusing on the email input field
+  const codeRef = useRef(); // Ref for focusing on the two-factor code input field
   const errRef = useRef(); // Ref for displaying error messages
+  const magicTokenSent = useRef(false); // The login link is single-use, so its token is only sent once
 
   const [form, setForm] = useState({ email: "", password: "" }); // Form state for email and password
+  const [twoFactorToken, setTwoFactorToken] = useState(""); // Challenge token while a two-factor code is needed
+  const [code, setCode] = useState(""); // Two-factor code or recovery code
   const [error, setError] = useState(""); // State for error messages
-  const [loading, setLoading] = useState(false); // State for managing loading state during login
+  const [notice, setNotice] = useState(""); // Confirmation that a login link was sent
+  const [useMagicLink, setUseMagicLink] = useState(false); // Log in with an emailed link instead of the password
+  const [loading, setLoading] = useState(Boolean(magicToken)); // State for managing loading state during login
 
-  // Set focus on email input on component mount
+  // Focus the email input, or the code input in the two-factor step
   useEffect(() => {
-    emailRef.current.focus();
-  }, []);
+    if (twoFactorToken) codeRef.current.focus();
+    else emailRef.current.focus();
+  }, [twoFactorToken]);
 
   // Clear error message when form changes
   useEffect(() => {
     setError("");
-  }, [form]);
+  }, [form, code]);
 
   /**
    * Handle form field changes (email and password)
@@ -40,9 +96,67 @@ const LoginPage = () => {
     setForm({ ...form, [e.target.name]: e.target.value });
   };
 
+  /**
+   * Stores the logged-in user's data in context and redirects to the home page
+   *
+   * @param {Object} userData - The login response with the user details and tokens
+   */
+  const completeLogin = useCallback(
+    (userData) => {
+      login({
+        email: userData.user.email,
+        name: userData.user.name,
+        id: userData.user.id,
+        isAdmin: userData.user.isAdmin,
+        roles: userData.user.roles,
+        emailVerified: userData.user.emailVerified,
+        twoFactorEnabled: userData.user.twoFactorEnabled,
+        avatarUrl: userData.user.avatarUrl,
+        avatarThumbUrl: userData.user.avatarThumbUrl,
+        shoppingPreferences: userData.user.shoppingPreferences,
+        token: userData.token,
+        refreshToken: userData.refreshToken,
+      });
+
+      // Clear form and redirect to the homepage
+      setForm({ email: "", password: "" });
+      setTwoFactorToken("");
+      setCode("");
+      navigate("/"); // Redirect to the home page after login
+    },
+    [login, navigate]
+  );
+
+  // Log in with the token from an emailed login link
+  useEffect(() => {
+    if (!magicToken || magicTokenSent.current) return;
+    magicTokenSent.current = true;
+    setSearchParams({}, { replace: true }); // Keep the used token out of the address bar
+
+    const loginWithLink = async () => {
+      try {
+        const userData = await loginWithMagicLink(magicToken);
+
+        if (userData.twoFactorRequired) {
+          setTwoFactorToken(userData.twoFactorToken);
+          return;
+        }
+
+        completeLogin(userData);
+      } catch (err) {
+        setError(getLoginErrorMessage(err));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loginWithLink();
+  }, [magicToken, setSearchParams, completeLogin]);
+
   /**
    * Handles the form submission for login.
-   * It calls the login API, handles errors, and stores the user data in context on success.
+   * It calls the login API, handles errors, and stores the user data in context on success,
+   * or moves to the two-factor step when the account requires a code.
    *
    * @param {Event} e - The event object triggered by form submission
    */
@@ -54,27 +168,65 @@ const LoginPage = () => {
       // Call the login API function
       const userData = await loginUser(form.email, form.password);
 
-      // On successful login, store user data in context
-      login({
-        email: form.email,
-        name: userData.user.name,
-        id: userData.user.id,
-        token: userData.token,
-      });
+      if (userData.twoFactorRequired) {
+        setTwoFactorToken(userData.twoFactorToken);
+        return;
+      }
 
-      // Clear form and redirect to the homepage
-      setForm({ email: "", password: "" });
-      navigate("/"); // Redirect to the home page after login
+      completeLogin(userData);
     } catch (err) {
-      if (!err?.response) {
-        setError("שרת לא מגיב");
-      } else if (err.response?.status === 401) {
-        setError("אימייל או סיסמה לא נכונים");
-      } else {
-        setError(
-          "התחברות נכשלה: " + (err.response?.data?.message || "שגיאה לא ידועה")
-        );
+      setError(getLoginErrorMessage(err));
+      errRef.current?.focus(); // Focus on the error message
+    } finally {
+      setLoading(false); // Stop loading state after request completion
+    }
+  };
+
+  /**
+   * Handles the request for an emailed login link.
+   * The server answers the same way whether or not the email is registered.
+   *
+   * @param {Event} e - The event object triggered by form submission
+   */
+  const handleMagicLinkSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setNotice("");
+
+    try {
+      const result = await requestMagicLink(form.email.trim());
+      setNotice(result.message);
+    } catch (err) {
+      setError(
+        !err?.response
+          ? "שרת לא מגיב"
+          : err.response.data?.message || "שליחת הקישור נכשלה"
+      );
+      errRef.current?.focus(); // Focus on the error message
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Handles the submission of the two-factor code.
+   * If the login step expired, the user is sent back to enter the email and password again.
+   *
+   * @param {Event} e - The event object triggered by form submission
+   */
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const userData = await loginTwoFactor(twoFactorToken, code.trim());
+      completeLogin(userData);
+    } catch (err) {
+      if (err?.response?.data?.code === "TWO_FACTOR_EXPIRED") {
+        setTwoFactorToken("");
+        setCode("");
       }
+      setError(getLoginErrorMessage(err));
       errRef.current?.focus(); // Focus on the error message
     } finally {
       setLoading(false); // Stop loading state after request completion
@@ -93,40 +245,121 @@ const LoginPage = () => {
           {error}
         </p>
 
-        <form onSubmit={handleSubmit} className="space-y-3">
-          <div>
-            <input
-              name="email"
-              ref={emailRef}
-              onChange={handleChange}
-              value={form.email}
-              type="email"
-              placeholder="אימייל"
-              className="w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600"
-              required
-            />
-          </div>
-
-          <div>
-            <input
-              name="password"
-              onChange={handleChange}
-              value={form.password}
-              type="password"
-              placeholder="סיסמה"
-              className="w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600"
-              required
-            />
-          </div>
-
-          <button
-            type="submit"
-            className="w-full bg-blue-600 hover:bg-blue-700 text-white p-2 rounded-md font-semibold transition"
-            disabled={loading}
+        {twoFactorToken ? (
+          <form onSubmit={handleCodeSubmit} className="space-y-3">
+            <p className="text-sm text-gray-600">
+              הזינו את הקוד בן 6 הספרות מאפליקציית האימות, או אחד מקודי השחזור.
+            </p>
+            <div>
+              <input
+                name="code"
+                ref={codeRef}
+                onChange={(e) => setCode(e.target.value)}
+                value={code}
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="קוד אימות"
+                dir="ltr"
+                className="w-full p-2 border rounded-md text-center tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-600"
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white p-2 rounded-md font-semibold transition"
+              disabled={loading}
+            >
+              {loading ? "מאמת..." : "אימות"}
+            </button>
+
+            <button
+              type="button"
+              onClick={() => {
+                setTwoFactorToken("");
+                setCode("");
+              }}
+              className="w-full text-sm text-blue-600 hover:text-blue-800"
+            >
+              חזרה להתחברות
+            </button>
+          </form>
+        ) : (
+          <form
+            onSubmit={useMagicLink ? handleMagicLinkSubmit : handleSubmit}
+            className="space-y-3"
           >
-            {loading ? "מתחבר..." : "התחבר"}
-          </button>
-        </form>
+            {notice && (
+              <p className="text-green-600 text-sm" aria-live="polite">
+                {notice} 📧
+              </p>
+            )}
+
+            <div>
+              <input
+                name="email"
+                ref={emailRef}
+                onChange={handleChange}
+                value={form.email}
+                type="email"
+                placeholder="אימייל"
+                className="w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600"
+                required
+              />
+            </div>
+
+            {!useMagicLink && (
+              <div>
+                <input
+                  name="password"
+                  onChange={handleChange}
+                  value={form.password}
+                  type="password"
+                  placeholder="סיסמה"
+                  className="w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600"
+                  required
+                />
+              </div>
+            )}
+
+            <button
+              type="submit"
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white p-2 rounded-md font-semibold transition"
+              disabled={loading}
+            >
+              {useMagicLink
+                ? loading
+                  ? "שולח..."
+                  : "שלחו לי קישור התחברות"
+                : loading
+                  ? "מתחבר..."
+                  : "התחבר"}
+            </button>
+
+            <button
+              type="button"
+              onClick={() => {
+                setUseMagicLink(!useMagicLink);
+                setNotice("");
+              }}
+              className="w-full text-sm text-blue-600 hover:text-blue-800"
+            >
+              {useMagicLink
+                ? "התחברות עם סיסמה"
+                : "שכחת את הסיסמה? שלחו לי קישור התחברות לאימייל"}
+            </button>
+          </form>
+        )}
+
+        <div className="text-sm mt-3">
+          <Link
+            to="/forgot-password"
+            className="text-blue-600 hover:text-blue-800 font-semibold"
+          >
+            שכחת סיסמה?
+          </Link>
+        </div>
 
         <div className="text-sm text-gray-600 mt-3">
           אין לך חשבון עדיין?
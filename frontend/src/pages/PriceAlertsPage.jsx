@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { FiBell, FiTrash2 } from "react-icons/fi";
+import { useUser } from "../context/UserContext";
+import { getPriceAlerts, deletePriceAlert } from "../api/priceAlertAPI";
+import { getShoppingPreferences, getChainPrices } from "../utils/chains";
+
+/**
+ * Gets the current price an alert watches: the price in its chain, or the lowest
+ * price in the chains the user shops at
+ *
+ * @param {Object} alert - The alert, with the product
+ * @param {Object} preferences - The user's shopping preferences
+ * @returns {number|null} The price, or null if the product has none
+ */
+const getCurrentPrice = (alert, preferences) => {
+  const prices = getChainPrices(alert.product.prices, preferences)
+    .filter(([market]) => !alert.chain || market === alert.chain)
+    .map(([, price]) => price);
+  return prices.length > 0 ? Math.min(...prices) : null;
+};
+
+/**
+ * PriceAlertsPage lists the user's price-drop alerts with the current price of each
+ * product and when each last fired, and lets them remove alerts. New alerts are set from
+ * the product window; alerts that fire arrive in the notification bell and by email.
+ *
+ * @returns {JSX.Element} PriceAlertsPage component with the user's alerts.
+ */
+const PriceAlertsPage = () => {
+  const { currentUser } = useUser();
+  const [alerts, setAlerts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState("");
+
+  // Load the alerts
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        setAlerts(await getPriceAlerts());
+      } catch (err) {
+        console.error("Error loading price alerts:", err);
+        setMessage("לא ניתן לטעון את התראות המחיר");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (currentUser?.emailVerified) {
+      fetchData();
+    } else {
+      setLoading(false);
+    }
+  }, [currentUser]);
+
+  /**
+   * Removes an alert
+   *
+   * @param {string} alertId - The alert ID
+   */
+  const handleDelete = async (alertId) => {
+    try {
+      await deletePriceAlert(alertId);
+      setAlerts((prev) => prev.filter((alert) => alert.id !== alertId));
+    } catch (err) {
+      console.error("Failed to delete price alert:", err);
+      setMessage("מחיקת ההתראה נכשלה");
+    }
+  };
+
+  const preferences = getShoppingPreferences(currentUser);
+
+  return (
+    <div dir="rtl" className="max-w-3xl mx-auto px-[5%] py-12 text-right">
+      <h1 className="text-4xl font-extrabold text-blue-700 text-center mb-10">
+        התראות מחיר 🔔
+      </h1>
+
+      {!currentUser?.emailVerified && (
+        <p className="text-center text-gray-600">
+          כדי להגדיר התראות מחיר יש לאמת את כתובת האימייל.
+        </p>
+      )}
+
+      {message && (
+        <p className="text-sm text-red-500 mb-4" aria-live="polite">
+          {message}
+        </p>
+      )}
+
+      {loading && <p className="text-gray-500 text-center">טוען...</p>}
+
+      {!loading && currentUser?.emailVerified && (
+        <>
+          {/* Alerts */}
+          <section className="bg-white p-6 rounded-xl shadow border border-gray-100 mb-6">
+            <h2 className="text-xl font-bold text-blue-700 mb-2 flex items-center gap-2">
+              <FiBell />
+              ההתראות שלי
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              כשמחיר של מוצר יורד למחיר היעד, נשלח לכם התראה בפעמון ובאימייל. להגדרת
+              התראה חדשה פתחו מוצר ב
+              <Link to="/products" className="text-blue-600 hover:underline">
+                רשימת המוצרים
+              </Link>
+              .
+            </p>
+
+            {alerts.length === 0 ? (
+              <p className="text-gray-500">אין התראות מחיר פעילות.</p>
+            ) : (
+              <ul className="space-y-2">
+                {alerts.map((alert) => {
+                  const currentPrice = getCurrentPrice(alert, preferences);
+                  return (
+                    <li
+                      key={alert.id}
+                      className="flex flex-wrap justify-between items-center gap-2 bg-gray-50 px-3 py-2 rounded-md border"
+                    >
+                      <div>
+                        <Link
+                          to={`/products?id=${alert.product.id}`}
+                          className="font-semibold text-blue-700 hover:underline"
+                        >
+                          {alert.product.name}
+                        </Link>
+                        <p className="text-sm text-gray-600">
+                          יעד: ₪{alert.targetPrice.toFixed(2)} ב
+                          {alert.chain || "כל רשת"}
+                          {currentPrice !== null &&
+                            ` · עכשיו: ₪${currentPrice.toFixed(2)}`}
+                        </p>
+                        {alert.triggeredAt && (
+                          <p className="text-xs text-green-600">
+                            נשלחה התראה ב-
+                            {new Date(alert.triggeredAt).toLocaleDateString("he-IL")}{" "}
+                            (₪{alert.triggeredPrice.toFixed(2)})
+                          </p>
+                        )}
+                      </div>
+                      <button
+                        onClick={() => handleDelete(alert.id)}
+                        className="text-red-500 hover:text-red-600 flex items-center gap-1 text-sm"
+                      >
+                        <FiTrash2 />
+                        מחק
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PriceAlertsPage;
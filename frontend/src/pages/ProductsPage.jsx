@@ -1,15 +1,21 @@
 import React, { useState, useEffect } from "react";
 import { useProducts } from "../context/ProductContext";
-import { useSearchParams } from "react-router-dom";
+import { useUser } from "../context/UserContext";
+import { useFavorites } from "../context/FavoritesContext";
+import { useSearchParams, useNavigate } from "react-router-dom";
+import { useToast } from "../context/ToastContext";
+import { getProductByBarcode } from "../api/productAPI";
 import ProductCard from "../components/ProductCard";
 import ProductModal from "../components/ProductModal";
-import { FiSearch } from "react-icons/fi";
+import { FiSearch, FiMaximize } from "react-icons/fi";
 
 /**
  * ProductsPage component displays a list of products with filtering and searching options.
  * It allows users to:
  * - Search for products by name or barcode.
+ * - Type or scan a barcode to open the matching product.
  * - Filter products by category.
+ * - Show only their favorite products (when logged in).
  * - View detailed product information in a modal when a product is selected.
  * - Load more products as the user scrolls down (infinite scroll).
  *
@@ -18,6 +24,9 @@ import { FiSearch } from "react-icons/fi";
 const ProductsPage = () => {
   const { products, categories, searchProducts, getProductsByCategory } =
     useProducts(); // Access product data and functions from ProductContext
+  const { currentUser } = useUser(); // Access current user state from UserContext
+  const { isFavorite } = useFavorites(); // Access the user's favorite products
+  const [favoritesOnly, setFavoritesOnly] = useState(false); // State for the favorites filter
   const [selectedCategory, setSelectedCategory] = useState(null); // State for selected product category filter
   const [searchQuery, setSearchQuery] = useState(""); // State for the search input
   const [filteredProducts, setFilteredProducts] = useState([]); // State for filtered products based on search or category
@@ -25,6 +34,10 @@ const ProductsPage = () => {
 
   const [searching, setSearching] = useState(false); // State for managing the loading state during search
   const [visibleProducts, setVisibleProducts] = useState(30); // State to track the number of visible products
+  const [barcode, setBarcode] = useState(""); // State for the barcode entry box
+  const [findingBarcode, setFindingBarcode] = useState(false); // State for the barcode lookup
+  const { showToast } = useToast(); // Access toasts for barcode lookup errors
+  const navigate = useNavigate(); // Hook for opening the product found by barcode
 
   const [searchParams] = useSearchParams(); // Hook for accessing search parameters in the URL
   const productId = searchParams.get("id"); // Extract product ID from URL
@@ -81,9 +94,15 @@ const ProductsPage = () => {
     getProductsByCategory,
   ]);
 
+  // Products to display, limited to the favorites when the filter is on
+  const displayedProducts =
+    favoritesOnly && currentUser
+      ? filteredProducts.filter((product) => isFavorite(product))
+      : filteredProducts;
+
   // Handle loading more products on scroll
   const loadMoreProducts = () => {
-    if (visibleProducts < filteredProducts.length) {
+    if (visibleProducts < displayedProducts.length) {
       setVisibleProducts((prev) => prev + 30); // Load 30 more products
     }
   };
@@ -103,7 +122,7 @@ const ProductsPage = () => {
 
     // Clean up event listener on unmount
     return () => window.removeEventListener("scroll", handleScroll);
-  }, [filteredProducts, visibleProducts]);
+  }, [displayedProducts, visibleProducts]);
 
   /**
    * Handles changes to the search input.
@@ -115,6 +134,25 @@ const ProductsPage = () => {
     setSearchQuery(value); // Update search query state
   };
 
+  /**
+   * Finds the product with the entered barcode and opens it.
+   *
+   * @param {Event} e - The form submit event.
+   */
+  const handleBarcodeSubmit = async (e) => {
+    e.preventDefault();
+    setFindingBarcode(true);
+    try {
+      const product = await getProductByBarcode(barcode.trim());
+      setBarcode("");
+      navigate(`/products?id=${product.id}`);
+    } catch (error) {
+      showToast(error.message || "לא נמצא מוצר עם ברקוד זה", "error");
+    } finally {
+      setFindingBarcode(false);
+    }
+  };
+
   return (
     <div dir="rtl" className="px-[5%] text-right">
       <h1 className="text-3xl font-bold mb-6">מוצרים</h1>
@@ -139,6 +177,19 @@ const ProductsPage = () => {
           </select>
         </div>
 
+        {/* Favorites Filter */}
+        {currentUser && (
+          <label className="flex items-center gap-2 font-medium cursor-pointer">
+            <input
+              type="checkbox"
+              checked={favoritesOnly}
+              onChange={(e) => setFavoritesOnly(e.target.checked)}
+              className="w-4 h-4"
+            />
+            מועדפים בלבד
+          </label>
+        )}
+
         {/* Search Input */}
         <div className="flex items-center border border-gray-300 rounded-md px-3 py-2 w-full max-w-md">
           <FiSearch className="text-gray-400 mr-2" />
@@ -150,11 +201,34 @@ const ProductsPage = () => {
             className="w-full outline-none bg-transparent text-gray-800 placeholder-gray-400"
           />
         </div>
+
+        {/* Barcode Entry */}
+        <form onSubmit={handleBarcodeSubmit} className="flex items-center gap-2">
+          <div className="flex items-center border border-gray-300 rounded-md px-3 py-2">
+            <FiMaximize className="text-gray-400 ml-2" />
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="ברקוד"
+              aria-label="פתיחת מוצר לפי ברקוד"
+              value={barcode}
+              onChange={(e) => setBarcode(e.target.value)}
+              className="w-36 outline-none bg-transparent text-gray-800 placeholder-gray-400"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={!barcode.trim() || findingBarcode}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md font-medium transition disabled:opacity-50"
+          >
+            {findingBarcode ? "מחפש..." : "פתח"}
+          </button>
+        </form>
       </div>
       {/* Products */}
-      {filteredProducts.length > 0 ? (
+      {displayedProducts.length > 0 ? (
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-          {filteredProducts.slice(0, visibleProducts).map((product) => (
+          {displayedProducts.slice(0, visibleProducts).map((product) => (
             <ProductCard
               key={product.id || `product-${Math.random()}`}
               product={product} // Display each product using the ProductCard component
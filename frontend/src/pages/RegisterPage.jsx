@@ -2,6 +2,9 @@ import React, { useState, useRef, useEffect } from "react";
 import { useNavigate, Link } from "react-router-dom";
 import { useUser } from "../context/UserContext";
 import { registerUser } from "../api/registerAPI";
+import { checkEmailExists } from "../api/authAPI";
+
+const EMAIL_CHECK_DELAY_MS = 500; // Wait for the user to stop typing before checking the email
 
 // Validation patterns
 const EMAIL_REGEX = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
@@ -10,7 +13,10 @@ const NAME_REGEX = /^[A-Za-z\u0590-\u05FF\s]{2,30}$/; // Hebrew and English name
 
 /**
  * RegisterPage provides the user registration form.
- * It includes form validation for name, email, password, and confirm password fields.
+ * It includes form validation for name, email, password, and confirm password fields,
+ * and checks while typing whether the email is already registered.
+ * The server checks the same rules (plus a common-password list) and reports errors per
+ * field, which are shown under the matching inputs.
  * Upon successful registration, the user is logged in and redirected to the home page.
  *
  * @returns {JSX.Element} RegisterPage component with form fields, validation, and error handling.
@@ -35,6 +41,7 @@ const RegisterPage = () => {
   const [validEmail, setValidEmail] = useState(false);
   const [validPassword, setValidPassword] = useState(false);
   const [validMatch, setValidMatch] = useState(false);
+  const [emailTaken, setEmailTaken] = useState(false); // Email already belongs to an account
 
   // Focus states to show error messages on focus
   const [nameFocus, setNameFocus] = useState(false);
@@ -44,6 +51,7 @@ const RegisterPage = () => {
 
   // Error and success states
   const [error, setError] = useState(""); // Stores error messages
+  const [fieldErrors, setFieldErrors] = useState({}); // Errors from the server, by field
   const [success, setSuccess] = useState(false); // Indicates successful registration
   const [loading, setLoading] = useState(false); // Manages loading state during registration
 
@@ -62,6 +70,23 @@ const RegisterPage = () => {
     setValidEmail(EMAIL_REGEX.test(form.email));
   }, [form.email]);
 
+  // Check whether a valid email is already registered, once the user stops typing
+  useEffect(() => {
+    setEmailTaken(false);
+    if (!validEmail) return;
+
+    let ignore = false; // Ignore responses for an email that has since changed
+    const timer = setTimeout(async () => {
+      const exists = await checkEmailExists(form.email);
+      if (!ignore) setEmailTaken(exists);
+    }, EMAIL_CHECK_DELAY_MS);
+
+    return () => {
+      ignore = true;
+      clearTimeout(timer);
+    };
+  }, [form.email, validEmail]);
+
   // Validate password and confirm password
   useEffect(() => {
     setValidPassword(PWD_REGEX.test(form.password));
@@ -80,6 +105,7 @@ const RegisterPage = () => {
    */
   const handleChange = (e) => {
     setForm({ ...form, [e.target.name]: e.target.value });
+    setFieldErrors((prev) => ({ ...prev, [e.target.name]: "" }));
   };
 
   /**
@@ -94,7 +120,13 @@ const RegisterPage = () => {
     setLoading(true);
 
     // Double-check validation before submitting
-    if (!validName || !validEmail || !validPassword || !validMatch) {
+    if (
+      !validName ||
+      !validEmail ||
+      emailTaken ||
+      !validPassword ||
+      !validMatch
+    ) {
       setError("נתונים לא תקינים");
       setLoading(false);
       return;
@@ -111,7 +143,15 @@ const RegisterPage = () => {
         email: form.email,
         name: userData.user.name,
         id: userData.user.id,
+        isAdmin: userData.user.isAdmin,
+        roles: userData.user.roles,
+        emailVerified: userData.user.emailVerified,
+        twoFactorEnabled: userData.user.twoFactorEnabled,
+        avatarUrl: userData.user.avatarUrl,
+        avatarThumbUrl: userData.user.avatarThumbUrl,
+        shoppingPreferences: userData.user.shoppingPreferences,
         token: userData.token,
+        refreshToken: userData.refreshToken,
       });
 
       // Clear form
@@ -122,6 +162,10 @@ const RegisterPage = () => {
     } catch (err) {
       if (!err?.response) {
         setError("שרת לא מגיב");
+      } else if (err.response.data?.errors) {
+        // Show the server's errors under the matching fields
+        setFieldErrors(err.response.data.errors);
+        setError("יש לתקן את השדות המסומנים");
       } else if (err.response?.status === 409) {
         setError("האימייל כבר קיים במערכת");
       } else {
@@ -167,10 +211,12 @@ const RegisterPage = () => {
                   type="text"
                   placeholder="שם מלא"
                   className={`w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600 ${
-                    !validName && form.name ? "border-red-500" : ""
+                    (!validName && form.name) || fieldErrors.name
+                      ? "border-red-500"
+                      : ""
                   }`}
                   required
-                  aria-invalid={validName ? "false" : "true"}
+                  aria-invalid={validName && !fieldErrors.name ? "false" : "true"}
                   aria-describedby="namenote"
                   onFocus={() => setNameFocus(true)}
                   onBlur={() => setNameFocus(false)}
@@ -185,6 +231,11 @@ const RegisterPage = () => {
                 >
                   שם צריך להיות לפחות 2 תווים ולהכיל רק אותיות בעברית או אנגלית
                 </p>
+                {fieldErrors.name && (
+                  <p className="text-xs text-red-500 mt-1" aria-live="polite">
+                    {fieldErrors.name}
+                  </p>
+                )}
               </div>
 
               {/* Email input */}
@@ -196,10 +247,14 @@ const RegisterPage = () => {
                   type="email"
                   placeholder="אימייל"
                   className={`w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600 ${
-                    !validEmail && form.email ? "border-red-500" : ""
+                    (!validEmail && form.email) || emailTaken || fieldErrors.email
+                      ? "border-red-500"
+                      : ""
                   }`}
                   required
-                  aria-invalid={validEmail ? "false" : "true"}
+                  aria-invalid={
+                    validEmail && !emailTaken && !fieldErrors.email ? "false" : "true"
+                  }
                   aria-describedby="emailnote"
                   onFocus={() => setEmailFocus(true)}
                   onBlur={() => setEmailFocus(false)}
@@ -214,6 +269,22 @@ const RegisterPage = () => {
                 >
                   כתובת אימייל לא תקינה
                 </p>
+                {fieldErrors.email && !emailTaken && (
+                  <p className="text-xs text-red-500 mt-1" aria-live="polite">
+                    {fieldErrors.email}
+                  </p>
+                )}
+                {emailTaken && (
+                  <p className="text-xs text-red-500 mt-1" aria-live="polite">
+                    האימייל כבר רשום במערכת.
+                    <Link
+                      to="/login"
+                      className="text-blue-600 hover:text-blue-800 font-semibold mr-1"
+                    >
+                      להתחברות
+                    </Link>
+                  </p>
+                )}
               </div>
 
               {/* Password input */}
@@ -225,10 +296,14 @@ const RegisterPage = () => {
                   type="password"
                   placeholder="סיסמה"
                   className={`w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600 ${
-                    !validPassword && form.password ? "border-red-500" : ""
+                    (!validPassword && form.password) || fieldErrors.password
+                      ? "border-red-500"
+                      : ""
                   }`}
                   required
-                  aria-invalid={validPassword ? "false" : "true"}
+                  aria-invalid={
+                    validPassword && !fieldErrors.password ? "false" : "true"
+                  }
                   aria-describedby="pwdnote"
                   onFocus={() => setPasswordFocus(true)}
                   onBlur={() => setPasswordFocus(false)}
@@ -244,6 +319,11 @@ const RegisterPage = () => {
                   הסיסמה צריכה להיות 8-24 תווים, להכיל אות גדולה, אות קטנה, מספר
                   ותו מיוחד (!@#$%)
                 </p>
+                {fieldErrors.password && (
+                  <p className="text-xs text-red-500 mt-1" aria-live="polite">
+                    {fieldErrors.password}
+                  </p>
+                )}
               </div>
 
               {/* Confirm password input */}
@@ -282,6 +362,7 @@ const RegisterPage = () => {
                 disabled={
                   !validName ||
                   !validEmail ||
+                  emailTaken ||
                   !validPassword ||
                   !validMatch ||
                   loading
@@ -0,0 +1,205 @@
+import React, { useState, useRef, useEffect } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
+import { resetPassword } from "../api/loginAPI";
+import { getErrorMessage } from "../utils/errors";
+
+// Same password rules as the registration form
+const PWD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#$%]).{8,24}$/;
+
+/**
+ * ResetPasswordPage lets users choose a new password using the token from a reset link.
+ * The token is read from the `token` query parameter of the emailed link.
+ * On success, the user is redirected to the login page.
+ *
+ * @returns {JSX.Element} ResetPasswordPage component with new password form, validation, and error handling.
+ */
+const ResetPasswordPage = () => {
+  const navigate = useNavigate(); // Hook for navigation after a successful reset
+  const [searchParams] = useSearchParams(); // Access URL search parameters
+  const token = searchParams.get("token"); // Reset token from the emailed link
+
+  const passwordRef = useRef(); // Ref for focusing on the password input field
+  const errRef = useRef(); // Ref for displaying error messages
+
+  const [form, setForm] = useState({ password: "", confirmPassword: "" }); // Form state
+  const [validPassword, setValidPassword] = useState(false);
+  const [validMatch, setValidMatch] = useState(false);
+  const [error, setError] = useState(""); // State for error messages
+  const [success, setSuccess] = useState(false); // Indicates the password was reset
+  const [loading, setLoading] = useState(false); // State for managing loading state during the request
+
+  // Set focus on password input on component mount
+  useEffect(() => {
+    passwordRef.current?.focus();
+  }, []);
+
+  // Validate password and confirm password
+  useEffect(() => {
+    setValidPassword(PWD_REGEX.test(form.password));
+    setValidMatch(form.password === form.confirmPassword);
+  }, [form.password, form.confirmPassword]);
+
+  // Clear error when form changes
+  useEffect(() => {
+    setError("");
+  }, [form]);
+
+  /**
+   * Handle form input changes and update state
+   *
+   * @param {Event} e - The event object triggered by input changes
+   */
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  /**
+   * Handles the form submission and sends the new password with the reset token.
+   *
+   * @param {Event} e - The event object triggered by form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validPassword || !validMatch) {
+      setError("נתונים לא תקינים");
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await resetPassword(token, form.password);
+      setSuccess(true);
+      setForm({ password: "", confirmPassword: "" });
+
+      // Redirect to the login page after short delay
+      setTimeout(() => navigate("/login"), 2000);
+    } catch (err) {
+      if (!err?.response) {
+        setError("שרת לא מגיב");
+      } else {
+        setError(getErrorMessage(err, "איפוס הסיסמה נכשל"));
+      }
+      errRef.current?.focus(); // Focus on the error message
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The page is only meaningful when opened from a reset link
+  if (!token) {
+    return (
+      <div className="flex items-center justify-center h-full">
+        <div className="max-w-md w-full bg-white p-6 rounded-lg shadow-md text-center">
+          <h2 className="text-2xl font-bold text-red-500 mb-3">קישור לא תקין</h2>
+          <p className="text-gray-600 mb-4">
+            קישור האיפוס חסר או פגום. ניתן לבקש קישור חדש.
+          </p>
+          <Link
+            to="/forgot-password"
+            className="text-blue-600 hover:text-blue-800 font-semibold"
+          >
+            בקשת קישור חדש
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center justify-center h-full">
+      <div className="max-w-md w-full bg-white p-6 rounded-lg shadow-md">
+        {success ? (
+          <div className="text-center">
+            <h2 className="text-2xl font-bold text-green-600 mb-3">
+              הסיסמה עודכנה! 🎉
+            </h2>
+            <p className="text-gray-600 mb-4">מיד תועבר לדף ההתחברות</p>
+          </div>
+        ) : (
+          <>
+            <h2 className="text-2xl font-bold text-blue-800 mb-3">
+              בחירת סיסמה חדשה 🔑
+            </h2>
+            <p
+              ref={errRef}
+              className={error ? "text-red-500 text-sm mb-2" : "sr-only"}
+              aria-live="assertive"
+            >
+              {error}
+            </p>
+
+            <form onSubmit={handleSubmit} className="space-y-3">
+              {/* Password input */}
+              <div>
+                <input
+                  name="password"
+                  ref={passwordRef}
+                  onChange={handleChange}
+                  value={form.password}
+                  type="password"
+                  placeholder="סיסמה חדשה"
+                  className={`w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600 ${
+                    !validPassword && form.password ? "border-red-500" : ""
+                  }`}
+                  required
+                  aria-invalid={validPassword ? "false" : "true"}
+                  aria-describedby="pwdnote"
+                />
+                <p
+                  id="pwdnote"
+                  className={
+                    form.password && !validPassword
+                      ? "text-xs text-red-500 mt-1"
+                      : "sr-only"
+                  }
+                >
+                  הסיסמה צריכה להיות 8-24 תווים, להכיל אות גדולה, אות קטנה, מספר
+                  ותו מיוחד (!@#$%)
+                </p>
+              </div>
+
+              {/* Confirm password input */}
+              <div>
+                <input
+                  name="confirmPassword"
+                  onChange={handleChange}
+                  value={form.confirmPassword}
+                  type="password"
+                  placeholder="אימות סיסמה"
+                  className={`w-full p-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-600 ${
+                    !validMatch && form.confirmPassword ? "border-red-500" : ""
+                  }`}
+                  required
+                  aria-invalid={validMatch ? "false" : "true"}
+                  aria-describedby="confirmnote"
+                />
+                <p
+                  id="confirmnote"
+                  className={
+                    form.confirmPassword && !validMatch
+                      ? "text-xs text-red-500 mt-1"
+                      : "sr-only"
+                  }
+                >
+                  הסיסמאות אינן תואמות
+                </p>
+              </div>
+
+              <button
+                type="submit"
+                className="w-full bg-blue-600 hover:bg-blue-700 text-white p-2 rounded-md font-semibold transition"
+                disabled={!validPassword || !validMatch || loading}
+              >
+                {loading ? "מעדכן..." : "עדכן סיסמה"}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
@@ -3,12 +3,15 @@ import { FiArchive, FiShoppingCart, FiTrash2 } from "react-icons/fi";
 import { getSavedCarts, deleteSavedCart } from "../api/cartAPI";
 import { useCart } from "../context/CartContext";
 import { useUser } from "../context/UserContext";
+import { useHousehold } from "../context/HouseholdContext";
 import { useNavigate } from "react-router-dom";
 
 /**
  * SavedCartsPage displays a list of saved shopping carts for the user.
  * It allows users to load a saved cart into their current cart, or delete a saved cart.
  * The page also provides confirmation modals for deleting or loading a cart.
+ * It shows the active cart space chosen in the household switcher: the user's personal carts
+ * or the shared carts of a household, which household viewers can load but not delete.
  *
  * @returns {JSX.Element} SavedCartsPage component displaying saved carts, and providing options to load or delete them.
  */
@@ -21,13 +24,14 @@ const SavedCartsPage = () => {
 
   const { loadCart } = useCart(); // Access the loadCart function from CartContext
   const { currentUser, loading } = useUser(); // Access user data from UserContext
+  const { activeHousehold, activeHouseholdId, canEditCarts } = useHousehold(); // Access the active cart space
   const navigate = useNavigate(); // Hook for navigation
 
   // Fetch saved carts from the backend
   useEffect(() => {
     const fetchSavedCarts = async () => {
       try {
-        const carts = await getSavedCarts();
+        const carts = await getSavedCarts(activeHouseholdId);
         // Sort the saved carts by the most recently created first
         carts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
         setSaved(carts);
@@ -40,10 +44,10 @@ const SavedCartsPage = () => {
       navigate("/login"); // Redirect to login if user is not logged in
       return;
     }
-    if (currentUser) {
-      fetchSavedCarts();
+    if (currentUser?.emailVerified) {
+      fetchSavedCarts(); // Saved carts are only available with a verified email
     }
-  }, [currentUser, loading, navigate]);
+  }, [currentUser, loading, navigate, activeHouseholdId]);
 
   /**
    * Trigger delete confirmation modal.
@@ -74,7 +78,7 @@ const SavedCartsPage = () => {
       await deleteSavedCart(selectedCart._id);
 
       // Re-fetch saved carts from the server to update the state
-      const updatedCarts = await getSavedCarts();
+      const updatedCarts = await getSavedCarts(activeHouseholdId);
       setSaved(updatedCarts); // Update the state with the latest data
       setDeleteSuccess(true); // Set success flag to true
     } catch (err) {
@@ -107,6 +111,12 @@ const SavedCartsPage = () => {
         עגלות שמורות
         <FiArchive className="text-blue-600" />
       </h1>
+      {activeHousehold && (
+        <p className="text-center text-gray-600 -mt-6 mb-8">
+          העגלות המשותפות של משק הבית "{activeHousehold.name}"
+          {!canEditCarts && " (צפייה בלבד)"}
+        </p>
+      )}
 
       {/* Success message after deleting cart */}
       {deleteSuccess && (
@@ -115,7 +125,14 @@ const SavedCartsPage = () => {
         </div>
       )}
 
-      {saved.length === 0 ? (
+      {!currentUser.emailVerified ? (
+        <div className="bg-white text-center p-10 rounded-2xl shadow-md text-gray-600">
+          <FiShoppingCart className="mx-auto text-5xl mb-4 text-blue-500" />
+          <p className="text-lg">
+            יש לאמת את כתובת האימייל כדי לשמור ולצפות בעגלות שמורות
+          </p>
+        </div>
+      ) : saved.length === 0 ? (
         <div className="bg-white text-center p-10 rounded-2xl shadow-md text-gray-600">
           <FiShoppingCart className="mx-auto text-5xl mb-4 text-blue-500" />
           <p className="text-lg">לא נשמרו עגלות עד כה</p>
@@ -133,13 +150,15 @@ const SavedCartsPage = () => {
                   <p className="text-sm text-gray-500">
                     {new Date(cart.createdAt).toLocaleString("he-IL")}
                   </p>
-                  <button
-                    onClick={() => confirmDelete(cart)}
-                    className="text-red-500 hover:text-red-700 transition"
-                    title="מחק עגלה"
-                  >
-                    <FiTrash2 />
-                  </button>
+                  {canEditCarts && (
+                    <button
+                      onClick={() => confirmDelete(cart)}
+                      className="text-red-500 hover:text-red-700 transition"
+                      title="מחק עגלה"
+                    >
+                      <FiTrash2 />
+                    </button>
+                  )}
                 </div>
               </div>
 
@@ -8,6 +8,7 @@ import ProductCard from "../components/ProductCard";
  * TopProductsPage displays a list of top products with options to filter and sort them.
  * The page allows users to choose the number of products to display and the sorting criteria.
  * The products are fetched based on the selected filter and sorted accordingly.
+ * The price criteria ignore the chains the user excluded in their shopping preferences.
  * The page also checks if the user is logged in and redirects to the login page if not.
  *
  * @returns {JSX.Element} TopProductsPage component with filter and sort options, displaying top products.
@@ -0,0 +1,86 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useSearchParams, Link } from "react-router-dom";
+import { unlockAccount } from "../api/loginAPI";
+
+/**
+ * UnlockAccountPage lifts a temporary login lockout using the token from the emailed unlock link.
+ * The token is read from the `token` query parameter and sent to the server once when the page opens.
+ *
+ * @returns {JSX.Element} UnlockAccountPage component showing the unlock progress and result.
+ */
+const UnlockAccountPage = () => {
+  const [searchParams] = useSearchParams(); // Access URL search parameters
+  const token = searchParams.get("token"); // Unlock token from the emailed link
+
+  const [status, setStatus] = useState(token ? "unlocking" : "error"); // "unlocking" | "success" | "error"
+  const [error, setError] = useState(token ? "" : "קישור שחרור הנעילה חסר או פגום");
+  const requestSent = useRef(false); // The token is single-use, so it is only sent once
+
+  // Send the token to the server
+  useEffect(() => {
+    if (!token || requestSent.current) return;
+    requestSent.current = true;
+
+    const unlock = async () => {
+      try {
+        await unlockAccount(token);
+        setStatus("success");
+      } catch (err) {
+        setStatus("error");
+        setError(
+          !err?.response
+            ? "שרת לא מגיב"
+            : err.response.data?.message || "שחרור הנעילה נכשל"
+        );
+      }
+    };
+
+    unlock();
+  }, [token]);
+
+  return (
+    <div className="flex items-center justify-center h-full">
+      <div className="max-w-md w-full bg-white p-6 rounded-lg shadow-md text-center">
+        {status === "unlocking" && (
+          <p className="text-gray-600">משחרר את נעילת החשבון...</p>
+        )}
+
+        {status === "success" && (
+          <>
+            <h2 className="text-2xl font-bold text-green-600 mb-3">
+              הנעילה שוחררה 🔓
+            </h2>
+            <p className="text-gray-600 mb-4">
+              ניתן להתחבר שוב. אם לא את/ה ניסית להתחבר, מומלץ לשנות את הסיסמה.
+            </p>
+            <Link
+              to="/login"
+              className="text-blue-600 hover:text-blue-800 font-semibold"
+            >
+              להתחברות
+            </Link>
+          </>
+        )}
+
+        {status === "error" && (
+          <>
+            <h2 className="text-2xl font-bold text-red-500 mb-3">
+              שחרור הנעילה נכשל
+            </h2>
+            <p className="text-gray-600 mb-4" aria-live="assertive">
+              {error}
+            </p>
+            <Link
+              to="/forgot-password"
+              className="text-blue-600 hover:text-blue-800 font-semibold"
+            >
+              איפוס סיסמה משחרר גם את הנעילה
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccountPage;
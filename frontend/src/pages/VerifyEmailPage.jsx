@@ -0,0 +1,94 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useSearchParams, Link } from "react-router-dom";
+import { useUser } from "../context/UserContext";
+import { verifyEmail } from "../api/loginAPI";
+
+/**
+ * VerifyEmailPage confirms the user's email address using the token from a verification link.
+ * The token is read from the `token` query parameter of the emailed link and sent to the server
+ * once when the page opens. If the user is logged in, their data is updated so the
+ * verification banner disappears and saved carts become available.
+ *
+ * @returns {JSX.Element} VerifyEmailPage component showing the verification progress and result.
+ */
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams(); // Access URL search parameters
+  const token = searchParams.get("token"); // Verification token from the emailed link
+  const { currentUser, updateCurrentUser } = useUser(); // Access user state from UserContext
+
+  const [status, setStatus] = useState(token ? "verifying" : "error"); // "verifying" | "success" | "error"
+  const [error, setError] = useState(token ? "" : "קישור האימות חסר או פגום");
+  const requestSent = useRef(false); // The token is single-use, so it is only sent once
+
+  // Send the token to the server
+  useEffect(() => {
+    if (!token || requestSent.current) return;
+    requestSent.current = true;
+
+    const verify = async () => {
+      try {
+        await verifyEmail(token);
+        setStatus("success");
+      } catch (err) {
+        setStatus("error");
+        setError(
+          !err?.response
+            ? "שרת לא מגיב"
+            : err.response.data?.message || "אימות האימייל נכשל"
+        );
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  // Mark the logged-in user as verified (also when their data loads after the verification)
+  useEffect(() => {
+    if (status === "success" && currentUser && !currentUser.emailVerified) {
+      updateCurrentUser({ emailVerified: true });
+    }
+  }, [status, currentUser, updateCurrentUser]);
+
+  return (
+    <div className="flex items-center justify-center h-full">
+      <div className="max-w-md w-full bg-white p-6 rounded-lg shadow-md text-center">
+        {status === "verifying" && (
+          <p className="text-gray-600">מאמת את כתובת האימייל...</p>
+        )}
+
+        {status === "success" && (
+          <>
+            <h2 className="text-2xl font-bold text-green-600 mb-3">
+              האימייל אומת! 🎉
+            </h2>
+            <p className="text-gray-600 mb-4">
+              כעת ניתן לשמור עגלות וליהנות מכל האפשרויות באתר.
+            </p>
+            <Link
+              to={currentUser ? "/" : "/login"}
+              className="text-blue-600 hover:text-blue-800 font-semibold"
+            >
+              {currentUser ? "לדף הבית" : "להתחברות"}
+            </Link>
+          </>
+        )}
+
+        {status === "error" && (
+          <>
+            <h2 className="text-2xl font-bold text-red-500 mb-3">
+              האימות נכשל
+            </h2>
+            <p className="text-gray-600 mb-4" aria-live="assertive">
+              {error}
+            </p>
+            <p className="text-sm text-gray-500">
+              ניתן לבקש קישור חדש מההודעה בראש העמוד לאחר ההתחברות.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
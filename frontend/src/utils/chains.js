@@ -0,0 +1,48 @@
+/**
+ * Shopping preferences used when the user is logged out or has not set any
+ * @type {Object}
+ */
+const DEFAULT_PREFERENCES = {
+  preferredChains: [],
+  excludedChains: [],
+  defaultChain: null,
+};
+
+/**
+ * Gets the shopping preferences of a user, with defaults for missing fields
+ *
+ * @param {Object|null} user - The current user from UserContext
+ * @returns {{preferredChains: string[], excludedChains: string[], defaultChain: string|null}}
+ */
+export const getShoppingPreferences = (user) => ({
+  ...DEFAULT_PREFERENCES,
+  ...user?.shoppingPreferences,
+});
+
+/**
+ * Gets the prices of a product in the chains the user shops at: excluded chains are
+ * left out, the default chain comes first, then the preferred chains, then the rest.
+ *
+ * @param {Object} prices - The product's prices, by chain
+ * @param {Object} preferences - The user's shopping preferences
+ * @returns {Array<[string, number]>} The [chain, price] pairs in display order
+ */
+export const getChainPrices = (prices, preferences) => {
+  const { preferredChains, excludedChains, defaultChain } = preferences;
+  const rank = (chain) =>
+    chain === defaultChain ? 0 : preferredChains.includes(chain) ? 1 : 2;
+
+  return Object.entries(prices || {})
+    .filter(([chain]) => !excludedChains.includes(chain))
+    .sort(([a], [b]) => rank(a) - rank(b));
+};
+
+/**
+ * Gets the price values of a product in the chains the user shops at
+ *
+ * @param {Object} prices - The product's prices, by chain
+ * @param {Object} preferences - The user's shopping preferences
+ * @returns {number[]} The prices
+ */
+export const getChainPriceValues = (prices, preferences) =>
+  getChainPrices(prices, preferences).map(([, price]) => price);
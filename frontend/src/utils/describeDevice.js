@@ -0,0 +1,27 @@
+/**
+ * Builds a short description of the browser and operating system from a user agent string
+ *
+ * @param {string} userAgent - The user agent recorded by the server
+ * @returns {string} A description such as "Chrome · Windows", or an empty string
+ */
+export const describeDevice = (userAgent = "") => {
+  const browser =
+    [
+      ["Edg/", "Edge"],
+      ["OPR/", "Opera"],
+      ["Firefox/", "Firefox"],
+      ["Chrome/", "Chrome"],
+      ["Safari/", "Safari"],
+    ].find(([marker]) => userAgent.includes(marker))?.[1] || "";
+  const os =
+    [
+      ["Android", "Android"],
+      ["iPhone", "iOS"],
+      ["iPad", "iOS"],
+      ["Windows", "Windows"],
+      ["Mac OS", "macOS"],
+      ["Linux", "Linux"],
+    ].find(([marker]) => userAgent.includes(marker))?.[1] || "";
+
+  return [browser, os].filter(Boolean).join(" · ");
+};
@@ -0,0 +1,9 @@
+/**
+ * Extracts a readable error message from an API error
+ *
+ * @param {Error} err - The error thrown by the API call
+ * @param {string} [fallback="שגיאה לא ידועה"] - The message when the server did not send one
+ * @returns {string} The error message to display
+ */
+export const getErrorMessage = (err, fallback = "שגיאה לא ידועה") =>
+  !err?.response ? "שרת לא מגיב" : err.response.data?.message || fallback;
@@ -0,0 +1,26 @@
+/**
+ * Hebrew display names of the staff roles
+ * @type {Object<string, string>}
+ */
+export const ROLE_LABELS = {
+  super_admin: "מנהל/ת על",
+  catalog_editor: "עורך/ת קטלוג",
+  price_editor: "עורך/ת מחירים",
+  support: "תמיכה",
+};
+
+/**
+ * Roles that may open the user-management console
+ * @type {string[]}
+ */
+export const USER_ADMIN_ROLES = ["super_admin", "support"];
+
+/**
+ * Checks whether a user holds at least one of the given roles
+ *
+ * @param {Object|null} user - The current user from UserContext
+ * @param {string[]} roles - The roles to look for
+ * @returns {boolean} True if the user has one of the roles
+ */
+export const hasAnyRole = (user, roles) =>
+  Boolean(user?.roles?.some((role) => roles.includes(role)));